@@ -217,7 +217,7 @@
 
     try {
       const template = document.createElement('template');
-      template.innerHTML = source;
+      template.innerHTML = toTrustedHTML(source);
 
       const lines = [];
       const pad = (n) => '  '.repeat(Math.max(0, n));
@@ -592,6 +592,37 @@
     return renderHighlightTokens(tokenizeQhtmlForHighlight(input));
   }
 
+  // HTML and script URL sinks go through a `q-editor` Trusted Types policy
+  // so the editor works on pages that enforce Trusted Types and allow it.
+  let trustedTypesPolicy;
+
+  function getTrustedTypesPolicy() {
+    if (trustedTypesPolicy !== undefined) return trustedTypesPolicy;
+    trustedTypesPolicy = null;
+    const factory = globalScope.trustedTypes;
+    if (factory && typeof factory.createPolicy === 'function') {
+      try {
+        trustedTypesPolicy = factory.createPolicy('q-editor', {
+          createHTML: (value) => value,
+          createScriptURL: (value) => value
+        });
+      } catch (err) {
+        trustedTypesPolicy = null;
+      }
+    }
+    return trustedTypesPolicy;
+  }
+
+  function toTrustedHTML(html) {
+    const policy = getTrustedTypesPolicy();
+    return policy ? policy.createHTML(html) : html;
+  }
+
+  function toTrustedScriptURL(url) {
+    const policy = getTrustedTypesPolicy();
+    return policy ? policy.createScriptURL(url) : url;
+  }
+
   function getQhtmlToolsApi() {
     if (globalScope.qhtmlTools && typeof globalScope.qhtmlTools.toHTML === 'function') return globalScope.qhtmlTools;
     if (globalScope['qhtml-tools'] && typeof globalScope['qhtml-tools'].toHTML === 'function') return globalScope['qhtml-tools'];
@@ -768,7 +799,7 @@
     }
 
     _renderShell() {
-      this.innerHTML =
+      this.innerHTML = toTrustedHTML(
         '<style>' +
           'q-editor{display:block;font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace}' +
           'q-editor .qe{border:1px solid #e5e7eb;border-radius:12px;overflow:hidden;background:#fff;position:relative}' +
@@ -856,7 +887,8 @@
             '</div>' +
           '</div>' +
         '</div>' +
-        '</div>';
+        '</div>'
+      );
     }
 
     _cacheDomNodes() {
@@ -977,7 +1009,7 @@
 
     _renderScriptsList() {
       if (!this._scriptsList) return;
-      this._scriptsList.innerHTML = this._scripts.map((item, idx) => {
+      this._scriptsList.innerHTML = toTrustedHTML(this._scripts.map((item, idx) => {
         const checked = item.checked ? ' checked' : '';
         const disabled = item.readOnly ? ' disabled' : '';
         const ro = item.readOnly ? '<span class="qe-script-readonly">(read-only)</span>' : '';
@@ -988,7 +1020,7 @@
             ro +
           '</label>'
         );
-      }).join('');
+      }).join(''));
     }
 
     _setActiveTab(name) {
@@ -1039,7 +1071,7 @@
 
     _updateQhtmlHighlight() {
       if (!this._qhtmlHighlight) return;
-      this._qhtmlHighlight.innerHTML = highlightQhtmlCode(this._qhtmlSource || '');
+      this._qhtmlHighlight.innerHTML = toTrustedHTML(highlightQhtmlCode(this._qhtmlSource || ''));
       this._syncQhtmlScroll();
     }
 
@@ -1096,18 +1128,18 @@
 
     _updateHtmlTab() {
       if (!this._htmlOutputNode) return;
-      this._htmlOutputNode.innerHTML = highlightHtmlCode(this._htmlOutput || '');
+      this._htmlOutputNode.innerHTML = toTrustedHTML(highlightHtmlCode(this._htmlOutput || ''));
     }
 
     _updatePreview(source) {
       if (!this._previewNode) return;
       if (!this._previewHost || !this._previewNode.contains(this._previewHost)) {
-        this._previewNode.innerHTML = '';
+        this._previewNode.textContent = '';
         this._previewHost = document.createElement('q-html');
         this._previewNode.appendChild(this._previewHost);
       }
       this._syncPreviewDependencies();
-      this._previewHost.innerHTML = this._composeQhtmlSourceWithImports(source);
+      this._previewHost.innerHTML = toTrustedHTML(this._composeQhtmlSourceWithImports(source));
       if (typeof this._previewHost.render === 'function') {
         this._previewHost.render();
       } else {
@@ -1175,7 +1207,7 @@
       if (existing) return;
 
       const script = document.createElement('script');
-      script.src = source;
+      script.src = toTrustedScriptURL(source);
       script.defer = true;
       script.setAttribute('data-qe-preview-dependency', 'true');
       (document.head || document.body || document.documentElement).appendChild(script);
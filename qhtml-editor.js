@@ -12,6 +12,25 @@ const KEYWORD_COLOR_CLASS = 'token-keyword';
 
 const HTML_TAG_PATTERN = /^(a|abbr|address|article|aside|audio|b|blockquote|body|br|button|canvas|caption|cite|code|div|dl|dt|dd|em|footer|form|h[1-6]|head|header|hr|html|i|iframe|img|input|label|li|link|main|meta|nav|ol|option|p|pre|script|section|select|small|span|strong|style|sub|sup|svg|table|tbody|td|textarea|tfoot|th|thead|title|tr|u|ul|video)$/i;
 
+// HTML sinks go through a `qhtml-editor` Trusted Types policy so the editor
+// works on pages that enforce Trusted Types and allow that policy name.
+let qhtmlEditorTrustedTypesPolicy;
+
+function toTrustedHTML(html) {
+    if (qhtmlEditorTrustedTypesPolicy === undefined) {
+        qhtmlEditorTrustedTypesPolicy = null;
+        const factory = typeof window !== 'undefined' ? window.trustedTypes : null;
+        if (factory && typeof factory.createPolicy === 'function') {
+            try {
+                qhtmlEditorTrustedTypesPolicy = factory.createPolicy('qhtml-editor', { createHTML: (value) => value });
+            } catch (error) {
+                qhtmlEditorTrustedTypesPolicy = null;
+            }
+        }
+    }
+    return qhtmlEditorTrustedTypesPolicy ? qhtmlEditorTrustedTypesPolicy.createHTML(html) : html;
+}
+
 function escapeAndFormat(text) {
     let result = '';
     for (let i = 0; i < text.length; i++) {
@@ -327,9 +346,9 @@ class PreviewRenderer {
 
         try {
             const element = document.createElement('q-html');
-            element.innerHTML = code;
+            element.innerHTML = toTrustedHTML(code);
             wrapper.appendChild(element);
-            container.innerHTML = '';
+            container.textContent = '';
             container.appendChild(wrapper);
             this.lastSuccessfulNode = element.cloneNode(true);
         } catch (error) {
@@ -338,7 +357,7 @@ class PreviewRenderer {
     }
 
     renderWithFallback(container, error, code) {
-        container.innerHTML = '';
+        container.textContent = '';
         if (this.lastSuccessfulNode) {
             container.appendChild(this.lastSuccessfulNode.cloneNode(true));
         }
@@ -406,7 +425,7 @@ class EditorOrchestrator {
 
     forceUpdate() {
         const value = this.getValue();
-        this.highlightLayer.innerHTML = this.highlighter.highlight(value);
+        this.highlightLayer.innerHTML = toTrustedHTML(this.highlighter.highlight(value));
         this.syncScroll();
         try {
             this.preview.render(this.previewContainer, value);
@@ -476,7 +495,7 @@ class QhtmlEditor extends HTMLElement {
 
     createTemplate() {
         const template = document.createElement('template');
-        template.innerHTML = `
+        template.innerHTML = toTrustedHTML(`
             <style>
                 :host {
                     display: block;
@@ -616,7 +635,7 @@ class QhtmlEditor extends HTMLElement {
                     <div class="preview-area"></div>
                 </div>
             </div>
-        `;
+        `);
         return template.content.cloneNode(true);
     }
 }
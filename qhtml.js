@@ -81,8 +81,13 @@ function mergeClassAttribute(element, classValue) {
 const qhtmlGeneratedComponentActionCache = new Map();
 const qhtmlGeneratedComponentTemplateCache = new Map();
 const qhtmlGeneratedComponentSlotCache = new Map();
+const qhtmlGeneratedComponentSlotFallbackCache = new Map();
 const qhtmlGeneratedComponentSignalCache = new Map();
 const qhtmlGeneratedComponentSignalHandlerCache = new Map();
+const qhtmlGeneratedComponentPropertyCache = new Map();
+const qhtmlGeneratedComponentStateCache = new Map();
+const qhtmlGeneratedComponentLifecycleCache = new Map();
+const qhtmlShadowComponentIds = new Set();
 const qhtmlInlineEventHandlerCache = new Map();
 let qhtmlRuntimeTemplateCounter = 0;
 
@@ -110,10 +115,22 @@ function setGeneratedComponentDefinition(componentId, definition = {}) {
             body: String(handler && handler.body ? handler.body : '').trim()
         })).filter((handler) => handler.signalName)
         : [];
+    const properties = Array.isArray(definition.properties)
+        ? definition.properties.filter((property) => property && property.name)
+        : [];
     qhtmlGeneratedComponentTemplateCache.set(key, template);
     qhtmlGeneratedComponentSlotCache.set(key, slotNames);
+    qhtmlGeneratedComponentSlotFallbackCache.set(key, collectTemplateSlotFallbacks(template));
     qhtmlGeneratedComponentSignalCache.set(key, signals);
     qhtmlGeneratedComponentSignalHandlerCache.set(key, signalHandlers);
+    qhtmlGeneratedComponentPropertyCache.set(key, properties);
+    qhtmlGeneratedComponentStateCache.set(key, compileGeneratedComponentState(key, definition.state));
+    qhtmlGeneratedComponentLifecycleCache.set(key, compileGeneratedComponentLifecycle(key, definition.lifecycle));
+    if (definition.shadow) {
+        qhtmlShadowComponentIds.add(key);
+    } else {
+        qhtmlShadowComponentIds.delete(key);
+    }
 }
 
 function getGeneratedComponentSlotNames(componentId) {
@@ -124,6 +141,11 @@ function getGeneratedComponentSlotNames(componentId) {
     return qhtmlGeneratedComponentSlotCache.get(key) || [];
 }
 
+function getGeneratedComponentSlotFallbacks(componentId) {
+    const key = String(componentId || '').trim().toLowerCase();
+    return qhtmlGeneratedComponentSlotFallbackCache.get(key) || new Map();
+}
+
 function getGeneratedComponentSignals(componentId) {
     const key = String(componentId || '').trim().toLowerCase();
     if (!key) {
@@ -140,6 +162,34 @@ function getGeneratedComponentSignalHandlers(componentId) {
     return qhtmlGeneratedComponentSignalHandlerCache.get(key) || [];
 }
 
+function getGeneratedComponentProperties(componentId) {
+    const key = String(componentId || '').trim().toLowerCase();
+    if (!key) {
+        return [];
+    }
+    return qhtmlGeneratedComponentPropertyCache.get(key) || [];
+}
+
+function isGeneratedComponentShadow(componentId) {
+    return qhtmlShadowComponentIds.has(String(componentId || '').trim().toLowerCase());
+}
+
+function getGeneratedComponentState(componentId) {
+    const key = String(componentId || '').trim().toLowerCase();
+    if (!key) {
+        return null;
+    }
+    return qhtmlGeneratedComponentStateCache.get(key) || null;
+}
+
+function getGeneratedComponentLifecycle(componentId) {
+    const key = String(componentId || '').trim().toLowerCase();
+    if (!key) {
+        return null;
+    }
+    return qhtmlGeneratedComponentLifecycleCache.get(key) || null;
+}
+
 function ensureQHtmlRuntimeRegistry() {
     if (typeof window === 'undefined') {
         return null;
@@ -182,6 +232,11 @@ function resolveQHtmlComponentContextElement(node) {
                 return runtimeRoot.qhtml;
             }
         }
+        // Template content of a shadow-mode component lives in its shadow root.
+        const shadowHost = typeof node.getRootNode === 'function' ? node.getRootNode().host : null;
+        if (shadowHost && shadowHost.getAttribute('q-component')) {
+            return shadowHost;
+        }
     } catch (err) {
         // ignore resolution errors and continue with fallback
     }
@@ -292,16 +347,159 @@ function applyQHtmlRuntimeThisContext(thisArg) {
     };
 }
 
+// -----------------------------------------------------------------------------
+// Compiled functions
+//
+// Every piece of user code (on* handlers, component functions, signal
+// handlers, lifecycle blocks, q-state, bindings, q-script and script blocks)
+// becomes a function through `compileQHtmlFunction`.  With
+// `qhtml.config.precompiled` no string is evaluated: the functions come from
+// the module written by `qhtml precompile` (see `precompileQHtml`), looked up
+// by a hash of the function body.
+
+const qhtmlMissingPrecompiledReported = new Set();
+
+function isQHtmlPrecompiledMode() {
+    return getQHtmlConfigValue('precompiled', false) === true;
+}
+
+/**
+ * Normalize a function body for lookup.  The same snippet reaches the runtime
+ * entity-encoded (read from innerHTML), URI-encoded (quoted strings) or with
+ * semicolons added after string values by preprocessing, so those
+ * differences, indentation and comments are ignored.  String and
+ * template literals are kept exactly, so `"a b"` and `"ab"` get different ids.
+ */
+function normalizeQHtmlFunctionSource(body) {
+    const text = decodeQHtmlBindingEntities(decodeEncodedStringIfNeeded(String(body == null ? '' : body)))
+        .replace(/\r\n?/g, '\n')
+        .trim();
+    let out = '';
+    let pendingSpace = '';
+    let afterString = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+            pendingSpace = pendingSpace || ' ';
+            continue;
+        }
+        if (ch === '/' && text[i + 1] === '/') {
+            const end = text.indexOf('\n', i);
+            i = (end === -1 ? text.length : end) - 1;
+            continue;
+        }
+        if (/\s/.test(ch)) {
+            pendingSpace = ch === '\n' || pendingSpace === '\n' ? '\n' : ' ';
+            continue;
+        }
+        if (ch === ';' && afterString) {
+            continue;
+        }
+        if (pendingSpace) {
+            // Line breaks matter for semicolon insertion; other whitespace
+            // only where it separates two words.
+            if (out && (pendingSpace === '\n' || (/[\w$]/.test(out[out.length - 1]) && /[\w$]/.test(ch)))) {
+                out += pendingSpace;
+            }
+            pendingSpace = '';
+        }
+        afterString = false;
+        if (ch === '"' || ch === '\'' || ch === '`') {
+            let end = i + 1;
+            while (end < text.length && text[end] !== ch) {
+                end += text[end] === '\\' ? 2 : 1;
+            }
+            out += text.slice(i, end + 1);
+            i = end;
+            afterString = true;
+            continue;
+        }
+        out += ch;
+    }
+    return out;
+}
+
+/**
+ * Stable id of a function body, shared by the runtime and the precompiler.
+ *
+ * @param {string} body Function body
+ * @returns {string} Id such as `q1x8k2m9d0`
+ */
+function getQHtmlFunctionId(body) {
+    const text = normalizeQHtmlFunctionSource(body);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return `q${(4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)}`;
+}
+
+function splitQHtmlFunctionParams(params) {
+    if (Array.isArray(params)) {
+        return params.map((name) => String(name).trim()).filter(Boolean);
+    }
+    return String(params || '').split(',').map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Turn user code into a function, like `new Function(...params, body)`.
+ *
+ * In precompiled mode the function is taken from `qhtml.precompiled[id]`
+ * (`{ params, fn }`).  Arguments are matched to the precompiled parameters by
+ * name, since the q-for variables in scope at runtime can differ from those
+ * seen at build time.  A snippet missing from the module is reported once and
+ * throws, so the caller skips it as it would a syntax error.
+ *
+ * @param {string|string[]} params Parameter list (`'a, b'` or an array of names)
+ * @param {string} body Function body
+ * @param {string} label What the code is, for the error message
+ * @returns {Function} The compiled function
+ */
+function compileQHtmlFunction(params, body, label = 'code') {
+    const names = splitQHtmlFunctionParams(params);
+    if (!isQHtmlPrecompiledMode()) {
+        return new Function(...names.map(toQHtmlTrustedScript), toQHtmlTrustedScript(body));
+    }
+    const id = getQHtmlFunctionId(body);
+    const registry = ensureQHtmlPublicApi().precompiled;
+    const entry = registry && registry[id];
+    if (!entry || typeof entry.fn !== 'function') {
+        const message = `No precompiled function for ${label} (${id}); run \`qhtml precompile\` again.`;
+        if (!qhtmlMissingPrecompiledReported.has(id)) {
+            qhtmlMissingPrecompiledReported.add(id);
+            componentLogger.error('', `${message}\n${String(body).trim()}`);
+        }
+        throw new Error(message);
+    }
+    const expected = splitQHtmlFunctionParams(entry.params);
+    if (expected.length === names.length && expected.every((name, idx) => name === names[idx])) {
+        return entry.fn;
+    }
+    const positions = expected.map((name) => names.indexOf(name));
+    return function(...args) {
+        return entry.fn.apply(this, positions.map((pos) => (pos === -1 ? undefined : args[pos])));
+    };
+}
+
 function executeQHtmlInlineEventHandler(scriptBody, thisArg, eventObj, propName = '') {
     const body = String(scriptBody || '');
     if (!body.trim()) {
         return undefined;
     }
-    let fn = qhtmlInlineEventHandlerCache.get(body);
+    const scope = collectQHtmlScopeVariables(thisArg);
+    const cacheKey = scope.names.length ? `${scope.names.join(',')}\u0000${body}` : body;
+    let fn = qhtmlInlineEventHandlerCache.get(cacheKey);
     if (!fn) {
         try {
-            fn = new Function('event', body);
-            qhtmlInlineEventHandlerCache.set(body, fn);
+            fn = compileQHtmlFunction(['event', ...scope.names], body, `handler ${propName}`.trim());
+            qhtmlInlineEventHandlerCache.set(cacheKey, fn);
         } catch (err) {
             console.error('Failed to compile inline event handler', propName, err);
             return undefined;
@@ -309,7 +507,7 @@ function executeQHtmlInlineEventHandler(scriptBody, thisArg, eventObj, propName
     }
     const restoreThisContext = applyQHtmlRuntimeThisContext(thisArg);
     try {
-        return fn.call(thisArg, eventObj);
+        return fn.call(thisArg, eventObj, ...scope.names.map((name, idx) => scope.holders[idx][name]));
     } catch (err) {
         console.error('Error executing inline event handler for', propName, err);
         return undefined;
@@ -320,4033 +518,9097 @@ function executeQHtmlInlineEventHandler(scriptBody, thisArg, eventObj, propName
     }
 }
 
-function isIdentifierTokenChar(ch) {
-    return !!ch && /[A-Za-z0-9_-]/.test(ch);
+// -----------------------------------------------------------------------------
+// Trusted Types
+//
+// Pages that enforce `require-trusted-types-for 'script'` only accept trusted
+// values at HTML, script and script URL sinks.  Every sink in qhtml.js goes
+// through one policy, named `qhtml` by default.  The policy is not exported:
+// its default rules pass values through, so handing it out would let any
+// script turn strings into trusted values.
+// `qhtml.config.trustedTypesPolicy` picks another name, takes
+// `{ name, createHTML, createScript, createScriptURL }` rules or an existing
+// policy, or `false` to pass plain strings.
+
+let qhtmlTrustedTypesPolicy;
+
+function getQHtmlTrustedTypesPolicy() {
+    if (qhtmlTrustedTypesPolicy !== undefined) {
+        return qhtmlTrustedTypesPolicy;
+    }
+    qhtmlTrustedTypesPolicy = null;
+    const scope = typeof window !== 'undefined' ? window : globalThis;
+    const factory = scope.trustedTypes;
+    const setting = getQHtmlConfigValue('trustedTypesPolicy', 'qhtml');
+    if (!factory || typeof factory.createPolicy !== 'function' || setting === false || setting == null) {
+        return qhtmlTrustedTypesPolicy;
+    }
+    if (typeof scope.TrustedTypePolicy === 'function' && setting instanceof scope.TrustedTypePolicy) {
+        qhtmlTrustedTypesPolicy = setting;
+        return qhtmlTrustedTypesPolicy;
+    }
+    const options = typeof setting === 'object' ? setting : { name: setting };
+    const passThrough = (value) => value;
+    const name = String(options.name || 'qhtml');
+    try {
+        qhtmlTrustedTypesPolicy = factory.createPolicy(name, {
+            createHTML: typeof options.createHTML === 'function' ? options.createHTML : passThrough,
+            createScript: typeof options.createScript === 'function' ? options.createScript : passThrough,
+            createScriptURL: typeof options.createScriptURL === 'function' ? options.createScriptURL : passThrough
+        });
+    } catch (err) {
+        const message = err && err.message ? err.message : String(err);
+        componentLogger.error('', `Could not create Trusted Types policy "${name}" (allow it in the trusted-types CSP directive): ${message}`);
+    }
+    return qhtmlTrustedTypesPolicy;
 }
 
-function findStandaloneKeyword(str, keyword, fromIndex = 0) {
-    const source = String(str || '');
-    const token = String(keyword || '');
-    if (!token) {
-        return -1;
+/**
+ * Wrap markup for an HTML sink (`innerHTML`).  Returns the string unchanged
+ * when Trusted Types are unavailable or disabled.
+ *
+ * @param {string} html Markup
+ * @returns {TrustedHTML|string}
+ */
+function toQHtmlTrustedHTML(html) {
+    const policy = getQHtmlTrustedTypesPolicy();
+    const text = String(html == null ? '' : html);
+    return policy ? policy.createHTML(text) : text;
+}
+
+/**
+ * Wrap code for a script sink (`script.text`, on* attributes, `Function`).
+ *
+ * @param {string} code Script source
+ * @returns {TrustedScript|string}
+ */
+function toQHtmlTrustedScript(code) {
+    const policy = getQHtmlTrustedTypesPolicy();
+    const text = String(code == null ? '' : code);
+    return policy ? policy.createScript(text) : text;
+}
+
+/**
+ * Wrap a URL for a script URL sink (`script.src`).
+ *
+ * @param {string} url Script URL
+ * @returns {TrustedScriptURL|string}
+ */
+function toQHtmlTrustedScriptURL(url) {
+    const policy = getQHtmlTrustedTypesPolicy();
+    const text = String(url == null ? '' : url);
+    return policy ? policy.createScriptURL(text) : text;
+}
+
+// Attributes that are Trusted Types sinks, by element.  on* handlers are
+// script sinks on every element.
+const QHTML_TRUSTED_ATTRIBUTE_SINKS = {
+    script: { src: toQHtmlTrustedScriptURL, href: toQHtmlTrustedScriptURL, 'xlink:href': toQHtmlTrustedScriptURL },
+    embed: { src: toQHtmlTrustedScriptURL },
+    object: { data: toQHtmlTrustedScriptURL, codebase: toQHtmlTrustedScriptURL },
+    iframe: { srcdoc: toQHtmlTrustedHTML }
+};
+
+/**
+ * `element.setAttribute` that wraps values for attributes which are sinks
+ * under Trusted Types: on* handlers, `script[src]`, `embed[src]`,
+ * `object[data]` and `iframe[srcdoc]`.
+ *
+ * @param {Element} element Target element
+ * @param {string} name Attribute name
+ * @param {string} value Attribute value
+ */
+function setQHtmlAttribute(element, name, value) {
+    const attrName = String(name).toLowerCase();
+    if (/^on/.test(attrName)) {
+        element.setAttribute(name, toQHtmlTrustedScript(value));
+        return;
     }
-    let pos = Math.max(0, Number(fromIndex) || 0);
-    while (pos < source.length) {
-        const idx = source.indexOf(token, pos);
-        if (idx === -1) {
-            return -1;
+    const sinks = QHTML_TRUSTED_ATTRIBUTE_SINKS[String(element.localName || element.tagName || '').toLowerCase()];
+    const wrap = sinks && Object.prototype.hasOwnProperty.call(sinks, attrName) ? sinks[attrName] : null;
+    element.setAttribute(name, wrap ? wrap(value) : value);
+}
+
+// -----------------------------------------------------------------------------
+// HTML sanitizer
+//
+// Markup that reaches `innerHTML` from `html {}` blocks (including the ones a
+// q-script returns) and string `into()` payloads can carry user content.  With
+// `sanitize: 'strict'` (in `qhtml.config` or as a `sanitize` attribute on the
+// `<q-html>` host) it is filtered through an allowlist of tags, attributes and
+// URL schemes first, or through `qhtml.config.sanitizer` when one is set.
+
+const QHTML_SANITIZE_TAGS = [
+    'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br',
+    'caption', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div',
+    'dl', 'dt', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5',
+    'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav', 'ol',
+    'p', 'picture', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'section', 'small',
+    'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+    'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+];
+
+const QHTML_SANITIZE_ATTRIBUTES = [
+    'alt', 'cite', 'class', 'colspan', 'datetime', 'dir', 'headers', 'height', 'href',
+    'id', 'lang', 'open', 'rel', 'reversed', 'role', 'rowspan', 'scope', 'span', 'src',
+    'start', 'target', 'title', 'type', 'width'
+];
+
+const QHTML_SANITIZE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Elements whose content is dropped with them; other disallowed elements
+// are unwrapped so their text survives.
+const QHTML_SANITIZE_DROP_TAGS = new Set([
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'applet', 'noscript', 'noembed', 'xmp', 'svg', 'math', 'link', 'meta', 'base',
+    'title', 'textarea', 'select', 'option'
+]);
+
+const QHTML_SANITIZE_URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href']);
+
+let qhtmlSanitizerUnavailableReported = false;
+
+function normalizeQHtmlSanitizeMode(value) {
+    return String(value == null ? '' : value).trim().toLowerCase() === 'strict' ? 'strict' : 'off';
+}
+
+/**
+ * Find the sanitize mode for markup rendered under `node`.  The nearest
+ * `<q-html sanitize="...">` wins (detached render roots are followed to their
+ * host, shadow roots to theirs), then `qhtml.config.sanitize`.
+ *
+ * @param {Node|null} node Node the markup is rendered into
+ * @returns {'strict'|'off'}
+ */
+function getQHtmlSanitizeMode(node) {
+    let current = node;
+    let guard = 0;
+    while (current && typeof current === 'object' && guard++ < 10000) {
+        if (String(current.localName || '').toLowerCase() === 'q-html'
+            && typeof current.hasAttribute === 'function'
+            && current.hasAttribute('sanitize')) {
+            return normalizeQHtmlSanitizeMode(current.getAttribute('sanitize'));
+        }
+        if (current.__qhtmlRoot && current.__qhtmlHost && current.__qhtmlHost !== current) {
+            current = current.__qhtmlHost;
+        } else {
+            current = current.parentNode || current.host || null;
         }
-        const before = idx > 0 ? source[idx - 1] : '';
-        const after = source[idx + token.length] || '';
-        if (isIdentifierTokenChar(before) || isIdentifierTokenChar(after)) {
-            pos = idx + token.length;
-            continue;
+    }
+    return normalizeQHtmlSanitizeMode(getQHtmlConfigValue('sanitize', 'off'));
+}
+
+function getQHtmlSanitizeAllowlist() {
+    const extra = getQHtmlConfigValue('sanitizeAllow', null) || {};
+    const merge = (base, more) => new Set(base.concat(Array.isArray(more) ? more : [])
+        .map((entry) => String(entry).trim().toLowerCase())
+        .filter(Boolean));
+    return {
+        tags: merge(QHTML_SANITIZE_TAGS, extra.tags),
+        attributes: merge(QHTML_SANITIZE_ATTRIBUTES, extra.attributes),
+        schemes: merge(QHTML_SANITIZE_SCHEMES, extra.schemes)
+    };
+}
+
+function isQHtmlSafeUrl(value, schemes) {
+    // Attribute values are %XX-decoded after rendering (decodeEncodedDomTree),
+    // so every decoded form has to pass as well.
+    let candidate = String(value == null ? '' : value);
+    for (let round = 0; round < 4; round++) {
+        const compact = candidate.replace(/[\u0000- \u007f-\u009f]+/g, '');
+        const scheme = compact.match(/^([A-Za-z][A-Za-z0-9+.-]*):/);
+        if (scheme && !schemes.has(scheme[1].toLowerCase())) {
+            return false;
         }
-        return idx;
+        const decoded = decodeEncodedStringIfNeeded(candidate);
+        if (decoded === candidate) {
+            return true;
+        }
+        candidate = decoded;
     }
-    return -1;
+    return false;
 }
 
-function extractTokenBeforeIndex(source, index) {
-    const input = String(source || '');
-    let end = Math.min(input.length, Math.max(0, Number(index) || 0)) - 1;
-    while (end >= 0 && /\s/.test(input[end])) {
-        end--;
+function sanitizeQHtmlNodeChildren(parent, allow) {
+    Array.from(parent.childNodes).forEach((node) => {
+        if (node.nodeType === 3) {
+            return;
+        }
+        if (node.nodeType !== 1) {
+            parent.removeChild(node);
+            return;
+        }
+        const tag = String(node.localName || '').toLowerCase();
+        if (!allow.tags.has(tag)) {
+            if (!QHTML_SANITIZE_DROP_TAGS.has(tag)) {
+                sanitizeQHtmlNodeChildren(node, allow);
+                while (node.firstChild) {
+                    parent.insertBefore(node.firstChild, node);
+                }
+            }
+            parent.removeChild(node);
+            return;
+        }
+        Array.from(node.attributes).forEach((attr) => {
+            const name = String(attr.name).toLowerCase();
+            const allowed = !/^on/.test(name)
+                && (allow.attributes.has(name) || /^(aria|data)-[\w.:-]+$/.test(name))
+                && (!QHTML_SANITIZE_URL_ATTRIBUTES.has(name) || isQHtmlSafeUrl(attr.value, allow.schemes));
+            if (!allowed) {
+                node.removeAttribute(attr.name);
+            }
+        });
+        sanitizeQHtmlNodeChildren(node, allow);
+    });
+}
+
+/**
+ * Built-in sanitizer: parse `html` into an inert template, drop comments and
+ * elements outside the tag allowlist (unwrapping harmless ones), strip on*
+ * attributes, attributes outside the allowlist (aria-* and data-* are kept)
+ * and URLs with a scheme outside the scheme allowlist.  Extend the lists with
+ * `qhtml.config.sanitizeAllow = { tags, attributes, schemes }`.
+ *
+ * @param {string} html Markup to clean
+ * @returns {string} Sanitized markup
+ */
+function sanitizeQHtmlHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = toQHtmlTrustedHTML(html);
+    sanitizeQHtmlNodeChildren(template.content, getQHtmlSanitizeAllowlist());
+    return template.innerHTML;
+}
+
+/**
+ * Apply the sanitize mode of `node` to markup about to be rendered there.
+ * A custom `qhtml.config.sanitizer(html, { source, host })` replaces the
+ * built-in one and must return a string.  Without a DOM (server rendering)
+ * and without a custom sanitizer strict markup is dropped.
+ *
+ * @param {string} html Markup to render
+ * @param {Node|null} node Node the markup is rendered into
+ * @param {'html'|'into'} source Where the markup came from
+ * @returns {string} Markup to render
+ */
+function sanitizeQHtmlMarkup(html, node, source) {
+    const text = String(html == null ? '' : html);
+    if (!text || getQHtmlSanitizeMode(node) !== 'strict') {
+        return text;
     }
-    if (end < 0 || !/[A-Za-z0-9_.-]/.test(input[end])) {
-        return '';
+    const custom = getQHtmlConfigValue('sanitizer', null);
+    if (typeof custom === 'function') {
+        const result = custom(text, { source, host: node || null });
+        return String(result == null ? '' : result);
     }
-    let start = end;
-    while (start >= 0 && /[A-Za-z0-9_.-]/.test(input[start])) {
-        start--;
+    if (typeof document === 'undefined' || typeof document.createElement !== 'function') {
+        if (!qhtmlSanitizerUnavailableReported) {
+            qhtmlSanitizerUnavailableReported = true;
+            componentLogger.error('', 'sanitize is strict but there is no DOM to sanitize with; set qhtml.config.sanitizer. Markup was dropped.');
+        }
+        return '';
     }
-    return input.slice(start + 1, end + 1).trim();
+    return sanitizeQHtmlHtml(text);
 }
 
-function findNearestOpenBraceBeforeIndex(source, index) {
-    const input = String(source || '');
-    const end = Math.min(input.length, Math.max(0, Number(index) || 0));
-    let depth = 0;
-    for (let i = end - 1; i >= 0; i--) {
-        const ch = input[i];
-        if (ch === '}') {
-            depth++;
-            continue;
-        }
-        if (ch === '{') {
-            if (depth === 0) {
-                return i;
-            }
-            depth--;
+// -----------------------------------------------------------------------------
+// Event listeners and modifiers
+//
+// In listener binding mode, and for any block with modifiers
+// (`onclick.prevent.stop`, `oninput.debounce(300)`), on* handlers are bound
+// with addEventListener instead of inline attributes.
+
+const QHTML_EVENT_KEY_MODIFIERS = {
+    enter: ['Enter'],
+    esc: ['Escape', 'Esc'],
+    escape: ['Escape', 'Esc'],
+    space: [' ', 'Spacebar'],
+    tab: ['Tab'],
+    up: ['ArrowUp', 'Up'],
+    down: ['ArrowDown', 'Down'],
+    left: ['ArrowLeft', 'Left'],
+    right: ['ArrowRight', 'Right'],
+    delete: ['Delete', 'Del'],
+    backspace: ['Backspace']
+};
+const QHTML_EVENT_SYSTEM_MODIFIERS = new Set(['ctrl', 'alt', 'shift', 'meta']);
+const QHTML_EVENT_FLAG_MODIFIERS = new Set(['prevent', 'stop', 'self', 'once', 'passive', 'capture']);
+const QHTML_EVENT_TIMING_DEFAULT_MS = 250;
+let qhtmlTrackedEventListenersUsed = false;
+
+/**
+ * Resolve parsed modifiers (see `parseQHtmlEventBlockName`) into listener
+ * options.  Unknown or conflicting modifiers are reported and ignored.
+ *
+ * @param {Array<{name: string, arg: (number|null)}>} modifiers
+ * @param {string} propName Handler name, used in warnings
+ * @returns {object} Resolved modifier settings
+ */
+function resolveQHtmlEventModifiers(modifiers, propName = '') {
+    const config = {
+        prevent: false,
+        stop: false,
+        self: false,
+        once: false,
+        passive: false,
+        capture: false,
+        keys: [],
+        system: [],
+        debounce: null,
+        throttle: null
+    };
+    (Array.isArray(modifiers) ? modifiers : []).forEach((modifier) => {
+        const name = String(modifier && modifier.name || '');
+        if (QHTML_EVENT_FLAG_MODIFIERS.has(name)) {
+            config[name] = true;
+        } else if (name === 'debounce' || name === 'throttle') {
+            config[name] = modifier.arg == null ? QHTML_EVENT_TIMING_DEFAULT_MS : modifier.arg;
+        } else if (QHTML_EVENT_KEY_MODIFIERS[name]) {
+            config.keys.push(...QHTML_EVENT_KEY_MODIFIERS[name]);
+        } else if (QHTML_EVENT_SYSTEM_MODIFIERS.has(name)) {
+            config.system.push(name);
+        } else {
+            componentLogger.warn('', `Unknown event modifier ".${name}" on ${propName}; ignored.`);
         }
+    });
+    if (config.passive && config.prevent) {
+        componentLogger.warn('', `${propName}: .prevent has no effect on a passive listener; ignored.`);
+        config.prevent = false;
     }
-    return -1;
+    if (config.debounce !== null && config.throttle !== null) {
+        componentLogger.warn('', `${propName}: .debounce and .throttle cannot be combined; using .debounce.`);
+        config.throttle = null;
+    }
+    return config;
 }
 
-function findMatchingBraceWithLiterals(str, openIdx) {
-    const input = String(str || '');
-    let depth = 0;
-    let inSingle = false;
-    let inDouble = false;
-    let inBacktick = false;
-    let inLineComment = false;
-    let inBlockComment = false;
-    let escaped = false;
+function passesQHtmlEventModifierFilters(event, element, config) {
+    if (config.self && event.target !== element) {
+        return false;
+    }
+    if (config.keys.length && config.keys.indexOf(event.key) === -1) {
+        return false;
+    }
+    return config.system.every((name) => !!event[`${name}Key`]);
+}
 
-    for (let i = openIdx; i < input.length; i++) {
-        const ch = input[i];
-        const next = input[i + 1];
+/**
+ * Inline-attribute form of the modifiers that can be expressed as guard
+ * statements.  Used by the string renderer, which has no live listeners.
+ *
+ * @param {Array<{name: string, arg: (number|null)}>} modifiers
+ * @param {string} propName Handler name, used in warnings
+ * @returns {string} Statements to prepend to the handler body
+ */
+function buildQHtmlInlineModifierGuard(modifiers, propName = '') {
+    const config = resolveQHtmlEventModifiers(modifiers, propName);
+    const dropped = ['once', 'passive', 'capture', 'debounce', 'throttle']
+        .filter((name) => config[name] === true || (typeof config[name] === 'number'));
+    if (dropped.length) {
+        componentLogger.warn('', `${propName}: runtime-only modifiers (.${dropped.join(', .')}) are dropped from rendered HTML.`);
+    }
+    const guard = [];
+    if (config.self) {
+        guard.push('if (event.target !== this) return;');
+    }
+    if (config.keys.length) {
+        guard.push(`if (${JSON.stringify(config.keys).replace(/"/g, "'")}.indexOf(event.key) === -1) return;`);
+    }
+    config.system.forEach((name) => guard.push(`if (!event.${name}Key) return;`));
+    if (config.prevent) {
+        guard.push('event.preventDefault();');
+    }
+    if (config.stop) {
+        guard.push('event.stopPropagation();');
+    }
+    return guard.join(' ');
+}
 
-        if (inLineComment) {
-            if (ch === '\n' || ch === '\r') {
-                inLineComment = false;
+/**
+ * Bind an on* handler with addEventListener.  Handlers for the same event
+ * stack instead of replacing each other, and are recorded on
+ * `__qhtmlEventListeners` so reconciliation and slot cloning can rebind them.
+ *
+ * @param {Element} element Target element
+ * @param {string} type Event type, e.g. `click`
+ * @param {string} body Handler source
+ * @param {string} propName Original property name, used in error messages
+ * @param {Array<{name: string, arg: (number|null)}>} [modifiers] Parsed modifiers
+ */
+function addQHtmlEventListener(element, type, body, propName = '', modifiers = []) {
+    const config = resolveQHtmlEventModifiers(modifiers, propName);
+    const run = (target, event) => {
+        const result = executeQHtmlInlineEventHandler(body, target, event, propName);
+        if (result === false && event && typeof event.preventDefault === 'function') {
+            event.preventDefault();
+        }
+        return result;
+    };
+    let invoke = run;
+    if (config.debounce !== null) {
+        let timer = null;
+        invoke = (target, event) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => run(target, event), config.debounce);
+        };
+    } else if (config.throttle !== null) {
+        let last = -Infinity;
+        invoke = (target, event) => {
+            const now = Date.now();
+            if (now - last < config.throttle) {
+                return undefined;
             }
-            continue;
+            last = now;
+            return run(target, event);
+        };
+    }
+    const entry = { type, body, propName, modifiers, capture: config.capture, listener: null };
+    entry.listener = function(event) {
+        if (!passesQHtmlEventModifierFilters(event, this, config)) {
+            return undefined;
         }
-
-        if (inBlockComment) {
-            if (ch === '*' && next === '/') {
-                inBlockComment = false;
-                i++;
-            }
-            continue;
+        // prevent/stop act synchronously, even when the body is debounced.
+        if (config.prevent) {
+            event.preventDefault();
+        }
+        if (config.stop) {
+            event.stopPropagation();
         }
+        if (config.once) {
+            this.removeEventListener(type, entry.listener, config.capture);
+            this.__qhtmlEventListeners = (this.__qhtmlEventListeners || []).filter((item) => item !== entry);
+        }
+        return invoke(this, event);
+    };
+    element.addEventListener(type, entry.listener, { capture: config.capture, passive: config.passive });
+    if (!element.__qhtmlEventListeners) {
+        element.__qhtmlEventListeners = [];
+    }
+    element.__qhtmlEventListeners.push(entry);
+    qhtmlTrackedEventListenersUsed = true;
+}
 
-        if (inSingle) {
-            if (escaped) {
-                escaped = false;
-                continue;
-            }
-            if (ch === '\\') {
-                escaped = true;
-                continue;
-            }
-            if (ch === '\'') {
-                inSingle = false;
-            }
-            continue;
-        }
-
-        if (inDouble) {
-            if (escaped) {
-                escaped = false;
-                continue;
-            }
-            if (ch === '\\') {
-                escaped = true;
-                continue;
-            }
-            if (ch === '"') {
-                inDouble = false;
-            }
-            continue;
-        }
-
-        if (inBacktick) {
-            if (escaped) {
-                escaped = false;
-                continue;
-            }
-            if (ch === '\\') {
-                escaped = true;
-                continue;
-            }
-            if (ch === '`') {
-                inBacktick = false;
-            }
-            continue;
-        }
-
-        if (ch === '/' && next === '/') {
-            inLineComment = true;
-            i++;
-            continue;
-        }
-        if (ch === '/' && next === '*') {
-            inBlockComment = true;
-            i++;
-            continue;
-        }
-        if (ch === '\'') {
-            inSingle = true;
-            continue;
-        }
-        if (ch === '"') {
-            inDouble = true;
-            continue;
-        }
-        if (ch === '`') {
-            inBacktick = true;
-            continue;
-        }
+// cloneNode() drops listeners and binding marks, so slot projection clones
+// through this helper.
+function cloneQHtmlNode(node) {
+    const copy = node.cloneNode(true);
+    if (qhtmlTrackedEventListenersUsed) {
+        copyQHtmlEventListeners(node, copy);
+    }
+    if (qhtmlBindingSourcesMarked) {
+        copyQHtmlBindingSources(node, copy);
+    }
+    return copy;
+}
 
-        if (ch === '{') {
-            depth++;
-            continue;
-        }
-        if (ch === '}') {
-            depth--;
-            if (depth === 0) {
-                return i;
-            }
-            if (depth < 0) {
-                return -1;
-            }
-        }
+function copyQHtmlEventListeners(source, target) {
+    if (!source || !target) {
+        return;
     }
+    (source.__qhtmlEventListeners || []).forEach((entry) => {
+        addQHtmlEventListener(target, entry.type, entry.body, entry.propName, entry.modifiers);
+    });
+    const sourceChildren = source.childNodes || [];
+    const targetChildren = target.childNodes || [];
+    for (let i = 0; i < sourceChildren.length; i++) {
+        copyQHtmlEventListeners(sourceChildren[i], targetChildren[i]);
+    }
+}
 
-    return -1;
+// Reconciliation keeps `current`; its listeners are replaced by the ones the
+// fresh parse bound on `next`.
+function patchReconciledEventListeners(current, next) {
+    const previous = current.__qhtmlEventListeners || [];
+    const incoming = next.__qhtmlEventListeners || [];
+    if (!previous.length && !incoming.length) {
+        return;
+    }
+    previous.forEach((entry) => current.removeEventListener(entry.type, entry.listener, entry.capture));
+    current.__qhtmlEventListeners = [];
+    incoming.forEach((entry) => addQHtmlEventListener(current, entry.type, entry.body, entry.propName, entry.modifiers));
 }
 
-function buildQScriptParentContext(source, scriptStart, braceOpen, braceClose) {
-    const parentBraceOpen = findNearestOpenBraceBeforeIndex(source, scriptStart);
-    let parentTagToken = '';
-    if (parentBraceOpen !== -1) {
-        parentTagToken = extractTokenBeforeIndex(source, parentBraceOpen);
+// -----------------------------------------------------------------------------
+// Reactive bindings
+//
+// `{{ expr }}` inside text and attribute values is evaluated against the
+// runtime `this` context (see `applyQHtmlRuntimeThisContext`).  While a
+// binding evaluates, `this.component` is a tracking proxy: every instance
+// property it reads is turned into a reactive accessor, and assigning to it
+// later re-evaluates the bindings that read it (batched in a microtask).
+
+const QHTML_BINDING_PATTERN = /\{\{([\s\S]+?)\}\}/g;
+const qhtmlBindingExpressionCache = new Map();
+const qhtmlReactiveDependents = new WeakMap();
+const qhtmlReactiveKeys = new WeakMap();
+const qhtmlTrackingProxyTargets = new WeakMap();
+const qhtmlPendingBindings = new Set();
+let qhtmlBindingFlushScheduled = false;
+let qhtmlActiveBindingCollector = null;
+let qhtmlBindingSourcesMarked = false;
+
+function hasQHtmlBindingSyntax(value) {
+    return typeof value === 'string' && value.indexOf('{{') !== -1 && /\{\{[\s\S]+?\}\}/.test(value);
+}
+
+// Only `{{ }}` written in QHTML source is compiled.  The renderer marks the
+// text nodes and attributes it creates from `text {}` blocks and property
+// values; markup from `html {}` blocks, into() payloads, sanitizers and
+// server-rendered HTML is never marked, so it cannot reach `new Function`.
+function markQHtmlBindingSource(node, attrName) {
+    if (!node) {
+        return;
     }
-    if (!parentTagToken) {
-        parentTagToken = extractTokenBeforeIndex(source, scriptStart);
+    qhtmlBindingSourcesMarked = true;
+    if (attrName == null) {
+        node.__qhtmlBindingSource = true;
+        return;
     }
-    const parsed = parseTagWithClasses(parentTagToken);
-    return {
-        tag: parsed.base || parentTagToken || '',
-        tagToken: parentTagToken || '',
-        classes: parsed.classes || [],
-        parentBraceOpen,
-        qScriptStart: scriptStart,
-        qScriptBraceOpen: braceOpen,
-        qScriptBraceClose: braceClose
-    };
+    if (!node.__qhtmlBindingSourceAttributes) {
+        node.__qhtmlBindingSourceAttributes = new Set();
+    }
+    node.__qhtmlBindingSourceAttributes.add(String(attrName).toLowerCase());
 }
 
-function executeQScriptBlock(scriptBody, context, thisArg, hasExplicitThisArg = false) {
-    const body = String(scriptBody || '');
-    const hostTag = context && context.tag ? context.tag : '';
-    const boundThis = hasExplicitThisArg ? thisArg : (context || {});
-    let restoreThisContext = null;
-    if (hasExplicitThisArg) {
-        restoreThisContext = applyQHtmlRuntimeThisContext(thisArg);
+function isQHtmlBindingSource(node, attrName) {
+    if (!node) {
+        return false;
     }
-    try {
-        const fn = new Function(body);
-        const result = fn.call(boundThis);
-        if (typeof result === 'undefined') {
-            componentLogger.warn(hostTag, 'q-script returned undefined; replacing block with empty output.');
-            return '';
-        }
-        if (result == null) {
-            return '';
-        }
-        return String(result);
-    } catch (err) {
-        const message = err && err.message ? err.message : String(err);
-        componentLogger.error(hostTag, `q-script execution failed: ${message}`);
-        return '';
-    } finally {
-        if (typeof restoreThisContext === 'function') {
-            restoreThisContext();
-        }
+    if (attrName == null) {
+        return node.__qhtmlBindingSource === true;
     }
+    return !!(node.__qhtmlBindingSourceAttributes && node.__qhtmlBindingSourceAttributes.has(String(attrName).toLowerCase()));
 }
 
-function evaluateQScriptBlocks(input, options = {}) {
-    let out = String(input || '');
-    const maxPasses = Number(options.maxPasses) > 0 ? Number(options.maxPasses) : 250;
-    const topLevelOnly = !!options.topLevelOnly;
-    const wrapPrimitiveTopLevel = !!options.wrapPrimitiveTopLevel;
-    const hasExplicitThisArg = Object.prototype.hasOwnProperty.call(options, 'thisArg');
-    const explicitThisArg = options.thisArg;
-    let pass = 0;
-    while (pass < maxPasses) {
-        let changed = false;
-        let pos = 0;
-        while (true) {
-            const start = findStandaloneKeyword(out, 'q-script', pos);
-            if (start === -1) {
-                break;
-            }
-            let open = start + 'q-script'.length;
-            while (open < out.length && /\s/.test(out[open])) {
-                open++;
-            }
-            if (out[open] !== '{') {
-                pos = start + 'q-script'.length;
-                continue;
-            }
-            const close = findMatchingBraceWithLiterals(out, open);
-            if (close === -1) {
-                componentLogger.error('', 'q-script block is missing a closing brace.');
-                return out;
-            }
-            const scriptBody = out.slice(open + 1, close);
-            const context = buildQScriptParentContext(out, start, open, close);
-            if (topLevelOnly && context.parentBraceOpen !== -1) {
-                pos = start + 'q-script'.length;
-                continue;
-            }
-            let replacement = executeQScriptBlock(scriptBody, context, explicitThisArg, hasExplicitThisArg);
-            if (wrapPrimitiveTopLevel && context.parentBraceOpen === -1) {
-                const nextSlice = out.slice(close + 1);
-                const prevSlice = out.slice(0, start);
-                const nextCharMatch = nextSlice.match(/\S/);
-                const prevCharMatch = prevSlice.match(/\S(?=\s*$)/);
-                const nextChar = nextCharMatch ? nextCharMatch[0] : '';
-                const prevChar = prevCharMatch ? prevCharMatch[0] : '';
-                const replacementText = String(replacement == null ? '' : replacement).trim();
-                const looksLikeProperty = /^[A-Za-z_][\w\-.]*\s*:/.test(replacementText);
-                const shouldWrapAsText = replacementText
-                    && !looksLikeQHtmlSnippet(replacementText)
-                    && !looksLikeProperty
-                    && nextChar !== '{'
-                    && prevChar !== ':';
-                if (shouldWrapAsText) {
-                    replacement = `text { ${replacementText} }`;
-                }
-            }
-            out = out.slice(0, start) + replacement + out.slice(close + 1);
-            pos = start + replacement.length;
-            changed = true;
-        }
-        if (!changed) {
-            return out;
-        }
-        pass++;
+// Reconciliation keeps `current`, so it takes over the marks of the fresh parse.
+function syncQHtmlBindingSource(current, next) {
+    if (current.nodeType === 1) {
+        const names = next.__qhtmlBindingSourceAttributes;
+        current.__qhtmlBindingSourceAttributes = names && names.size ? new Set(names) : undefined;
+        return;
     }
-    componentLogger.warn('', `q-script evaluation stopped after ${maxPasses} passes; unresolved q-script blocks may remain.`);
-    return out;
+    current.__qhtmlBindingSource = next.__qhtmlBindingSource === true;
 }
 
-function createRuntimeTemplateId(componentId) {
-    const base = String(componentId || 'component')
-        .toLowerCase()
-        .replace(/[^a-z0-9_-]+/g, '-')
-        .replace(/^-+|-+$/g, '') || 'component';
-    qhtmlRuntimeTemplateCounter += 1;
-    return `${base}-${qhtmlRuntimeTemplateCounter}`;
+function copyQHtmlBindingSources(source, target) {
+    if (!source || !target) {
+        return;
+    }
+    if (source.__qhtmlBindingSource || source.__qhtmlBindingSourceAttributes) {
+        syncQHtmlBindingSource(target, source);
+    }
+    const sourceChildren = source.childNodes || [];
+    const targetChildren = target.childNodes || [];
+    for (let i = 0; i < sourceChildren.length; i++) {
+        copyQHtmlBindingSources(sourceChildren[i], targetChildren[i]);
+    }
 }
 
-function indentQHtmlBlock(source, prefix = '  ') {
-    return String(source || '')
-        .split('\n')
-        .map((line) => `${prefix}${line}`)
-        .join('\n');
+// q-html source is read from innerHTML, so `&&`, `<` and `>` in an expression
+// (or anywhere else in the source) arrive as entities.
+function decodeQHtmlBindingEntities(expression) {
+    return String(expression || '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
 }
 
-function buildRuntimeTemplateBlock(templateId, runtimeBlock = '') {
-    const attrs = serializeInvocationAttributes({
-        id: templateId,
-        'qhtml-runtime-template': '1'
-    });
-    const bodyParts = [attrs];
-    if (String(runtimeBlock || '').trim()) {
-        bodyParts.push(runtimeBlock);
+function compileQHtmlBindingExpression(expression, scopeNames = []) {
+    const source = decodeQHtmlBindingEntities(expression).trim();
+    const cacheKey = `${scopeNames.join(',')}\u0000${source}`;
+    if (qhtmlBindingExpressionCache.has(cacheKey)) {
+        return qhtmlBindingExpressionCache.get(cacheKey);
     }
-    return `template {\n${indentQHtmlBlock(bodyParts.join('\n'))}\n}`;
+    const fn = compileQHtmlFunction(scopeNames, `return (${source});`, `binding {{ ${source} }}`);
+    qhtmlBindingExpressionCache.set(cacheKey, fn);
+    return fn;
 }
 
-function collectRuntimeTemplateRanges(input) {
-    const ranges = [];
-    let pos = 0;
-    while (true) {
-        const found = findTagInvocation(input, 'template', pos, { allowClasses: true });
-        if (!found) break;
-        const body = input.slice(found.braceOpen + 1, found.braceClose);
-        const flattened = removeNestedBlocks(body);
-        if (/(?:^|\s)qhtml-runtime-template\s*:\s*"1"\s*;?/.test(flattened)) {
-            ranges.push({ start: found.braceOpen, end: found.braceClose });
+/**
+ * Collect the structural-block variables (`q-for` item/index, ...) visible
+ * from `node`.  Row nodes carry a `__qhtmlScope` object and point at the
+ * anchor that rendered them, so nested blocks see their outer variables.
+ *
+ * @param {Node} node Node the code runs for
+ * @returns {{names: string[], holders: object[]}} Names with the scope object holding each
+ */
+function collectQHtmlScopeVariables(node) {
+    const names = [];
+    const holders = [];
+    const seen = new Set();
+    let cursor = node;
+    while (cursor) {
+        const scope = cursor.__qhtmlScope;
+        if (scope && typeof scope === 'object') {
+            Object.keys(scope).forEach((name) => {
+                if (seen.has(name)) return;
+                seen.add(name);
+                names.push(name);
+                holders.push(scope);
+            });
         }
-        pos = found.braceClose + 1;
+        cursor = cursor.__qhtmlStructuralOwner || cursor.parentNode;
     }
-    return ranges;
+    return { names, holders };
 }
 
-const COMPONENT_SLOTS_RESOLVED_ATTR = 'q-slots-resolved';
-
-function isComponentSlotsResolved(host) {
-    if (!host || typeof host.getAttribute !== 'function') {
+function isPlainQHtmlStateObject(value) {
+    if (!value || typeof value !== 'object') {
         return false;
     }
-    return String(host.getAttribute(COMPONENT_SLOTS_RESOLVED_ATTR) || '').trim().toLowerCase() === 'true';
-}
-
-function warnResolvedComponentSlotApi(host, apiName) {
-    const tag = host && host.tagName ? String(host.tagName).toLowerCase() : 'q-component';
-    console.warn(`qhtml: ${apiName}() is disabled on <${tag}> because ${COMPONENT_SLOTS_RESOLVED_ATTR}=\"true\".`);
+    // Compare structurally so objects from other realms (iframes) count too.
+    const proto = Object.getPrototypeOf(value);
+    return proto === null || Object.getPrototypeOf(proto) === null;
 }
 
-function isNodeOwnedByComponentHost(node, host) {
-    if (!node || !host || node.nodeType !== 1 || host.nodeType !== 1) {
+function isNativeElementMember(target, key) {
+    if (typeof HTMLElement === 'undefined' || !target || typeof target !== 'object') {
         return false;
     }
-    if (node === host) {
-        return true;
+    let owner = target;
+    while (owner && !Object.prototype.hasOwnProperty.call(owner, key)) {
+        owner = Object.getPrototypeOf(owner);
     }
-    if (typeof host.contains === 'function' && !host.contains(node)) {
-        return false;
-    }
-    if (typeof node.closest === 'function') {
-        const owner = node.closest('[q-component]');
-        if (owner) {
-            return owner === host;
-        }
-    }
-    return true;
+    return !!owner && (owner === HTMLElement.prototype || Object.prototype.isPrototypeOf.call(owner, HTMLElement.prototype));
 }
 
-function findComponentSlotAnchors(host, slotId = '') {
-    if (!host || typeof host.querySelectorAll !== 'function') {
-        return [];
+/**
+ * Turn a plain data property into an accessor that notifies dependent
+ * bindings on assignment.  Accessors, methods, non-configurable properties and
+ * anything inherited from a prototype (native element API, generated component
+ * actions) are left alone.
+ *
+ * @param {object} target Component instance or nested plain state object
+ * @param {string} key Property name
+ */
+function makeQHtmlPropertyReactive(target, key) {
+    if (!target || typeof key !== 'string' || key === 'parent' || key === 'slot' || key === 'component') {
+        return;
     }
-    const normalized = String(slotId == null ? '' : slotId).trim();
-    const anchors = [];
-    const selector = '[q-slot-anchor="1"][slot]';
-    let candidates = Array.from(host.querySelectorAll(selector));
-    if (!candidates.length) {
-        candidates = Array.from(host.querySelectorAll('[slot]')).filter((node) => {
-            return String(node && node.tagName ? node.tagName : '').toLowerCase() !== 'q-into';
-        });
+    let keys = qhtmlReactiveKeys.get(target);
+    if (!keys) {
+        keys = new Set();
+        qhtmlReactiveKeys.set(target, keys);
     }
-    candidates.forEach((node) => {
-        if (!node || typeof node.getAttribute !== 'function') {
-            return;
-        }
-        const currentName = String(node.getAttribute('slot') || '').trim();
-        if (!currentName) {
+    if (keys.has(key)) {
+        return;
+    }
+    keys.add(key);
+    const descriptor = Object.getOwnPropertyDescriptor(target, key);
+    if (descriptor) {
+        if (!descriptor.configurable || descriptor.get || descriptor.set || typeof descriptor.value === 'function') {
             return;
         }
-        if (!normalized || currentName === normalized) {
-            anchors.push(node);
+    } else if (key in target || Object.isFrozen(target) || !Object.isExtensible(target)) {
+        return;
+    }
+    let value = descriptor ? descriptor.value : undefined;
+    Object.defineProperty(target, key, {
+        configurable: true,
+        enumerable: descriptor ? descriptor.enumerable : true,
+        get() {
+            return value;
+        },
+        set(next) {
+            if (next === value && (typeof next !== 'object' || next === null)) {
+                return;
+            }
+            value = next;
+            notifyQHtmlReactiveChange(target, key);
         }
     });
-    return anchors;
 }
 
-function findComponentIntoCarriers(host, slotId = '') {
-    if (!host || !host.children) {
-        return [];
+function trackQHtmlReactiveRead(target, key) {
+    if (!qhtmlActiveBindingCollector || typeof key !== 'string') {
+        return;
     }
-    const normalized = String(slotId == null ? '' : slotId).trim();
-    const carriers = [];
-    Array.from(host.children).forEach((node) => {
-        if (!node || node.nodeType !== 1) {
-            return;
-        }
-        const tagName = String(node.tagName || '').toLowerCase();
-        if (tagName !== 'q-into' && tagName !== 'into') {
-            return;
-        }
-        if (typeof node.hasAttribute === 'function' && node.hasAttribute('q-slot-anchor')) {
-            return;
-        }
-        const currentName = String(node.getAttribute('slot') || '').trim();
-        if (!currentName) {
-            return;
-        }
-        if (!normalized || currentName === normalized) {
-            carriers.push(node);
-        }
-    });
-    return carriers;
+    makeQHtmlPropertyReactive(target, key);
+    let byKey = qhtmlReactiveDependents.get(target);
+    if (!byKey) {
+        byKey = new Map();
+        qhtmlReactiveDependents.set(target, byKey);
+    }
+    let dependents = byKey.get(key);
+    if (!dependents) {
+        dependents = new Set();
+        byKey.set(key, dependents);
+    }
+    dependents.add(qhtmlActiveBindingCollector);
+    qhtmlActiveBindingCollector.dependencies.push(dependents);
 }
 
-function findOwnedComponentSlotAnchors(host, slotId = '') {
-    return findComponentSlotAnchors(host, slotId).filter((node) => isNodeOwnedByComponentHost(node, host));
+/**
+ * Schedule every binding that read `target[key]` for re-evaluation.  Runtime
+ * code that changes instance state without a plain assignment (for example
+ * attribute-backed properties) calls this directly.
+ *
+ * @param {object} target Object whose property changed
+ * @param {string} key Property name
+ */
+function notifyQHtmlReactiveChange(target, key) {
+    const byKey = target ? qhtmlReactiveDependents.get(target) : null;
+    const dependents = byKey ? byKey.get(key) : null;
+    if (!dependents || !dependents.size) {
+        return;
+    }
+    dependents.forEach((binding) => qhtmlPendingBindings.add(binding));
+    if (qhtmlBindingFlushScheduled) {
+        return;
+    }
+    qhtmlBindingFlushScheduled = true;
+    const schedule = typeof queueMicrotask === 'function'
+        ? queueMicrotask
+        : (fn) => Promise.resolve().then(fn);
+    schedule(flushQHtmlPendingBindings);
 }
 
-function createComponentClassSlotMarker(slotId) {
-    const normalized = String(slotId == null ? '' : slotId)
-        .trim()
-        .toLowerCase()
-        .replace(/[^a-z0-9_-]+/g, '-')
-        .replace(/^-+|-+$/g, '');
-    return normalized ? `qhtml-slot-${normalized}` : '';
+function flushQHtmlPendingBindings() {
+    qhtmlBindingFlushScheduled = false;
+    const pending = Array.from(qhtmlPendingBindings);
+    qhtmlPendingBindings.clear();
+    pending.forEach((binding) => binding.update());
 }
 
-function findComponentClassSlotTargets(host, slotId = '') {
-    if (!host || typeof host.querySelectorAll !== 'function') {
-        return [];
+function createQHtmlTrackingProxy(target, cache) {
+    if (!target || (typeof target !== 'object' && typeof target !== 'function')) {
+        return target;
     }
-    const normalizedSlot = String(slotId == null ? '' : slotId).trim().toLowerCase();
-    if (!normalizedSlot) {
-        return [];
+    if (cache.has(target)) {
+        return cache.get(target);
     }
-    if (!host.__qhtmlClassSlotTargets || typeof host.__qhtmlClassSlotTargets !== 'object') {
-        host.__qhtmlClassSlotTargets = Object.create(null);
+    const isArray = Array.isArray(target);
+    const proxy = new Proxy(target, {
+        get(obj, key) {
+            const value = Reflect.get(obj, key, obj);
+            if (typeof key !== 'string') {
+                return value;
+            }
+            if (typeof value === 'function') {
+                // Native element methods and array mutators need the real
+                // object as `this`; component actions and read-only array
+                // methods run against the proxy so their reads are tracked.
+                if (isArray) {
+                    return QHTML_ARRAY_MUTATORS.includes(key) ? value.bind(obj) : value;
+                }
+                return isNativeElementMember(obj, key) ? value.bind(obj) : value;
+            }
+            if (isArray) {
+                // Index and length reads depend on the array's in-place changes.
+                trackQHtmlArrayMutations(obj);
+            } else if (!isNativeElementMember(obj, key)) {
+                trackQHtmlReactiveRead(obj, key);
+            }
+            if (Array.isArray(value)) {
+                trackQHtmlArrayMutations(value);
+                return createQHtmlTrackingProxy(value, cache);
+            }
+            return isPlainQHtmlStateObject(value) ? createQHtmlTrackingProxy(value, cache) : value;
+        },
+        set(obj, key, value) {
+            obj[key] = value;
+            return true;
+        }
+    });
+    cache.set(target, proxy);
+    qhtmlTrackingProxyTargets.set(proxy, target);
+    return proxy;
+}
+
+/**
+ * The object behind a tracking proxy, or `value` itself.  Used where values
+ * read through a binding are compared by identity (q-for row keys).
+ *
+ * @param {*} value Possibly a tracking proxy
+ * @returns {*} The unwrapped value
+ */
+function unwrapQHtmlTrackingProxy(value) {
+    return value && typeof value === 'object' && qhtmlTrackingProxyTargets.has(value)
+        ? qhtmlTrackingProxyTargets.get(value)
+        : value;
+}
+
+const QHTML_ARRAY_CHANGE_KEY = '__qhtmlArrayChange';
+const QHTML_ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+
+/**
+ * Make in-place array mutations (`push`, `splice`, ...) notify the bindings
+ * that read the array.  The wrappers are installed on the array instance only.
+ *
+ * @param {Array} array Array read by a binding
+ */
+function trackQHtmlArrayMutations(array) {
+    if (!Array.isArray(array) || !qhtmlActiveBindingCollector) {
+        return;
     }
-    const cached = host.__qhtmlClassSlotTargets[normalizedSlot];
-    if (Array.isArray(cached) && cached.length) {
-        return cached.filter((node) => !!node && node.isConnected);
+    if (!array.__qhtmlObservedArray && Object.isExtensible(array)) {
+        QHTML_ARRAY_MUTATORS.forEach((method) => {
+            Object.defineProperty(array, method, {
+                configurable: true,
+                enumerable: false,
+                writable: true,
+                value: function(...args) {
+                    const result = Array.prototype[method].apply(this, args);
+                    notifyQHtmlReactiveChange(this, QHTML_ARRAY_CHANGE_KEY);
+                    return result;
+                }
+            });
+        });
+        Object.defineProperty(array, '__qhtmlObservedArray', { value: true });
     }
-    const marker = createComponentClassSlotMarker(normalizedSlot);
-    if (!marker) {
-        return [];
+    let byKey = qhtmlReactiveDependents.get(array);
+    if (!byKey) {
+        byKey = new Map();
+        qhtmlReactiveDependents.set(array, byKey);
     }
-    const targets = [];
-    if (host.classList && host.classList.contains(marker)) {
-        targets.push(host);
-        host.classList.remove(marker);
+    let dependents = byKey.get(QHTML_ARRAY_CHANGE_KEY);
+    if (!dependents) {
+        dependents = new Set();
+        byKey.set(QHTML_ARRAY_CHANGE_KEY, dependents);
     }
-    Array.from(host.querySelectorAll('*')).forEach((node) => {
-        if (node && node.classList && node.classList.contains(marker)) {
-            targets.push(node);
-            node.classList.remove(marker);
-        }
-    });
-    host.__qhtmlClassSlotTargets[normalizedSlot] = targets;
-    return targets;
+    dependents.add(qhtmlActiveBindingCollector);
+    qhtmlActiveBindingCollector.dependencies.push(dependents);
 }
 
-function parseClassTokensFromSlotCarrier(carrier) {
-    const raw = String((carrier && carrier.textContent) || '');
-    const tokens = new Set();
-    const dotMatches = raw.match(/\.[A-Za-z_][A-Za-z0-9_-]*/g) || [];
-    dotMatches.forEach((match) => {
-        const token = match.slice(1).trim();
-        if (token) {
-            tokens.add(token);
-        }
-    });
-    if (!dotMatches.length) {
-        raw.split(/[\s,]+/).forEach((piece) => {
-            const token = String(piece || '').trim();
-            if (/^[A-Za-z_][A-Za-z0-9_-]*$/.test(token)) {
-                tokens.add(token);
+function formatQHtmlBindingValue(value) {
+    if (value == null) {
+        return '';
+    }
+    return String(value);
+}
+
+/**
+ * Create a binding for one text node or attribute.  `write` receives either
+ * the interpolated string or, for a template that is a single `{{ expr }}`,
+ * the raw value so boolean attributes can be toggled.  `options.expression`
+ * binds a bare expression instead of a template (structural blocks),
+ * `options.scopeNode` is where structural-block variables are looked up, and
+ * `options.component` replaces the resolved `this.component`.
+ */
+function createQHtmlBinding(ownerElement, template, isConnected, write, options = {}) {
+    const parts = [];
+    let last = 0;
+    if (options.expression) {
+        parts.push({ expression: String(options.expression).trim() });
+    } else {
+        template.replace(QHTML_BINDING_PATTERN, (match, expression, offset) => {
+            if (offset > last) {
+                parts.push({ text: template.slice(last, offset) });
             }
+            parts.push({ expression: expression.trim() });
+            last = offset + match.length;
+            return match;
         });
+        if (last < template.length) {
+            parts.push({ text: template.slice(last) });
+        }
+    }
+    const scopeNode = options.scopeNode || ownerElement;
+    const single = parts.length === 1 && !!parts[0].expression;
+    const binding = {
+        template,
+        dependencies: [],
+        dispose() {
+            binding.dependencies.forEach((dependents) => dependents.delete(binding));
+            binding.dependencies.length = 0;
+        },
+        update() {
+            binding.dispose();
+            if (!isConnected()) {
+                return;
+            }
+            const previousCollector = qhtmlActiveBindingCollector;
+            const cleanupStack = [];
+            const restoreThisContext = applyQHtmlRuntimeThisContext(ownerElement);
+            qhtmlActiveBindingCollector = binding;
+            try {
+                const proxyCache = new WeakMap();
+                const componentElement = options.component || ownerElement.component;
+                if (componentElement) {
+                    injectTemporaryThisAlias(ownerElement, 'component', createQHtmlTrackingProxy(componentElement, proxyCache), cleanupStack);
+                }
+                const scope = collectQHtmlScopeVariables(scopeNode);
+                const scopeValues = scope.names.map((name, idx) => {
+                    trackQHtmlReactiveRead(scope.holders[idx], name);
+                    const value = scope.holders[idx][name];
+                    if (Array.isArray(value)) {
+                        trackQHtmlArrayMutations(value);
+                        return createQHtmlTrackingProxy(value, proxyCache);
+                    }
+                    return isPlainQHtmlStateObject(value) ? createQHtmlTrackingProxy(value, proxyCache) : value;
+                });
+                const values = parts.map((part) => {
+                    if (!part.expression) {
+                        return part.text;
+                    }
+                    try {
+                        return compileQHtmlBindingExpression(part.expression, scope.names).apply(ownerElement, scopeValues);
+                    } catch (err) {
+                        const componentId = componentElement && componentElement.getAttribute ? componentElement.getAttribute('q-component') : '';
+                        componentLogger.error(componentId || '', `Binding "{{ ${decodeQHtmlBindingEntities(part.expression)} }}" failed: ${err && err.message ? err.message : err}`);
+                        return '';
+                    }
+                });
+                write(single ? values[0] : values.map(formatQHtmlBindingValue).join(''));
+            } finally {
+                qhtmlActiveBindingCollector = previousCollector;
+                restoreTemporaryThisAliases(ownerElement, cleanupStack);
+                if (typeof restoreThisContext === 'function') {
+                    restoreThisContext();
+                }
+            }
+        }
+    };
+    return binding;
+}
+
+function isInsideQHtmlIntoCarrier(element) {
+    try {
+        return !!(element && typeof element.closest === 'function' && element.closest('[q-into-carrier="1"]'));
+    } catch {
+        return false;
     }
-    return Array.from(tokens);
 }
 
-function syncGeneratedComponentClassSlotsFromCarriers(host) {
-    if (!host) {
+function bindQHtmlTextNode(node) {
+    if (node.__qhtmlBinding || !isQHtmlBindingSource(node) || !hasQHtmlBindingSyntax(node.nodeValue)) {
         return;
     }
-    const carriers = findComponentIntoCarriers(host);
-    carriers.forEach((carrier) => {
-        const slotName = String(carrier.getAttribute('slot') || '').trim();
-        const normalizedSlot = slotName.toLowerCase();
-        if (!slotName) {
+    const owner = node.parentElement;
+    if (!owner || isInsideQHtmlIntoCarrier(owner)) {
+        return;
+    }
+    const binding = createQHtmlBinding(owner, node.nodeValue, () => node.isConnected !== false && !!node.parentNode, (value) => {
+        const text = formatQHtmlBindingValue(value);
+        if (node.nodeValue !== text) {
+            node.nodeValue = text;
+        }
+    }, { scopeNode: node });
+    node.__qhtmlBinding = binding;
+    binding.update();
+}
+
+function bindQHtmlAttributes(element) {
+    if (isInsideQHtmlIntoCarrier(element)) {
+        return;
+    }
+    Array.from(element.attributes || []).forEach((attr) => {
+        const name = attr.name;
+        if (/^on/i.test(name) || !isQHtmlBindingSource(element, name) || !hasQHtmlBindingSyntax(attr.value)) {
             return;
         }
-        const targets = findComponentClassSlotTargets(host, normalizedSlot);
-        if (!targets.length) {
+        if (!element.__qhtmlAttributeBindings) {
+            element.__qhtmlAttributeBindings = new Map();
+        }
+        if (element.__qhtmlAttributeBindings.has(name)) {
             return;
         }
-        const nextClasses = parseClassTokensFromSlotCarrier(carrier);
-        targets.forEach((target) => {
-            if (!target || !target.classList) {
+        const binding = createQHtmlBinding(element, attr.value, () => element.isConnected !== false, (value) => {
+            if (value === false || value == null) {
+                element.removeAttribute(name);
                 return;
             }
-            if (!target.__qhtmlClassSlotApplied || typeof target.__qhtmlClassSlotApplied !== 'object') {
-                target.__qhtmlClassSlotApplied = Object.create(null);
+            const text = value === true ? '' : formatQHtmlBindingValue(value);
+            if (element.getAttribute(name) !== text) {
+                setQHtmlAttribute(element, name, text);
             }
-            const prev = Array.isArray(target.__qhtmlClassSlotApplied[normalizedSlot])
-                ? target.__qhtmlClassSlotApplied[normalizedSlot]
-                : [];
-            prev.forEach((className) => {
-                if (className) {
-                    target.classList.remove(className);
-                }
-            });
-            nextClasses.forEach((className) => {
-                if (className) {
-                    target.classList.add(className);
-                }
-            });
-            target.__qhtmlClassSlotApplied[normalizedSlot] = nextClasses;
         });
+        element.__qhtmlAttributeBindings.set(name, binding);
+        binding.update();
     });
 }
 
-function cloneNodeList(nodes) {
-    return (Array.isArray(nodes) ? nodes : []).map((node) => {
-        if (!node || typeof node.cloneNode !== 'function') {
-            return null;
-        }
-        return node.cloneNode(true);
-    }).filter(Boolean);
-}
-
-function replaceNodeChildren(target, nodes, options = {}) {
-    if (!target) {
+/**
+ * Activate `{{ expr }}` bindings for text nodes and attributes below `root`.
+ * Only nodes the renderer marked as QHTML source are compiled.  Already bound
+ * nodes are skipped, so this is safe to call after every render, hydration or
+ * slot projection.  Content of hidden `q-into` carriers stays a
+ * template; the projected copies in the slot anchors are bound instead.
+ *
+ * @param {Node} root Element to scan
+ */
+function activateQHtmlBindings(root) {
+    if (!root || typeof document === 'undefined' || typeof document.createTreeWalker !== 'function') {
         return;
     }
-    const { consumeFirst = false } = options;
-    while (target.firstChild) {
-        target.removeChild(target.firstChild);
+    if (root.nodeType === 3) {
+        bindQHtmlTextNode(root);
+        return;
     }
-    (Array.isArray(nodes) ? nodes : []).forEach((node, idx) => {
-        if (!node) return;
-        const useOriginal = consumeFirst && idx === 0;
-        const next = useOriginal ? node : node.cloneNode(true);
-        target.appendChild(next);
-    });
-}
-
-function writeNodesIntoComponentAnchors(host, slotId, nodes) {
-    const anchors = findOwnedComponentSlotAnchors(host, slotId);
-    if (!anchors.length) {
-        return false;
+    if (root.nodeType === 8) {
+        activateQHtmlStructuralBlock(root);
+        return;
     }
-    anchors.forEach((anchor, anchorIdx) => {
-        replaceNodeChildren(anchor, nodes, { consumeFirst: anchorIdx === 0 });
+    const skipTags = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'Q-PAINTER']);
+    const walker = document.createTreeWalker(root, 133 /* SHOW_ELEMENT | SHOW_TEXT | SHOW_COMMENT */, {
+        acceptNode(node) {
+            if (node.nodeType === 1 && skipTags.has(String(node.tagName || '').toUpperCase())) {
+                return 2; // FILTER_REJECT
+            }
+            return 1; // FILTER_ACCEPT
+        }
     });
-    return true;
+    const bindElement = (element) => {
+        bindQHtmlAttributes(element);
+        if (element.hasAttribute('q-model') && isQHtmlBindingSource(element, 'q-model') && isQHtmlModelControl(element)) {
+            bindQHtmlModel(element);
+        }
+    };
+    if (root.nodeType === 1) {
+        bindElement(root);
+    }
+    let node = walker.nextNode();
+    while (node) {
+        if (node.nodeType === 3) {
+            bindQHtmlTextNode(node);
+        } else if (node.nodeType === 8) {
+            activateQHtmlStructuralBlock(node);
+        } else {
+            bindElement(node);
+        }
+        node = walker.nextNode();
+    }
 }
 
-function ensureComponentIntoCarrier(host, slotId) {
-    const existing = findComponentIntoCarriers(host, slotId);
-    if (existing.length) {
-        const carrier = existing[0];
-        if (!carrier.getAttribute('q-into-carrier')) {
-            carrier.setAttribute('q-into-carrier', '1');
-        }
-        const rawStyle = String(carrier.getAttribute('style') || '');
-        const existingStyle = rawStyle.toLowerCase();
-        if (!/display\s*:\s*none/.test(existingStyle)) {
-            const normalized = rawStyle.trim();
-            const next = normalized
-                ? `${normalized}${normalized.endsWith(';') ? '' : ';'} display: none;`
-                : 'display: none;';
-            carrier.setAttribute('style', next);
-        }
-        return carrier;
-    }
-    if (!host || typeof document === 'undefined' || typeof host.appendChild !== 'function') {
+/**
+ * Binding template behind a text node or attribute, or null when it is not
+ * bound.  Used by reconciliation so that evaluated output is not mistaken for
+ * a source change.
+ */
+function getQHtmlBindingTemplate(node, attributeName = '') {
+    if (!node) {
         return null;
     }
-    const carrier = document.createElement('q-into');
-    carrier.setAttribute('slot', String(slotId || '').trim());
-    carrier.setAttribute('q-into-carrier', '1');
-    carrier.setAttribute('style', 'display: none;');
-    host.appendChild(carrier);
-    return carrier;
-}
-
-function syncGeneratedComponentSlotsFromCarriers(host) {
-    if (!host || isComponentSlotsResolved(host)) {
-        return;
+    if (!attributeName) {
+        return node.__qhtmlBinding ? node.__qhtmlBinding.template : null;
     }
-    const carriers = findComponentIntoCarriers(host);
-    carriers.forEach((carrier) => {
-        const slotName = String(carrier.getAttribute('slot') || '').trim();
-        if (!slotName) {
-            return;
-        }
-        const payload = Array.from(carrier.childNodes || []).map((node) => node.cloneNode(true));
-        writeNodesIntoComponentAnchors(host, slotName, payload);
-    });
-    syncGeneratedComponentClassSlotsFromCarriers(host);
+    const bindings = node.__qhtmlAttributeBindings;
+    const binding = bindings ? bindings.get(attributeName) : null;
+    return binding ? binding.template : null;
 }
 
-function normalizeImplicitContentToSingleSlotCarrier(host, slotName) {
-    if (!host || !slotName || isComponentSlotsResolved(host)) {
-        return;
-    }
-    if (findComponentIntoCarriers(host).length) {
+function releaseQHtmlBinding(node, attributeName = '') {
+    if (!node) {
         return;
     }
-    const payload = Array.from(host.childNodes || []).filter((node) => {
-        if (!node) return false;
-        if (node.nodeType === 8) return false;
-        if (node.nodeType === 3 && !String(node.textContent || '').trim()) return false;
-        if (node.nodeType === 1) {
-            const el = node;
-            if (el.hasAttribute && el.hasAttribute('q-slot-anchor')) return false;
-            if (String(el.tagName || '').toLowerCase() === 'q-into') return false;
+    if (!attributeName) {
+        if (node.__qhtmlBinding) {
+            node.__qhtmlBinding.dispose();
+            delete node.__qhtmlBinding;
         }
-        return true;
-    });
-    if (!payload.length) {
         return;
     }
-    const carrier = ensureComponentIntoCarrier(host, slotName);
-    if (!carrier) {
-        return;
+    const bindings = node.__qhtmlAttributeBindings;
+    if (bindings && bindings.has(attributeName)) {
+        bindings.get(attributeName).dispose();
+        bindings.delete(attributeName);
     }
-    payload.forEach((node) => carrier.appendChild(node));
 }
 
-function unwrapNodePreservingChildren(node) {
-    if (!node || node.nodeType !== 1 || !node.parentNode) {
-        return;
+// -----------------------------------------------------------------------------
+// Form bindings (q-model)
+//
+// `q-model: "path"` keeps a form control and a field in sync.  The path is
+// read from the owning component instance (or the q-html host outside of a
+// component), unless its first segment is a q-for variable.  Model -> control
+// goes through a regular binding; control -> model listens for input/change.
+
+const QHTML_MODEL_PATH_PATTERN = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/;
+
+function isQHtmlModelControl(element) {
+    const tag = String(element && element.tagName ? element.tagName : '').toUpperCase();
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+}
+
+function getQHtmlModelKind(element) {
+    const tag = String(element.tagName || '').toUpperCase();
+    if (tag === 'SELECT') {
+        return element.multiple ? 'select-multiple' : 'select';
     }
-    const parent = node.parentNode;
-    while (node.firstChild) {
-        parent.insertBefore(node.firstChild, node);
+    const type = tag === 'INPUT' ? String(element.type || 'text').toLowerCase() : 'text';
+    if (type === 'checkbox' || type === 'radio') {
+        return type;
     }
-    parent.removeChild(node);
+    return type === 'number' || type === 'range' ? 'number' : 'text';
 }
 
-function resolveComponentSlotsInPlace(host, options = {}) {
-    const { warnIfAlreadyResolved = true } = options;
-    if (!host || host.nodeType !== 1) {
+/**
+ * Resolve where a q-model path lives: a q-for scope object when the first
+ * segment is a structural variable, otherwise the owning component.
+ *
+ * @returns {{root: object, keys: string[], expression: string}|null}
+ */
+function resolveQHtmlModelTarget(element, path) {
+    const keys = path.split('.');
+    const scope = collectQHtmlScopeVariables(element);
+    const scopeIndex = scope.names.indexOf(keys[0]);
+    if (scopeIndex !== -1) {
+        return { root: scope.holders[scopeIndex], keys, expression: path };
+    }
+    let component = resolveQHtmlComponentContextElement(element);
+    if (!component && typeof element.closest === 'function') {
+        component = element.closest('q-html');
+    }
+    if (!component) {
+        return null;
+    }
+    return { root: component, keys, component, expression: `this.component.${path}` };
+}
+
+function writeQHtmlModelPath(target, value) {
+    let holder = target.root;
+    for (let i = 0; i < target.keys.length - 1; i++) {
+        holder = holder == null ? holder : holder[target.keys[i]];
+    }
+    if (holder == null || (typeof holder !== 'object' && typeof holder !== 'function')) {
         return false;
     }
-    if (isComponentSlotsResolved(host)) {
-        if (warnIfAlreadyResolved) {
-            warnResolvedComponentSlotApi(host, 'resolveSlots');
+    holder[target.keys[target.keys.length - 1]] = value;
+    return true;
+}
+
+function readQHtmlModelPath(target) {
+    return target.keys.reduce((holder, key) => (holder == null ? undefined : holder[key]), target.root);
+}
+
+function toQHtmlModelNumber(text) {
+    if (String(text).trim() === '') {
+        return null;
+    }
+    const num = Number(text);
+    return Number.isNaN(num) ? text : num;
+}
+
+function writeQHtmlModelToControl(element, kind, value) {
+    if (kind === 'checkbox') {
+        element.checked = Array.isArray(value)
+            ? value.some((entry) => String(entry) === element.value)
+            : !!value;
+    } else if (kind === 'radio') {
+        element.checked = value != null && String(value) === element.value;
+    } else if (kind === 'select-multiple') {
+        const selected = (Array.isArray(value) ? value : []).map((entry) => String(entry));
+        Array.from(element.options || []).forEach((option) => {
+            option.selected = selected.includes(option.value);
+        });
+    } else {
+        const text = value == null ? '' : String(value);
+        if (element.value !== text) {
+            element.value = text;
         }
-        return true;
     }
-    ensureGeneratedComponentTemplateHydrated(host);
-    syncGeneratedComponentSlotsFromCarriers(host);
-    findComponentIntoCarriers(host).forEach((carrier) => {
-        if (carrier && carrier.parentNode === host) {
-            host.removeChild(carrier);
+}
+
+function readQHtmlModelFromControl(element, kind, current) {
+    // Keep numbers numbers when the field already holds one.
+    const coerce = (text) => (kind === 'number' || typeof current === 'number' ? toQHtmlModelNumber(text) : text);
+    if (kind === 'checkbox') {
+        if (!Array.isArray(current)) {
+            return element.checked;
         }
-    });
-    findOwnedComponentSlotAnchors(host).forEach((anchor) => {
-        unwrapNodePreservingChildren(anchor);
-    });
-    host.setAttribute(COMPONENT_SLOTS_RESOLVED_ATTR, 'true');
-    return true;
+        const rest = current.filter((entry) => String(entry) !== element.value);
+        return element.checked ? rest.concat([coerce(element.value)]) : rest;
+    }
+    if (kind === 'select-multiple') {
+        const sample = Array.isArray(current) && current.length ? current[0] : undefined;
+        return Array.from(element.selectedOptions || [])
+            .map((option) => (typeof sample === 'number' ? toQHtmlModelNumber(option.value) : option.value));
+    }
+    return coerce(element.value);
 }
 
-function teardownComponentRuntimeInstance(host) {
-    if (!host || host.nodeType !== 1) {
+/**
+ * Connect a control with a `q-model` attribute to its field.  Safe to call
+ * repeatedly; controls that are already bound are skipped.
+ *
+ * @param {HTMLElement} element input, textarea or select
+ */
+function bindQHtmlModel(element) {
+    if (element.__qhtmlModelBinding || isInsideQHtmlIntoCarrier(element)) {
         return;
     }
-    if (host.__qhtmlActionBindingObserver && typeof host.__qhtmlActionBindingObserver.disconnect === 'function') {
-        host.__qhtmlActionBindingObserver.disconnect();
+    const path = String(element.getAttribute('q-model') || '').trim();
+    if (!QHTML_MODEL_PATH_PATTERN.test(path)) {
+        componentLogger.error('', `q-model expects a field path like "name" or "user.name"; got "${path}".`);
+        return;
     }
-    delete host.__qhtmlActionBindingObserver;
-
-    const signalStore = host.__qhtmlSignalStore;
-    if (signalStore && typeof signalStore === 'object') {
-        Object.keys(signalStore).forEach((signalName) => {
-            const entry = signalStore[signalName];
-            const emitter = host[signalName];
-            if (emitter && typeof emitter.disconnect === 'function') {
-                try {
-                    emitter.disconnect();
-                } catch {
-                    // ignore disconnect failures during teardown
-                }
-            }
-            if (entry && Array.isArray(entry.listeners)) {
-                entry.listeners.length = 0;
-            }
-            if (entry && entry.connectionMap instanceof Map) {
-                entry.connectionMap.clear();
-            }
-            if (entry && entry.handlerKeys instanceof Set) {
-                entry.handlerKeys.clear();
-            }
-            try {
-                delete host[signalName];
-            } catch {
-                // ignore property cleanup failures
-            }
-        });
+    const target = resolveQHtmlModelTarget(element, path);
+    if (!target) {
+        componentLogger.warn('', `q-model "${path}" has no owning component or q-html host.`);
+        return;
     }
-    delete host.__qhtmlSignalStore;
+    const kind = getQHtmlModelKind(element);
+    const binding = createQHtmlBinding(element, '', () => element.isConnected !== false, (value) => {
+        writeQHtmlModelToControl(element, kind, value);
+    }, { expression: target.expression, scopeNode: element, component: target.component });
+    element.__qhtmlModelBinding = binding;
+    const eventName = kind === 'text' || kind === 'number' ? 'input' : 'change';
+    element.addEventListener(eventName, () => {
+        if (kind === 'radio' && !element.checked) {
+            return;
+        }
+        const next = readQHtmlModelFromControl(element, kind, readQHtmlModelPath(target));
+        if (!writeQHtmlModelPath(target, next)) {
+            componentLogger.warn('', `q-model "${path}" could not be written; its parent object is missing.`);
+        }
+    });
+    binding.update();
 }
 
-function countNodeDepth(node) {
-    let depth = 0;
-    let cursor = node;
-    while (cursor && cursor.parentElement) {
-        depth += 1;
-        cursor = cursor.parentElement;
-    }
-    return depth;
+// -----------------------------------------------------------------------------
+// Structural blocks
+//
+// `q-for` and `q-if` render their body from a live expression.  At parse time they leave a
+// comment anchor carrying the block source; once the tree is attached the
+// anchor is activated like a binding and keeps the nodes it rendered right
+// after itself.  Rendered nodes point back at the anchor through
+// `__qhtmlStructuralOwner`, and row nodes carry their variables in
+// `__qhtmlScope`.
+
+const QHTML_STRUCTURAL_HEADER_PATTERN = /^\s*q-(?:for\s|if\s*\(|else-if\s*\()/;
+
+function isQHtmlStructuralHeader(header) {
+    return QHTML_STRUCTURAL_HEADER_PATTERN.test(String(header || ''));
 }
 
-function toTemplateComponentInstance(host, options = {}) {
-    const { recursive = false } = options;
-    if (!host || host.nodeType !== 1 || typeof document === 'undefined') {
-        return [];
-    }
+// Quoted strings are percent-encoded before segment extraction; structural
+// headers are JavaScript, so their string literals need the original text.
+function decodeQuotedSegments(value) {
+    return String(value == null ? '' : value).replace(/"([^"]*)"/g, (match, inner) => `"${decodeEncodedStringIfNeeded(inner)}"`);
+}
 
-    if (recursive && typeof host.querySelectorAll === 'function') {
-        const descendants = Array.from(host.querySelectorAll('[q-component]'))
-            .filter((node) => node && node.nodeType === 1 && node !== host)
-            .sort((a, b) => countNodeDepth(b) - countNodeDepth(a));
-        descendants.forEach((node) => {
-            if (node && node.parentNode) {
-                toTemplateComponentInstance(node, { recursive: false });
-            }
-        });
+/**
+ * Parse `q-for item in expr`, `q-for item, i in expr` or
+ * `q-for (item, i) in expr`.  The index variable defaults to `index`.
+ *
+ * @param {string} header Block header
+ * @returns {{itemName: string, indexName: string, expression: string}|null}
+ */
+function parseQForHeader(header) {
+    const match = String(header || '').trim().match(/^q-for\s+(?:\(\s*([A-Za-z_$][\w$]*)\s*(?:,\s*([A-Za-z_$][\w$]*)\s*)?\)|([A-Za-z_$][\w$]*)(?:\s*,\s*([A-Za-z_$][\w$]*))?)\s+in\s+([\s\S]+)$/);
+    if (!match) {
+        return null;
     }
+    return {
+        itemName: match[1] || match[3],
+        indexName: match[2] || match[4] || 'index',
+        expression: match[5].trim()
+    };
+}
 
-    resolveComponentSlotsInPlace(host, { warnIfAlreadyResolved: false });
-    teardownComponentRuntimeInstance(host);
-
-    const parent = host.parentNode;
-    if (!parent || typeof parent.insertBefore !== 'function') {
-        return [];
+function processQForSegment(segment, parentElement) {
+    const header = parseQForHeader(decodeQuotedSegments(segment.tag));
+    if (!header) {
+        componentLogger.error('', `Invalid q-for header "${decodeQuotedSegments(segment.tag)}". Expected \`q-for item in expression { ... }\`.`);
+        return;
     }
-    const insertedNodes = [];
-    const fragment = document.createDocumentFragment();
-    while (host.firstChild) {
-        const child = host.firstChild;
-        insertedNodes.push(child);
-        fragment.appendChild(child);
+    let keyExpression = '';
+    const rowSegments = extractPropertiesAndChildren(segment.content).filter((child) => {
+        if (child.type === 'property' && child.name === 'key' && !child.isFunction) {
+            keyExpression = decodeEncodedStringIfNeeded(child.value).trim();
+            return false;
+        }
+        return true;
+    });
+    const anchor = document.createComment(` q-for ${header.itemName} in ${header.expression} `);
+    anchor.__qhtmlStructural = {
+        kind: 'q-for',
+        source: `${segment.tag}{${segment.content}}`,
+        header,
+        keyExpression,
+        rowSegments,
+        rows: [],
+        nodes: [],
+        binding: null
+    };
+    parentElement.appendChild(anchor);
+}
+
+/**
+ * Parse `q-if (expr)` / `q-else-if (expr)` headers.
+ *
+ * @param {string} header Block header
+ * @returns {{kind: string, condition: string}|null}
+ */
+function parseQConditionalHeader(header) {
+    const text = String(header || '').trim();
+    if (text === 'q-else') {
+        return { kind: 'q-else', condition: '' };
     }
-    parent.insertBefore(fragment, host);
-    if (typeof parent.removeChild === 'function') {
-        parent.removeChild(host);
+    const match = text.match(/^(q-if|q-else-if)\s*\(([\s\S]*)\)$/);
+    if (!match || !match[2].trim()) {
+        return null;
     }
-    return insertedNodes;
+    return { kind: match[1], condition: match[2].trim() };
 }
 
-function ensureGeneratedComponentTemplateHydrated(host) {
-    if (!host || host.nodeType !== 1 || host.__qhtmlComponentTemplateHydrated || typeof document === 'undefined' || isComponentSlotsResolved(host)) {
+function processQConditionalSegment(segment, parentElement) {
+    const header = parseQConditionalHeader(decodeQuotedSegments(segment.tag));
+    if (!header) {
+        componentLogger.error('', `Invalid ${segment.type} header "${decodeQuotedSegments(segment.tag)}". Expected \`${segment.type} (expression) { ... }\`.`);
         return;
     }
-    const componentId = String(host.tagName || '').toLowerCase();
-    const templateSource = String(qhtmlGeneratedComponentTemplateCache.get(componentId) || '').trim();
-    host.__qhtmlComponentTemplateHydrated = true;
-    if (!templateSource) {
+    const branch = {
+        condition: header.condition,
+        segments: extractPropertiesAndChildren(segment.content)
+    };
+    const source = `${segment.tag}{${segment.content}}`;
+    if (header.kind === 'q-if') {
+        const anchor = document.createComment(` q-if (${header.condition}) `);
+        anchor.__qhtmlStructural = {
+            kind: 'q-if',
+            source,
+            branches: [branch],
+            closed: false,
+            activeIndex: -1,
+            nodes: [],
+            binding: null
+        };
+        parentElement.appendChild(anchor);
         return;
     }
-    const anchorTemplate = replaceTemplateSlots(templateSource, new Map(), {
-        componentId,
-        warnOnMissing: false,
-        preserveAnchors: true
-    });
-    const nodes = parseQHtmlSnippetToNodes(anchorTemplate, host);
-    if (!nodes.length) {
+    const previous = parentElement.lastChild;
+    const state = previous && previous.__qhtmlStructural;
+    if (!state || state.kind !== 'q-if' || state.closed) {
+        componentLogger.error('', `${header.kind} must directly follow a q-if or q-else-if block.`);
         return;
     }
-    const frag = document.createDocumentFragment();
-    nodes.forEach((node) => frag.appendChild(node));
-    host.insertBefore(frag, host.firstChild);
+    state.branches.push(branch);
+    state.source += source;
+    state.closed = header.kind === 'q-else';
 }
 
-function hydrateGeneratedComponentInstances(root) {
-    if (!root || typeof root.querySelectorAll !== 'function') {
+/**
+ * Combine a q-if chain into one expression returning the index of the branch
+ * to show (or -1), so only the conditions that are actually evaluated become
+ * dependencies.
+ */
+function buildQConditionalSelector(branches) {
+    return branches.reduceRight((fallback, branch, idx) => {
+        if (!branch.condition) {
+            return String(idx);
+        }
+        return `(${branch.condition}) ? ${idx} : ${fallback}`;
+    }, '-1');
+}
+
+function updateQConditionalBranch(anchor, value) {
+    const state = anchor.__qhtmlStructural;
+    if (!state || !anchor.parentNode) {
         return;
     }
-    const ids = new Set();
-    qhtmlGeneratedComponentTemplateCache.forEach((_, key) => ids.add(key));
-    qhtmlGeneratedComponentActionCache.forEach((_, key) => ids.add(key));
-    if (!ids.size) {
+    const index = typeof value === 'number' ? value : -1;
+    if (index === state.activeIndex) {
         return;
     }
-    ids.forEach((componentId) => {
-        const selector = String(componentId || '').trim();
-        if (!selector) {
-            return;
-        }
-        let instances = [];
-        try {
-            instances = Array.from(root.querySelectorAll(selector));
-        } catch {
-            instances = [];
-        }
-        instances.forEach((instance) => {
-            if (!instance || instance.nodeType !== 1) {
-                return;
-            }
-            if (!instance.getAttribute('q-component')) {
-                instance.setAttribute('q-component', componentId);
-            }
-            if (!instance.getAttribute('qhtml-component-instance')) {
-                instance.setAttribute('qhtml-component-instance', '1');
-            }
-            if (!isComponentSlotsResolved(instance)) {
-                const slotNames = getGeneratedComponentSlotNames(componentId);
-                if (slotNames.length === 1) {
-                    normalizeImplicitContentToSingleSlotCarrier(instance, slotNames[0]);
-                }
-                ensureGeneratedComponentTemplateHydrated(instance);
-                syncGeneratedComponentSlotsFromCarriers(instance);
-            }
-            const compiled = qhtmlGeneratedComponentActionCache.get(componentId) || [];
-            const actionNames = [];
-            compiled.forEach((entry) => {
-                const actionName = String(entry && entry.name ? entry.name : '').trim();
-                if (!actionName) {
-                    return;
-                }
-                actionNames.push(actionName);
-                instance[actionName] = function(...args) {
-                    return entry.fn.apply(this, args);
-                };
-            });
-            if (actionNames.length) {
-                bindComponentActionsRecursively(instance, actionNames);
-                observeComponentActionBinding(instance, actionNames);
-            }
-        });
-    });
+    removeQHtmlStructuralNodes(state.nodes);
+    state.activeIndex = index;
+    const branch = state.branches[index];
+    state.nodes = branch ? renderQHtmlSegmentsToNodes(branch.segments, anchor.parentElement) : [];
+    placeQHtmlStructuralNodes(anchor, state.nodes);
+    if (anchor.isConnected) {
+        state.nodes.forEach((node) => activateQHtmlBindings(node));
+    }
 }
 
-function listComponentSlotNames(host) {
-    if (isComponentSlotsResolved(host)) {
-        warnResolvedComponentSlotApi(host, 'slots');
-        return [];
-    }
-    const names = [];
-    const seen = new Set();
-    findOwnedComponentSlotAnchors(host).forEach((anchor) => {
-        const slotName = String(anchor.getAttribute('slot') || '').trim();
-        if (!slotName || seen.has(slotName)) {
-            return;
-        }
-        seen.add(slotName);
-        names.push(slotName);
-    });
-    findComponentIntoCarriers(host).forEach((carrier) => {
-        const slotName = String(carrier.getAttribute('slot') || '').trim();
-        if (!slotName || seen.has(slotName)) {
-            return;
+/**
+ * Render one set of segments into detached nodes, the same way
+ * `parseQHtmlToRoot` does for a whole host.
+ *
+ * @param {Array<object>} segments Segments to render
+ * @param {Element} contextElement Element used as `this` for root-level onReady hooks
+ * @returns {Node[]} Rendered nodes
+ */
+function renderQHtmlSegmentsToNodes(segments, contextElement) {
+    const container = document.createElement('div');
+    segments.forEach((segment) => processSegment(segment, container));
+    flushReadyLifecycleHooks(container, contextElement || container);
+    decodeEncodedDomTree(container);
+    return Array.from(container.childNodes);
+}
+
+function getQHtmlStructuralNodes(anchor) {
+    const state = anchor && anchor.__qhtmlStructural;
+    return state && Array.isArray(state.nodes) ? state.nodes : [];
+}
+
+function removeQHtmlStructuralNodes(nodes) {
+    nodes.forEach((node) => {
+        teardownReconciledSubtree(node);
+        if (node.__qhtmlStructural) {
+            disposeQHtmlStructuralBlock(node);
         }
-        seen.add(slotName);
-        names.push(slotName);
-    });
-    const tagName = host && host.tagName ? String(host.tagName).toLowerCase() : '';
-    getGeneratedComponentSlotNames(tagName).forEach((slotName) => {
-        if (!slotName || seen.has(slotName)) {
-            return;
+        if (node.parentNode) {
+            node.parentNode.removeChild(node);
         }
-        seen.add(slotName);
-        names.push(slotName);
     });
-    return names;
 }
 
-function looksLikeQHtmlSnippet(value) {
-    const text = String(value == null ? '' : value).trim();
-    if (!text) {
-        return false;
+/**
+ * Stop a structural block and remove everything it rendered.
+ *
+ * @param {Comment} anchor Structural anchor
+ */
+function disposeQHtmlStructuralBlock(anchor) {
+    const state = anchor && anchor.__qhtmlStructural;
+    if (!state) {
+        return;
     }
-    if (/<[A-Za-z!/]/.test(text)) {
-        return false;
+    if (state.binding) {
+        state.binding.dispose();
+        state.binding = null;
     }
-    return /[A-Za-z0-9_.-]+\s*\{/.test(text);
+    removeQHtmlStructuralNodes(state.nodes);
+    state.nodes = [];
+    state.rows = [];
+    state.activeIndex = -1;
 }
 
-function parseQHtmlSnippetToNodes(snippet, hostForReady) {
-    const qhtml = String(snippet == null ? '' : snippet).trim();
-    if (!qhtml) {
-        return [];
-    }
-    const runtimeInput = hostForReady
-        ? evaluateQScriptBlocks(qhtml, { topLevelOnly: true, thisArg: hostForReady })
-        : evaluateQScriptBlocks(qhtml, { topLevelOnly: true });
-    const encoded = encodeQuotedStrings(runtimeInput);
-    const adjusted = addClosingBraces(encoded);
-    const root = document.createElement('div');
-    root.__qhtmlRoot = true;
-    root.__qhtmlHost = hostForReady || root;
-    const segments = extractPropertiesAndChildren(adjusted);
-    segments.forEach((segment) => processSegment(segment, root));
-    flushReadyLifecycleHooks(root, hostForReady || root);
-    return Array.from(root.childNodes);
+/**
+ * Place `nodes` directly after `anchor`, moving only nodes that are out of
+ * place so kept rows are not detached.
+ */
+function placeQHtmlStructuralNodes(anchor, nodes) {
+    const parent = anchor.parentNode;
+    let cursor = anchor;
+    nodes.forEach((node) => {
+        node.__qhtmlStructuralOwner = anchor;
+        if (cursor.nextSibling !== node) {
+            parent.insertBefore(node, cursor.nextSibling);
+        }
+        cursor = node;
+        getQHtmlStructuralNodes(node).forEach((owned) => {
+            if (cursor.nextSibling !== owned) {
+                parent.insertBefore(owned, cursor.nextSibling);
+            }
+            cursor = owned;
+        });
+    });
 }
 
-function normalizeIntoPayloadToNodes(payload, hostForReady) {
-    if (payload == null) {
+function toQForItems(value) {
+    if (value == null || value === false) {
         return [];
     }
-    if (typeof payload === 'function') {
-        try {
-            return normalizeIntoPayloadToNodes(payload.call(hostForReady || null), hostForReady);
-        } catch (err) {
-            console.error('qhtml: failed to execute into() payload function', err);
-            return [];
-        }
-    }
-    if (typeof Node !== 'undefined' && payload instanceof Node) {
-        return [payload];
+    if (Array.isArray(value)) {
+        return value;
     }
-    if (typeof NodeList !== 'undefined' && payload instanceof NodeList) {
-        return Array.from(payload);
+    if (typeof value === 'number') {
+        return Array.from({ length: Math.max(0, Math.floor(value)) }, (_, idx) => idx);
     }
-    if (typeof HTMLCollection !== 'undefined' && payload instanceof HTMLCollection) {
-        return Array.from(payload);
+    if (typeof value[Symbol.iterator] === 'function') {
+        return Array.from(value);
     }
-    if (Array.isArray(payload)) {
-        return payload.flatMap((entry) => normalizeIntoPayloadToNodes(entry, hostForReady));
+    return [];
+}
+
+function updateQForRows(anchor, value) {
+    const state = anchor.__qhtmlStructural;
+    const parent = anchor.parentNode;
+    if (!state || !parent) {
+        return;
     }
-    const text = String(payload);
-    if (!text.trim()) {
-        return [];
+    value = unwrapQHtmlTrackingProxy(value);
+    if (Array.isArray(value)) {
+        trackQHtmlArrayMutations(value);
     }
-    if (looksLikeQHtmlSnippet(text)) {
-        return parseQHtmlSnippetToNodes(text, hostForReady);
+    const { itemName, indexName } = state.header;
+    const owner = anchor.parentElement || parent;
+    const items = toQForItems(value).map(unwrapQHtmlTrackingProxy);
+    const keyOf = (item, index) => {
+        if (!state.keyExpression) {
+            return item;
+        }
+        const restoreThisContext = applyQHtmlRuntimeThisContext(owner);
+        try {
+            const scope = collectQHtmlScopeVariables(anchor);
+            const fn = compileQHtmlBindingExpression(state.keyExpression, [itemName, indexName, ...scope.names]);
+            return fn.call(owner, item, index, ...scope.names.map((name, idx) => scope.holders[idx][name]));
+        } catch (err) {
+            componentLogger.error('', `q-for key "${state.keyExpression}" failed: ${err && err.message ? err.message : err}`);
+            return index;
+        } finally {
+            if (typeof restoreThisContext === 'function') {
+                restoreThisContext();
+            }
+        }
+    };
+
+    const available = new Map();
+    state.rows.forEach((row) => {
+        if (!available.has(row.key)) {
+            available.set(row.key, []);
+        }
+        available.get(row.key).push(row);
+    });
+    const created = [];
+    const nextRows = items.map((item, index) => {
+        const key = keyOf(item, index);
+        const candidates = available.get(key);
+        const existing = candidates && candidates.length ? candidates.shift() : null;
+        if (existing) {
+            if (existing.scope[itemName] !== item) existing.scope[itemName] = item;
+            if (existing.scope[indexName] !== index) existing.scope[indexName] = index;
+            return existing;
+        }
+        const scope = { [itemName]: item, [indexName]: index };
+        makeQHtmlPropertyReactive(scope, itemName);
+        makeQHtmlPropertyReactive(scope, indexName);
+        const nodes = renderQHtmlSegmentsToNodes(state.rowSegments, owner);
+        nodes.forEach((node) => {
+            node.__qhtmlScope = scope;
+            node.__qhtmlStructuralOwner = anchor;
+        });
+        const row = { key, scope, nodes };
+        created.push(row);
+        return row;
+    });
+    available.forEach((rows) => rows.forEach((row) => removeQHtmlStructuralNodes(row.nodes)));
+
+    state.rows = nextRows;
+    state.nodes = [];
+    nextRows.forEach((row) => row.nodes.forEach((node) => state.nodes.push(node)));
+    placeQHtmlStructuralNodes(anchor, state.nodes);
+    if (anchor.isConnected) {
+        created.forEach((row) => row.nodes.forEach((node) => activateQHtmlBindings(node)));
     }
-    const container = document.createElement('div');
-    container.innerHTML = text;
-    return Array.from(container.childNodes);
 }
 
-function injectIntoComponentSlot(host, slotId, payload) {
-    if (isComponentSlotsResolved(host)) {
-        warnResolvedComponentSlotApi(host, 'into');
-        return false;
+/**
+ * Start a structural anchor left by the parser.  Called from
+ * `activateQHtmlBindings` once the anchor is in the live tree.
+ *
+ * @param {Comment} anchor Structural anchor
+ */
+function activateQHtmlStructuralBlock(anchor) {
+    const state = anchor && anchor.__qhtmlStructural;
+    if (!state || state.binding || !anchor.parentNode) {
+        return;
     }
-    const normalizedSlot = String(slotId == null ? '' : slotId).trim();
-    if (!normalizedSlot) {
-        return false;
+    const owner = anchor.parentElement;
+    if (!owner || isInsideQHtmlIntoCarrier(owner)) {
+        return;
     }
-    ensureGeneratedComponentTemplateHydrated(host);
-    const nodes = normalizeIntoPayloadToNodes(payload, host);
-    const carrier = ensureComponentIntoCarrier(host, normalizedSlot);
-    if (carrier) {
-        replaceNodeChildren(carrier, cloneNodeList(nodes));
+    const isLive = () => anchor.isConnected !== false && !!anchor.parentNode;
+    if (state.kind === 'q-for') {
+        state.binding = createQHtmlBinding(owner, '', isLive, (value) => {
+            updateQForRows(anchor, value);
+        }, { expression: state.header.expression, scopeNode: anchor });
+    } else if (state.kind === 'q-if') {
+        state.binding = createQHtmlBinding(owner, '', isLive, (value) => {
+            updateQConditionalBranch(anchor, value);
+        }, { expression: buildQConditionalSelector(state.branches), scopeNode: anchor });
+    }
+    if (state.binding) {
+        state.binding.update();
     }
-    const projected = writeNodesIntoComponentAnchors(host, normalizedSlot, nodes) || !!carrier;
-    syncGeneratedComponentClassSlotsFromCarriers(host);
-    return projected;
 }
 
-function signalNameToHandlerProperty(signalName) {
-    const name = String(signalName || '').trim();
-    if (!name) {
-        return '';
-    }
-    return `on${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+function isIdentifierTokenChar(ch) {
+    return !!ch && /[A-Za-z0-9_-]/.test(ch);
 }
 
-function handlerTagToSignalName(tagName) {
-    const tag = String(tagName || '').trim();
-    if (!/^on[A-Za-z0-9_]+$/.test(tag) || tag.length <= 2) {
-        return '';
+function findStandaloneKeyword(str, keyword, fromIndex = 0) {
+    const source = String(str || '');
+    const token = String(keyword || '');
+    if (!token) {
+        return -1;
     }
-    const suffix = tag.slice(2);
-    return `${suffix.charAt(0).toLowerCase()}${suffix.slice(1)}`;
+    let pos = Math.max(0, Number(fromIndex) || 0);
+    while (pos < source.length) {
+        const idx = source.indexOf(token, pos);
+        if (idx === -1) {
+            return -1;
+        }
+        const before = idx > 0 ? source[idx - 1] : '';
+        const after = source[idx + token.length] || '';
+        if (isIdentifierTokenChar(before) || isIdentifierTokenChar(after)) {
+            pos = idx + token.length;
+            continue;
+        }
+        return idx;
+    }
+    return -1;
 }
 
-function ensureComponentSignals(host, signalDefs = [], signalHandlers = [], componentId = '') {
-    if (!host || (typeof host !== 'object' && typeof host !== 'function')) {
-        return;
+function extractTokenBeforeIndex(source, index) {
+    const input = String(source || '');
+    let end = Math.min(input.length, Math.max(0, Number(index) || 0)) - 1;
+    while (end >= 0 && /\s/.test(input[end])) {
+        end--;
     }
-    if (!host.__qhtmlSignalStore || typeof host.__qhtmlSignalStore !== 'object') {
-        host.__qhtmlSignalStore = Object.create(null);
+    if (end < 0 || !/[A-Za-z0-9_.-]/.test(input[end])) {
+        return '';
     }
-    const store = host.__qhtmlSignalStore;
-    const normalizedDefs = (Array.isArray(signalDefs) ? signalDefs : [])
-        .map((entry) => ({
-            name: String(entry && entry.name ? entry.name : '').trim(),
-            params: Array.isArray(entry && entry.params)
-                ? entry.params.map((param) => String(param || '').trim()).filter(Boolean)
-                : []
-        }))
-        .filter((entry) => entry.name);
+    let start = end;
+    while (start >= 0 && /[A-Za-z0-9_.-]/.test(input[start])) {
+        start--;
+    }
+    return input.slice(start + 1, end + 1).trim();
+}
 
-    normalizedDefs.forEach((signalDef) => {
-        const signalName = signalDef.name;
-        if (!store[signalName]) {
-            store[signalName] = {
-                name: signalName,
-                params: signalDef.params.slice(),
-                listeners: [],
-                connectionMap: new Map(),
-                handlerKeys: new Set(),
-                emitter: null
-            };
+function findNearestOpenBraceBeforeIndex(source, index) {
+    const input = String(source || '');
+    const end = Math.min(input.length, Math.max(0, Number(index) || 0));
+    let depth = 0;
+    for (let i = end - 1; i >= 0; i--) {
+        const ch = input[i];
+        if (ch === '}') {
+            depth++;
+            continue;
         }
-        const entry = store[signalName];
-        if (!Array.isArray(entry.listeners)) {
-            entry.listeners = [];
+        if (ch === '{') {
+            if (depth === 0) {
+                return i;
+            }
+            depth--;
         }
-        if (!(entry.connectionMap instanceof Map)) {
-            entry.connectionMap = new Map();
-        }
-        if (!(entry.handlerKeys instanceof Set)) {
-            entry.handlerKeys = new Set();
-        }
-        if (signalDef.params.length) {
-            entry.params = signalDef.params.slice();
-        }
-
-        let signalFn = host[signalName];
-        const shouldCreateEmitter = !(
-            typeof signalFn === 'function'
-            && signalFn.__qhtmlSignalHost === host
-            && signalFn.__qhtmlSignalName === signalName
-        );
-
-        if (shouldCreateEmitter) {
-            signalFn = function(...args) {
-                const listeners = Array.isArray(entry.listeners) ? entry.listeners.slice() : [];
-                listeners.forEach((listener) => {
-                    if (typeof listener !== 'function') {
-                        return;
-                    }
-                    const restoreThisContext = applyQHtmlRuntimeThisContext(host);
-                    try {
-                        listener.apply(host, args);
-                    } catch (err) {
-                        componentLogger.error(componentId, `Signal listener for "${signalName}" failed.`);
-                    } finally {
-                        if (typeof restoreThisContext === 'function') {
-                            restoreThisContext();
-                        }
-                    }
-                });
-
-                const handlerProp = signalNameToHandlerProperty(signalName);
-                const possibleHandlers = [
-                    handlerProp ? host[handlerProp] : null,
-                    handlerProp ? host[handlerProp.toLowerCase()] : null
-                ];
-                const seenHandlers = new Set();
-                possibleHandlers.forEach((handler) => {
-                    if (typeof handler !== 'function' || seenHandlers.has(handler)) {
-                        return;
-                    }
-                    seenHandlers.add(handler);
-                    if (handler === signalFn) {
-                        return;
-                    }
-                    const restoreThisContext = applyQHtmlRuntimeThisContext(host);
-                    try {
-                        handler.apply(host, args);
-                    } catch (err) {
-                        componentLogger.error(componentId, `Signal handler "${handlerProp}" failed.`);
-                    } finally {
-                        if (typeof restoreThisContext === 'function') {
-                            restoreThisContext();
-                        }
-                    }
-                });
-
-                if (typeof host.dispatchEvent === 'function') {
-                    try {
-                        host.dispatchEvent(new CustomEvent(signalName, {
-                            detail: {
-                                signal: signalName,
-                                args: args.slice()
-                            }
-                        }));
-                    } catch (err) {
-                        // Ignore dispatch errors for non-EventTarget hosts.
-                    }
-                }
-            };
-
-            signalFn.connect = function(target) {
-                if (typeof target !== 'function') {
-                    return signalFn;
-                }
-                if (target === signalFn) {
-                    return signalFn;
-                }
-                if (entry.connectionMap.has(target)) {
-                    return signalFn;
-                }
-                const forwarder = function(...args) {
-                    if (typeof target !== 'function') {
-                        return;
-                    }
-                    target(...args);
-                };
-                entry.connectionMap.set(target, forwarder);
-                entry.listeners.push(forwarder);
-                return signalFn;
-            };
+    }
+    return -1;
+}
 
-            signalFn.disconnect = function(target) {
-                if (typeof target === 'undefined' || target === null) {
-                    entry.connectionMap.forEach((forwarder) => {
-                        entry.listeners = entry.listeners.filter((listener) => listener !== forwarder);
-                    });
-                    entry.connectionMap.clear();
-                    return signalFn;
-                }
-                const forwarder = entry.connectionMap.get(target);
-                if (!forwarder) {
-                    return signalFn;
-                }
-                entry.listeners = entry.listeners.filter((listener) => listener !== forwarder);
-                entry.connectionMap.delete(target);
-                return signalFn;
-            };
+function findMatchingBraceWithLiterals(str, openIdx) {
+    const input = String(str || '');
+    let depth = 0;
+    let inSingle = false;
+    let inDouble = false;
+    let inBacktick = false;
+    let inLineComment = false;
+    let inBlockComment = false;
+    let escaped = false;
 
-            signalFn.add = function(listener) {
-                if (typeof listener !== 'function') {
-                    return signalFn;
-                }
-                if (!entry.listeners.includes(listener)) {
-                    entry.listeners.push(listener);
-                }
-                return signalFn;
-            };
+    for (let i = openIdx; i < input.length; i++) {
+        const ch = input[i];
+        const next = input[i + 1];
 
-            signalFn.remove = function(listener) {
-                if (typeof listener !== 'function') {
-                    return signalFn;
-                }
-                entry.listeners = entry.listeners.filter((current) => current !== listener);
-                return signalFn;
-            };
+        if (inLineComment) {
+            if (ch === '\n' || ch === '\r') {
+                inLineComment = false;
+            }
+            continue;
+        }
 
-            signalFn.emit = function(...args) {
-                return signalFn(...args);
-            };
+        if (inBlockComment) {
+            if (ch === '*' && next === '/') {
+                inBlockComment = false;
+                i++;
+            }
+            continue;
+        }
 
-            signalFn.__qhtmlSignalHost = host;
-            signalFn.__qhtmlSignalName = signalName;
-            host[signalName] = signalFn;
+        if (inSingle) {
+            if (escaped) {
+                escaped = false;
+                continue;
+            }
+            if (ch === '\\') {
+                escaped = true;
+                continue;
+            }
+            if (ch === '\'') {
+                inSingle = false;
+            }
+            continue;
         }
 
-        entry.emitter = signalFn;
-    });
+        if (inDouble) {
+            if (escaped) {
+                escaped = false;
+                continue;
+            }
+            if (ch === '\\') {
+                escaped = true;
+                continue;
+            }
+            if (ch === '"') {
+                inDouble = false;
+            }
+            continue;
+        }
 
-    const normalizedHandlers = (Array.isArray(signalHandlers) ? signalHandlers : [])
-        .map((entry) => ({
-            signalName: String(entry && entry.signalName ? entry.signalName : '').trim(),
-            params: String(entry && entry.params ? entry.params : '').trim(),
-            body: String(entry && entry.body ? entry.body : '').trim()
-        }))
-        .filter((entry) => entry.signalName && entry.body);
+        if (inBacktick) {
+            if (escaped) {
+                escaped = false;
+                continue;
+            }
+            if (ch === '\\') {
+                escaped = true;
+                continue;
+            }
+            if (ch === '`') {
+                inBacktick = false;
+            }
+            continue;
+        }
 
-    normalizedHandlers.forEach((handlerDef) => {
-        const entry = store[handlerDef.signalName];
-        if (!entry) {
-            return;
+        if (ch === '/' && next === '/') {
+            inLineComment = true;
+            i++;
+            continue;
         }
-        const handlerKey = `${handlerDef.signalName}|${handlerDef.params}|${handlerDef.body}`;
-        if (entry.handlerKeys.has(handlerKey)) {
-            return;
+        if (ch === '/' && next === '*') {
+            inBlockComment = true;
+            i++;
+            continue;
         }
-        try {
-            const fn = new Function(handlerDef.params, handlerDef.body);
-            const listener = function(...args) {
-                const restoreThisContext = applyQHtmlRuntimeThisContext(host);
-                try {
-                    return fn.apply(host, args);
-                } finally {
-                    if (typeof restoreThisContext === 'function') {
-                        restoreThisContext();
-                    }
-                }
-            };
-            entry.listeners.push(listener);
-            entry.handlerKeys.add(handlerKey);
-        } catch (err) {
-            componentLogger.error(componentId, `Failed to compile signal handler for "${handlerDef.signalName}".`);
+        if (ch === '\'') {
+            inSingle = true;
+            continue;
+        }
+        if (ch === '"') {
+            inDouble = true;
+            continue;
+        }
+        if (ch === '`') {
+            inBacktick = true;
+            continue;
         }
-    });
-}
 
-function installGeneratedComponentBaseMethods(ctor) {
-    if (!ctor || !ctor.prototype) {
-        return;
-    }
-    if (typeof ctor.prototype.slots !== 'function') {
-        ctor.prototype.slots = function() {
-            return listComponentSlotNames(this);
-        };
-    }
-    if (typeof ctor.prototype.into !== 'function') {
-        ctor.prototype.into = function(slotId, payload) {
-            injectIntoComponentSlot(this, slotId, payload);
-            return this;
-        };
-    }
-    if (typeof ctor.prototype.resolveSlots !== 'function') {
-        ctor.prototype.resolveSlots = function() {
-            resolveComponentSlotsInPlace(this);
-            return this;
-        };
-    }
-    if (typeof ctor.prototype.toTemplate !== 'function') {
-        ctor.prototype.toTemplate = function() {
-            return toTemplateComponentInstance(this, { recursive: false });
-        };
-    }
-    if (typeof ctor.prototype.toTemplateRecursive !== 'function') {
-        ctor.prototype.toTemplateRecursive = function() {
-            return toTemplateComponentInstance(this, { recursive: true });
-        };
+        if (ch === '{') {
+            depth++;
+            continue;
+        }
+        if (ch === '}') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+            if (depth < 0) {
+                return -1;
+            }
+        }
     }
+
+    return -1;
 }
 
-function bindComponentActionsRecursively(root, actionNames) {
-    if (!root || typeof root.querySelectorAll !== 'function') {
-        return;
+function buildQScriptParentContext(source, scriptStart, braceOpen, braceClose) {
+    const parentBraceOpen = findNearestOpenBraceBeforeIndex(source, scriptStart);
+    let parentTagToken = '';
+    if (parentBraceOpen !== -1) {
+        parentTagToken = extractTokenBeforeIndex(source, parentBraceOpen);
     }
-    const names = (Array.isArray(actionNames) ? actionNames : [])
-        .map((name) => String(name || '').trim())
-        .filter(Boolean);
-    if (!names.length) {
-        return;
+    if (!parentTagToken) {
+        parentTagToken = extractTokenBeforeIndex(source, scriptStart);
     }
-    const bindOnNode = (node, ownerRoot) => {
-        if (!node || node.nodeType !== 1) {
-            return;
-        }
-        names.forEach((actionName) => {
-            if (typeof node[actionName] === 'function') {
-                return;
-            }
-            node[actionName] = function(...args) {
-                if (ownerRoot && typeof ownerRoot[actionName] === 'function') {
-                    return ownerRoot[actionName](...args);
-                }
-                return undefined;
-            };
-        });
+    const parsed = parseTagWithClasses(parentTagToken);
+    return {
+        tag: parsed.base || parentTagToken || '',
+        tagToken: parentTagToken || '',
+        classes: parsed.classes || [],
+        parentBraceOpen,
+        qScriptStart: scriptStart,
+        qScriptBraceOpen: braceOpen,
+        qScriptBraceClose: braceClose
     };
-    bindOnNode(root, root);
-    const descendants = root.querySelectorAll('*');
-    descendants.forEach((node) => bindOnNode(node, root));
 }
 
-function observeComponentActionBinding(root, actionNames) {
-    if (!root || typeof root.querySelectorAll !== 'function' || typeof MutationObserver === 'undefined') {
-        return;
-    }
-    const names = (Array.isArray(actionNames) ? actionNames : [])
-        .map((name) => String(name || '').trim())
-        .filter(Boolean);
-    if (!names.length) {
-        return;
+function executeQScriptBlock(scriptBody, context, thisArg, hasExplicitThisArg = false) {
+    const body = String(scriptBody || '');
+    const hostTag = context && context.tag ? context.tag : '';
+    const boundThis = hasExplicitThisArg ? thisArg : (context || {});
+    let restoreThisContext = null;
+    if (hasExplicitThisArg) {
+        restoreThisContext = applyQHtmlRuntimeThisContext(thisArg);
     }
-    bindComponentActionsRecursively(root, names);
-    if (root.__qhtmlActionBindingObserver) {
-        return;
+    try {
+        const fn = compileQHtmlFunction([], body, 'q-script');
+        const result = fn.call(boundThis);
+        if (typeof result === 'undefined') {
+            componentLogger.warn(hostTag, 'q-script returned undefined; replacing block with empty output.');
+            return '';
+        }
+        if (result == null) {
+            return '';
+        }
+        // The result is spliced into the QHTML source; its html {} blocks are
+        // sanitized when they are rendered.
+        return String(result);
+    } catch (err) {
+        const message = err && err.message ? err.message : String(err);
+        componentLogger.error(hostTag, `q-script execution failed: ${message}`);
+        return '';
+    } finally {
+        if (typeof restoreThisContext === 'function') {
+            restoreThisContext();
+        }
     }
-    const observer = new MutationObserver((mutations) => {
-        mutations.forEach((mutation) => {
-            if (!mutation || mutation.type !== 'childList') {
-                return;
-            }
-            mutation.addedNodes.forEach((node) => {
-                if (!node || node.nodeType !== 1) {
-                    return;
-                }
-                names.forEach((actionName) => {
-                    if (typeof node[actionName] !== 'function') {
-                        node[actionName] = function(...args) {
-                            if (typeof root[actionName] === 'function') {
-                                return root[actionName](...args);
-                            }
-                            return undefined;
-                        };
-                    }
-                });
-                if (typeof node.querySelectorAll === 'function') {
-                    node.querySelectorAll('*').forEach((child) => {
-                        names.forEach((actionName) => {
-                            if (typeof child[actionName] === 'function') {
-                                return;
-                            }
-                            child[actionName] = function(...args) {
-                                if (typeof root[actionName] === 'function') {
-                                    return root[actionName](...args);
-                                }
-                                return undefined;
-                            };
-                        });
-                    });
-                }
-            });
-        });
-    });
-    observer.observe(root, { childList: true, subtree: true });
-    root.__qhtmlActionBindingObserver = observer;
 }
 
-function installElementQHtmlGetter() {
-    if (typeof Element === 'undefined' || !Element.prototype) {
-        return;
-    }
-    const existing = Object.getOwnPropertyDescriptor(Element.prototype, 'qhtml');
-    if (existing) {
-        return;
-    }
-    Object.defineProperty(Element.prototype, 'qhtml', {
-        configurable: true,
-        enumerable: false,
-        get() {
-            if (!this || typeof this.getAttribute !== 'function') {
-                return null;
+function evaluateQScriptBlocks(input, options = {}) {
+    let out = String(input || '');
+    const maxPasses = Number(options.maxPasses) > 0 ? Number(options.maxPasses) : 250;
+    const topLevelOnly = !!options.topLevelOnly;
+    const wrapPrimitiveTopLevel = !!options.wrapPrimitiveTopLevel;
+    const hasExplicitThisArg = Object.prototype.hasOwnProperty.call(options, 'thisArg');
+    const explicitThisArg = options.thisArg;
+    let pass = 0;
+    while (pass < maxPasses) {
+        let changed = false;
+        let pos = 0;
+        while (true) {
+            const start = findStandaloneKeyword(out, 'q-script', pos);
+            if (start === -1) {
+                break;
             }
-            const templateId = this.getAttribute('qhtml-runtime-template-id');
-            if (!templateId || typeof document === 'undefined') {
-                return null;
+            let open = start + 'q-script'.length;
+            while (open < out.length && /\s/.test(out[open])) {
+                open++;
             }
-            const registry = ensureQHtmlRuntimeRegistry();
-            if (registry && registry.byTemplateId && registry.byTemplateId[templateId]) {
-                return registry.byTemplateId[templateId];
+            if (out[open] !== '{') {
+                pos = start + 'q-script'.length;
+                continue;
             }
-            const template = document.getElementById(templateId);
-            if (!template || String(template.tagName || '').toLowerCase() !== 'template' || !template.content) {
-                return null;
+            const close = findMatchingBraceWithLiterals(out, open);
+            if (close === -1) {
+                componentLogger.error('', 'q-script block is missing a closing brace.');
+                return out;
             }
-            return template.content.firstElementChild || null;
+            const scriptBody = out.slice(open + 1, close);
+            const context = buildQScriptParentContext(out, start, open, close);
+            if (topLevelOnly && context.parentBraceOpen !== -1) {
+                pos = start + 'q-script'.length;
+                continue;
+            }
+            let replacement = executeQScriptBlock(scriptBody, context, explicitThisArg, hasExplicitThisArg);
+            if (wrapPrimitiveTopLevel && context.parentBraceOpen === -1) {
+                const nextSlice = out.slice(close + 1);
+                const prevSlice = out.slice(0, start);
+                const nextCharMatch = nextSlice.match(/\S/);
+                const prevCharMatch = prevSlice.match(/\S(?=\s*$)/);
+                const nextChar = nextCharMatch ? nextCharMatch[0] : '';
+                const prevChar = prevCharMatch ? prevCharMatch[0] : '';
+                const replacementText = String(replacement == null ? '' : replacement).trim();
+                const looksLikeProperty = /^[A-Za-z_][\w\-.]*\s*:/.test(replacementText);
+                const shouldWrapAsText = replacementText
+                    && !looksLikeQHtmlSnippet(replacementText)
+                    && !looksLikeProperty
+                    && nextChar !== '{'
+                    && prevChar !== ':';
+                if (shouldWrapAsText) {
+                    replacement = `text { ${replacementText} }`;
+                }
+            }
+            out = out.slice(0, start) + replacement + out.slice(close + 1);
+            pos = start + replacement.length;
+            changed = true;
         }
-    });
-}
-
-function resolveQHtmlTopLevelForNode(node) {
-    if (!node || node.nodeType !== 1) {
-        return null;
-    }
-    if (node.qhtml) {
-        return node.qhtml;
-    }
-    if (typeof node.getAttribute === 'function' && node.getAttribute('q-component')) {
-        return node;
-    }
-    if (typeof node.closest === 'function') {
-        const owner = node.closest('[q-component]');
-        if (owner) {
-            return owner.qhtml || owner;
+        if (!changed) {
+            return out;
         }
+        pass++;
     }
-    return node;
-}
+    componentLogger.warn('', `q-script evaluation stopped after ${maxPasses} passes; unresolved q-script blocks may remain.`);
+    return out;
+}
 
-function queryRuntimeRegistryBySelector(selector, options = {}) {
-    const { all = false } = options;
-    const registry = ensureQHtmlRuntimeRegistry();
-    if (!registry || !registry.byTemplateId) {
-        return all ? [] : null;
+function createRuntimeTemplateId(componentId) {
+    const base = String(componentId || 'component')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'component';
+    qhtmlRuntimeTemplateCounter += 1;
+    return `${base}-${qhtmlRuntimeTemplateCounter}`;
+}
+
+function indentQHtmlBlock(source, prefix = '  ') {
+    return String(source || '')
+        .split('\n')
+        .map((line) => `${prefix}${line}`)
+        .join('\n');
+}
+
+function buildRuntimeTemplateBlock(templateId, runtimeBlock = '') {
+    const attrs = serializeInvocationAttributes({
+        id: templateId,
+        'qhtml-runtime-template': '1'
+    });
+    const bodyParts = [attrs];
+    if (String(runtimeBlock || '').trim()) {
+        bodyParts.push(runtimeBlock);
     }
-    const seen = new Set();
-    const matches = [];
-    const addMatch = (node) => {
-        if (!node || node.nodeType !== 1 || seen.has(node)) {
-            return;
-        }
-        seen.add(node);
-        matches.push(node);
-    };
+    return `template {\n${indentQHtmlBlock(bodyParts.join('\n'))}\n}`;
+}
 
-    const idMatch = String(selector || '').trim().match(/^#([A-Za-z_][\w\-:.]*)$/);
-    if (idMatch && registry.byInstanceId) {
-        const byId = registry.byInstanceId[idMatch[1]];
-        if (byId) {
-            addMatch(byId);
-            if (!all) {
-                return matches[0] || null;
-            }
+function collectRuntimeTemplateRanges(input) {
+    const ranges = [];
+    let pos = 0;
+    while (true) {
+        const found = findTagInvocation(input, 'template', pos, { allowClasses: true });
+        if (!found) break;
+        const body = input.slice(found.braceOpen + 1, found.braceClose);
+        const flattened = removeNestedBlocks(body);
+        if (/(?:^|\s)qhtml-runtime-template\s*:\s*"1"\s*;?/.test(flattened)) {
+            ranges.push({ start: found.braceOpen, end: found.braceClose });
         }
+        pos = found.braceClose + 1;
     }
+    return ranges;
+}
 
-    Object.values(registry.byTemplateId).forEach((node) => {
-        if (!node || node.nodeType !== 1 || typeof node.matches !== 'function') {
-            return;
-        }
-        try {
-            if (node.matches(selector)) {
-                addMatch(node);
-            }
-        } catch {
-            // ignore invalid selectors here; caller already uses native query APIs
-        }
-    });
+const COMPONENT_SLOTS_RESOLVED_ATTR = 'q-slots-resolved';
 
-    return all ? matches : (matches[0] || null);
+function isComponentSlotsResolved(host) {
+    if (!host || typeof host.getAttribute !== 'function') {
+        return false;
+    }
+    return String(host.getAttribute(COMPONENT_SLOTS_RESOLVED_ATTR) || '').trim().toLowerCase() === 'true';
 }
 
-function installDocumentQHtmlQueryHelpers() {
-    if (typeof Document === 'undefined' || !Document.prototype) {
-        return;
+function warnResolvedComponentSlotApi(host, apiName) {
+    const tag = host && host.tagName ? String(host.tagName).toLowerCase() : 'q-component';
+    console.warn(`qhtml: ${apiName}() is disabled on <${tag}> because ${COMPONENT_SLOTS_RESOLVED_ATTR}=\"true\".`);
+}
+
+function isNodeOwnedByComponentHost(node, host) {
+    if (!node || !host || node.nodeType !== 1 || host.nodeType !== 1) {
+        return false;
     }
-    if (typeof Document.prototype.queryQHTML !== 'function') {
-        Document.prototype.queryQHTML = function(selector) {
-            const query = String(selector || '').trim();
-            if (!query) return null;
-            let liveMatches = [];
-            try {
-                liveMatches = Array.from(this.querySelectorAll(query));
-            } catch {
-                return null;
-            }
-            for (const node of liveMatches) {
-                const resolved = resolveQHtmlTopLevelForNode(node);
-                if (resolved) {
-                    return resolved;
-                }
-            }
-            return queryRuntimeRegistryBySelector(query, { all: false });
-        };
+    if (node === host) {
+        return true;
     }
-    if (typeof Document.prototype.queryQHTMLAll !== 'function') {
-        Document.prototype.queryQHTMLAll = function(selector) {
-            const query = String(selector || '').trim();
-            if (!query) return [];
-            const resolved = [];
-            const seen = new Set();
-            const pushUnique = (node) => {
-                if (!node || seen.has(node)) return;
-                seen.add(node);
-                resolved.push(node);
-            };
-            let liveMatches = [];
-            try {
-                liveMatches = Array.from(this.querySelectorAll(query));
-            } catch {
-                return [];
-            }
-            liveMatches.forEach((node) => {
-                const top = resolveQHtmlTopLevelForNode(node);
-                if (top) pushUnique(top);
-            });
-            const runtimeMatches = queryRuntimeRegistryBySelector(query, { all: true });
-            (Array.isArray(runtimeMatches) ? runtimeMatches : []).forEach((node) => pushUnique(node));
-            return resolved;
-        };
+    if (typeof host.contains === 'function' && !host.contains(node)) {
+        return false;
+    }
+    if (typeof node.closest === 'function') {
+        const owner = node.closest('[q-component]');
+        if (owner) {
+            return owner === host;
+        }
     }
+    return true;
 }
 
-function installRuntimeActionProxiesOnPureRoot(pureRoot, componentId) {
-    if (!pureRoot || pureRoot.nodeType !== 1) {
-        return;
+function findComponentSlotAnchors(host, slotId = '') {
+    if (!host || typeof host.querySelectorAll !== 'function') {
+        return [];
     }
-    const key = String(componentId || '').toLowerCase();
-    const actions = qhtmlGeneratedComponentActionCache.get(key) || [];
-    actions.forEach((entry) => {
-        const actionName = String(entry && entry.name ? entry.name : '').trim();
-        if (!actionName || typeof pureRoot[actionName] === 'function') {
+    const normalized = String(slotId == null ? '' : slotId).trim();
+    const anchors = [];
+    const selector = '[q-slot-anchor="1"][slot]';
+    let candidates = Array.from(host.querySelectorAll(selector));
+    if (!candidates.length) {
+        candidates = Array.from(host.querySelectorAll('[slot]')).filter((node) => {
+            return String(node && node.tagName ? node.tagName : '').toLowerCase() !== 'q-into';
+        });
+    }
+    candidates.forEach((node) => {
+        if (!node || typeof node.getAttribute !== 'function') {
             return;
         }
-        pureRoot[actionName] = function(...args) {
-            const runtime = this.qhtml;
-            if (runtime && typeof runtime[actionName] === 'function') {
-                return runtime[actionName](...args);
-            }
-            return undefined;
-        };
-    });
-}
-
-function transferRuntimeHostAttributesToPureRoot(runtimeNode, pureRoot) {
-    if (!runtimeNode || !pureRoot || runtimeNode.nodeType !== 1 || pureRoot.nodeType !== 1) {
-        return;
-    }
-    const internal = new Set([
-        'qhtml-runtime-host',
-        'qhtml-runtime-template-id',
-        'qhtml-runtime-component',
-        'qhtml-component-instance'
-    ]);
-    Array.from(runtimeNode.attributes || []).forEach((attr) => {
-        const name = String(attr && attr.name ? attr.name : '').trim();
-        if (!name || internal.has(name)) {
+        const currentName = String(node.getAttribute('slot') || '').trim();
+        if (!currentName) {
             return;
         }
-        const value = String(attr.value || '');
-        if (name.toLowerCase() === 'class') {
-            mergeClassAttribute(pureRoot, value);
-        } else {
-            pureRoot.setAttribute(name, value);
+        if (!normalized || currentName === normalized) {
+            anchors.push(node);
         }
     });
+    return anchors;
 }
 
-function finalizeRuntimeComponentHosts(root) {
-    if (!root || typeof root.querySelectorAll !== 'function' || typeof document === 'undefined') {
-        return;
-    }
-    const runtimeRegistry = ensureQHtmlRuntimeRegistry();
-    let templateContainer = document.getElementById('qhtml-runtime-templates');
-    if (!templateContainer) {
-        templateContainer = document.createElement('div');
-        templateContainer.id = 'qhtml-runtime-templates';
-        templateContainer.style.display = 'none';
-        (document.body || document.documentElement).appendChild(templateContainer);
+function findComponentIntoCarriers(host, slotId = '') {
+    if (!host || !host.children) {
+        return [];
     }
-    const runtimeHosts = Array.from(root.querySelectorAll('[qhtml-runtime-host="1"][qhtml-runtime-template-id]'));
-    runtimeHosts.forEach((runtimeNode) => {
-        const templateId = String(runtimeNode.getAttribute('qhtml-runtime-template-id') || '').trim();
-        if (!templateId) {
+    const normalized = String(slotId == null ? '' : slotId).trim();
+    const carriers = [];
+    Array.from(host.children).forEach((node) => {
+        if (!node || node.nodeType !== 1) {
             return;
         }
-        const insertionParent = runtimeNode.parentNode;
-        const insertionNext = runtimeNode.nextSibling;
-        let template = document.getElementById(templateId);
-        if (!template || String(template.tagName || '').toLowerCase() !== 'template') {
-            template = document.createElement('template');
-            template.id = templateId;
+        const tagName = String(node.tagName || '').toLowerCase();
+        if (tagName !== 'q-into' && tagName !== 'into') {
+            return;
         }
-        if (!insertionParent) {
+        if (typeof node.hasAttribute === 'function' && node.hasAttribute('q-slot-anchor')) {
             return;
         }
-
-        const runtimeId = String(runtimeNode.getAttribute('id') || '').trim();
-        const componentId = String(runtimeNode.getAttribute('qhtml-runtime-component') || runtimeNode.tagName || '').toLowerCase();
-        const pureFragment = document.createDocumentFragment();
-        const runtimeInstance = runtimeNode;
-
-        if (runtimeRegistry && runtimeRegistry.byTemplateId) {
-            runtimeRegistry.byTemplateId[templateId] = runtimeInstance;
+        const currentName = String(node.getAttribute('slot') || '').trim();
+        if (!currentName) {
+            return;
         }
-        if (runtimeRegistry && runtimeRegistry.byInstanceId && runtimeId) {
-            runtimeRegistry.byInstanceId[runtimeId] = runtimeInstance;
+        if (!normalized || currentName === normalized) {
+            carriers.push(node);
         }
+    });
+    return carriers;
+}
 
-        while (template.content.firstChild) {
-            template.content.removeChild(template.content.firstChild);
-        }
-        template.content.appendChild(runtimeInstance);
+function findOwnedComponentSlotAnchors(host, slotId = '') {
+    return findComponentSlotAnchors(host, slotId).filter((node) => isNodeOwnedByComponentHost(node, host));
+}
 
-        while (runtimeInstance.firstChild) {
-            pureFragment.appendChild(runtimeInstance.firstChild);
+function createComponentClassSlotMarker(slotId) {
+    const normalized = String(slotId == null ? '' : slotId)
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return normalized ? `qhtml-slot-${normalized}` : '';
+}
+
+function findComponentClassSlotTargets(host, slotId = '') {
+    if (!host || typeof host.querySelectorAll !== 'function') {
+        return [];
+    }
+    const normalizedSlot = String(slotId == null ? '' : slotId).trim().toLowerCase();
+    if (!normalizedSlot) {
+        return [];
+    }
+    if (!host.__qhtmlClassSlotTargets || typeof host.__qhtmlClassSlotTargets !== 'object') {
+        host.__qhtmlClassSlotTargets = Object.create(null);
+    }
+    const cached = host.__qhtmlClassSlotTargets[normalizedSlot];
+    if (Array.isArray(cached) && cached.length) {
+        return cached.filter((node) => !!node && node.isConnected);
+    }
+    const marker = createComponentClassSlotMarker(normalizedSlot);
+    if (!marker) {
+        return [];
+    }
+    const targets = [];
+    if (host.classList && host.classList.contains(marker)) {
+        targets.push(host);
+        host.classList.remove(marker);
+    }
+    Array.from(host.querySelectorAll('*')).forEach((node) => {
+        if (node && node.classList && node.classList.contains(marker)) {
+            targets.push(node);
+            node.classList.remove(marker);
         }
+    });
+    host.__qhtmlClassSlotTargets[normalizedSlot] = targets;
+    return targets;
+}
 
-        let firstPureElement = null;
-        let cursor = pureFragment.firstChild;
-        while (cursor) {
-            if (cursor.nodeType === 1) {
-                firstPureElement = cursor;
-                break;
+function parseClassTokensFromSlotCarrier(carrier) {
+    const raw = String((carrier && carrier.textContent) || '');
+    const tokens = new Set();
+    const dotMatches = raw.match(/\.[A-Za-z_][A-Za-z0-9_-]*/g) || [];
+    dotMatches.forEach((match) => {
+        const token = match.slice(1).trim();
+        if (token) {
+            tokens.add(token);
+        }
+    });
+    if (!dotMatches.length) {
+        raw.split(/[\s,]+/).forEach((piece) => {
+            const token = String(piece || '').trim();
+            if (/^[A-Za-z_][A-Za-z0-9_-]*$/.test(token)) {
+                tokens.add(token);
             }
-            cursor = cursor.nextSibling;
+        });
+    }
+    return Array.from(tokens);
+}
+
+function syncGeneratedComponentClassSlotsFromCarriers(host) {
+    if (!host) {
+        return;
+    }
+    const carriers = findComponentIntoCarriers(host);
+    carriers.forEach((carrier) => {
+        const slotName = String(carrier.getAttribute('slot') || '').trim();
+        const normalizedSlot = slotName.toLowerCase();
+        if (!slotName) {
+            return;
         }
-        if (firstPureElement) {
-            firstPureElement.setAttribute('qhtml-runtime-template-id', templateId);
-            transferRuntimeHostAttributesToPureRoot(runtimeInstance, firstPureElement);
-            if (runtimeId) {
-                firstPureElement.setAttribute('id', runtimeId);
+        const targets = findComponentClassSlotTargets(host, normalizedSlot);
+        if (!targets.length) {
+            return;
+        }
+        const nextClasses = parseClassTokensFromSlotCarrier(carrier);
+        targets.forEach((target) => {
+            if (!target || !target.classList) {
+                return;
             }
-            installRuntimeActionProxiesOnPureRoot(firstPureElement, componentId);
+            if (!target.__qhtmlClassSlotApplied || typeof target.__qhtmlClassSlotApplied !== 'object') {
+                target.__qhtmlClassSlotApplied = Object.create(null);
+            }
+            const prev = Array.isArray(target.__qhtmlClassSlotApplied[normalizedSlot])
+                ? target.__qhtmlClassSlotApplied[normalizedSlot]
+                : [];
+            prev.forEach((className) => {
+                if (className) {
+                    target.classList.remove(className);
+                }
+            });
+            nextClasses.forEach((className) => {
+                if (className) {
+                    target.classList.add(className);
+                }
+            });
+            target.__qhtmlClassSlotApplied[normalizedSlot] = nextClasses;
+        });
+    });
+}
+
+function cloneNodeList(nodes) {
+    return (Array.isArray(nodes) ? nodes : []).map((node) => {
+        if (!node || typeof node.cloneNode !== 'function') {
+            return null;
         }
+        return cloneQHtmlNode(node);
+    }).filter(Boolean);
+}
 
-        runtimeInstance.removeAttribute('qhtml-runtime-host');
-        runtimeInstance.removeAttribute('qhtml-runtime-template-id');
-        runtimeInstance.removeAttribute('qhtml-runtime-component');
-        runtimeInstance.removeAttribute('qhtml-component-instance');
-        insertionParent.insertBefore(pureFragment, insertionNext);
-        templateContainer.appendChild(template);
+function replaceNodeChildren(target, nodes, options = {}) {
+    if (!target) {
+        return;
+    }
+    const { consumeFirst = false } = options;
+    while (target.firstChild) {
+        target.removeChild(target.firstChild);
+    }
+    (Array.isArray(nodes) ? nodes : []).forEach((node, idx) => {
+        if (!node) return;
+        const useOriginal = consumeFirst && idx === 0;
+        const next = useOriginal ? node : cloneQHtmlNode(node);
+        target.appendChild(next);
     });
 }
 
-function isValidCustomElementName(name) {
-    const normalized = String(name || '').trim();
-    if (!normalized) return false;
-    if (!normalized.includes('-')) return false;
-    if (/[A-Z]/.test(normalized)) return false;
-    return /^[a-z][a-z0-9._-]*-[a-z0-9._-]*$/.test(normalized);
+function hasQHtmlSlotContent(nodes) {
+    return (Array.isArray(nodes) ? nodes : []).some((node) => {
+        if (!node || node.nodeType === 8) return false;
+        if (node.nodeType === 3) return !!String(node.textContent || '').trim();
+        return true;
+    });
 }
 
-function shouldUseCustomComponentHost(componentId) {
-    if (!isValidCustomElementName(componentId)) {
-        return false;
-    }
-    if (typeof window === 'undefined') {
+function writeNodesIntoComponentAnchors(host, slotId, nodes) {
+    const anchors = findOwnedComponentSlotAnchors(host, slotId);
+    if (!anchors.length) {
         return false;
     }
-    return window.qhtmlCustomComponentHosts === true;
+    // Empty content shows the slot's `default { ... }` fallback instead; an
+    // anchor already showing it is left alone so its state survives re-syncs.
+    const fallbacks = getGeneratedComponentSlotFallbacks(host.tagName);
+    const slotName = String(slotId == null ? '' : slotId).trim();
+    const useFallback = fallbacks.has(slotName) && !hasQHtmlSlotContent(nodes);
+    anchors.forEach((anchor, anchorIdx) => {
+        if (useFallback) {
+            if (anchor.__qhtmlSlotFallback) {
+                return;
+            }
+            replaceNodeChildren(anchor, parseQHtmlSnippetToNodes(fallbacks.get(slotName), host), { consumeFirst: true });
+        } else {
+            replaceNodeChildren(anchor, nodes, { consumeFirst: anchorIdx === 0 });
+        }
+        anchor.__qhtmlSlotFallback = useFallback;
+        if (anchor.isConnected) {
+            activateQHtmlBindings(anchor);
+        }
+    });
+    return true;
 }
 
-function compileGeneratedComponentActions(componentId, actions) {
-    const compiled = [];
-    (Array.isArray(actions) ? actions : []).forEach((action) => {
-        const actionName = String(action && action.name ? action.name : '').trim();
-        const actionParams = String(action && action.params ? action.params : '').trim();
-        const actionBody = String(action && action.body ? action.body : '').trim();
-        if (!actionName) {
-            return;
+function ensureComponentIntoCarrier(host, slotId) {
+    const existing = findComponentIntoCarriers(host, slotId);
+    if (existing.length) {
+        const carrier = existing[0];
+        if (!carrier.getAttribute('q-into-carrier')) {
+            carrier.setAttribute('q-into-carrier', '1');
         }
-        try {
-            const fn = new Function(actionParams, actionBody);
-            compiled.push({ name: actionName, fn });
-        } catch (err) {
-            componentLogger.error(componentId, `Failed to compile component action "${actionName}".`);
+        const rawStyle = String(carrier.getAttribute('style') || '');
+        const existingStyle = rawStyle.toLowerCase();
+        if (!/display\s*:\s*none/.test(existingStyle)) {
+            const normalized = rawStyle.trim();
+            const next = normalized
+                ? `${normalized}${normalized.endsWith(';') ? '' : ';'} display: none;`
+                : 'display: none;';
+            carrier.setAttribute('style', next);
         }
-    });
-    return compiled;
+        return carrier;
+    }
+    if (!host || typeof document === 'undefined' || typeof host.appendChild !== 'function') {
+        return null;
+    }
+    const carrier = document.createElement('q-into');
+    carrier.setAttribute('slot', String(slotId || '').trim());
+    carrier.setAttribute('q-into-carrier', '1');
+    carrier.setAttribute('style', 'display: none;');
+    host.appendChild(carrier);
+    return carrier;
 }
 
-function installGeneratedComponentActions(ctor, componentId, actions) {
-    if (!ctor || !ctor.prototype) {
+function syncGeneratedComponentSlotsFromCarriers(host) {
+    if (!host || isComponentSlotsResolved(host)) {
         return;
     }
-    installGeneratedComponentBaseMethods(ctor);
-    const compiled = compileGeneratedComponentActions(componentId, actions);
-    qhtmlGeneratedComponentActionCache.set(componentId, compiled);
-    compiled.forEach((entry) => {
-        ctor.prototype[entry.name] = function(...args) {
-            return entry.fn.apply(this, args);
-        };
+    if (host.shadowRoot && host.shadowRoot.__qhtmlShadowTemplate) {
+        projectCarriersIntoNativeSlots(host);
+        return;
+    }
+    const carriers = findComponentIntoCarriers(host);
+    const supplied = new Set();
+    carriers.forEach((carrier) => {
+        const slotName = String(carrier.getAttribute('slot') || '').trim();
+        if (!slotName) {
+            return;
+        }
+        const payload = Array.from(carrier.childNodes || []).map((node) => cloneQHtmlNode(node));
+        writeNodesIntoComponentAnchors(host, slotName, payload);
+        supplied.add(slotName);
+    });
+    getGeneratedComponentSlotFallbacks(host.tagName).forEach((fallback, slotName) => {
+        if (!supplied.has(slotName)) {
+            writeNodesIntoComponentAnchors(host, slotName, []);
+        }
     });
+    syncGeneratedComponentClassSlotsFromCarriers(host);
 }
 
-function ensureGeneratedCustomElement(componentId, actions, signals = [], signalHandlers = []) {
-    if (!isValidCustomElementName(componentId)) {
-        return false;
+function normalizeImplicitContentToSingleSlotCarrier(host, slotName) {
+    if (!host || !slotName || isComponentSlotsResolved(host) || host.hasAttribute('qhtml-prerendered')) {
+        return;
     }
-    if (typeof window === 'undefined' || !window.customElements) {
-        return false;
+    if (findComponentIntoCarriers(host).length) {
+        return;
     }
-    const existing = window.customElements.get(componentId);
-    if (existing) {
-        installGeneratedComponentActions(existing, componentId, actions);
+    // Nodes of the hydrated template are not implicit slot content, even when
+    // no carrier was created because the invocation supplied nothing.
+    const payload = Array.from(host.childNodes || []).filter((node) => {
+        if (!node || node.__qhtmlComponentTemplateNode) return false;
+        if (node.nodeType === 8) return false;
+        if (node.nodeType === 3 && !String(node.textContent || '').trim()) return false;
+        if (node.nodeType === 1) {
+            const el = node;
+            if (el.hasAttribute && el.hasAttribute('q-slot-anchor')) return false;
+            if (String(el.tagName || '').toLowerCase() === 'q-into') return false;
+        }
         return true;
+    });
+    if (!payload.length) {
+        return;
     }
-    class GeneratedQHtmlComponent extends HTMLElement {
-        connectedCallback() {
-            if (!isComponentSlotsResolved(this)) {
-                const slotNames = getGeneratedComponentSlotNames(componentId);
-                if (slotNames.length === 1) {
-                    normalizeImplicitContentToSingleSlotCarrier(this, slotNames[0]);
-                }
-                ensureGeneratedComponentTemplateHydrated(this);
-                syncGeneratedComponentSlotsFromCarriers(this);
-            }
-            const componentSignals = getGeneratedComponentSignals(componentId);
-            const componentSignalHandlers = getGeneratedComponentSignalHandlers(componentId);
-            ensureComponentSignals(this, componentSignals, componentSignalHandlers, componentId);
-            const actionNames = (qhtmlGeneratedComponentActionCache.get(componentId) || [])
-                .map((entry) => String(entry && entry.name ? entry.name : '').trim())
-                .filter(Boolean);
-            if (actionNames.length) {
-                bindComponentActionsRecursively(this, actionNames);
-                observeComponentActionBinding(this, actionNames);
-            }
+    const carrier = ensureComponentIntoCarrier(host, slotName);
+    if (!carrier) {
+        return;
+    }
+    payload.forEach((node) => carrier.appendChild(node));
+}
+
+function unwrapNodePreservingChildren(node) {
+    if (!node || node.nodeType !== 1 || !node.parentNode) {
+        return;
+    }
+    const parent = node.parentNode;
+    while (node.firstChild) {
+        parent.insertBefore(node.firstChild, node);
+    }
+    parent.removeChild(node);
+}
+
+function resolveComponentSlotsInPlace(host, options = {}) {
+    const { warnIfAlreadyResolved = true } = options;
+    if (!host || host.nodeType !== 1) {
+        return false;
+    }
+    if (isComponentSlotsResolved(host)) {
+        if (warnIfAlreadyResolved) {
+            warnResolvedComponentSlotApi(host, 'resolveSlots');
         }
+        return true;
     }
-    GeneratedQHtmlComponent.__qhtmlGeneratedComponent = true;
-    window.customElements.define(componentId, GeneratedQHtmlComponent);
-    const ctor = window.customElements.get(componentId);
-    installGeneratedComponentActions(ctor, componentId, actions);
+    ensureGeneratedComponentTemplateHydrated(host);
+    syncGeneratedComponentSlotsFromCarriers(host);
+    findComponentIntoCarriers(host).forEach((carrier) => {
+        if (carrier && carrier.parentNode === host) {
+            host.removeChild(carrier);
+        }
+    });
+    findOwnedComponentSlotAnchors(host).forEach((anchor) => {
+        unwrapNodePreservingChildren(anchor);
+    });
+    host.setAttribute(COMPONENT_SLOTS_RESOLVED_ATTR, 'true');
     return true;
 }
 
-/**
- * Add a trailing semicolon to property definitions missing one.  Properties
- * are expressed as `name: "value"` pairs; this helper ensures they are
- * terminated properly for downstream parsing.
- *
- * @param {string} input Raw qhtml text
- * @returns {string} The input with semicolons appended to property lines
- */
-function stripBlockComments(input) {
-    let result = '';
-    let inSingleQuote = false;
-    let inDoubleQuote = false;
-    let isEscaped = false;
-
-    for (let i = 0; i < input.length; i++) {
-        const ch = input[i];
-        const next = input[i + 1];
+function teardownComponentRuntimeInstance(host) {
+    if (!host || host.nodeType !== 1) {
+        return;
+    }
+    if (host.__qhtmlActionBindingObserver && typeof host.__qhtmlActionBindingObserver.disconnect === 'function') {
+        host.__qhtmlActionBindingObserver.disconnect();
+    }
+    delete host.__qhtmlActionBindingObserver;
 
-        if (!inSingleQuote && !inDoubleQuote && ch === '/' && next === '*') {
-            i += 2;
-            while (i < input.length) {
-                if (input[i] === '*' && input[i + 1] === '/') {
-                    i += 1;
-                    break;
+    releaseGeneratedComponentResources(host);
+    releaseQHtmlConnectionsOf(host);
+    const signalStore = host.__qhtmlSignalStore;
+    if (signalStore && typeof signalStore === 'object') {
+        Object.keys(signalStore).forEach((signalName) => {
+            const entry = signalStore[signalName];
+            const emitter = host[signalName];
+            if (emitter && typeof emitter.disconnect === 'function') {
+                try {
+                    emitter.disconnect();
+                } catch {
+                    // ignore disconnect failures during teardown
                 }
-                i++;
             }
-            continue;
-        }
-
-        result += ch;
+            if (entry && Array.isArray(entry.listeners)) {
+                entry.listeners.length = 0;
+            }
+            if (entry && entry.connectionMap instanceof Map) {
+                entry.connectionMap.clear();
+            }
+            if (entry && entry.handlerKeys instanceof Set) {
+                entry.handlerKeys.clear();
+            }
+            try {
+                delete host[signalName];
+            } catch {
+                // ignore property cleanup failures
+            }
+        });
+    }
+    delete host.__qhtmlSignalStore;
 
-        if (isEscaped) {
-            isEscaped = false;
-            continue;
-        }
+    if (Array.isArray(host.__qhtmlWatchers)) {
+        host.__qhtmlWatchers.forEach((watcher) => watcher.dispose());
+    }
+    delete host.__qhtmlWatchers;
+}
 
-        if (ch === '\\') {
-            isEscaped = true;
-            continue;
-        }
+function countNodeDepth(node) {
+    let depth = 0;
+    let cursor = node;
+    while (cursor && cursor.parentElement) {
+        depth += 1;
+        cursor = cursor.parentElement;
+    }
+    return depth;
+}
 
-        if (ch === '"' && !inSingleQuote) {
-            inDoubleQuote = !inDoubleQuote;
-            continue;
-        }
+function toTemplateComponentInstance(host, options = {}) {
+    const { recursive = false } = options;
+    if (!host || host.nodeType !== 1 || typeof document === 'undefined') {
+        return [];
+    }
 
-        if (ch === '\'' && !inDoubleQuote) {
-            inSingleQuote = !inSingleQuote;
-        }
+    if (recursive && typeof host.querySelectorAll === 'function') {
+        const descendants = Array.from(host.querySelectorAll('[q-component]'))
+            .filter((node) => node && node.nodeType === 1 && node !== host)
+            .sort((a, b) => countNodeDepth(b) - countNodeDepth(a));
+        descendants.forEach((node) => {
+            if (node && node.parentNode) {
+                toTemplateComponentInstance(node, { recursive: false });
+            }
+        });
     }
 
-    return result;
-}
+    resolveComponentSlotsInPlace(host, { warnIfAlreadyResolved: false });
+    teardownComponentRuntimeInstance(host);
 
-function addSemicolonToProperties(input) {
-    const regex = /(\w+)\s*:\s*("[^"]*")(?!;)/g;
-    return input.replace(regex, "$1: $2;");
+    const parent = host.parentNode;
+    if (!parent || typeof parent.insertBefore !== 'function') {
+        return [];
+    }
+    const insertedNodes = [];
+    const fragment = document.createDocumentFragment();
+    while (host.firstChild) {
+        const child = host.firstChild;
+        insertedNodes.push(child);
+        fragment.appendChild(child);
+    }
+    parent.insertBefore(fragment, host);
+    if (typeof parent.removeChild === 'function') {
+        parent.removeChild(host);
+    }
+    return insertedNodes;
 }
 
-/**
- * Legacy compatibility no-op for backtick preprocessing.
- * Backtick-enclosed content is no longer evaluated as JavaScript.
- *
- * @param {string} input The qhtml text
- * @returns {string} The input unchanged
- */
-function replaceBackticksWithQuotes(input) {
-    return String(input == null ? '' : input);
+function ensureGeneratedComponentTemplateHydrated(host) {
+    if (!host || host.nodeType !== 1 || host.__qhtmlComponentTemplateHydrated || typeof document === 'undefined' || isComponentSlotsResolved(host)) {
+        return;
+    }
+    const componentId = String(host.tagName || '').toLowerCase();
+    const templateSource = String(qhtmlGeneratedComponentTemplateCache.get(componentId) || '').trim();
+    host.__qhtmlComponentTemplateHydrated = true;
+    if (!templateSource || host.hasAttribute('qhtml-prerendered')) {
+        return;
+    }
+    const shadow = isGeneratedComponentShadow(componentId) && typeof host.attachShadow === 'function';
+    // Native slots show fallback content by themselves; light-DOM anchors get
+    // it from syncGeneratedComponentSlotsFromCarriers when no content arrives.
+    const anchorTemplate = replaceTemplateSlots(templateSource, new Map(), {
+        componentId,
+        warnOnMissing: false,
+        preserveAnchors: true,
+        fallbackContent: shadow
+    });
+    if (shadow) {
+        hydrateShadowComponentTemplate(host, componentId, anchorTemplate);
+        return;
+    }
+    const nodes = parseQHtmlSnippetToNodes(anchorTemplate, host);
+    if (!nodes.length) {
+        return;
+    }
+    const frag = document.createDocumentFragment();
+    nodes.forEach((node) => {
+        node.__qhtmlComponentTemplateNode = true;
+        frag.appendChild(node);
+    });
+    host.insertBefore(frag, host.firstChild);
 }
 
+// -----------------------------------------------------------------------------
+// Shadow DOM components
+//
+// `q-component name shadow { ... }` renders its template into an open shadow
+// root.  QHTML slot anchors become native `<slot name>` elements and the
+// `q-into` carriers of an invocation are unwrapped into light-DOM children with
+// a `slot` attribute, so projection is done by the browser.
+
+const qhtmlShadowComponentStyles = new Map();
+
 /**
- * URI-encode quoted segments within the qhtml.  This protects values that
- * contain special characters from interfering with parser logic.  At the
- * end of parsing the encoded values are decoded back to their original
- * representation.
- *
- * @param {string} qhtml The raw qhtml markup
-     * @returns {string} The qhtml with quoted contents encoded
+ * Remember the q-style sheet of a shadow-mode component.  Shadow roots adopt
+ * one shared `CSSStyleSheet` per component, so redefining the component
+ * updates every instance.
  */
-function encodeQuotedStrings(qhtml) {
-    const regex = /"{1}([^\"]*)"{1}/mg;
-    return qhtml.replace(regex, (match, p1) => `"${encodeURIComponent(p1)}"`);
+function setShadowComponentStyle(componentId, css) {
+    const cssText = String(css || '').replace(/:global\(([^)]*)\)/g, '$1');
+    const entry = qhtmlShadowComponentStyles.get(componentId) || { css: '', sheet: null };
+    entry.css = cssText;
+    if (entry.sheet) {
+        entry.sheet.replaceSync(cssText);
+    }
+    qhtmlShadowComponentStyles.set(componentId, entry);
 }
 
-function decodeEncodedStringIfNeeded(value) {
-    const text = String(value == null ? '' : value);
-    if (!/%[0-9A-Fa-f]{2}/.test(text)) {
-        return text;
+function adoptShadowComponentStyles(shadowRoot, componentId) {
+    const entry = qhtmlShadowComponentStyles.get(componentId);
+    if (!entry || !entry.css) {
+        return;
     }
-    return text.replace(/(?:%[0-9A-Fa-f]{2})+/g, (chunk) => {
-        try {
-            return decodeURIComponent(chunk);
-        } catch {
-            return chunk;
+    const canAdopt = typeof CSSStyleSheet === 'function'
+        && 'adoptedStyleSheets' in shadowRoot
+        && typeof CSSStyleSheet.prototype.replaceSync === 'function';
+    if (canAdopt) {
+        if (!entry.sheet) {
+            entry.sheet = new CSSStyleSheet();
+            entry.sheet.replaceSync(entry.css);
         }
-    });
+        if (!shadowRoot.adoptedStyleSheets.includes(entry.sheet)) {
+            shadowRoot.adoptedStyleSheets = shadowRoot.adoptedStyleSheets.concat([entry.sheet]);
+        }
+        return;
+    }
+    const style = document.createElement('style');
+    style.setAttribute('q-style', componentId);
+    style.textContent = entry.css;
+    shadowRoot.insertBefore(style, shadowRoot.firstChild);
 }
 
-function decodeEncodedDomTree(node) {
-    if (!node) {
-        return;
+function toNativeSlotElement(anchor) {
+    const slot = document.createElement('slot');
+    slot.setAttribute('name', String(anchor.getAttribute('slot') || '').trim());
+    // Anything rendered into the anchor becomes fallback content.
+    while (anchor.firstChild) {
+        slot.appendChild(anchor.firstChild);
     }
-    const queue = [node];
-    while (queue.length) {
-        const current = queue.shift();
-        if (!current) {
-            continue;
+    anchor.parentNode.replaceChild(slot, anchor);
+    return slot;
+}
+
+function hydrateShadowComponentTemplate(host, componentId, anchorTemplate) {
+    const shadowRoot = host.shadowRoot || host.attachShadow({ mode: 'open' });
+    shadowRoot.__qhtmlShadowTemplate = true;
+    adoptShadowComponentStyles(shadowRoot, componentId);
+    const frag = document.createDocumentFragment();
+    parseQHtmlSnippetToNodes(anchorTemplate, host).forEach((node) => frag.appendChild(node));
+    Array.from(frag.querySelectorAll('[q-slot-anchor="1"][slot]'))
+        .filter((anchor) => !anchor.parentElement || !anchor.parentElement.closest('[q-component]'))
+        .forEach(toNativeSlotElement);
+    shadowRoot.appendChild(frag);
+    shadowRoot.addEventListener('slotchange', (event) => {
+        const slot = event.target;
+        if (!slot || slot.getRootNode() !== shadowRoot) {
+            return;
         }
-        if (current.nodeType === 1) {
-            const attrs = Array.from(current.attributes || []);
-            attrs.forEach((attr) => {
-                const name = String(attr && attr.name ? attr.name : '');
-                if (!name) {
-                    return;
-                }
-                const raw = String(attr.value || '');
-                const decoded = decodeEncodedStringIfNeeded(raw);
-                if (decoded !== raw) {
-                    current.setAttribute(name, decoded);
-                }
-            });
-        } else if (current.nodeType === 3) {
-            const raw = String(current.textContent || '');
-            const decoded = decodeEncodedStringIfNeeded(raw);
-            if (decoded !== raw) {
-                current.textContent = decoded;
+        host.dispatchEvent(new CustomEvent('slotchange', {
+            detail: {
+                slot: slot.getAttribute('name') || '',
+                nodes: typeof slot.assignedNodes === 'function' ? slot.assignedNodes() : []
             }
-        }
-        if (current.childNodes && current.childNodes.length) {
-            queue.push(...Array.from(current.childNodes));
-        }
-    }
+        }));
+    });
 }
 
-/**
- * Add missing closing braces to a qhtml string.  This function walks the
- * input and tracks nesting depth; if a closing brace is encountered when
- * depth would underflow, a closing brace is added.  At the end, any
- * unmatched opening braces are closed.
- *
- * @param {string} input Raw qhtml
- * @returns {string} qhtml with balanced braces
- */
-function addClosingBraces(input) {
-    let depth = 0;
-    let result = '';
-    for (let i = 0; i < input.length; i++) {
-        if (input[i] === '{') {
-            depth++;
-        } else if (input[i] === '}') {
-            depth--;
-            if (depth < 0) {
-                result += '} '.repeat(-depth);
-                depth = 0;
+function appendNodesToNativeSlot(host, slotName, nodes, before = null) {
+    nodes.forEach((node) => {
+        let slotted = node;
+        if (node.nodeType === 3) {
+            if (!String(node.textContent || '').trim()) {
+                return;
             }
+            // Text cannot carry a slot attribute; wrap it.
+            slotted = document.createElement('span');
+            slotted.appendChild(node);
         }
-        result += input[i];
-    }
-    return result + '} '.repeat(depth);
+        if (slotted.nodeType === 1) {
+            slotted.setAttribute('slot', slotName);
+        }
+        host.insertBefore(slotted, before);
+    });
 }
 
 /**
- * Find the index of the matching closing brace for the opening brace at
- * `openIdx`.  Nested braces are properly tracked.  Returns -1 if no match
- * is found.
+ * Replace the `q-into` carriers of a shadow-mode host with their content,
+ * tagged with `slot="name"` for native projection.
  *
- * @param {string} str Input string containing braces
- * @param {number} openIdx Index of an opening brace
- * @returns {number} Index of the matching closing brace or -1
+ * @param {HTMLElement} host Shadow-mode component host
  */
-function findMatchingBrace(str, openIdx) {
-    let depth = 0;
-    for (let i = openIdx; i < str.length; i++) {
-        const ch = str[i];
-        if (ch === '{') depth++;
-        else if (ch === '}') {
-            depth--;
-            if (depth === 0) return i;
-        }
-    }
-    return -1;
+function projectCarriersIntoNativeSlots(host) {
+    findComponentIntoCarriers(host).forEach((carrier) => {
+        const slotName = String(carrier.getAttribute('slot') || '').trim();
+        appendNodesToNativeSlot(host, slotName, Array.from(carrier.childNodes), carrier);
+        host.removeChild(carrier);
+    });
 }
 
-/**
- * Remove specific top-level properties from a qhtml component definition.  Only
- * properties at the root of the block (not nested within child blocks) are
- * considered.
- *
- * @param {string} blockContent The content of a component block
- * @param {string[]} propNames Names of properties to remove
- * @returns {string} The block content with specified properties removed
- */
-function stripTopLevelProps(blockContent, propNames) {
-    if (!propNames || propNames.length === 0) {
-        return blockContent;
+function hydrateGeneratedComponentInstances(root, options = {}) {
+    const preserved = options.preserved instanceof Set ? options.preserved : null;
+    if (!root || typeof root.querySelectorAll !== 'function') {
+        return;
     }
-    const nameSet = new Set(propNames);
-    let result = '';
-    let depth = 0;
-    let i = 0;
-    while (i < blockContent.length) {
-        const ch = blockContent[i];
-        if (ch === '{') {
-            depth++;
-            result += ch;
-            i++;
-            continue;
-        }
-        if (ch === '}') {
-            depth = Math.max(0, depth - 1);
-            result += ch;
-            i++;
-            continue;
+    const ids = new Set();
+    qhtmlGeneratedComponentTemplateCache.forEach((_, key) => ids.add(key));
+    qhtmlGeneratedComponentActionCache.forEach((_, key) => ids.add(key));
+    if (!ids.size) {
+        return;
+    }
+    ids.forEach((componentId) => {
+        const selector = String(componentId || '').trim();
+        if (!selector) {
+            return;
         }
-        if (depth > 0) {
-            result += ch;
-            i++;
-            continue;
+        let instances = [];
+        try {
+            instances = Array.from(root.querySelectorAll(selector));
+        } catch {
+            instances = [];
         }
-        const match = blockContent.slice(i).match(/^\s*([a-zA-Z_][\w\-.]*)\s*:/);
-        if (match) {
-            const [full, name] = match;
-            if (nameSet.has(name)) {
-                let j = i + full.length;
-                while (j < blockContent.length && /\s/.test(blockContent[j])) j++;
-                if (blockContent[j] === '"') {
-                    j++;
-                    while (j < blockContent.length) {
-                        if (blockContent[j] === '"' && blockContent[j - 1] !== '\\') {
-                            j++;
-                            break;
-                        }
-                        j++;
-                    }
+        instances.forEach((instance) => {
+            if (!instance || instance.nodeType !== 1) {
+                return;
+            }
+            if (!instance.getAttribute('q-component')) {
+                instance.setAttribute('q-component', componentId);
+            }
+            if (!instance.getAttribute('qhtml-component-instance')) {
+                instance.setAttribute('qhtml-component-instance', '1');
+            }
+            if (!isComponentSlotsResolved(instance) && !(preserved && preserved.has(instance))) {
+                const slotNames = getGeneratedComponentSlotNames(componentId);
+                if (slotNames.length === 1) {
+                    normalizeImplicitContentToSingleSlotCarrier(instance, slotNames[0]);
                 }
-                while (j < blockContent.length && /\s/.test(blockContent[j])) j++;
-                if (blockContent[j] === ';') j++;
-                i = j;
-                continue;
+                ensureGeneratedComponentTemplateHydrated(instance);
+                syncGeneratedComponentSlotsFromCarriers(instance);
             }
-        }
-        result += ch;
-        i++;
-    }
-    return result.trim();
+            const compiled = qhtmlGeneratedComponentActionCache.get(componentId) || [];
+            const actionNames = [];
+            compiled.forEach((entry) => {
+                const actionName = String(entry && entry.name ? entry.name : '').trim();
+                if (!actionName) {
+                    return;
+                }
+                actionNames.push(actionName);
+                instance[actionName] = function(...args) {
+                    return entry.fn.apply(this, args);
+                };
+            });
+            if (actionNames.length) {
+                bindComponentActionsRecursively(instance, actionNames);
+                observeComponentActionBinding(instance, actionNames);
+            }
+        });
+    });
 }
 
-/**
- * Escape a string for safe inclusion in a regular expression.
- *
- * @param {string} s The string to escape
- * @returns {string} The escaped string
- */
-function escapeReg(s) {
-    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function listComponentSlotNames(host) {
+    if (isComponentSlotsResolved(host)) {
+        warnResolvedComponentSlotApi(host, 'slots');
+        return [];
+    }
+    const names = [];
+    const seen = new Set();
+    findOwnedComponentSlotAnchors(host).forEach((anchor) => {
+        const slotName = String(anchor.getAttribute('slot') || '').trim();
+        if (!slotName || seen.has(slotName)) {
+            return;
+        }
+        seen.add(slotName);
+        names.push(slotName);
+    });
+    findComponentIntoCarriers(host).forEach((carrier) => {
+        const slotName = String(carrier.getAttribute('slot') || '').trim();
+        if (!slotName || seen.has(slotName)) {
+            return;
+        }
+        seen.add(slotName);
+        names.push(slotName);
+    });
+    const tagName = host && host.tagName ? String(host.tagName).toLowerCase() : '';
+    getGeneratedComponentSlotNames(tagName).forEach((slotName) => {
+        if (!slotName || seen.has(slotName)) {
+            return;
+        }
+        seen.add(slotName);
+        names.push(slotName);
+    });
+    return names;
 }
 
-/**
- * Find an invocation of a component tag (e.g. `<my-tag> { ... }`) within a
- * larger qhtml string.  Returns null if no invocation is found.  This
- * respects quoting and nested braces.
- *
- * @param {string} str The qhtml string
- * @param {string} id The tag name to search for
- * @param {number} fromIndex An optional start index for the search
- * @returns {object|null} An object containing the indices of the tag start,
- *                        opening brace and closing brace
- */
-function findTagInvocation(str, id, fromIndex, options = {}) {
-    const { allowClasses = false } = options;
-    const pattern = allowClasses
-        ? `(^|[^\\w-])(${escapeReg(id)}(?:\\.[A-Za-z0-9_-]+)*)\\s*\\{`
-        : `(^|[^\\w-])(${escapeReg(id)})\\s*\\{`;
-    const re = new RegExp(pattern, 'g');
-    re.lastIndex = fromIndex || 0;
-    const m = re.exec(str);
-    if (!m) return null;
-    const braceOpen = m.index + m[0].lastIndexOf('{');
-    const tagStart = m.index + (m[1] ? 1 : 0);
-    const braceClose = findMatchingBrace(str, braceOpen);
-    if (braceClose === -1) return null;
-    return { tagStart, braceOpen, braceClose, tagToken: m[2] };
+// Markup inside blocks (`html { <b>..</b> }`) still counts as QHTML; only
+// top-level tags make the value HTML.
+function looksLikeQHtmlSnippet(value) {
+    const text = String(value == null ? '' : value).trim();
+    if (!text) {
+        return false;
+    }
+    if (/<[A-Za-z!/]/.test(removeNestedBlocks(text))) {
+        return false;
+    }
+    return /[A-Za-z0-9_.-]+\s*\{/.test(text);
 }
 
-/**
- * Split a qhtml component invocation body into top-level segments.  A segment
- * corresponds to either a child element (e.g. `div { ... }`) or a property
- * assignment.  Nested blocks within segments are not considered.
- *
- * @param {string} body The content inside a component invocation
- * @returns {Array<{tag: string, block: string, start: number}>} An array of child element descriptors
- */
-function splitTopLevelSegments(body) {
-    const segs = [];
-    let i = 0;
-    while (i < body.length) {
-        while (i < body.length && /\s/.test(body[i])) i++;
-        if (i >= body.length) break;
-        let j = i;
-        while (j < body.length && !/[{:]/.test(body[j])) j++;
-        const token = body.slice(i, j).trim();
-        if (!token) break;
-        if (body[j] === '{') {
-            const open = j;
-            const close = findMatchingBrace(body, open);
-            if (close === -1) break;
-            const block = `${token} ${body.slice(open, close + 1)}`;
-            segs.push({ tag: token, block, start: i, braceOpen: open, braceClose: close });
-            i = close + 1;
-        } else {
-            const semi = body.indexOf(';', j);
-            if (semi === -1) break;
-            i = semi + 1;
-        }
-    }
-    return segs;
-}
-
-/**
- * Remove nested blocks from a qhtml string and return only the top-level
- * characters.  Used when searching for slot names within a block.
- *
- * @param {string} str The string to flatten
- * @returns {string} The flattened string
- */
-function removeNestedBlocks(str) {
-    let out = '';
-    let depth = 0;
-    for (let i = 0; i < str.length; i++) {
-        const ch = str[i];
-        if (ch === '{') { depth++; continue; }
-        if (ch === '}') { depth--; continue; }
-        if (depth === 0) out += ch;
+function parseQHtmlSnippetToNodes(snippet, hostForReady) {
+    const qhtml = String(snippet == null ? '' : snippet).trim();
+    if (!qhtml) {
+        return [];
     }
-    return out;
+    const runtimeInput = hostForReady
+        ? evaluateQScriptBlocks(qhtml, { topLevelOnly: true, thisArg: hostForReady })
+        : evaluateQScriptBlocks(qhtml, { topLevelOnly: true });
+    const encoded = encodeQuotedStrings(runtimeInput);
+    const adjusted = addClosingBraces(encoded);
+    const root = document.createElement('div');
+    root.__qhtmlRoot = true;
+    root.__qhtmlHost = hostForReady || root;
+    const segments = extractPropertiesAndChildren(adjusted);
+    segments.forEach((segment) => processSegment(segment, root));
+    flushReadyLifecycleHooks(root, hostForReady || root);
+    return Array.from(root.childNodes);
 }
 
-function extractSlotNameFromBlock(inner, options = {}) {
-    const { componentId = '', componentIds = [] } = options;
-    const resolvedInner = evaluateQScriptBlocks(inner, { topLevelOnly: true });
-    const flattened = removeNestedBlocks(resolvedInner);
-    if (/(?:^|\s)(?:id|name)\s*:\s*"[^"]+"\s*;?/.test(flattened)) {
-        componentLogger.error(componentId, 'Legacy slot syntax is no longer supported. Use `slot { slot-name }`.');
-        return '';
+function normalizeIntoPayloadToNodes(payload, hostForReady) {
+    if (payload == null) {
+        return [];
     }
-    const shorthandMatch = flattened.match(/^\s*([A-Za-z0-9_-]+)\s*;?\s*$/);
-    const slotName = shorthandMatch ? shorthandMatch[1] : '';
-    if (!slotName && flattened.trim()) {
-        componentLogger.error(componentId, 'Invalid slot syntax. Expected `slot { slot-name }`.');
-        return '';
+    if (typeof payload === 'function') {
+        try {
+            return normalizeIntoPayloadToNodes(payload.call(hostForReady || null), hostForReady);
+        } catch (err) {
+            console.error('qhtml: failed to execute into() payload function', err);
+            return [];
+        }
     }
-    if (slotName && componentIds.length && componentIds.includes(slotName)) {
-        componentLogger.error(componentId, `cannot name slots the same as components ("${slotName}").`);
-        return '';
+    if (typeof Node !== 'undefined' && payload instanceof Node) {
+        return [payload];
     }
-    return slotName;
-}
-
-function resolveQImportPath(block, componentId) {
-    const brace = block.indexOf('{');
-    if (brace === -1) {
-        componentLogger.warn(componentId, 'q-import is missing an opening brace.');
-        return '';
+    if (typeof NodeList !== 'undefined' && payload instanceof NodeList) {
+        return Array.from(payload);
     }
-    const close = findMatchingBrace(block, brace);
-    if (close === -1) {
-        componentLogger.warn(componentId, 'q-import is missing a closing brace.');
-        return '';
+    if (typeof HTMLCollection !== 'undefined' && payload instanceof HTMLCollection) {
+        return Array.from(payload);
     }
-    const inner = block.slice(brace + 1, close);
-    const flattened = removeNestedBlocks(inner);
-    let path = flattened.trim();
-    if (path.endsWith(';')) {
-        path = path.slice(0, -1).trim();
+    if (Array.isArray(payload)) {
+        return payload.flatMap((entry) => normalizeIntoPayloadToNodes(entry, hostForReady));
     }
-    if (!path) {
-        componentLogger.warn(componentId, 'q-import has no path.');
-        return '';
+    const text = String(payload);
+    if (!text.trim()) {
+        return [];
     }
-    if ((path.startsWith('"') && path.endsWith('"')) || (path.startsWith('\'') && path.endsWith('\''))) {
-        componentLogger.warn(componentId, 'q-import path must be raw text, not quoted.');
-        return '';
+    // Under strict sanitizing a string is always markup: QHTML source could
+    // carry handlers and q-script, so it has to be passed as nodes instead.
+    const strict = getQHtmlSanitizeMode(hostForReady) === 'strict';
+    if (!strict && looksLikeQHtmlSnippet(text)) {
+        return parseQHtmlSnippetToNodes(text, hostForReady);
     }
-    return path;
+    const container = document.createElement('div');
+    container.innerHTML = toQHtmlTrustedHTML(strict ? sanitizeQHtmlMarkup(text, hostForReady, 'into') : text);
+    return Array.from(container.childNodes);
 }
 
-function resolveQImportUrl(path) {
-    if (typeof window === 'undefined' || !window.location) {
-        return path;
-    }
-    try {
-        if (path.startsWith('/')) {
-            return `${window.location.origin}${path}`;
-        }
-        return new URL(path, window.location.href).toString();
-    } catch (err) {
-        return path;
+function injectIntoComponentSlot(host, slotId, payload) {
+    if (isComponentSlotsResolved(host)) {
+        warnResolvedComponentSlotApi(host, 'into');
+        return false;
     }
-}
-
-const qImportSourceCache = new Map();
-const qImportInFlight = new Map();
-
-function ensureQImportResolveState(state) {
-    const next = state || {};
-    if (typeof next.count !== 'number') {
-        next.count = 0;
+    const normalizedSlot = String(slotId == null ? '' : slotId).trim();
+    if (!normalizedSlot) {
+        return false;
     }
-    if (typeof next.limit !== 'number') {
-        next.limit = 100;
+    ensureGeneratedComponentTemplateHydrated(host);
+    const nodes = normalizeIntoPayloadToNodes(payload, host);
+    if (host.shadowRoot && host.shadowRoot.__qhtmlShadowTemplate) {
+        Array.from(host.children)
+            .filter((child) => child.getAttribute('slot') === normalizedSlot)
+            .forEach((child) => host.removeChild(child));
+        appendNodesToNativeSlot(host, normalizedSlot, nodes);
+        return true;
     }
-    if (typeof next.warned !== 'boolean') {
-        next.warned = false;
+    const carrier = ensureComponentIntoCarrier(host, normalizedSlot);
+    if (carrier) {
+        replaceNodeChildren(carrier, cloneNodeList(nodes));
     }
-    return next;
+    const projected = writeNodesIntoComponentAnchors(host, normalizedSlot, nodes) || !!carrier;
+    syncGeneratedComponentClassSlotsFromCarriers(host);
+    return projected;
 }
 
-async function resolveQImportSourceFromUrl(url) {
-    if (qImportSourceCache.has(url)) {
-        return qImportSourceCache.get(url);
-    }
-    if (qImportInFlight.has(url)) {
-        return qImportInFlight.get(url);
-    }
-
-    const loadPromise = (async () => {
-        try {
-            const resp = await fetch(url);
-            if (!resp.ok) {
-                componentLogger.warn('', `q-import failed to load "${url}" (${resp.status}).`);
-                qImportSourceCache.set(url, '');
-                return '';
-            }
-
-            const text = await resp.text();
-            if (/<\s*q-html/i.test(text)) {
-                componentLogger.warn('', `q-import rejected "${url}" because it contains <q-html>.`);
-                qImportSourceCache.set(url, '');
-                return '';
-            }
-            qImportSourceCache.set(url, text);
-            return text;
-        } catch (err) {
-            componentLogger.warn('', `q-import failed to load "${url}".`);
-            qImportSourceCache.set(url, '');
-            return '';
-        }
-    })();
-
-    qImportInFlight.set(url, loadPromise);
-    try {
-        return await loadPromise;
-    } finally {
-        qImportInFlight.delete(url);
+function signalNameToHandlerProperty(signalName) {
+    const name = String(signalName || '').trim();
+    if (!name) {
+        return '';
     }
+    return `on${name.charAt(0).toUpperCase()}${name.slice(1)}`;
 }
 
-async function resolveQImportFromUrl(url, state) {
-    const source = await resolveQImportSourceFromUrl(url);
-    if (!source) {
+function handlerTagToSignalName(tagName) {
+    const tag = String(tagName || '').trim();
+    if (!/^on[A-Za-z0-9_]+$/.test(tag) || tag.length <= 2) {
         return '';
     }
-    return resolveQImports(source, state);
+    const suffix = tag.slice(2);
+    return `${suffix.charAt(0).toLowerCase()}${suffix.slice(1)}`;
 }
 
-async function resolveQImports(input, state = null) {
-    const runtimeState = ensureQImportResolveState(state);
-    let out = input;
-    let pos = 0;
-    while (true) {
-        const found = findTagInvocation(out, 'q-import', pos);
-        if (!found) break;
-
-        const block = out.slice(found.tagStart, found.braceClose + 1);
-        let replacement = '';
+function ensureComponentSignals(host, signalDefs = [], signalHandlers = [], componentId = '') {
+    if (!host || (typeof host !== 'object' && typeof host !== 'function')) {
+        return;
+    }
+    if (!host.__qhtmlSignalStore || typeof host.__qhtmlSignalStore !== 'object') {
+        host.__qhtmlSignalStore = Object.create(null);
+    }
+    const store = host.__qhtmlSignalStore;
+    const normalizedDefs = (Array.isArray(signalDefs) ? signalDefs : [])
+        .map((entry) => ({
+            name: String(entry && entry.name ? entry.name : '').trim(),
+            params: Array.isArray(entry && entry.params)
+                ? entry.params.map((param) => String(param || '').trim()).filter(Boolean)
+                : []
+        }))
+        .filter((entry) => entry.name);
 
-        if (runtimeState.count >= runtimeState.limit) {
-            if (!runtimeState.warned) {
-                componentLogger.warn('', `q-import limit reached (${runtimeState.limit}); remaining imports skipped.`);
-                runtimeState.warned = true;
-            }
-        } else {
-            runtimeState.count += 1;
-            const path = resolveQImportPath(block, '');
-            if (path) {
-                const url = resolveQImportUrl(path);
-                replacement = await resolveQImportFromUrl(url, runtimeState);
-            }
+    normalizedDefs.forEach((signalDef) => {
+        const signalName = signalDef.name;
+        if (!store[signalName]) {
+            store[signalName] = {
+                name: signalName,
+                params: signalDef.params.slice(),
+                listeners: [],
+                connectionMap: new Map(),
+                handlerKeys: new Set(),
+                emitter: null
+            };
+        }
+        const entry = store[signalName];
+        if (!Array.isArray(entry.listeners)) {
+            entry.listeners = [];
+        }
+        if (!(entry.connectionMap instanceof Map)) {
+            entry.connectionMap = new Map();
+        }
+        if (!(entry.handlerKeys instanceof Set)) {
+            entry.handlerKeys = new Set();
+        }
+        if (signalDef.params.length) {
+            entry.params = signalDef.params.slice();
         }
 
-        out = out.slice(0, found.tagStart) + replacement + out.slice(found.braceClose + 1);
-        pos = found.tagStart + replacement.length;
-    }
-    return out;
-}
+        let signalFn = host[signalName];
+        const shouldCreateEmitter = !(
+            typeof signalFn === 'function'
+            && signalFn.__qhtmlSignalHost === host
+            && signalFn.__qhtmlSignalName === signalName
+        );
 
-/**
- * Collect ranges of component invocations so nested structures can be
- * excluded from into resolution.
- *
- * @param {string} input The qhtml string to scan
- * @param {string[]} componentIds Known component tags
- * @returns {Array<{start: number, end: number}>} Invocation ranges
- */
-function collectComponentInvocationRanges(input, componentIds) {
-    const ranges = [];
-    componentIds.forEach((id) => {
-        let pos = 0;
-        while (true) {
-            const found = findTagInvocation(input, id, pos, { allowClasses: true });
-            if (!found) break;
-            ranges.push({ start: found.braceOpen, end: found.braceClose });
-            pos = found.braceClose + 1;
+        if (shouldCreateEmitter) {
+            signalFn = function(...args) {
+                const listeners = Array.isArray(entry.listeners) ? entry.listeners.slice() : [];
+                listeners.forEach((listener) => {
+                    if (typeof listener !== 'function') {
+                        return;
+                    }
+                    const restoreThisContext = applyQHtmlRuntimeThisContext(host);
+                    try {
+                        listener.apply(host, args);
+                    } catch (err) {
+                        componentLogger.error(componentId, `Signal listener for "${signalName}" failed.`);
+                    } finally {
+                        if (typeof restoreThisContext === 'function') {
+                            restoreThisContext();
+                        }
+                    }
+                });
+
+                const handlerProp = signalNameToHandlerProperty(signalName);
+                const possibleHandlers = [
+                    handlerProp ? host[handlerProp] : null,
+                    handlerProp ? host[handlerProp.toLowerCase()] : null
+                ];
+                const seenHandlers = new Set();
+                possibleHandlers.forEach((handler) => {
+                    if (typeof handler !== 'function' || seenHandlers.has(handler)) {
+                        return;
+                    }
+                    seenHandlers.add(handler);
+                    if (handler === signalFn) {
+                        return;
+                    }
+                    const restoreThisContext = applyQHtmlRuntimeThisContext(host);
+                    try {
+                        handler.apply(host, args);
+                    } catch (err) {
+                        componentLogger.error(componentId, `Signal handler "${handlerProp}" failed.`);
+                    } finally {
+                        if (typeof restoreThisContext === 'function') {
+                            restoreThisContext();
+                        }
+                    }
+                });
+
+                if (typeof host.dispatchEvent === 'function') {
+                    try {
+                        host.dispatchEvent(new CustomEvent(signalName, {
+                            detail: {
+                                signal: signalName,
+                                args: args.slice()
+                            }
+                        }));
+                    } catch (err) {
+                        // Ignore dispatch errors for non-EventTarget hosts.
+                    }
+                }
+            };
+
+            signalFn.connect = function(target) {
+                if (typeof target !== 'function') {
+                    return signalFn;
+                }
+                if (target === signalFn) {
+                    return signalFn;
+                }
+                if (entry.connectionMap.has(target)) {
+                    return signalFn;
+                }
+                const forwarder = function(...args) {
+                    if (typeof target !== 'function') {
+                        return;
+                    }
+                    target(...args);
+                };
+                entry.connectionMap.set(target, forwarder);
+                entry.listeners.push(forwarder);
+                return signalFn;
+            };
+
+            signalFn.disconnect = function(target) {
+                if (typeof target === 'undefined' || target === null) {
+                    entry.connectionMap.forEach((forwarder) => {
+                        entry.listeners = entry.listeners.filter((listener) => listener !== forwarder);
+                    });
+                    entry.connectionMap.clear();
+                    return signalFn;
+                }
+                const forwarder = entry.connectionMap.get(target);
+                if (!forwarder) {
+                    return signalFn;
+                }
+                entry.listeners = entry.listeners.filter((listener) => listener !== forwarder);
+                entry.connectionMap.delete(target);
+                return signalFn;
+            };
+
+            signalFn.add = function(listener) {
+                if (typeof listener !== 'function') {
+                    return signalFn;
+                }
+                if (!entry.listeners.includes(listener)) {
+                    entry.listeners.push(listener);
+                }
+                return signalFn;
+            };
+
+            signalFn.remove = function(listener) {
+                if (typeof listener !== 'function') {
+                    return signalFn;
+                }
+                entry.listeners = entry.listeners.filter((current) => current !== listener);
+                return signalFn;
+            };
+
+            signalFn.emit = function(...args) {
+                return signalFn(...args);
+            };
+
+            signalFn.__qhtmlSignalHost = host;
+            signalFn.__qhtmlSignalName = signalName;
+            host[signalName] = signalFn;
+        }
+
+        entry.emitter = signalFn;
+    });
+
+    const normalizedHandlers = (Array.isArray(signalHandlers) ? signalHandlers : [])
+        .map((entry) => ({
+            signalName: String(entry && entry.signalName ? entry.signalName : '').trim(),
+            params: String(entry && entry.params ? entry.params : '').trim(),
+            body: String(entry && entry.body ? entry.body : '').trim()
+        }))
+        .filter((entry) => entry.signalName && entry.body);
+
+    normalizedHandlers.forEach((handlerDef) => {
+        const entry = store[handlerDef.signalName];
+        if (!entry) {
+            return;
+        }
+        const handlerKey = `${handlerDef.signalName}|${handlerDef.params}|${handlerDef.body}`;
+        if (entry.handlerKeys.has(handlerKey)) {
+            return;
+        }
+        try {
+            const fn = compileQHtmlFunction(handlerDef.params, handlerDef.body, `signal handler on${handlerDef.signalName}`);
+            const listener = function(...args) {
+                const restoreThisContext = applyQHtmlRuntimeThisContext(host);
+                try {
+                    return fn.apply(host, args);
+                } finally {
+                    if (typeof restoreThisContext === 'function') {
+                        restoreThisContext();
+                    }
+                }
+            };
+            entry.listeners.push(listener);
+            entry.handlerKeys.add(handlerKey);
+        } catch (err) {
+            componentLogger.error(componentId, `Failed to compile signal handler for "${handlerDef.signalName}".`);
         }
     });
-    return ranges;
 }
 
-function isIndexInsideRanges(index, ranges) {
-    for (const range of ranges) {
-        if (index >= range.start && index <= range.end) {
-            return true;
+// -----------------------------------------------------------------------------
+// Declarative signal connections
+//
+// `q-connect { #cart.itemAdded -> #badge.refresh }` and the invocation form
+// `onItemAdded: "#badge.refresh"` connect a signal to a method (or another
+// signal) of a second component.  Endpoints are resolved with
+// `document.queryQHTML` after hydration, so both sides can live in different
+// q-html hosts; the connection is dropped when either side is torn down.
+
+const QHTML_CONNECT_ENDPOINT_PATTERN = /^(.+)\.([A-Za-z_$][\w$]*)$/;
+const qhtmlPendingConnections = [];
+let qhtmlConnectionFlushScheduled = false;
+let qhtmlInitialContentLoaded = false;
+
+function parseQHtmlConnectEndpoint(text) {
+    const match = String(text || '').trim().match(QHTML_CONNECT_ENDPOINT_PATTERN);
+    return match ? { selector: match[1].trim(), member: match[2] } : null;
+}
+
+/**
+ * Parse the body of a `q-connect` block.  Entries are separated by newlines
+ * or semicolons and read `source.signal -> target.member`.
+ *
+ * @param {string} content Block body
+ * @returns {Array<{source: {selector: string, member: string}, target: {selector: string, member: string}}>}
+ */
+function parseQConnectBlock(content) {
+    const connections = [];
+    decodeQHtmlBindingEntities(content).split(/[;\n]/).forEach((line) => {
+        const text = line.trim();
+        if (!text) {
+            return;
+        }
+        const parts = text.split('->');
+        const source = parts.length === 2 ? parseQHtmlConnectEndpoint(parts[0]) : null;
+        const target = parts.length === 2 ? parseQHtmlConnectEndpoint(parts[1]) : null;
+        if (!source || !target) {
+            componentLogger.warn('', `Invalid q-connect entry "${text}". Expected \`#source.signal -> #target.method\`.`);
+            return;
         }
+        connections.push({ source, target });
+    });
+    return connections;
+}
+
+function resolveQHtmlConnectEndpoint(selector) {
+    if (typeof document === 'undefined') {
+        return null;
+    }
+    if (typeof document.queryQHTML === 'function') {
+        return document.queryQHTML(selector);
+    }
+    try {
+        return document.querySelector(selector);
+    } catch {
+        return null;
     }
-    return false;
 }
 
 /**
- * Collect slot definitions within a component template, tracking which slots
- * live directly on the component versus inside sub-component invocations.
+ * Queue a connection until the current render has hydrated.
  *
- * @param {string} template Component template text
- * @param {string[]} componentIds Known component tags
- * @returns {{directSlots: Map<string, number>, subcomponentSlots: Map<string, number>, slotNames: Set<string>}}
+ * @param {{sourceElement?: Element, sourceSelector?: string, signal: string, targetSelector: string, member: string}} spec
  */
-function collectTemplateSlotDefinitions(template, componentIds, componentId = '') {
-    const directSlots = new Map();
-    const subcomponentSlots = new Map();
-    const slotNames = new Set();
-    const subcomponentRanges = collectComponentInvocationRanges(template, componentIds);
+function queueQHtmlConnection(spec) {
+    qhtmlPendingConnections.push(spec);
+    if (qhtmlConnectionFlushScheduled) {
+        return;
+    }
+    qhtmlConnectionFlushScheduled = true;
+    Promise.resolve().then(flushQHtmlPendingConnections);
+}
 
-    let pos = 0;
-    while (true) {
-        const idx = findStandaloneKeyword(template, 'slot', pos);
-        if (idx === -1) break;
-        let cursor = idx + 4;
-        while (cursor < template.length && /\s/.test(template[cursor])) cursor++;
-        if (template[cursor] !== '{') {
-            pos = idx + 4;
-            continue;
+// Unresolved endpoints are retried once every q-html host on the page has
+// rendered; after that they are reported straight away.
+function flushQHtmlPendingConnections() {
+    qhtmlConnectionFlushScheduled = false;
+    qhtmlPendingConnections.splice(0).forEach((spec) => {
+        if (connectQHtmlSignal(spec)) {
+            return;
         }
-        const open = cursor;
-        const close = findMatchingBrace(template, open);
-        if (close === -1) break;
-        const inner = template.slice(open + 1, close);
-        const slotName = extractSlotNameFromBlock(inner, { componentId, componentIds });
-        if (slotName) {
-            slotNames.add(slotName);
-            const target = isIndexInsideRanges(idx, subcomponentRanges) ? subcomponentSlots : directSlots;
-            target.set(slotName, (target.get(slotName) || 0) + 1);
+        if (qhtmlInitialContentLoaded) {
+            const source = spec.sourceSelector || String(spec.sourceElement && spec.sourceElement.tagName || '').toLowerCase();
+            componentLogger.warn('', `Cannot connect ${source}.${spec.signal} -> ${spec.targetSelector}.${spec.member}: no element matches.`);
+        } else {
+            qhtmlPendingConnections.push(spec);
         }
-        pos = close + 1;
-    }
-    return { directSlots, subcomponentSlots, slotNames };
+    });
 }
 
 /**
- * Parse an into block into an IntoNode-like descriptor for projection.
+ * Connect one declared signal.  Repeated declarations (e.g. re-renders of a
+ * reconcile host) reuse the existing connection.
  *
- * @param {string} block The full into { ... } block
- * @param {string} componentId Component context for logging
- * @returns {{targetSlot: string, children: string, position: number}|null}
+ * @returns {boolean} False when an endpoint could not be resolved yet
  */
-function parseIntoBlock(block, componentId, position) {
-    const brace = block.indexOf('{');
-    if (brace === -1) {
-        componentLogger.error(componentId, 'Into block is missing an opening brace.');
-        return null;
+function connectQHtmlSignal(spec) {
+    const source = spec.sourceElement || resolveQHtmlConnectEndpoint(spec.sourceSelector);
+    const target = resolveQHtmlConnectEndpoint(spec.targetSelector);
+    if (!source || !target) {
+        return false;
     }
-    const close = findMatchingBrace(block, brace);
-    if (close === -1) {
-        componentLogger.error(componentId, 'Into block is missing a closing brace.');
-        return null;
+    const emitter = source[spec.signal];
+    if (typeof emitter !== 'function' || emitter.__qhtmlSignalHost !== source) {
+        componentLogger.warn('', `Cannot connect "${spec.signal}": it is not a q-signal of ${spec.sourceSelector || String(source.tagName || '').toLowerCase()}.`);
+        return true;
     }
-    const inner = block.slice(brace + 1, close);
-    const resolvedInner = evaluateQScriptBlocks(inner, { topLevelOnly: true });
-    const flattened = removeNestedBlocks(resolvedInner);
-    const re = /([a-zA-Z_][\w\-.]*)\s*:\s*"([^"]+)"\s*;?/g;
-    const props = [];
-    let match;
-    while ((match = re.exec(flattened))) {
-        props.push({ property: match[1], value: match[2] });
+    if (typeof target[spec.member] !== 'function') {
+        componentLogger.warn('', `Cannot connect "${spec.signal}" to ${spec.targetSelector}.${spec.member}: it is not a function.`);
+        return true;
     }
-    const illegalTargets = props.filter((prop) => prop.property.endsWith('.slot'));
-    if (illegalTargets.length) {
-        componentLogger.error(componentId, `Into block attempted to inject into non-slot target "${illegalTargets[0].property}".`);
-        return null;
-    }
-    const slotProps = props.filter((prop) => prop.property === 'slot');
-    if (!slotProps.length) {
-        componentLogger.error(componentId, 'Into block is missing required slot attribute.');
-        return null;
+    const key = `${spec.signal}->${spec.targetSelector}.${spec.member}`;
+    if (!(source.__qhtmlDeclaredConnections instanceof Map)) {
+        source.__qhtmlDeclaredConnections = new Map();
     }
-    if (slotProps.length > 1) {
-        componentLogger.error(componentId, 'Into block has multiple slot targets; slot must be unique.');
-        return null;
+    const existing = source.__qhtmlDeclaredConnections.get(key);
+    if (existing && existing.target === target) {
+        return true;
     }
-    const slotName = slotProps[0].value.trim();
-    if (!slotName) {
-        componentLogger.error(componentId, 'Into block slot attribute is empty.');
-        return null;
+    if (existing) {
+        releaseQHtmlDeclaredConnection(source, key, existing);
     }
-    if (slotName.includes('.')) {
-        componentLogger.error(componentId, `Into block attempted to inject into non-slot target "${slotName}".`);
-        return null;
+    const forwarder = function(...args) {
+        const method = target[spec.member];
+        return typeof method === 'function' ? method.apply(target, args) : undefined;
+    };
+    emitter.connect(forwarder);
+    const connection = { signal: spec.signal, target, forwarder, key };
+    source.__qhtmlDeclaredConnections.set(key, connection);
+    if (!Array.isArray(target.__qhtmlIncomingConnections)) {
+        target.__qhtmlIncomingConnections = [];
     }
-
-    // IntoNode shape: { targetSlot, children }
-    const cleaned = stripTopLevelProps(resolvedInner, ['slot']).trim();
-    return { targetSlot: slotName, children: cleaned, position };
+    target.__qhtmlIncomingConnections.push({ source, key, connection });
+    return true;
 }
 
-/**
- * Collect into blocks that apply to the current component instance. Into
- * blocks nested inside other component invocations are ignored so resolution
- * follows the nearest enclosing component instance.
- *
- * @param {string} body Invocation body to scan
- * @param {string[]} componentIds Known component tags
- * @param {string} componentId Component context for logging
- * @returns {Array<{targetSlot: string, children: string, position: number}>}
- */
-function collectIntoNodes(body, componentIds, componentId) {
-    const nodes = [];
-    const componentRanges = collectComponentInvocationRanges(body, componentIds);
-    let pos = 0;
-    while (true) {
-        const found = findTagInvocation(body, 'into', pos);
-        if (!found) break;
-        if (!isIndexInsideRanges(found.tagStart, componentRanges)) {
-            const block = body.slice(found.tagStart, found.braceClose + 1);
-            const node = parseIntoBlock(block, componentId, found.tagStart);
-            if (node) nodes.push(node);
-        }
-        pos = found.braceClose + 1;
+function releaseQHtmlDeclaredConnection(source, key, connection) {
+    const emitter = source[connection.signal];
+    if (emitter && typeof emitter.disconnect === 'function') {
+        emitter.disconnect(connection.forwarder);
+    }
+    if (source.__qhtmlDeclaredConnections instanceof Map) {
+        source.__qhtmlDeclaredConnections.delete(key);
+    }
+    const incoming = connection.target.__qhtmlIncomingConnections;
+    if (Array.isArray(incoming)) {
+        connection.target.__qhtmlIncomingConnections = incoming.filter((entry) => entry.connection !== connection);
     }
-    return nodes;
 }
 
-function hasTopLevelIntoBlock(body, componentIds) {
-    const componentRanges = collectComponentInvocationRanges(body, componentIds);
-    let pos = 0;
-    while (true) {
-        const found = findTagInvocation(body, 'into', pos);
-        if (!found) break;
-        if (!isIndexInsideRanges(found.tagStart, componentRanges)) {
-            return true;
-        }
-        pos = found.braceClose + 1;
+// Called from teardownComponentRuntimeInstance for both directions.
+function releaseQHtmlConnectionsOf(host) {
+    if (host.__qhtmlDeclaredConnections instanceof Map) {
+        Array.from(host.__qhtmlDeclaredConnections.entries()).forEach(([key, connection]) => {
+            releaseQHtmlDeclaredConnection(host, key, connection);
+        });
     }
-    return false;
+    if (Array.isArray(host.__qhtmlIncomingConnections)) {
+        host.__qhtmlIncomingConnections.slice().forEach((entry) => {
+            releaseQHtmlDeclaredConnection(entry.source, entry.key, entry.connection);
+        });
+    }
+    delete host.__qhtmlDeclaredConnections;
+    delete host.__qhtmlIncomingConnections;
 }
 
 /**
- * Resolve an into target against a component's slot definitions. Resolution
- * prefers direct slots on the component, then slots declared inside
- * sub-component invocations.
- *
- * @param {string} slotName The slot requested by into
- * @param {{directSlots: Map<string, number>, subcomponentSlots: Map<string, number>}} slotInfo
- * @param {string} componentId Component context for logging
- * @returns {string|null} The resolved slot name or null on error
+ * Queue connections written as invocation properties, e.g.
+ * `cart-panel { onItemAdded: "#badge.refresh" }`.  Values that look like
+ * script rather than a `selector.member` reference are left alone.
  */
-function resolveIntoSlotTarget(slotName, slotInfo, componentId) {
-    const directCount = slotInfo.directSlots.get(slotName) || 0;
-    const nestedCount = slotInfo.subcomponentSlots.get(slotName) || 0;
+function queueSignalAttributeConnections(host, signalDefs = []) {
+    (Array.isArray(signalDefs) ? signalDefs : []).forEach((signalDef) => {
+        const signalName = String(signalDef && signalDef.name || '').trim();
+        const attribute = signalNameToHandlerProperty(signalName).toLowerCase();
+        const value = attribute && typeof host.getAttribute === 'function' ? host.getAttribute(attribute) : null;
+        if (!value || /[(){};=]/.test(value)) {
+            return;
+        }
+        const target = parseQHtmlConnectEndpoint(value);
+        if (!target) {
+            return;
+        }
+        queueQHtmlConnection({ sourceElement: host, signal: signalName, targetSelector: target.selector, member: target.member });
+    });
+}
 
-    if (directCount > 1) {
-        componentLogger.error(componentId, `Into target slot "${slotName}" is ambiguous; multiple direct slot matches found.`);
-        return null;
+function processQConnectSegment(segment) {
+    parseQConnectBlock(segment.content).forEach((entry) => {
+        queueQHtmlConnection({
+            sourceSelector: entry.source.selector,
+            signal: entry.source.member,
+            targetSelector: entry.target.selector,
+            member: entry.target.member
+        });
+    });
+}
+
+function installGeneratedComponentBaseMethods(ctor) {
+    if (!ctor || !ctor.prototype) {
+        return;
     }
-    if (directCount === 1) {
-        return slotName;
+    if (typeof ctor.prototype.slots !== 'function') {
+        ctor.prototype.slots = function() {
+            return listComponentSlotNames(this);
+        };
     }
-    if (nestedCount > 1) {
-        componentLogger.error(componentId, `Into target slot "${slotName}" is ambiguous; multiple sub-component slot matches found.`);
-        return null;
+    if (typeof ctor.prototype.into !== 'function') {
+        ctor.prototype.into = function(slotId, payload) {
+            injectIntoComponentSlot(this, slotId, payload);
+            return this;
+        };
     }
-    if (nestedCount === 1) {
-        return slotName;
+    if (typeof ctor.prototype.resolveSlots !== 'function') {
+        ctor.prototype.resolveSlots = function() {
+            resolveComponentSlotsInPlace(this);
+            return this;
+        };
+    }
+    if (typeof ctor.prototype.toTemplate !== 'function') {
+        ctor.prototype.toTemplate = function() {
+            return toTemplateComponentInstance(this, { recursive: false });
+        };
+    }
+    if (typeof ctor.prototype.toTemplateRecursive !== 'function') {
+        ctor.prototype.toTemplateRecursive = function() {
+            return toTemplateComponentInstance(this, { recursive: true });
+        };
+    }
+    // Resource helpers: everything registered here is released when the
+    // instance disconnects or is torn down.
+    if (typeof ctor.prototype.addCleanup !== 'function') {
+        ctor.prototype.addCleanup = function(cleanup) {
+            addGeneratedComponentCleanup(this, cleanup);
+            return cleanup;
+        };
+    }
+    if (typeof ctor.prototype.listen !== 'function') {
+        ctor.prototype.listen = function(target, type, listener, options) {
+            target.addEventListener(type, listener, options);
+            const stop = () => target.removeEventListener(type, listener, options);
+            addGeneratedComponentCleanup(this, stop);
+            return stop;
+        };
+    }
+    if (typeof ctor.prototype.interval !== 'function') {
+        ctor.prototype.interval = function(callback, ms) {
+            const id = setInterval(() => callback.call(this), ms);
+            addGeneratedComponentCleanup(this, () => clearInterval(id));
+            return id;
+        };
+    }
+    if (typeof ctor.prototype.timeout !== 'function') {
+        ctor.prototype.timeout = function(callback, ms) {
+            const id = setTimeout(() => callback.call(this), ms);
+            addGeneratedComponentCleanup(this, () => clearTimeout(id));
+            return id;
+        };
     }
-    componentLogger.error(componentId, `Into target slot "${slotName}" was not found.`);
-    return null;
 }
 
-function shouldMarkComponentSegment(tag) {
-    if (!tag) return false;
-    const { base } = parseTagWithClasses(tag);
-    const lower = base.trim().toLowerCase();
-    if (!lower) return false;
-    if (lower === 'html' || lower === 'text' || lower === 'css' || lower === 'style' || lower === 'slot' || lower === 'into') {
-        return false;
+function bindComponentActionsRecursively(root, actionNames, owner = root) {
+    if (!root || typeof root.querySelectorAll !== 'function') {
+        return;
     }
-    if (/^on[a-z0-9_]+$/.test(lower)) {
-        return false;
+    const names = (Array.isArray(actionNames) ? actionNames : [])
+        .map((name) => String(name || '').trim())
+        .filter(Boolean);
+    if (!names.length) {
+        return;
     }
-    return true;
+    const bindOnNode = (node, ownerRoot) => {
+        if (!node || node.nodeType !== 1) {
+            return;
+        }
+        names.forEach((actionName) => {
+            if (typeof node[actionName] === 'function') {
+                return;
+            }
+            node[actionName] = function(...args) {
+                if (ownerRoot && typeof ownerRoot[actionName] === 'function') {
+                    return ownerRoot[actionName](...args);
+                }
+                return undefined;
+            };
+        });
+    };
+    bindOnNode(root, owner);
+    const descendants = root.querySelectorAll('*');
+    descendants.forEach((node) => bindOnNode(node, owner));
 }
 
-function addComponentOriginMarkers(source, componentId, options = {}) {
-    if (!componentId || !source) return source;
-    const {
-        classes = [],
-        rootAttributes = {},
-        actions = []
-    } = options;
-    const segments = splitTopLevelSegments(source);
-    if (!segments.length) return source;
-    const primarySegmentIndex = segments.findIndex((seg) => shouldMarkComponentSegment(seg.tag));
-    let out = source;
-    for (let i = segments.length - 1; i >= 0; i--) {
-        const seg = segments[i];
-        if (!shouldMarkComponentSegment(seg.tag)) continue;
-        const open = seg.braceOpen;
-        const close = seg.braceClose;
-        if (open == null || close == null) continue;
-        const inner = out.slice(open + 1, close);
-        const flattened = removeNestedBlocks(inner);
-        const insertionLines = [];
-        if (!/(?:^|\s)q-component\s*:/.test(flattened)) {
-            insertionLines.push(`q-component: "${componentId}";`);
-        }
-        if (classes && classes.length) {
-            insertionLines.push(`class: "${classes.join(' ')}";`);
-        }
-        const readyLines = [];
-        if (i === primarySegmentIndex) {
-            const projectedAttrs = serializeInvocationAttributes(rootAttributes || {});
-            if (projectedAttrs.trim()) {
-                insertionLines.push(projectedAttrs);
+function observeComponentActionBinding(root, actionNames) {
+    if (!root || typeof root.querySelectorAll !== 'function' || typeof MutationObserver === 'undefined') {
+        return;
+    }
+    const names = (Array.isArray(actionNames) ? actionNames : [])
+        .map((name) => String(name || '').trim())
+        .filter(Boolean);
+    if (!names.length) {
+        return;
+    }
+    bindComponentActionsRecursively(root, names);
+    if (root.__qhtmlActionBindingObserver) {
+        return;
+    }
+    const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            if (!mutation || mutation.type !== 'childList') {
+                return;
             }
-            Object.entries(rootAttributes || {}).forEach(([name, value]) => {
-                const attrName = String(name || '').trim();
-                if (!attrName) return;
-                const attrValue = String(value == null ? '' : value);
-                if (attrName.toLowerCase() === 'class') {
-                    readyLines.push(`this.setAttribute('class', [this.getAttribute('class') || '', ${JSON.stringify(attrValue)}].join(' ').trim());`);
-                } else {
-                    readyLines.push(`this.setAttribute(${JSON.stringify(attrName)}, ${JSON.stringify(attrValue)});`);
+            mutation.addedNodes.forEach((node) => {
+                if (!node || node.nodeType !== 1) {
+                    return;
                 }
-            });
-            (Array.isArray(actions) ? actions : []).forEach((action) => {
-                const actionName = String(action && action.name ? action.name : '').trim();
-                if (!actionName) return;
-                const actionParams = String(action && action.params ? action.params : '').trim();
-                const actionBody = String(action && action.body ? action.body : '').trim();
-                readyLines.push(`this[${JSON.stringify(actionName)}] = function(${actionParams}) {`);
-                if (actionBody) {
-                    actionBody.split('\n').forEach((line) => {
-                        readyLines.push(line);
+                names.forEach((actionName) => {
+                    if (typeof node[actionName] !== 'function') {
+                        node[actionName] = function(...args) {
+                            if (typeof root[actionName] === 'function') {
+                                return root[actionName](...args);
+                            }
+                            return undefined;
+                        };
+                    }
+                });
+                if (typeof node.querySelectorAll === 'function') {
+                    node.querySelectorAll('*').forEach((child) => {
+                        names.forEach((actionName) => {
+                            if (typeof child[actionName] === 'function') {
+                                return;
+                            }
+                            child[actionName] = function(...args) {
+                                if (typeof root[actionName] === 'function') {
+                                    return root[actionName](...args);
+                                }
+                                return undefined;
+                            };
+                        });
                     });
                 }
-                readyLines.push('};');
             });
-            const actionNames = (Array.isArray(actions) ? actions : [])
-                .map((action) => String(action && action.name ? action.name : '').trim())
-                .filter(Boolean);
-            if (actionNames.length) {
-                readyLines.push(`bindComponentActionsRecursively(this, ${JSON.stringify(actionNames)});`);
-                readyLines.push(`observeComponentActionBinding(this, ${JSON.stringify(actionNames)});`);
-            }
-        }
-        if (!insertionLines.length && !readyLines.length) continue;
-        let insertion = '';
-        if (insertionLines.length) {
-            insertion += `\n    ${insertionLines.join('\n    ')}`;
-        }
-        if (readyLines.length) {
-            insertion += `\n    onReady {\n${readyLines.map((line) => `      ${line}`).join('\n')}\n    }`;
-        }
-        out = out.slice(0, open + 1) + insertion + out.slice(open + 1);
-    }
-    return out;
+        });
+    });
+    observer.observe(root, { childList: true, subtree: true });
+    root.__qhtmlActionBindingObserver = observer;
 }
 
-/**
- * Replace slot placeholders in a component/template body with content provided
- * via `slotMap`.  Slot placeholders have the form `slot { slotName }`.
- * When `preserveAnchors` is true, placeholders become stable slot-anchor
- * nodes; otherwise replacement emits pure content with no slot trace marker.
- *
- * @param {string} template The template containing slot placeholders
- * @param {Map<string, string>} slotMap Mapping of slot names to replacement content
- * @returns {string} The template with slot placeholders replaced
- */
-function replaceTemplateSlots(template, slotMap, options = {}) {
-    const { componentId = '', warnOnMissing = true, preserveAnchors = true } = options;
-    const consumedSlots = new Set();
-    let result = template;
-    let pos = 0;
-    while (true) {
-        const s = findStandaloneKeyword(result, 'slot', pos);
-        if (s === -1) break;
-        let k = s + 4;
-        while (k < result.length && /\s/.test(result[k])) k++;
-        if (result[k] !== '{') { pos = s + 4; continue; }
-        const open = k;
-        const close = findMatchingBrace(result, open);
-        if (close === -1) break;
-        const inner = result.slice(open + 1, close);
-        const slotName = extractSlotNameFromBlock(inner);
-        const hasReplacement = slotName && slotMap.has(slotName);
-        if (!hasReplacement && slotName && warnOnMissing) {
-            componentLogger.warn(componentId, `No content provided for slot "${slotName}".`);
-        }
-        const beforeChar = s > 0 ? result[s - 1] : '';
-        const isDotSlotPlaceholder = beforeChar === '.';
-        let replacement = '';
-        if (slotName) {
-            const escapedSlotName = escapeQHtmlPropString(slotName);
-            const slotContent = hasReplacement ? slotMap.get(slotName) : '';
-            if (preserveAnchors && !isDotSlotPlaceholder) {
-                replacement = [
-                    `q-into {`,
-                    `  slot: "${escapedSlotName}";`,
-                    `  q-slot-anchor: "1";`,
-                    slotContent,
-                    `}`
-                ].join('\n');
-            } else if (preserveAnchors && isDotSlotPlaceholder) {
-                replacement = hasReplacement
-                    ? slotContent || ''
-                    : createComponentClassSlotMarker(slotName);
-            } else {
-                replacement = slotContent || '';
-            }
-            consumedSlots.add(slotName);
-        } else if (hasReplacement) {
-            replacement = slotMap.get(slotName);
-        }
-        result = result.slice(0, s) + replacement + result.slice(close + 1);
-        pos = s + replacement.length;
+function installElementQHtmlGetter() {
+    if (typeof Element === 'undefined' || !Element.prototype) {
+        return;
     }
-    if (componentId) {
-        for (const [slotName] of slotMap) {
-            if (!consumedSlots.has(slotName)) {
-                componentLogger.warn(componentId, `Slot content was supplied for "${slotName}" but the template does not contain a matching placeholder.`);
+    const existing = Object.getOwnPropertyDescriptor(Element.prototype, 'qhtml');
+    if (existing) {
+        return;
+    }
+    Object.defineProperty(Element.prototype, 'qhtml', {
+        configurable: true,
+        enumerable: false,
+        get() {
+            if (!this || typeof this.getAttribute !== 'function') {
+                return null;
+            }
+            const templateId = this.getAttribute('qhtml-runtime-template-id');
+            if (!templateId || typeof document === 'undefined') {
+                return null;
+            }
+            const registry = ensureQHtmlRuntimeRegistry();
+            if (registry && registry.byTemplateId && registry.byTemplateId[templateId]) {
+                return registry.byTemplateId[templateId];
+            }
+            const template = document.getElementById(templateId);
+            if (!template || String(template.tagName || '').toLowerCase() !== 'template' || !template.content) {
+                return null;
             }
+            return template.content.firstElementChild || null;
         }
-    }
-    return result;
+    });
 }
 
-/**
- * Collect the names of all slot placeholders defined within a component
- * template.  The placeholders have the form `slot { slotName }`.
- *
- * @param {string} template Component template text
- * @returns {Set<string>} A set of slot names referenced in the template
- */
-function collectTemplateSlotNames(template) {
-    const names = new Set();
-    let pos = 0;
-    while (true) {
-        const idx = findStandaloneKeyword(template, 'slot', pos);
-        if (idx === -1) break;
-        let cursor = idx + 4;
-        while (cursor < template.length && /\s/.test(template[cursor])) cursor++;
-        if (template[cursor] !== '{') {
-            pos = idx + 4;
-            continue;
-        }
-        const open = cursor;
-        const close = findMatchingBrace(template, open);
-        if (close === -1) break;
-        const inner = template.slice(open + 1, close);
-        const slotName = extractSlotNameFromBlock(inner);
-        if (slotName) {
-            names.add(slotName);
-        }
-        pos = close + 1;
+function resolveQHtmlTopLevelForNode(node) {
+    if (!node || node.nodeType !== 1) {
+        return null;
     }
-    return names;
-}
-
-/**
- * Detect legacy top-level slot directives in a component invocation child
- * block. Legacy directives are any property assignment whose name is `slot`
- * or terminates with `.slot`.
- *
- * @param {string} block Component invocation block
- * @returns {{property: string, value: string}|null} The first legacy directive found
- */
-function findTopLevelLegacySlotDirective(block) {
-    const brace = block.indexOf('{');
-    if (brace === -1) return null;
-    const inner = block.slice(brace + 1, block.lastIndexOf('}'));
-    const flattened = removeNestedBlocks(inner);
-    const re = /([a-zA-Z_][\w\-.]*)\s*:\s*"([^"]+)"\s*;?/g;
-    let match;
-    while ((match = re.exec(flattened))) {
-        const propName = match[1];
-        if (propName === 'slot' || propName.endsWith('.slot')) {
-            return { property: propName, value: match[2] };
-        }
+    if (node.qhtml) {
+        return node.qhtml;
     }
-    return null;
-}
-
-/**
- * Collect top-level invocation attributes from a component instance body.
- * Slot directives are excluded.
- *
- * @param {string} body Component invocation body (inside braces)
- * @returns {Object<string, string>} Attribute map from property name to value
- */
-function extractTopLevelInvocationAttributes(body) {
-    const flattened = removeNestedBlocks(body);
-    const attributes = {};
-    const re = /([a-zA-Z_][\w\-.]*)\s*:\s*"([^"]*)"\s*;?/g;
-    let match;
-    while ((match = re.exec(flattened))) {
-        const propName = match[1];
-        if (propName === 'slot' || propName.endsWith('.slot')) {
-            continue;
-        }
-        if (propName === 'qhtml-component-instance') {
-            continue;
+    if (typeof node.getAttribute === 'function' && node.getAttribute('q-component')) {
+        return node;
+    }
+    if (typeof node.closest === 'function') {
+        const owner = node.closest('[q-component]');
+        if (owner) {
+            return owner.qhtml || owner;
         }
-        attributes[propName] = match[2];
     }
-    return attributes;
-}
-
-function escapeQHtmlPropString(value) {
-    return String(value == null ? '' : value)
-        .replace(/\\/g, '\\\\')
-        .replace(/"/g, '\\"');
-}
-
-function serializeInvocationAttributes(attributes) {
-    const lines = [];
-    Object.entries(attributes || {}).forEach(([name, value]) => {
-        const prop = String(name || '').trim();
-        if (!prop) return;
-        lines.push(`${prop}: "${escapeQHtmlPropString(value)}";`);
-    });
-    return lines.join('\n');
+    return node;
 }
 
-/**
- * Parse a q-signal parameter list into validated identifier tokens.
- *
- * @param {string} source Comma-separated parameter identifiers
- * @param {string} componentId Component id for diagnostics
- * @param {string} signalName Signal id for diagnostics
- * @returns {string[]} Parameter names
- */
-function parseSignalParameterList(source, componentId = '', signalName = '') {
-    const raw = String(source || '').trim();
-    if (!raw) {
-        return [];
+function queryRuntimeRegistryBySelector(selector, options = {}) {
+    const { all = false } = options;
+    const registry = ensureQHtmlRuntimeRegistry();
+    if (!registry || !registry.byTemplateId) {
+        return all ? [] : null;
     }
-    const params = [];
-    raw.split(',').map((item) => String(item || '').trim()).forEach((paramName) => {
-        if (!paramName) {
+    const seen = new Set();
+    const matches = [];
+    const addMatch = (node) => {
+        if (!node || node.nodeType !== 1 || seen.has(node)) {
             return;
         }
-        if (!/^[A-Za-z_$][\w$]*$/.test(paramName)) {
-            componentLogger.warn(componentId, `Signal "${signalName}" ignores invalid parameter "${paramName}".`);
+        seen.add(node);
+        matches.push(node);
+    };
+
+    const idMatch = String(selector || '').trim().match(/^#([A-Za-z_][\w\-:.]*)$/);
+    if (idMatch && registry.byInstanceId) {
+        const byId = registry.byInstanceId[idMatch[1]];
+        if (byId) {
+            addMatch(byId);
+            if (!all) {
+                return matches[0] || null;
+            }
+        }
+    }
+
+    Object.values(registry.byTemplateId).forEach((node) => {
+        if (!node || node.nodeType !== 1 || typeof node.matches !== 'function') {
             return;
         }
-        if (!params.includes(paramName)) {
-            params.push(paramName);
+        try {
+            if (node.matches(selector)) {
+                addMatch(node);
+            }
+        } catch {
+            // ignore invalid selectors here; caller already uses native query APIs
         }
     });
-    return params;
+
+    return all ? matches : (matches[0] || null);
 }
 
-/**
- * Extract top-level q-signal declarations from a component body.
- *
- * Supported syntax:
- *   q-signal stateChanged(newState)
- *   q-signal stateChanged(newState);
- *
- * @param {string} inner Component inner body text (without outer braces)
- * @param {string} componentId Component id for diagnostics
- * @returns {{template: string, signals: Array<{name: string, params: string[]}>}}
- */
-function extractComponentSignalsAndTemplate(inner, componentId = '') {
-    const source = String(inner || '');
-    const signals = [];
-    const removals = [];
-    const seen = new Set();
-
-    let depth = 0;
-    let inSingle = false;
-    let inDouble = false;
-    let inBacktick = false;
-    let escaped = false;
-
-    for (let i = 0; i < source.length; i++) {
-        const ch = source[i];
-
-        if (escaped) {
-            escaped = false;
-            continue;
-        }
+function installDocumentQHtmlQueryHelpers() {
+    if (typeof Document === 'undefined' || !Document.prototype) {
+        return;
+    }
+    if (typeof Document.prototype.queryQHTML !== 'function') {
+        Document.prototype.queryQHTML = function(selector) {
+            const query = String(selector || '').trim();
+            if (!query) return null;
+            let liveMatches = [];
+            try {
+                liveMatches = Array.from(this.querySelectorAll(query));
+            } catch {
+                return null;
+            }
+            for (const node of liveMatches) {
+                const resolved = resolveQHtmlTopLevelForNode(node);
+                if (resolved) {
+                    return resolved;
+                }
+            }
+            return queryRuntimeRegistryBySelector(query, { all: false });
+        };
+    }
+    if (typeof Document.prototype.queryQHTMLAll !== 'function') {
+        Document.prototype.queryQHTMLAll = function(selector) {
+            const query = String(selector || '').trim();
+            if (!query) return [];
+            const resolved = [];
+            const seen = new Set();
+            const pushUnique = (node) => {
+                if (!node || seen.has(node)) return;
+                seen.add(node);
+                resolved.push(node);
+            };
+            let liveMatches = [];
+            try {
+                liveMatches = Array.from(this.querySelectorAll(query));
+            } catch {
+                return [];
+            }
+            liveMatches.forEach((node) => {
+                const top = resolveQHtmlTopLevelForNode(node);
+                if (top) pushUnique(top);
+            });
+            const runtimeMatches = queryRuntimeRegistryBySelector(query, { all: true });
+            (Array.isArray(runtimeMatches) ? runtimeMatches : []).forEach((node) => pushUnique(node));
+            return resolved;
+        };
+    }
+}
 
-        if ((inSingle || inDouble || inBacktick) && ch === '\\') {
-            escaped = true;
-            continue;
+function installRuntimeActionProxiesOnPureRoot(pureRoot, componentId) {
+    if (!pureRoot || pureRoot.nodeType !== 1) {
+        return;
+    }
+    const key = String(componentId || '').toLowerCase();
+    const actions = qhtmlGeneratedComponentActionCache.get(key) || [];
+    actions.forEach((entry) => {
+        const actionName = String(entry && entry.name ? entry.name : '').trim();
+        if (!actionName || typeof pureRoot[actionName] === 'function') {
+            return;
         }
+        pureRoot[actionName] = function(...args) {
+            const runtime = this.qhtml;
+            if (runtime && typeof runtime[actionName] === 'function') {
+                return runtime[actionName](...args);
+            }
+            return undefined;
+        };
+    });
+}
 
-        if (!inDouble && !inBacktick && ch === '\'') {
-            inSingle = !inSingle;
-            continue;
-        }
-        if (!inSingle && !inBacktick && ch === '"') {
-            inDouble = !inDouble;
-            continue;
+function transferRuntimeHostAttributesToPureRoot(runtimeNode, pureRoot) {
+    if (!runtimeNode || !pureRoot || runtimeNode.nodeType !== 1 || pureRoot.nodeType !== 1) {
+        return;
+    }
+    const internal = new Set([
+        'qhtml-runtime-host',
+        'qhtml-runtime-template-id',
+        'qhtml-runtime-component',
+        'qhtml-component-instance'
+    ]);
+    Array.from(runtimeNode.attributes || []).forEach((attr) => {
+        const name = String(attr && attr.name ? attr.name : '').trim();
+        if (!name || internal.has(name)) {
+            return;
         }
-        if (!inSingle && !inDouble && ch === '`') {
-            inBacktick = !inBacktick;
-            continue;
+        const value = String(attr.value || '');
+        if (name.toLowerCase() === 'class') {
+            mergeClassAttribute(pureRoot, value);
+        } else {
+            setQHtmlAttribute(pureRoot, name, value);
         }
-        if (inSingle || inDouble || inBacktick) {
-            continue;
+        if (isQHtmlBindingSource(runtimeNode, name)) {
+            markQHtmlBindingSource(pureRoot, name);
         }
+    });
+}
 
-        if (ch === '{') {
-            depth++;
-            continue;
+function finalizeRuntimeComponentHosts(root) {
+    if (!root || typeof root.querySelectorAll !== 'function' || typeof document === 'undefined') {
+        return;
+    }
+    const runtimeRegistry = ensureQHtmlRuntimeRegistry();
+    let templateContainer = document.getElementById('qhtml-runtime-templates');
+    if (!templateContainer) {
+        templateContainer = document.createElement('div');
+        templateContainer.id = 'qhtml-runtime-templates';
+        templateContainer.style.display = 'none';
+        (document.body || document.documentElement).appendChild(templateContainer);
+    }
+    const runtimeHosts = Array.from(root.querySelectorAll('[qhtml-runtime-host="1"][qhtml-runtime-template-id]'));
+    runtimeHosts.forEach((runtimeNode) => {
+        const templateId = String(runtimeNode.getAttribute('qhtml-runtime-template-id') || '').trim();
+        if (!templateId) {
+            return;
         }
-        if (ch === '}') {
-            depth = Math.max(0, depth - 1);
-            continue;
+        const insertionParent = runtimeNode.parentNode;
+        const insertionNext = runtimeNode.nextSibling;
+        let template = document.getElementById(templateId);
+        if (!template || String(template.tagName || '').toLowerCase() !== 'template') {
+            template = document.createElement('template');
+            template.id = templateId;
         }
-        if (depth !== 0) {
-            continue;
+        if (!insertionParent) {
+            return;
         }
 
-        if (i > 0 && /[A-Za-z0-9_$-]/.test(source[i - 1])) {
-            continue;
+        const runtimeId = String(runtimeNode.getAttribute('id') || '').trim();
+        const componentId = String(runtimeNode.getAttribute('qhtml-runtime-component') || runtimeNode.tagName || '').toLowerCase();
+        const pureFragment = document.createDocumentFragment();
+        const runtimeInstance = runtimeNode;
+
+        if (runtimeRegistry && runtimeRegistry.byTemplateId) {
+            runtimeRegistry.byTemplateId[templateId] = runtimeInstance;
         }
-        if (!source.startsWith('q-signal', i)) {
-            continue;
+        if (runtimeRegistry && runtimeRegistry.byInstanceId && runtimeId) {
+            runtimeRegistry.byInstanceId[runtimeId] = runtimeInstance;
         }
 
-        const match = source.slice(i).match(/^q-signal\s+([A-Za-z_$][\w$]*)\s*\(([^)]*)\)\s*;?/);
-        if (!match) {
-            continue;
+        while (template.content.firstChild) {
+            template.content.removeChild(template.content.firstChild);
         }
+        template.content.appendChild(runtimeInstance);
 
-        const signalName = String(match[1] || '').trim();
-        const signalKey = signalName.toLowerCase();
-        if (seen.has(signalKey)) {
-            componentLogger.warn(componentId, `Duplicate q-signal declaration "${signalName}" ignored.`);
-        } else {
-            seen.add(signalKey);
-            signals.push({
-                name: signalName,
-                params: parseSignalParameterList(match[2], componentId, signalName)
-            });
+        while (runtimeInstance.firstChild) {
+            pureFragment.appendChild(runtimeInstance.firstChild);
         }
 
-        removals.push({
-            start: i,
-            end: i + match[0].length
-        });
-        i += match[0].length - 1;
-    }
-
-    if (!removals.length) {
-        return {
-            template: source.trim(),
-            signals
-        };
-    }
+        let firstPureElement = null;
+        let cursor = pureFragment.firstChild;
+        while (cursor) {
+            if (cursor.nodeType === 1) {
+                firstPureElement = cursor;
+                break;
+            }
+            cursor = cursor.nextSibling;
+        }
+        if (firstPureElement) {
+            firstPureElement.setAttribute('qhtml-runtime-template-id', templateId);
+            transferRuntimeHostAttributesToPureRoot(runtimeInstance, firstPureElement);
+            if (runtimeId) {
+                firstPureElement.setAttribute('id', runtimeId);
+            }
+            installRuntimeActionProxiesOnPureRoot(firstPureElement, componentId);
+        }
 
-    let template = source;
-    removals.sort((a, b) => b.start - a.start).forEach((range) => {
-        let end = range.end;
-        while (end < template.length && /\s/.test(template[end])) end++;
-        if (template[end] === ';') end++;
-        template = template.slice(0, range.start) + template.slice(end);
+        runtimeInstance.removeAttribute('qhtml-runtime-host');
+        runtimeInstance.removeAttribute('qhtml-runtime-template-id');
+        runtimeInstance.removeAttribute('qhtml-runtime-component');
+        runtimeInstance.removeAttribute('qhtml-component-instance');
+        insertionParent.insertBefore(pureFragment, insertionNext);
+        templateContainer.appendChild(template);
     });
+}
 
-    return {
-        template: template.trim(),
-        signals
-    };
+function isValidCustomElementName(name) {
+    const normalized = String(name || '').trim();
+    if (!normalized) return false;
+    if (!normalized.includes('-')) return false;
+    if (/[A-Z]/.test(normalized)) return false;
+    return /^[a-z][a-z0-9._-]*-[a-z0-9._-]*$/.test(normalized);
 }
 
-/**
- * Extract top-level onSignal handlers from a component body.
- *
- * Supported syntax (for declared signals only):
- *   onStateChanged { ... }
- *
- * @param {string} inner Component body text
- * @param {Array<{name: string, params: string[]}>} signals Known component signals
- * @param {string} componentId Component id for diagnostics
- * @returns {{template: string, signalHandlers: Array<{signalName: string, params: string, body: string}>}}
- */
-function extractComponentSignalHandlersAndTemplate(inner, signals = [], componentId = '') {
-    const signalLookup = new Map();
-    (Array.isArray(signals) ? signals : []).forEach((signal) => {
-        const signalName = String(signal && signal.name ? signal.name : '').trim();
-        if (!signalName) {
+function shouldUseCustomComponentHost(componentId) {
+    if (!isValidCustomElementName(componentId)) {
+        return false;
+    }
+    if (typeof window === 'undefined') {
+        return false;
+    }
+    return window.qhtmlCustomComponentHosts === true;
+}
+
+function compileGeneratedComponentActions(componentId, actions) {
+    const compiled = [];
+    (Array.isArray(actions) ? actions : []).forEach((action) => {
+        const actionName = String(action && action.name ? action.name : '').trim();
+        const actionParams = String(action && action.params ? action.params : '').trim();
+        const actionBody = String(action && action.body ? action.body : '').trim();
+        if (!actionName) {
             return;
         }
-        signalLookup.set(signalName.toLowerCase(), {
-            name: signalName,
-            params: Array.isArray(signal && signal.params)
-                ? signal.params.map((param) => String(param || '').trim()).filter(Boolean)
-                : []
-        });
+        try {
+            const fn = compileQHtmlFunction(actionParams, actionBody, `function ${actionName}`);
+            compiled.push({ name: actionName, fn });
+        } catch (err) {
+            componentLogger.error(componentId, `Failed to compile component action "${actionName}".`);
+        }
     });
+    return compiled;
+}
 
-    if (!signalLookup.size) {
-        return {
-            template: String(inner || '').trim(),
-            signalHandlers: []
-        };
+function installGeneratedComponentActions(ctor, componentId, actions) {
+    if (!ctor || !ctor.prototype) {
+        return;
     }
+    installGeneratedComponentBaseMethods(ctor);
+    const compiled = compileGeneratedComponentActions(componentId, actions);
+    qhtmlGeneratedComponentActionCache.set(componentId, compiled);
+    compiled.forEach((entry) => {
+        ctor.prototype[entry.name] = function(...args) {
+            return entry.fn.apply(this, args);
+        };
+    });
+}
 
-    const source = String(inner || '');
-    const segments = splitTopLevelSegments(source);
-    const signalHandlers = [];
-    const removals = [];
-
-    for (const seg of segments) {
-        const segTag = String(seg && seg.tag ? seg.tag : '').trim();
-        const candidate = handlerTagToSignalName(segTag);
-        if (!candidate) {
-            continue;
+/**
+ * Convert a value to the declared q-property type.  Attribute values arrive
+ * as strings (or null when the attribute is absent); property writes may be
+ * any value.
+ *
+ * @param {*} value Incoming value
+ * @param {object} property Normalized q-property declaration
+ * @param {boolean} fromAttribute Whether the value is an attribute string
+ * @returns {*} The coerced value
+ */
+function coerceGeneratedComponentPropertyValue(value, property, fromAttribute = false) {
+    const type = property.type;
+    if (fromAttribute && value === null) {
+        return type === 'Boolean' ? false : cloneGeneratedComponentPropertyDefault(property);
+    }
+    if (type === 'Boolean') {
+        if (fromAttribute) {
+            return String(value).trim().toLowerCase() !== 'false';
         }
-        const signalDef = signalLookup.get(candidate.toLowerCase());
-        if (!signalDef) {
-            continue;
+        return value === 'false' ? false : !!value;
+    }
+    if (type === 'Number') {
+        if (value === '' || value == null) {
+            return cloneGeneratedComponentPropertyDefault(property);
         }
-        const open = seg.block.indexOf('{');
-        const close = seg.block.lastIndexOf('}');
-        const handlerBody = open !== -1 && close > open
-            ? seg.block.slice(open + 1, close).trim()
-            : '';
+        const num = Number(value);
+        return Number.isNaN(num) ? cloneGeneratedComponentPropertyDefault(property) : num;
+    }
+    if (type === 'Object' || type === 'Array') {
+        if (typeof value === 'string') {
+            try {
+                return JSON.parse(value);
+            } catch (err) {
+                componentLogger.warn('', `q-property "${property.name}" expects JSON; got "${value}".`);
+                return cloneGeneratedComponentPropertyDefault(property);
+            }
+        }
+        return value;
+    }
+    return String(value == null ? '' : value);
+}
 
-        signalHandlers.push({
-            signalName: signalDef.name,
-            params: signalDef.params.join(', '),
-            body: handlerBody
-        });
-        removals.push({
-            start: seg.start,
-            end: seg.braceClose + 1
-        });
+function cloneGeneratedComponentPropertyDefault(property) {
+    const value = property.defaultValue;
+    if (value && typeof value === 'object') {
+        return JSON.parse(JSON.stringify(value));
     }
+    return value;
+}
 
-    if (!removals.length) {
-        return {
-            template: source.trim(),
-            signalHandlers
-        };
+function getGeneratedComponentPropertyStore(host) {
+    if (!host.__qhtmlPropertyValues || typeof host.__qhtmlPropertyValues !== 'object') {
+        host.__qhtmlPropertyValues = Object.create(null);
     }
+    return host.__qhtmlPropertyValues;
+}
 
-    let template = source;
-    removals.sort((a, b) => b.start - a.start).forEach((range) => {
-        let end = range.end;
-        while (end < template.length && /\s/.test(template[end])) end++;
-        if (template[end] === ';') end++;
-        template = template.slice(0, range.start) + template.slice(end);
-    });
+function readGeneratedComponentProperty(host, property) {
+    const store = getGeneratedComponentPropertyStore(host);
+    if (!(property.name in store)) {
+        // Attributes present at upgrade time arrive via attributeChangedCallback.
+        store[property.name] = cloneGeneratedComponentPropertyDefault(property);
+    }
+    return store[property.name];
+}
 
-    return {
-        template: template.trim(),
-        signalHandlers
-    };
+function reflectGeneratedComponentProperty(host, property, value) {
+    if (property.type === 'Object' || property.type === 'Array') {
+        return;
+    }
+    host.__qhtmlReflectingAttribute = property.attribute;
+    try {
+        if (value === false || value == null) {
+            host.removeAttribute(property.attribute);
+        } else {
+            host.setAttribute(property.attribute, value === true ? '' : String(value));
+        }
+    } finally {
+        host.__qhtmlReflectingAttribute = null;
+    }
 }
 
 /**
- * Extract top-level component function declarations and return a cleaned
- * template body without those declarations.
- *
- * Supported syntax:
- *   function doAction(params) { ... }
- *
- * @param {string} inner Component inner body text (without outer braces)
- * @param {string} componentId Component id for diagnostics
- * @returns {{template: string, actions: Array<{name: string, params: string, body: string}>}}
+ * Store a q-property value, reflect primitive values back to the attribute
+ * and fire `<name>Changed(value, oldValue)` when the value actually changed.
  */
-function extractComponentActionsAndTemplate(inner, componentId = '') {
-    const segments = splitTopLevelSegments(inner);
-    const actions = [];
-    const removals = [];
-
-    for (const seg of segments) {
-        const sig = String(seg.tag || '').trim().match(/^function\s+([A-Za-z_$][\w$]*)\s*\(([^)]*)\)$/);
-        if (!sig) continue;
-        const fnName = sig[1];
-        const fnParams = sig[2].trim();
-        const open = seg.block.indexOf('{');
-        const close = seg.block.lastIndexOf('}');
-        const fnBody = open !== -1 && close > open
-            ? seg.block.slice(open + 1, close).trim()
-            : '';
-
-        actions.push({
-            name: fnName,
-            params: fnParams,
-            body: fnBody
-        });
-        removals.push({
-            start: seg.start,
-            end: seg.braceClose + 1
-        });
+function writeGeneratedComponentProperty(host, property, value, fromAttribute = false) {
+    const previous = readGeneratedComponentProperty(host, property);
+    const next = coerceGeneratedComponentPropertyValue(value, property, fromAttribute);
+    getGeneratedComponentPropertyStore(host)[property.name] = next;
+    if (!fromAttribute) {
+        reflectGeneratedComponentProperty(host, property, next);
+    }
+    if (Object.is(previous, next)) {
+        return;
     }
-
-    if (!removals.length) {
-        return {
-            template: inner.trim(),
-            actions
-        };
+    notifyQHtmlReactiveChange(host, property.name);
+    const emitter = host[property.signalName];
+    if (typeof emitter === 'function' && emitter.__qhtmlSignalHost === host) {
+        emitter.call(host, next, previous);
     }
+}
 
-    let template = inner;
-    removals.sort((a, b) => b.start - a.start).forEach((range) => {
-        let end = range.end;
-        while (end < template.length && /\s/.test(template[end])) end++;
-        if (template[end] === ';') end++;
-        template = template.slice(0, range.start) + template.slice(end);
+function installGeneratedComponentProperties(ctor, componentId) {
+    if (!ctor || !ctor.prototype) {
+        return;
+    }
+    const actionNames = new Set((qhtmlGeneratedComponentActionCache.get(componentId) || []).map((entry) => entry.name));
+    getGeneratedComponentProperties(componentId).forEach((property) => {
+        if (actionNames.has(property.name)) {
+            componentLogger.warn(componentId, `q-property "${property.name}" shadows a component function of the same name.`);
+        }
+        Object.defineProperty(ctor.prototype, property.name, {
+            configurable: true,
+            enumerable: true,
+            get() {
+                return readGeneratedComponentProperty(this, property);
+            },
+            set(value) {
+                writeGeneratedComponentProperty(this, property, value);
+            }
+        });
     });
+}
 
-    if (!template.trim()) {
-        componentLogger.warn(componentId, 'Component only defines function blocks and no template markup.');
-    }
+// Component lifecycle blocks, keyed by the hook name used in the cache.
+const QHTML_COMPONENT_LIFECYCLE_HOOKS = {
+    onconnected: { hook: 'connected', params: '' },
+    ondisconnected: { hook: 'disconnected', params: '' },
+    onattributechanged: { hook: 'attributeChanged', params: 'name, oldValue, value' },
+    onadopted: { hook: 'adopted', params: '' }
+};
 
-    return {
-        template: template.trim(),
-        actions
-    };
+function compileGeneratedComponentLifecycle(componentId, lifecycle) {
+    const compiled = {};
+    (Array.isArray(lifecycle) ? lifecycle : []).forEach((entry) => {
+        const spec = QHTML_COMPONENT_LIFECYCLE_HOOKS[String(entry.name || '').toLowerCase()];
+        if (!spec) {
+            return;
+        }
+        try {
+            (compiled[spec.hook] = compiled[spec.hook] || []).push(compileQHtmlFunction(spec.params, entry.body, entry.name));
+        } catch (err) {
+            componentLogger.error(componentId, `Failed to compile ${entry.name}: ${err && err.message ? err.message : err}`);
+        }
+    });
+    return Object.keys(compiled).length ? compiled : null;
 }
 
-function extractComponentRuntimeMetadataAndTemplate(inner, componentId = '') {
-    const signalExtracted = extractComponentSignalsAndTemplate(inner, componentId);
-    const handlerExtracted = extractComponentSignalHandlersAndTemplate(
-        signalExtracted.template,
-        signalExtracted.signals,
-        componentId
-    );
-    const actionExtracted = extractComponentActionsAndTemplate(handlerExtracted.template, componentId);
-    return {
-        template: actionExtracted.template,
-        actions: actionExtracted.actions,
-        signals: signalExtracted.signals,
-        signalHandlers: handlerExtracted.signalHandlers
-    };
+/**
+ * Run the `on<Hook>` lifecycle blocks of a component instance with the
+ * runtime `this` context.  A block may return a function, which is registered
+ * as a cleanup (see `addGeneratedComponentCleanup`).
+ *
+ * @param {HTMLElement} host Component instance
+ * @param {string} componentId Component id
+ * @param {string} hook `connected`, `disconnected`, `attributeChanged` or `adopted`
+ * @param {Array} [args] Arguments passed to the block
+ */
+function runGeneratedComponentLifecycleHooks(host, componentId, hook, args = []) {
+    const compiled = getGeneratedComponentLifecycle(componentId);
+    const hooks = compiled && compiled[hook];
+    if (!hooks) {
+        return;
+    }
+    hooks.forEach((fn) => {
+        const restoreThisContext = applyQHtmlRuntimeThisContext(host);
+        try {
+            const result = fn.apply(host, args);
+            if (typeof result === 'function') {
+                addGeneratedComponentCleanup(host, result);
+            }
+        } catch (err) {
+            componentLogger.error(componentId, `on${hook.charAt(0).toUpperCase()}${hook.slice(1)} failed: ${err && err.message ? err.message : err}`);
+        } finally {
+            if (typeof restoreThisContext === 'function') {
+                restoreThisContext();
+            }
+        }
+    });
 }
 
-function addInvocationAttributesToPrimarySegment(source, options = {}) {
-    if (!source) return source;
-    const {
-        classes = [],
-        rootAttributes = {}
-    } = options;
-    const segments = splitTopLevelSegments(source);
-    if (!segments.length) return source;
-    const primaryIndex = segments.findIndex((seg) => shouldMarkComponentSegment(seg.tag));
-    if (primaryIndex === -1) return source;
-    const primary = segments[primaryIndex];
-    const attrs = Object.assign({}, rootAttributes);
-    if (classes.length) {
-        attrs.class = mergeClassNames(attrs.class || '', classes.join(' '));
+function addGeneratedComponentCleanup(host, cleanup) {
+    if (typeof cleanup !== 'function') {
+        return;
     }
-    const serialized = serializeInvocationAttributes(attrs);
-    if (!serialized.trim()) return source;
-    const injection = `\n    ${serialized.split('\n').join('\n    ')}`;
-    return source.slice(0, primary.braceOpen + 1) + injection + source.slice(primary.braceOpen + 1);
+    if (!Array.isArray(host.__qhtmlCleanups)) {
+        host.__qhtmlCleanups = [];
+    }
+    host.__qhtmlCleanups.push(cleanup);
 }
 
-function buildQIntoCarriersFromSlotEntries(slotEntries) {
-    return (Array.isArray(slotEntries) ? slotEntries : []).map((entry) => {
-        const slotName = String(entry && entry.slotName ? entry.slotName : '').trim();
-        if (!slotName) {
-            return '';
-        }
-        const parts = [
-            `slot: "${escapeQHtmlPropString(slotName)}";`,
-            `q-into-carrier: "1";`,
-            `style: "display: none;";`
-        ];
-        const content = String(entry && entry.content ? entry.content : '').trim();
-        if (content) {
-            parts.push(content);
+// Runs on disconnect and in teardownComponentRuntimeInstance, newest first.
+function releaseGeneratedComponentResources(host) {
+    const cleanups = Array.isArray(host.__qhtmlCleanups) ? host.__qhtmlCleanups.splice(0) : [];
+    for (let i = cleanups.length - 1; i >= 0; i--) {
+        try {
+            cleanups[i].call(host);
+        } catch (err) {
+            componentLogger.error(String(host.tagName || '').toLowerCase(), `Cleanup failed: ${err && err.message ? err.message : err}`);
         }
-        return `q-into {\n${indentQHtmlBlock(parts.join('\n'))}\n}`;
-    }).filter(Boolean).join('\n');
+    }
 }
 
-function buildRuntimeComponentInvocation(componentId, slotEntries, rootAttributes = {}, classes = [], actions = [], signals = [], signalHandlers = [], hostBlocks = []) {
-    const attrs = Object.assign({}, rootAttributes, {
-        'q-component': componentId,
-        'qhtml-component-instance': '1'
-    });
-    if (classes.length) {
-        attrs.class = mergeClassNames(attrs.class || '', classes.join(' '));
+function compileGeneratedComponentState(componentId, state) {
+    if (!state) {
+        return null;
     }
-    const attrLines = serializeInvocationAttributes(attrs);
-    const carrierBlocks = buildQIntoCarriersFromSlotEntries(slotEntries);
-    const readyLines = [];
-    const signalDefs = (Array.isArray(signals) ? signals : [])
-        .map((signal) => ({
-            name: String(signal && signal.name ? signal.name : '').trim(),
-            params: Array.isArray(signal && signal.params)
-                ? signal.params.map((param) => String(param || '').trim()).filter(Boolean)
-                : []
-        }))
-        .filter((signal) => signal.name);
-    const signalHandlerDefs = (Array.isArray(signalHandlers) ? signalHandlers : [])
-        .map((handler) => ({
-            signalName: String(handler && handler.signalName ? handler.signalName : '').trim(),
-            params: String(handler && handler.params ? handler.params : '').trim(),
-            body: String(handler && handler.body ? handler.body : '').trim()
-        }))
-        .filter((handler) => handler.signalName && handler.body);
-    if (signalDefs.length || signalHandlerDefs.length) {
-        readyLines.push(`ensureComponentSignals(this, ${JSON.stringify(signalDefs)}, ${JSON.stringify(signalHandlerDefs)}, ${JSON.stringify(componentId)});`);
+    const compiled = { initialize: null, computed: [], watchers: [] };
+    if (state.initializer) {
+        try {
+            compiled.initialize = compileQHtmlFunction([], `return ({\n${state.initializer}\n});`, 'q-state');
+        } catch (err) {
+            componentLogger.error(componentId, `Failed to compile q-state: ${err && err.message ? err.message : err}`);
+        }
     }
-    const actionNames = (Array.isArray(actions) ? actions : [])
-        .map((action) => ({
-            name: String(action && action.name ? action.name : '').trim(),
-            params: String(action && action.params ? action.params : '').trim(),
-            body: String(action && action.body ? action.body : '').trim()
-        }))
-        .filter((entry) => entry.name);
-    actionNames.forEach((entry) => {
-        readyLines.push(`this[${JSON.stringify(entry.name)}] = function(${entry.params}) {`);
-        if (entry.body) {
-            entry.body.split('\n').forEach((line) => readyLines.push(line));
+    (state.computed || []).forEach((entry) => {
+        try {
+            compiled.computed.push({ name: entry.name, fn: compileQHtmlFunction([], entry.body, `q-computed ${entry.name}`) });
+        } catch (err) {
+            componentLogger.error(componentId, `Failed to compile q-computed "${entry.name}".`);
         }
-        readyLines.push('};');
     });
-    if (actionNames.length) {
-        const namesLiteral = JSON.stringify(actionNames.map((entry) => entry.name));
-        readyLines.push(`bindComponentActionsRecursively(this, ${namesLiteral});`);
-        readyLines.push(`observeComponentActionBinding(this, ${namesLiteral});`);
-    }
-    const readyBlock = readyLines.length
-        ? `onReady {\n${readyLines.map((line) => `  ${line}`).join('\n')}\n}`
-        : '';
-    const hostBlockSource = (Array.isArray(hostBlocks) ? hostBlocks : [])
-        .map((block) => String(block || '').trim())
-        .filter(Boolean)
-        .join('\n');
-    const body = [attrLines, hostBlockSource, readyBlock, carrierBlocks].filter((part) => String(part || '').trim()).join('\n');
-    return `${componentId} {\n${indentQHtmlBlock(body)}\n}`;
+    (state.watchers || []).forEach((entry) => {
+        try {
+            compiled.watchers.push({ path: entry.path, fn: compileQHtmlFunction(entry.params, entry.body, `q-watch ${entry.path}`) });
+        } catch (err) {
+            componentLogger.error(componentId, `Failed to compile q-watch "${entry.path}".`);
+        }
+    });
+    return compiled;
 }
 
-function slotEntriesToMap(slotEntries) {
-    const slotMap = new Map();
-    (Array.isArray(slotEntries) ? slotEntries : []).forEach((entry) => {
-        const slotName = String(entry && entry.slotName ? entry.slotName : '').trim();
-        if (!slotName) return;
-        const existing = slotMap.get(slotName) || '';
-        const content = String(entry && entry.content ? entry.content : '');
-        slotMap.set(slotName, existing + '\n' + content);
+/**
+ * Copy the q-state initial values onto a new instance as reactive own
+ * properties.  Each instance evaluates the initializer again, so objects and
+ * arrays are never shared between instances.
+ */
+function initializeGeneratedComponentState(host, componentId) {
+    const compiled = getGeneratedComponentState(componentId);
+    if (!compiled || !compiled.initialize || host.__qhtmlStateKeys) {
+        return;
+    }
+    host.__qhtmlStateKeys = [];
+    let initial = null;
+    try {
+        initial = compiled.initialize.call(host);
+    } catch (err) {
+        componentLogger.error(componentId, `q-state initializer failed: ${err && err.message ? err.message : err}`);
+        return;
+    }
+    const propertyNames = new Set(getGeneratedComponentProperties(componentId).map((property) => property.name));
+    Object.keys(initial || {}).forEach((key) => {
+        if (propertyNames.has(key) || isNativeElementMember(host, key)) {
+            componentLogger.warn(componentId, `q-state key "${key}" conflicts with an existing member and was ignored.`);
+            return;
+        }
+        host[key] = initial[key];
+        makeQHtmlPropertyReactive(host, key);
+        host.__qhtmlStateKeys.push(key);
+    });
+}
+
+function startGeneratedComponentWatchers(host, componentId) {
+    if (Array.isArray(host.__qhtmlWatchers)) {
+        host.__qhtmlWatchers.forEach((watcher) => watcher.update());
+        return;
+    }
+    const compiled = getGeneratedComponentState(componentId);
+    if (!compiled || !compiled.watchers.length) {
+        return;
+    }
+    host.__qhtmlWatchers = compiled.watchers.map((entry) => {
+        let started = false;
+        let previous;
+        const watcher = createQHtmlBinding(host, '', () => host.isConnected !== false, (value) => {
+            const oldValue = previous;
+            previous = value;
+            if (!started) {
+                started = true;
+                return;
+            }
+            if (value === oldValue && (typeof value !== 'object' || value === null)) {
+                return;
+            }
+            const restoreThisContext = applyQHtmlRuntimeThisContext(host);
+            try {
+                entry.fn.call(host, value, oldValue);
+            } catch (err) {
+                componentLogger.error(componentId, `q-watch "${entry.path}" failed: ${err && err.message ? err.message : err}`);
+            } finally {
+                restoreThisContext();
+            }
+        }, { expression: `this.component.${entry.path}` });
+        watcher.update();
+        return watcher;
     });
-    return slotMap;
 }
 
 /**
- * Expand reusable definition blocks found in qhtml.
- *
- * - `q-component` definitions are registered as runtime custom-element hosts.
- *   Invocations are normalized to host tags with `<q-into slot="...">` carriers.
- * - `q-template` definitions are compile-time only and expand to pure HTML.
- *   Function blocks inside q-template are ignored with a warning.
+ * Plain copy of an instance's q-state, q-property and q-computed values, for
+ * logging and devtools.
  *
- * @param {string} input Raw qhtml containing component definitions and invocations
- * @returns {string} The qhtml with component/template invocations resolved
+ * @param {HTMLElement} host Component instance
+ * @returns {{state: object, properties: object, computed: object}}
  */
-function transformComponentDefinitionsHelper(input) {
-    const defs = [];
-    let out = input;
+function snapshotGeneratedComponentState(host) {
+    const componentId = String(host.getAttribute('q-component') || host.tagName || '').toLowerCase();
+    const compiled = getGeneratedComponentState(componentId);
+    const snapshot = { state: {}, properties: {}, computed: {} };
+    (host.__qhtmlStateKeys || []).forEach((key) => {
+        snapshot.state[key] = host[key];
+    });
+    getGeneratedComponentProperties(componentId).forEach((property) => {
+        snapshot.properties[property.name] = host[property.name];
+    });
+    (compiled ? compiled.computed : []).forEach((entry) => {
+        snapshot.computed[entry.name] = host[entry.name];
+    });
+    return snapshot;
+}
 
-    const collectDefinitions = (keyword, kind) => {
-        let idx = 0;
-        while (true) {
-            const start = out.indexOf(keyword, idx);
-            if (start === -1) break;
-            const open = out.indexOf('{', start);
-            if (open === -1) break;
-            const close = findMatchingBrace(out, open);
-            if (close === -1) break;
-            const header = out.slice(start, open).trim();
-            const headerMatch = header.match(new RegExp(`^${keyword}\\s+([^\\s{]+)$`));
-            const id = headerMatch ? headerMatch[1] : '';
-            const block = out.slice(start, close + 1);
-            const inner = block.slice(block.indexOf('{') + 1, block.lastIndexOf('}'));
-            if (!id) {
-                const flattenedInner = removeNestedBlocks(inner);
-                if (keyword === 'q-component' && /(?:^|\s)id\s*:\s*"[^"]+"\s*;?/.test(flattenedInner)) {
-                    componentLogger.error('', 'Legacy component syntax is no longer supported. Use `q-component component-id { ... }`.');
+function installGeneratedComponentState(ctor, componentId) {
+    if (!ctor || !ctor.prototype) {
+        return;
+    }
+    if (typeof ctor.prototype.stateSnapshot !== 'function') {
+        ctor.prototype.stateSnapshot = function() {
+            return snapshotGeneratedComponentState(this);
+        };
+    }
+    const compiled = getGeneratedComponentState(componentId);
+    (compiled ? compiled.computed : []).forEach((entry) => {
+        Object.defineProperty(ctor.prototype, entry.name, {
+            configurable: true,
+            enumerable: true,
+            get() {
+                // Inside a binding, evaluate against the tracking proxy so the
+                // computed value's own reads become dependencies of the binding.
+                const self = qhtmlActiveBindingCollector ? createQHtmlTrackingProxy(this, new WeakMap()) : this;
+                try {
+                    return entry.fn.call(self);
+                } catch (err) {
+                    componentLogger.error(componentId, `q-computed "${entry.name}" failed: ${err && err.message ? err.message : err}`);
+                    return undefined;
                 }
-                idx = close + 1;
-                continue;
-            }
-            const templateSource = stripTopLevelProps(inner, ['id', 'slots']).trim();
-            const extracted = kind === 'component'
-                ? extractComponentRuntimeMetadataAndTemplate(templateSource, id)
-                : extractComponentActionsAndTemplate(templateSource, id);
-            if (kind === 'template' && extracted.actions.length) {
-                componentLogger.warn(id, 'q-template ignores function blocks.');
+            },
+            set() {
+                componentLogger.warn(componentId, `q-computed "${entry.name}" is read-only.`);
             }
-            defs.push({
-                kind,
-                id,
-                template: extracted.template,
-                actions: kind === 'component' ? extracted.actions : [],
-                signals: kind === 'component' ? (extracted.signals || []) : [],
-                signalHandlers: kind === 'component' ? (extracted.signalHandlers || []) : []
-            });
-            out = out.slice(0, start) + out.slice(close + 1);
-            idx = Math.max(0, start - 1);
+        });
+    });
+}
+
+function ensureGeneratedCustomElement(componentId, actions, signals = [], signalHandlers = []) {
+    if (!isValidCustomElementName(componentId)) {
+        return false;
+    }
+    // String renders must not define or patch live custom elements.
+    if (qhtmlIsolatedComponentRegistry || typeof window === 'undefined' || !window.customElements) {
+        return false;
+    }
+    const existing = window.customElements.get(componentId);
+    if (existing) {
+        installGeneratedComponentActions(existing, componentId, actions);
+        installGeneratedComponentProperties(existing, componentId);
+        installGeneratedComponentState(existing, componentId);
+        return true;
+    }
+    class GeneratedQHtmlComponent extends HTMLElement {
+        constructor() {
+            super();
+            initializeGeneratedComponentState(this, componentId);
         }
-    };
 
-    collectDefinitions('q-component', 'component');
-    collectDefinitions('q-template', 'template');
+        static get observedAttributes() {
+            return getGeneratedComponentProperties(componentId).map((property) => property.attribute);
+        }
 
-    if (!defs.length) {
-        return out;
-    }
+        attributeChangedCallback(name, oldValue, value) {
+            if (oldValue === value) {
+                return;
+            }
+            const property = this.__qhtmlReflectingAttribute === name
+                ? null
+                : getGeneratedComponentProperties(componentId).find((entry) => entry.attribute === name);
+            if (property) {
+                writeGeneratedComponentProperty(this, property, value, true);
+            }
+            runGeneratedComponentLifecycleHooks(this, componentId, 'attributeChanged', [name, oldValue, value]);
+        }
 
-    const componentIds = defs.map((def) => def.id);
-    const slotRegistry = new Map();
-    for (const def of defs) {
-        const slotInfo = collectTemplateSlotDefinitions(def.template, componentIds, def.id);
-        slotRegistry.set(def.id, slotInfo);
-        if (def.kind === 'component') {
-            setGeneratedComponentDefinition(def.id, {
-                template: def.template,
-                slotNames: Array.from(slotInfo.slotNames || []),
-                signals: def.signals || [],
-                signalHandlers: def.signalHandlers || []
-            });
-            if (isValidCustomElementName(def.id)) {
-                ensureGeneratedCustomElement(def.id, def.actions, def.signals, def.signalHandlers);
-            } else {
-                componentLogger.warn(def.id, 'Component id is not a valid custom-element name; methods are unavailable on document.createElement for this tag.');
+        connectedCallback() {
+            if (!isComponentSlotsResolved(this)) {
+                const slotNames = getGeneratedComponentSlotNames(componentId);
+                if (slotNames.length === 1) {
+                    normalizeImplicitContentToSingleSlotCarrier(this, slotNames[0]);
+                }
+                ensureGeneratedComponentTemplateHydrated(this);
+                syncGeneratedComponentSlotsFromCarriers(this);
+            }
+            const componentSignals = getGeneratedComponentSignals(componentId);
+            const componentSignalHandlers = getGeneratedComponentSignalHandlers(componentId);
+            ensureComponentSignals(this, componentSignals, componentSignalHandlers, componentId);
+            queueSignalAttributeConnections(this, componentSignals);
+            const actionNames = (qhtmlGeneratedComponentActionCache.get(componentId) || [])
+                .map((entry) => String(entry && entry.name ? entry.name : '').trim())
+                .filter(Boolean);
+            if (actionNames.length) {
+                bindComponentActionsRecursively(this, actionNames);
+                observeComponentActionBinding(this, actionNames);
+            }
+            initializeGeneratedComponentState(this, componentId);
+            if (this.shadowRoot && this.shadowRoot.__qhtmlShadowTemplate) {
+                if (actionNames.length) {
+                    bindComponentActionsRecursively(this.shadowRoot, actionNames, this);
+                }
+                activateQHtmlBindings(this.shadowRoot);
             }
+            activateQHtmlBindings(this);
+            startGeneratedComponentWatchers(this, componentId);
+            runGeneratedComponentLifecycleHooks(this, componentId, 'connected');
+        }
+
+        disconnectedCallback() {
+            runGeneratedComponentLifecycleHooks(this, componentId, 'disconnected');
+            releaseGeneratedComponentResources(this);
+        }
+
+        adoptedCallback() {
+            runGeneratedComponentLifecycleHooks(this, componentId, 'adopted');
         }
     }
+    GeneratedQHtmlComponent.__qhtmlGeneratedComponent = true;
+    window.customElements.define(componentId, GeneratedQHtmlComponent);
+    const ctor = window.customElements.get(componentId);
+    installGeneratedComponentActions(ctor, componentId, actions);
+    installGeneratedComponentProperties(ctor, componentId);
+    installGeneratedComponentState(ctor, componentId);
+    return true;
+}
 
-    const maxPasses = Math.max(1, defs.length * 3);
-    let pass = 0;
-    let changed = true;
+/**
+ * Add a trailing semicolon to property definitions missing one.  Properties
+ * are expressed as `name: "value"` pairs; this helper ensures they are
+ * terminated properly for downstream parsing.
+ *
+ * @param {string} input Raw qhtml text
+ * @returns {string} The input with semicolons appended to property lines
+ */
+function stripBlockComments(input) {
+    let result = '';
+    let inSingleQuote = false;
+    let inDoubleQuote = false;
+    let isEscaped = false;
 
-    while (changed && pass < maxPasses) {
-        changed = false;
-        pass++;
-        for (const def of defs) {
-            const { id, template, kind } = def;
-            let slotInfo = slotRegistry.get(id) || {
-                directSlots: new Map(),
-                subcomponentSlots: new Map(),
-                slotNames: new Set()
-            };
-            if (!slotInfo.slotNames || slotInfo.slotNames.size === 0) {
-                const fallbackSlotNames = collectTemplateSlotNames(template);
-                if (fallbackSlotNames.size) {
-                    const fallbackDirect = new Map();
-                    fallbackSlotNames.forEach((slotName) => fallbackDirect.set(slotName, 1));
-                    slotInfo = {
-                        directSlots: fallbackDirect,
-                        subcomponentSlots: new Map(),
-                        slotNames: fallbackSlotNames
-                    };
-                }
-            }
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        const next = input[i + 1];
 
-            const totalSlotCount = Array.from(slotInfo.directSlots.values()).reduce((a, b) => a + b, 0)
-                + Array.from(slotInfo.subcomponentSlots.values()).reduce((a, b) => a + b, 0);
-            let singleSlotName = '';
-            if (totalSlotCount === 1) {
-                if (slotInfo.directSlots.size === 1) {
-                    singleSlotName = Array.from(slotInfo.directSlots.keys())[0];
-                } else if (slotInfo.subcomponentSlots.size === 1) {
-                    singleSlotName = Array.from(slotInfo.subcomponentSlots.keys())[0];
+        if (!inSingleQuote && !inDoubleQuote && ch === '/' && next === '*') {
+            i += 2;
+            while (i < input.length) {
+                if (input[i] === '*' && input[i + 1] === '/') {
+                    i += 1;
+                    break;
                 }
+                i++;
             }
+            continue;
+        }
 
-            let pos = 0;
-            while (true) {
-                const k = findTagInvocation(out, id, pos, { allowClasses: true });
-                if (!k) break;
-                const { tagStart, braceOpen, braceClose, tagToken } = k;
-                const { classes: componentClasses } = parseTagWithClasses(tagToken || id);
-                const body = out.slice(braceOpen + 1, braceClose);
-                const flattenedBody = removeNestedBlocks(body);
-                if (/(?:^|\s)qhtml-component-instance\s*:\s*"1"\s*;?/.test(flattenedBody)) {
-                    pos = braceClose + 1;
-                    continue;
-                }
+        result += ch;
 
-                const rootAttributes = extractTopLevelInvocationAttributes(body);
-                const children = splitTopLevelSegments(body);
-                const slotEntries = [];
-                const hostBlocks = [];
-                const invocationSignalHandlers = [];
-                const nonSlotChildStarts = new Set();
-                let hasSlotTagBlocks = false;
-                let hasLegacySlotDirective = false;
-                const signalLookup = new Map();
-                (Array.isArray(def.signals) ? def.signals : []).forEach((signal) => {
-                    const signalName = String(signal && signal.name ? signal.name : '').trim();
-                    if (!signalName) {
-                        return;
-                    }
-                    signalLookup.set(signalName.toLowerCase(), {
-                        name: signalName,
-                        params: Array.isArray(signal && signal.params)
-                            ? signal.params.map((param) => String(param || '').trim()).filter(Boolean)
-                            : []
-                    });
-                });
+        if (isEscaped) {
+            isEscaped = false;
+            continue;
+        }
 
-                const intoNodes = collectIntoNodes(body, componentIds, id);
-                const hasIntoBlocks = hasTopLevelIntoBlock(body, componentIds);
-                for (const node of intoNodes) {
-                    if (!slotInfo.slotNames.size) {
-                        componentLogger.warn(id, `Component does not have slot named "${node.targetSlot}".`);
-                        continue;
-                    }
-                    const resolved = resolveIntoSlotTarget(node.targetSlot, slotInfo, id);
-                    if (!resolved) continue;
-                    slotEntries.push({
-                        slotName: resolved,
-                        content: node.children,
-                        position: node.position
-                    });
-                }
+        if (ch === '\\') {
+            isEscaped = true;
+            continue;
+        }
 
-                for (const seg of children) {
-                    const segTag = String(seg && seg.tag ? seg.tag : '').trim();
-                    if (/^on[A-Za-z0-9_]+$/i.test(segTag)) {
-                        const candidateSignalName = handlerTagToSignalName(segTag);
-                        const signalDef = candidateSignalName ? signalLookup.get(candidateSignalName.toLowerCase()) : null;
-                        if (signalDef && !isReadyLifecycleName(segTag)) {
-                            const open = seg.block.indexOf('{');
-                            const close = seg.block.lastIndexOf('}');
-                            const handlerBody = open !== -1 && close > open
-                                ? seg.block.slice(open + 1, close).trim()
-                                : '';
-                            invocationSignalHandlers.push({
-                                signalName: signalDef.name,
-                                params: signalDef.params.join(', '),
-                                body: handlerBody
-                            });
-                            if (typeof seg.start === 'number') {
-                                nonSlotChildStarts.add(seg.start);
-                            }
-                            continue;
-                        }
-                        hostBlocks.push(seg.block);
-                        if (typeof seg.start === 'number') {
-                            nonSlotChildStarts.add(seg.start);
-                        }
-                        continue;
-                    }
-                    if (seg.tag === 'into' || seg.tag === 'q-into') {
-                        continue;
-                    }
-                    if (slotInfo.slotNames.has(seg.tag) && !componentIds.includes(seg.tag)) {
-                        hasSlotTagBlocks = true;
-                        const innerStart = seg.block.indexOf('{');
-                        const innerEnd = seg.block.lastIndexOf('}');
-                        const injected = innerStart !== -1 && innerEnd > innerStart
-                            ? seg.block.slice(innerStart + 1, innerEnd).trim()
-                            : '';
-                        slotEntries.push({
-                            slotName: seg.tag,
-                            content: injected,
-                            position: typeof seg.start === 'number' ? seg.start : 0
-                        });
-                        continue;
-                    }
-                    const legacyDirective = findTopLevelLegacySlotDirective(seg.block);
-                    if (legacyDirective) {
-                        hasLegacySlotDirective = true;
-                        componentLogger.error(id, 'Legacy inline slot assignment is no longer supported. Use `slot-name { ... }` child blocks.');
-                    }
-                }
+        if (ch === '"' && !inSingleQuote) {
+            inDoubleQuote = !inDoubleQuote;
+            continue;
+        }
 
-                const hasExplicitSlotUsage = hasIntoBlocks || hasSlotTagBlocks || hasLegacySlotDirective || slotEntries.length > 0;
-                if (!hasExplicitSlotUsage && singleSlotName) {
-                    const autoContent = children
-                        .filter((seg) => seg.tag !== 'into' && seg.tag !== 'q-into')
-                        .filter((seg) => !(typeof seg.start === 'number' && nonSlotChildStarts.has(seg.start)))
-                        .map((seg) => seg.block)
-                        .join('\n')
-                        .trim();
-                    if (autoContent) {
-                        slotEntries.push({
-                            slotName: singleSlotName,
-                            content: autoContent,
-                            position: 0
-                        });
-                    }
-                }
-                slotEntries.sort((a, b) => a.position - b.position);
+        if (ch === '\'' && !inDoubleQuote) {
+            inSingleQuote = !inSingleQuote;
+        }
+    }
 
-                let replacement = '';
-                if (kind === 'component') {
-                    const runtimeSignalHandlers = []
-                        .concat(Array.isArray(def.signalHandlers) ? def.signalHandlers : [])
-                        .concat(invocationSignalHandlers);
-                    replacement = buildRuntimeComponentInvocation(
-                        id,
-                        slotEntries,
-                        rootAttributes,
-                        componentClasses,
-                        def.actions,
-                        def.signals,
-                        runtimeSignalHandlers,
-                        hostBlocks
-                    );
-                } else {
-                    const slotMap = slotEntriesToMap(slotEntries);
-                    const suppressMissingWarnings = !hasExplicitSlotUsage && children.length === 0;
-                    const expanded = replaceTemplateSlots(template, slotMap, {
-                        componentId: id,
-                        warnOnMissing: !suppressMissingWarnings,
-                        preserveAnchors: false
-                    });
-                    replacement = addInvocationAttributesToPrimarySegment(expanded, {
-                        classes: componentClasses,
-                        rootAttributes
-                    });
-                }
+    return result;
+}
 
-                out = out.slice(0, tagStart) + replacement + out.slice(braceClose + 1);
-                pos = tagStart + replacement.length;
-                changed = true;
+function addSemicolonToProperties(input) {
+    const regex = /(\w+)\s*:\s*("[^"]*")(?!;)/g;
+    // q-state, q-computed and q-watch bodies are JavaScript, where
+    // `key: "value"` is an object entry, so they are copied unchanged.
+    const declaration = /(?:^|[\s;{}])q-(?:state|computed\s+[A-Za-z_$][\w$]*\s*\([^)]*\)|watch\s+[\w$.]+\s*\([^)]*\))\s*\{/g;
+    const source = String(input);
+    let result = '';
+    let last = 0;
+    let match;
+    while ((match = declaration.exec(source))) {
+        const open = match.index + match[0].length - 1;
+        const close = findMatchingBraceWithLiterals(source, open);
+        if (close === -1) {
+            break;
+        }
+        result += source.slice(last, open + 1).replace(regex, "$1: $2;") + source.slice(open + 1, close);
+        last = close;
+        declaration.lastIndex = close;
+    }
+    return result + source.slice(last).replace(regex, "$1: $2;");
+}
+
+/**
+ * Legacy compatibility no-op for backtick preprocessing.
+ * Backtick-enclosed content is no longer evaluated as JavaScript.
+ *
+ * @param {string} input The qhtml text
+ * @returns {string} The input unchanged
+ */
+function replaceBackticksWithQuotes(input) {
+    return String(input == null ? '' : input);
+}
+
+/**
+ * URI-encode quoted segments within the qhtml.  This protects values that
+ * contain special characters from interfering with parser logic.  At the
+ * end of parsing the encoded values are decoded back to their original
+ * representation.
+ *
+ * @param {string} qhtml The raw qhtml markup
+     * @returns {string} The qhtml with quoted contents encoded
+ */
+function encodeQuotedStrings(qhtml) {
+    const regex = /"{1}([^\"]*)"{1}/mg;
+    return qhtml.replace(regex, (match, p1) => `"${encodeURIComponent(p1)}"`);
+}
+
+function decodeEncodedStringIfNeeded(value) {
+    const text = String(value == null ? '' : value);
+    if (!/%[0-9A-Fa-f]{2}/.test(text)) {
+        return text;
+    }
+    return text.replace(/(?:%[0-9A-Fa-f]{2})+/g, (chunk) => {
+        try {
+            return decodeURIComponent(chunk);
+        } catch {
+            return chunk;
+        }
+    });
+}
+
+function decodeEncodedDomTree(node) {
+    if (!node) {
+        return;
+    }
+    const queue = [node];
+    while (queue.length) {
+        const current = queue.shift();
+        if (!current) {
+            continue;
+        }
+        if (current.nodeType === 1) {
+            const attrs = Array.from(current.attributes || []);
+            attrs.forEach((attr) => {
+                const name = String(attr && attr.name ? attr.name : '');
+                if (!name) {
+                    return;
+                }
+                const raw = String(attr.value || '');
+                const decoded = decodeEncodedStringIfNeeded(raw);
+                if (decoded !== raw) {
+                    setQHtmlAttribute(current, name, decoded);
+                }
+            });
+        } else if (current.nodeType === 3) {
+            const raw = String(current.textContent || '');
+            const decoded = decodeEncodedStringIfNeeded(raw);
+            if (decoded !== raw) {
+                current.textContent = decoded;
             }
         }
+        if (current.childNodes && current.childNodes.length) {
+            queue.push(...Array.from(current.childNodes));
+        }
     }
+}
 
-    if (changed) {
-        componentLogger.warn('', `Component/template expansion stopped after ${maxPasses} passes; recursive blocks may remain.`);
+/**
+ * Add missing closing braces to a qhtml string.  This function walks the
+ * input and tracks nesting depth; if a closing brace is encountered when
+ * depth would underflow, a closing brace is added.  At the end, any
+ * unmatched opening braces are closed.
+ *
+ * @param {string} input Raw qhtml
+ * @returns {string} qhtml with balanced braces
+ */
+function addClosingBraces(input) {
+    let depth = 0;
+    let result = '';
+    for (let i = 0; i < input.length; i++) {
+        if (input[i] === '{') {
+            depth++;
+        } else if (input[i] === '}') {
+            depth--;
+            if (depth < 0) {
+                result += '} '.repeat(-depth);
+                depth = 0;
+            }
+        }
+        result += input[i];
+    }
+    return result + '} '.repeat(depth);
+}
+
+/**
+ * Find the index of the matching closing brace for the opening brace at
+ * `openIdx`.  Nested braces are properly tracked.  Returns -1 if no match
+ * is found.
+ *
+ * @param {string} str Input string containing braces
+ * @param {number} openIdx Index of an opening brace
+ * @returns {number} Index of the matching closing brace or -1
+ */
+function findMatchingBrace(str, openIdx) {
+    let depth = 0;
+    for (let i = openIdx; i < str.length; i++) {
+        const ch = str[i];
+        if (ch === '{') depth++;
+        else if (ch === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Remove specific top-level properties from a qhtml component definition.  Only
+ * properties at the root of the block (not nested within child blocks) are
+ * considered.
+ *
+ * @param {string} blockContent The content of a component block
+ * @param {string[]} propNames Names of properties to remove
+ * @returns {string} The block content with specified properties removed
+ */
+function stripTopLevelProps(blockContent, propNames) {
+    if (!propNames || propNames.length === 0) {
+        return blockContent;
+    }
+    const nameSet = new Set(propNames);
+    let result = '';
+    let depth = 0;
+    let i = 0;
+    while (i < blockContent.length) {
+        const ch = blockContent[i];
+        if (ch === '{') {
+            depth++;
+            result += ch;
+            i++;
+            continue;
+        }
+        if (ch === '}') {
+            depth = Math.max(0, depth - 1);
+            result += ch;
+            i++;
+            continue;
+        }
+        if (depth > 0) {
+            result += ch;
+            i++;
+            continue;
+        }
+        const match = blockContent.slice(i).match(/^\s*([a-zA-Z_][\w\-.]*)\s*:/);
+        if (match) {
+            const [full, name] = match;
+            if (nameSet.has(name)) {
+                let j = i + full.length;
+                while (j < blockContent.length && /\s/.test(blockContent[j])) j++;
+                if (blockContent[j] === '"') {
+                    j++;
+                    while (j < blockContent.length) {
+                        if (blockContent[j] === '"' && blockContent[j - 1] !== '\\') {
+                            j++;
+                            break;
+                        }
+                        j++;
+                    }
+                }
+                while (j < blockContent.length && /\s/.test(blockContent[j])) j++;
+                if (blockContent[j] === ';') j++;
+                i = j;
+                continue;
+            }
+        }
+        result += ch;
+        i++;
+    }
+    return result.trim();
+}
+
+/**
+ * Escape a string for safe inclusion in a regular expression.
+ *
+ * @param {string} s The string to escape
+ * @returns {string} The escaped string
+ */
+function escapeReg(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find an invocation of a component tag (e.g. `<my-tag> { ... }`) within a
+ * larger qhtml string.  Returns null if no invocation is found.  This
+ * respects quoting and nested braces.
+ *
+ * @param {string} str The qhtml string
+ * @param {string} id The tag name to search for
+ * @param {number} fromIndex An optional start index for the search
+ * @returns {object|null} An object containing the indices of the tag start,
+ *                        opening brace and closing brace
+ */
+function findTagInvocation(str, id, fromIndex, options = {}) {
+    const { allowClasses = false } = options;
+    const pattern = allowClasses
+        ? `(^|[^\\w-])(${escapeReg(id)}(?:\\.[A-Za-z0-9_-]+)*)\\s*\\{`
+        : `(^|[^\\w-])(${escapeReg(id)})\\s*\\{`;
+    const re = new RegExp(pattern, 'g');
+    re.lastIndex = fromIndex || 0;
+    const m = re.exec(str);
+    if (!m) return null;
+    const braceOpen = m.index + m[0].lastIndexOf('{');
+    const tagStart = m.index + (m[1] ? 1 : 0);
+    const braceClose = findMatchingBrace(str, braceOpen);
+    if (braceClose === -1) return null;
+    return { tagStart, braceOpen, braceClose, tagToken: m[2] };
+}
+
+/**
+ * Split a qhtml component invocation body into top-level segments.  A segment
+ * corresponds to either a child element (e.g. `div { ... }`) or a property
+ * assignment.  Nested blocks within segments are not considered.
+ *
+ * @param {string} body The content inside a component invocation
+ * @returns {Array<{tag: string, block: string, start: number}>} An array of child element descriptors
+ */
+// Index of the last character of a `q-signal name(args)` or
+// `q-property name: Type = value` declaration starting at `start`.  A signal
+// ends at its `)`, a property at the first `;` or line break outside a quoted
+// default; an optional `;` after a signal belongs to it.
+function findQHtmlDeclarationEnd(body, start) {
+    const lineEnd = body.indexOf('\n', start);
+    if (body.startsWith('q-signal', start)) {
+        const close = body.indexOf(')', start);
+        if (close !== -1 && (lineEnd === -1 || close < lineEnd)) {
+            const after = body.slice(close + 1).match(/^[ \t]*;/);
+            return close + (after ? after[0].length : 0);
+        }
+        return lineEnd === -1 ? body.length : lineEnd;
+    }
+    let quote = '';
+    for (let i = start; i < body.length; i++) {
+        const ch = body[i];
+        if (quote) {
+            if (ch === quote) quote = '';
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === ';' || ch === '\n') {
+            return i;
+        }
+    }
+    return body.length;
+}
+
+function splitTopLevelSegments(body) {
+    const segs = [];
+    let i = 0;
+    while (i < body.length) {
+        while (i < body.length && /\s/.test(body[i])) i++;
+        if (i >= body.length) break;
+        if (/^q-(?:signal|property)\b/.test(body.slice(i, i + 11))) {
+            // Declarations without a block; their `;` is optional.
+            i = findQHtmlDeclarationEnd(body, i) + 1;
+            continue;
+        }
+        let j = i;
+        while (j < body.length && !/[{:;]/.test(body[j])) j++;
+        if (body[j] === ';') {
+            // A finished statement such as `q-signal name(args);`.
+            i = j + 1;
+            continue;
+        }
+        const token = body.slice(i, j).trim();
+        if (!token) break;
+        if (body[j] === '{') {
+            const open = j;
+            const close = findMatchingBrace(body, open);
+            if (close === -1) break;
+            const block = `${token} ${body.slice(open, close + 1)}`;
+            segs.push({ tag: token, block, start: i, braceOpen: open, braceClose: close });
+            i = close + 1;
+        } else {
+            const semi = body.indexOf(';', j);
+            if (semi === -1) break;
+            i = semi + 1;
+        }
+    }
+    return segs;
+}
+
+/**
+ * Remove nested blocks from a qhtml string and return only the top-level
+ * characters.  Used when searching for slot names within a block.
+ *
+ * @param {string} str The string to flatten
+ * @returns {string} The flattened string
+ */
+function removeNestedBlocks(str) {
+    let out = '';
+    let depth = 0;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str[i];
+        if (ch === '{') { depth++; continue; }
+        if (ch === '}') { depth--; continue; }
+        if (depth === 0) out += ch;
+    }
+    return out;
+}
+
+/**
+ * Split the body of a slot placeholder into the slot name and the optional
+ * fallback content of `slot { name default { ... } }`, which is rendered
+ * while no content is provided for the slot.
+ *
+ * @param {string} inner Placeholder body (inside the braces)
+ * @returns {{nameText: string, fallback: string|null, fallbackStart: number, fallbackEnd: number}}
+ */
+function splitSlotPlaceholderBody(inner) {
+    const text = String(inner || '');
+    let pos = 0;
+    while (true) {
+        const idx = findStandaloneKeyword(text, 'default', pos);
+        if (idx === -1) {
+            return { nameText: text, fallback: null, fallbackStart: -1, fallbackEnd: -1 };
+        }
+        let open = idx + 'default'.length;
+        while (open < text.length && /\s/.test(text[open])) open++;
+        const close = text[open] === '{' && findNearestOpenBraceBeforeIndex(text, idx) === -1
+            ? findMatchingBrace(text, open)
+            : -1;
+        if (close === -1) {
+            pos = idx + 'default'.length;
+            continue;
+        }
+        return {
+            nameText: text.slice(0, idx) + text.slice(close + 1),
+            fallback: text.slice(open + 1, close),
+            fallbackStart: open + 1,
+            fallbackEnd: close
+        };
+    }
+}
+
+function extractSlotNameFromBlock(inner, options = {}) {
+    const { componentId = '', componentIds = [] } = options;
+    const resolvedInner = evaluateQScriptBlocks(splitSlotPlaceholderBody(inner).nameText, { topLevelOnly: true });
+    const flattened = removeNestedBlocks(resolvedInner);
+    if (/(?:^|\s)(?:id|name)\s*:\s*"[^"]+"\s*;?/.test(flattened)) {
+        componentLogger.error(componentId, 'Legacy slot syntax is no longer supported. Use `slot { slot-name }`.');
+        return '';
+    }
+    const shorthandMatch = flattened.match(/^\s*([A-Za-z0-9_-]+)\s*;?\s*$/);
+    const slotName = shorthandMatch ? shorthandMatch[1] : '';
+    if (!slotName && flattened.trim()) {
+        componentLogger.error(componentId, 'Invalid slot syntax. Expected `slot { slot-name }`.');
+        return '';
+    }
+    if (slotName && componentIds.length && componentIds.includes(slotName)) {
+        componentLogger.error(componentId, `cannot name slots the same as components ("${slotName}").`);
+        return '';
+    }
+    return slotName;
+}
+
+function resolveQImportPath(block, componentId) {
+    const brace = block.indexOf('{');
+    if (brace === -1) {
+        componentLogger.warn(componentId, 'q-import is missing an opening brace.');
+        return '';
+    }
+    const close = findMatchingBrace(block, brace);
+    if (close === -1) {
+        componentLogger.warn(componentId, 'q-import is missing a closing brace.');
+        return '';
+    }
+    const inner = block.slice(brace + 1, close);
+    const flattened = removeNestedBlocks(inner);
+    let path = flattened.trim();
+    if (path.endsWith(';')) {
+        path = path.slice(0, -1).trim();
+    }
+    if (!path) {
+        componentLogger.warn(componentId, 'q-import has no path.');
+        return '';
+    }
+    if ((path.startsWith('"') && path.endsWith('"')) || (path.startsWith('\'') && path.endsWith('\''))) {
+        componentLogger.warn(componentId, 'q-import path must be raw text, not quoted.');
+        return '';
+    }
+    return path;
+}
+
+const QHTML_IMPORT_SPEC_PATTERN = /^(\S+)(?:\s+as\s+(\S+))?(?:\s+only\s+([\s\S]+))?$/;
+
+/**
+ * Split the body of a q-import block into its path and modifiers:
+ * `file.qhtml as ui` prefixes every definition with `ui-`, and
+ * `file.qhtml only q-tabs, q-modal` keeps just those definitions.
+ *
+ * @param {string} text q-import body, as returned by `resolveQImportPath`
+ * @returns {{raw: string, path: string, namespace: string, only: string[]}|null} Null when malformed
+ */
+function parseQImportSpec(text) {
+    const raw = String(text || '').trim();
+    const match = raw.match(QHTML_IMPORT_SPEC_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const namespace = match[2] || '';
+    if (namespace && !/^[A-Za-z][\w-]*$/.test(namespace)) {
+        return null;
+    }
+    const only = match[3]
+        ? match[3].split(',').map((name) => name.trim()).filter(Boolean)
+        : [];
+    if (match[3] && !only.length) {
+        return null;
+    }
+    return { raw, path: match[1], namespace, only };
+}
+
+/**
+ * Resolve a q-import path against the file that contains it.  Imports written
+ * directly in a page resolve against the page URL.
+ *
+ * @param {string} path Path from the q-import block
+ * @param {string} [base] URL of the importing file
+ * @returns {string} Absolute URL, or `path` when no base is available
+ */
+function resolveQImportUrl(path, base = '') {
+    const hasLocation = typeof window !== 'undefined' && !!window.location;
+    const resolvedBase = base || (hasLocation ? window.location.href : '');
+    if (!resolvedBase) {
+        return path;
+    }
+    try {
+        return new URL(path, resolvedBase).toString();
+    } catch (err) {
+        return path;
+    }
+}
+
+// -----------------------------------------------------------------------------
+// q-import source cache
+//
+// `qhtml.config.importCache` selects how fetched import sources are kept:
+//   'memory'     (default) once per page session;
+//   'persistent' in the Cache API, revalidated with ETag / Last-Modified on
+//                each page load and used as an offline fallback;
+//   'none'       every render fetches again.
+// Failed loads are never cached; `qhtml.config.importRetry` controls retries.
+
+const qImportSourceCache = new Map();
+const qImportInFlight = new Map();
+const QHTML_IMPORT_CACHE_NAME = 'qhtml-imports-v1';
+let qhtmlImportCacheFallbackWarned = false;
+
+function getQImportCacheMode() {
+    const mode = String(getQHtmlConfigValue('importCache', 'memory')).toLowerCase();
+    return mode === 'persistent' || mode === 'none' ? mode : 'memory';
+}
+
+function getQImportRetryPolicy() {
+    const policy = getQHtmlConfigValue('importRetry', null) || {};
+    const read = (name, fallback) => {
+        const value = Number(policy[name]);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    return {
+        retries: Math.floor(read('retries', 2)),
+        delay: read('delay', 250),
+        factor: read('factor', 2)
+    };
+}
+
+function isRetryableQImportStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * `fetch` with the configured retry policy.  Network errors and 408, 429 and
+ * 5xx responses are retried after `delay * factor^attempt` milliseconds.
+ *
+ * @param {string} url Import URL
+ * @param {object} [init] fetch options
+ * @returns {Promise<Response>} The last response; rejects if every attempt threw
+ */
+async function fetchQImportWithRetry(url, init) {
+    const policy = getQImportRetryPolicy();
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const resp = await (init ? fetch(url, init) : fetch(url));
+            if (!isRetryableQImportStatus(resp.status) || attempt >= policy.retries) {
+                return resp;
+            }
+        } catch (err) {
+            if (attempt >= policy.retries) {
+                throw err;
+            }
+        }
+        await new Promise((resolve) => setTimeout(resolve, policy.delay * Math.pow(policy.factor, attempt)));
+    }
+}
+
+async function openQImportPersistentCache() {
+    if (typeof caches === 'undefined' || typeof Response === 'undefined') {
+        if (!qhtmlImportCacheFallbackWarned) {
+            componentLogger.warn('', 'importCache "persistent" needs the Cache API; using the in-memory cache instead.');
+            qhtmlImportCacheFallbackWarned = true;
+        }
+        return null;
+    }
+    try {
+        return await caches.open(QHTML_IMPORT_CACHE_NAME);
+    } catch {
+        return null;
+    }
+}
+
+function isAcceptedQImportSource(url, text) {
+    if (/<\s*q-html/i.test(text)) {
+        componentLogger.warn('', `q-import rejected "${url}" because it contains <q-html>.`);
+        return false;
+    }
+    return true;
+}
+
+// If-None-Match / If-Modified-Since are not CORS-safelisted, so sending them
+// cross-origin would force a preflight that most CDNs reject.
+function isSameOriginQImportUrl(url) {
+    if (typeof window === 'undefined' || !window.location) {
+        return false;
+    }
+    try {
+        return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Load one import source over the network.  In persistent mode a stored copy
+ * is revalidated: same-origin with If-None-Match / If-Modified-Since,
+ * cross-origin with `cache: 'no-cache'` so the browser revalidates its HTTP
+ * cache itself.  A 304, or a failed request, falls back to the stored copy.
+ *
+ * @param {string} url Import URL
+ * @param {string} mode Cache mode from `getQImportCacheMode`
+ * @returns {Promise<string|null>} Source text, or null when loading failed
+ */
+async function fetchQImportSource(url, mode) {
+    const store = mode === 'persistent' ? await openQImportPersistentCache() : null;
+    let cached = null;
+    if (store) {
+        try {
+            cached = (await store.match(url)) || null;
+        } catch {
+            cached = null;
+        }
+    }
+    const headers = {};
+    let init;
+    if (cached && !isSameOriginQImportUrl(url)) {
+        init = { cache: 'no-cache' };
+    } else if (cached) {
+        const etag = cached.headers.get('ETag');
+        const lastModified = cached.headers.get('Last-Modified');
+        if (etag) {
+            headers['If-None-Match'] = etag;
+        }
+        if (lastModified) {
+            headers['If-Modified-Since'] = lastModified;
+        }
+        if (Object.keys(headers).length) {
+            init = { headers };
+        }
+    }
+
+    let resp;
+    try {
+        resp = await fetchQImportWithRetry(url, init);
+    } catch (err) {
+        if (cached) {
+            componentLogger.warn('', `q-import could not revalidate "${url}"; using the cached copy.`);
+            return cached.text();
+        }
+        componentLogger.warn('', `q-import failed to load "${url}".`);
+        return null;
+    }
+    if (cached && resp.status === 304) {
+        return cached.text();
+    }
+    if (!resp.ok) {
+        if (cached) {
+            componentLogger.warn('', `q-import could not revalidate "${url}" (${resp.status}); using the cached copy.`);
+            return cached.text();
+        }
+        componentLogger.warn('', `q-import failed to load "${url}" (${resp.status}).`);
+        return null;
+    }
+
+    const text = await resp.text();
+    if (!isAcceptedQImportSource(url, text)) {
+        return null;
+    }
+    if (store) {
+        try {
+            await store.put(url, new Response(text, { headers: resp.headers }));
+        } catch {
+            // a full or unavailable cache only costs a refetch next time
+        }
+    }
+    return text;
+}
+
+async function resolveQImportSourceFromUrl(url) {
+    const mode = getQImportCacheMode();
+    if (mode !== 'none' && qImportSourceCache.has(url)) {
+        return qImportSourceCache.get(url);
+    }
+    if (qImportInFlight.has(url)) {
+        return qImportInFlight.get(url);
+    }
+
+    const loadPromise = (async () => {
+        const text = await fetchQImportSource(url, mode);
+        if (text === null) {
+            return '';
+        }
+        if (mode !== 'none') {
+            qImportSourceCache.set(url, text);
+        }
+        return text;
+    })();
+
+    qImportInFlight.set(url, loadPromise);
+    try {
+        return await loadPromise;
+    } finally {
+        qImportInFlight.delete(url);
+    }
+}
+
+/**
+ * Drop every cached import source, in memory and in the persistent store.
+ *
+ * @returns {Promise<void>}
+ */
+async function clearQImportCache() {
+    qImportSourceCache.clear();
+    if (typeof caches !== 'undefined') {
+        try {
+            await caches.delete(QHTML_IMPORT_CACHE_NAME);
+        } catch {
+            // nothing stored
+        }
+    }
+}
+
+/**
+ * Per-render import state.  `chain` is the stack of files being expanded and
+ * `imported` the files already inlined by this render.  `budget` holds the
+ * 100-import safety cap and may be shared between renders.
+ *
+ * @param {object|null} state Existing state, or null for a fresh one
+ * @returns {object} The normalized state
+ */
+function ensureQImportResolveState(state) {
+    const next = state || {};
+    if (!next.budget || typeof next.budget !== 'object') {
+        next.budget = { count: 0, limit: 100, warned: false };
+    }
+    if (!(next.imported instanceof Set)) {
+        next.imported = new Set();
+    }
+    return next;
+}
+
+/**
+ * Push `resolvedId` onto the import chain.  Returns false, without pushing,
+ * when the file is already on the chain (a cycle, reported with the full
+ * chain) or was already inlined earlier in this render.
+ */
+function enterQImport(state, importer, resolvedId) {
+    if (!Array.isArray(state.chain)) {
+        state.chain = importer ? [importer] : [];
+    }
+    if (state.chain.indexOf(resolvedId) !== -1) {
+        componentLogger.warn('', `q-import cycle skipped: ${state.chain.concat(resolvedId).join(' -> ')}`);
+        return false;
+    }
+    if (state.imported.has(resolvedId)) {
+        return false;
+    }
+    state.imported.add(resolvedId);
+    state.chain.push(resolvedId);
+    return true;
+}
+
+async function resolveQImportFromUrl(url, state, importer) {
+    if (!enterQImport(state, importer, url)) {
+        return '';
+    }
+    try {
+        const source = await resolveQImportSourceFromUrl(url);
+        if (!source) {
+            return '';
+        }
+        return await resolveQImports(source, state, url);
+    } finally {
+        state.chain.pop();
+    }
+}
+
+/**
+ * Load a q-import through a caller-supplied loader instead of `fetch`.  The
+ * loader receives the import path and the importing file and returns the
+ * source text, or `{ source, url }` when it knows the resolved location of
+ * the file (used as the importer for nested imports).  Cycles and repeated
+ * imports are handled by `enterQImport`.
+ *
+ * @param {string} path Path from the q-import block
+ * @param {object} state Import resolve state holding `loader`
+ * @param {string} importer Identifier of the importing source
+ * @returns {Promise<string>} Import-resolved source
+ */
+async function resolveQImportFromLoader(path, state, importer) {
+    let loaded;
+    try {
+        loaded = await state.loader(path, { importer });
+    } catch (err) {
+        componentLogger.warn('', `q-import failed to load "${path}": ${err && err.message ? err.message : err}`);
+        return '';
+    }
+    const isRecord = !!loaded && typeof loaded === 'object';
+    const source = String(isRecord ? (loaded.source == null ? '' : loaded.source) : (loaded == null ? '' : loaded));
+    if (!source) {
+        return '';
+    }
+    if (/<\s*q-html/i.test(source)) {
+        componentLogger.warn('', `q-import rejected "${path}" because it contains <q-html>.`);
+        return '';
+    }
+    const resolvedId = isRecord && loaded.url ? String(loaded.url) : path;
+    if (!enterQImport(state, importer, resolvedId)) {
+        return '';
+    }
+    try {
+        return await resolveQImports(source, state, resolvedId);
+    } finally {
+        state.chain.pop();
+    }
+}
+
+/**
+ * List the top-level `q-component` / `q-template` definitions in `source`.
+ *
+ * @param {string} source Import-resolved QHTML
+ * @returns {Array<{name: string, start: number, end: number, block: string}>}
+ */
+function collectQImportDefinitions(source) {
+    return splitTopLevelSegments(source)
+        .map((seg) => {
+            const match = String(seg.tag || '').match(/^q-(?:component|template)\s+([^\s{]+)(?:\s+shadow)?$/);
+            return match
+                ? { name: match[1], start: seg.start, end: seg.braceClose + 1, block: source.slice(seg.start, seg.braceClose + 1) }
+                : null;
+        })
+        .filter(Boolean);
+}
+
+function renameQHtmlDefinitionTag(source, name, nextName) {
+    return source
+        .replace(new RegExp(`(\\bq-(?:component|template)\\s+)${escapeReg(name)}(?=[\\s{])`, 'g'), `$1${nextName}`)
+        .replace(new RegExp(`(^|[^\\w.-])${escapeReg(name)}(?=(?:\\.[A-Za-z0-9_-]+)*\\s*\\{)`, 'g'), `$1${nextName}`);
+}
+
+/**
+ * Apply `only` and `as` to an imported file.  `only` keeps the requested
+ * definitions plus the definitions they use from the same file; `as`
+ * renames every remaining definition (and its uses) to `<namespace>-<name>`.
+ *
+ * @param {string} source Import-resolved source of the imported file
+ * @param {{path: string, namespace: string, only: string[]}} spec Parsed import spec
+ * @returns {{source: string, names: string[]}} Rewritten source and the original names it defines
+ */
+function applyQImportSpec(source, spec) {
+    let out = source;
+    let definitions = collectQImportDefinitions(out);
+    if (spec.only.length) {
+        const byName = new Map(definitions.map((def) => [def.name, def]));
+        const keep = new Set();
+        const pending = [];
+        spec.only.forEach((name) => {
+            if (byName.has(name)) {
+                pending.push(name);
+            } else {
+                componentLogger.error('', `q-import "${spec.path}" does not define "${name}".`);
+            }
+        });
+        while (pending.length) {
+            const name = pending.pop();
+            if (keep.has(name)) {
+                continue;
+            }
+            keep.add(name);
+            const def = byName.get(name);
+            byName.forEach((other, otherName) => {
+                if (!keep.has(otherName) && findTagInvocation(def.block, otherName, 0, { allowClasses: true })) {
+                    pending.push(otherName);
+                }
+            });
+        }
+        definitions = definitions.filter((def) => keep.has(def.name));
+        out = definitions.map((def) => def.block).join('\n');
+    }
+    const names = definitions.map((def) => def.name);
+    if (spec.namespace) {
+        names.forEach((name) => {
+            out = renameQHtmlDefinitionTag(out, name, `${spec.namespace}-${name}`);
+        });
+    }
+    return { source: out, names };
+}
+
+async function loadQImport(path, state, importer) {
+    if (typeof state.loader === 'function') {
+        return resolveQImportFromLoader(path, state, importer);
+    }
+    return resolveQImportFromUrl(resolveQImportUrl(path, importer), state, importer);
+}
+
+/**
+ * Load an import that uses `as` or `only`.  Its nested imports are
+ * deduplicated separately, since the rewritten output does not provide the
+ * plain definitions a later import of the same files would expect.
+ */
+async function loadScopedQImport(spec, state, importer) {
+    const key = `${importer}\u0000${spec.raw}`;
+    if (state.imported.has(key)) {
+        return { source: '', names: [] };
+    }
+    state.imported.add(key);
+    const scoped = ensureQImportResolveState({ budget: state.budget, loader: state.loader, chain: state.chain });
+    const source = await loadQImport(spec.path, scoped, importer);
+    return applyQImportSpec(source, spec);
+}
+
+async function resolveQImports(input, state = null, importer = '') {
+    const runtimeState = ensureQImportResolveState(state);
+    const namespaces = new Map();
+    let out = input;
+    let pos = 0;
+    while (true) {
+        const found = findTagInvocation(out, 'q-import', pos);
+        if (!found) break;
+
+        const block = out.slice(found.tagStart, found.braceClose + 1);
+        let replacement = '';
+
+        const budget = runtimeState.budget;
+        if (budget.count >= budget.limit) {
+            if (!budget.warned) {
+                componentLogger.warn('', `q-import limit reached (${budget.limit}); remaining imports skipped.`);
+                budget.warned = true;
+            }
+        } else {
+            budget.count += 1;
+            const rawPath = resolveQImportPath(block, '');
+            const spec = rawPath ? parseQImportSpec(rawPath) : null;
+            if (rawPath && !spec) {
+                componentLogger.warn('', `q-import "${rawPath}" is malformed. Expected \`path\`, \`path as name\` or \`path only a, b\`.`);
+            } else if (spec && (spec.namespace || spec.only.length)) {
+                const scoped = await loadScopedQImport(spec, runtimeState, importer);
+                replacement = scoped.source;
+                if (spec.namespace) {
+                    const names = namespaces.get(spec.namespace) || new Set();
+                    scoped.names.forEach((name) => names.add(name));
+                    namespaces.set(spec.namespace, names);
+                }
+            } else if (spec) {
+                replacement = await loadQImport(spec.path, runtimeState, importer);
+            }
+        }
+
+        out = out.slice(0, found.tagStart) + replacement + out.slice(found.braceClose + 1);
+        pos = found.tagStart + replacement.length;
+    }
+    // `ui.q-modal { }` is shorthand for `ui-q-modal { }`.
+    namespaces.forEach((names, namespace) => {
+        names.forEach((name) => {
+            out = renameQHtmlDefinitionTag(out, `${namespace}.${name}`, `${namespace}-${name}`);
+        });
+    });
+    return out;
+}
+
+/**
+ * Collect ranges of component invocations so nested structures can be
+ * excluded from into resolution.
+ *
+ * @param {string} input The qhtml string to scan
+ * @param {string[]} componentIds Known component tags
+ * @returns {Array<{start: number, end: number}>} Invocation ranges
+ */
+function collectComponentInvocationRanges(input, componentIds) {
+    const ranges = [];
+    componentIds.forEach((id) => {
+        let pos = 0;
+        while (true) {
+            const found = findTagInvocation(input, id, pos, { allowClasses: true });
+            if (!found) break;
+            ranges.push({ start: found.braceOpen, end: found.braceClose });
+            pos = found.braceClose + 1;
+        }
+    });
+    return ranges;
+}
+
+function isIndexInsideRanges(index, ranges) {
+    for (const range of ranges) {
+        if (index >= range.start && index <= range.end) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Collect slot definitions within a component template, tracking which slots
+ * live directly on the component versus inside sub-component invocations.
+ *
+ * @param {string} template Component template text
+ * @param {string[]} componentIds Known component tags
+ * @returns {{directSlots: Map<string, number>, subcomponentSlots: Map<string, number>, slotNames: Set<string>}}
+ */
+function collectTemplateSlotDefinitions(template, componentIds, componentId = '') {
+    const directSlots = new Map();
+    const subcomponentSlots = new Map();
+    const slotNames = new Set();
+    const subcomponentRanges = collectComponentInvocationRanges(template, componentIds);
+
+    let pos = 0;
+    while (true) {
+        const idx = findStandaloneKeyword(template, 'slot', pos);
+        if (idx === -1) break;
+        let cursor = idx + 4;
+        while (cursor < template.length && /\s/.test(template[cursor])) cursor++;
+        if (template[cursor] !== '{') {
+            pos = idx + 4;
+            continue;
+        }
+        const open = cursor;
+        const close = findMatchingBrace(template, open);
+        if (close === -1) break;
+        const inner = template.slice(open + 1, close);
+        const slotName = extractSlotNameFromBlock(inner, { componentId, componentIds });
+        if (slotName) {
+            slotNames.add(slotName);
+            const target = isIndexInsideRanges(idx, subcomponentRanges) ? subcomponentSlots : directSlots;
+            target.set(slotName, (target.get(slotName) || 0) + 1);
+        }
+        pos = close + 1;
+    }
+    return { directSlots, subcomponentSlots, slotNames };
+}
+
+/**
+ * Parse an into block into an IntoNode-like descriptor for projection.
+ *
+ * @param {string} block The full into { ... } block
+ * @param {string} componentId Component context for logging
+ * @returns {{targetSlot: string, children: string, position: number}|null}
+ */
+function parseIntoBlock(block, componentId, position) {
+    const brace = block.indexOf('{');
+    if (brace === -1) {
+        componentLogger.error(componentId, 'Into block is missing an opening brace.');
+        return null;
+    }
+    const close = findMatchingBrace(block, brace);
+    if (close === -1) {
+        componentLogger.error(componentId, 'Into block is missing a closing brace.');
+        return null;
+    }
+    const inner = block.slice(brace + 1, close);
+    const resolvedInner = evaluateQScriptBlocks(inner, { topLevelOnly: true });
+    const flattened = removeNestedBlocks(resolvedInner);
+    const re = /([a-zA-Z_][\w\-.]*)\s*:\s*"([^"]+)"\s*;?/g;
+    const props = [];
+    let match;
+    while ((match = re.exec(flattened))) {
+        props.push({ property: match[1], value: match[2] });
+    }
+    const illegalTargets = props.filter((prop) => prop.property.endsWith('.slot'));
+    if (illegalTargets.length) {
+        componentLogger.error(componentId, `Into block attempted to inject into non-slot target "${illegalTargets[0].property}".`);
+        return null;
+    }
+    const slotProps = props.filter((prop) => prop.property === 'slot');
+    if (!slotProps.length) {
+        componentLogger.error(componentId, 'Into block is missing required slot attribute.');
+        return null;
+    }
+    if (slotProps.length > 1) {
+        componentLogger.error(componentId, 'Into block has multiple slot targets; slot must be unique.');
+        return null;
+    }
+    const slotName = slotProps[0].value.trim();
+    if (!slotName) {
+        componentLogger.error(componentId, 'Into block slot attribute is empty.');
+        return null;
+    }
+    if (slotName.includes('.')) {
+        componentLogger.error(componentId, `Into block attempted to inject into non-slot target "${slotName}".`);
+        return null;
+    }
+
+    // IntoNode shape: { targetSlot, children }
+    const cleaned = stripTopLevelProps(resolvedInner, ['slot']).trim();
+    return { targetSlot: slotName, children: cleaned, position };
+}
+
+/**
+ * Collect into blocks that apply to the current component instance. Into
+ * blocks nested inside other component invocations are ignored so resolution
+ * follows the nearest enclosing component instance.
+ *
+ * @param {string} body Invocation body to scan
+ * @param {string[]} componentIds Known component tags
+ * @param {string} componentId Component context for logging
+ * @returns {Array<{targetSlot: string, children: string, position: number}>}
+ */
+function collectIntoNodes(body, componentIds, componentId) {
+    const nodes = [];
+    const componentRanges = collectComponentInvocationRanges(body, componentIds);
+    let pos = 0;
+    while (true) {
+        const found = findTagInvocation(body, 'into', pos);
+        if (!found) break;
+        if (!isIndexInsideRanges(found.tagStart, componentRanges)) {
+            const block = body.slice(found.tagStart, found.braceClose + 1);
+            const node = parseIntoBlock(block, componentId, found.tagStart);
+            if (node) nodes.push(node);
+        }
+        pos = found.braceClose + 1;
+    }
+    return nodes;
+}
+
+function hasTopLevelIntoBlock(body, componentIds) {
+    const componentRanges = collectComponentInvocationRanges(body, componentIds);
+    let pos = 0;
+    while (true) {
+        const found = findTagInvocation(body, 'into', pos);
+        if (!found) break;
+        if (!isIndexInsideRanges(found.tagStart, componentRanges)) {
+            return true;
+        }
+        pos = found.braceClose + 1;
+    }
+    return false;
+}
+
+/**
+ * Resolve an into target against a component's slot definitions. Resolution
+ * prefers direct slots on the component, then slots declared inside
+ * sub-component invocations.
+ *
+ * @param {string} slotName The slot requested by into
+ * @param {{directSlots: Map<string, number>, subcomponentSlots: Map<string, number>}} slotInfo
+ * @param {string} componentId Component context for logging
+ * @returns {string|null} The resolved slot name or null on error
+ */
+function resolveIntoSlotTarget(slotName, slotInfo, componentId) {
+    const directCount = slotInfo.directSlots.get(slotName) || 0;
+    const nestedCount = slotInfo.subcomponentSlots.get(slotName) || 0;
+
+    if (directCount > 1) {
+        componentLogger.error(componentId, `Into target slot "${slotName}" is ambiguous; multiple direct slot matches found.`);
+        return null;
+    }
+    if (directCount === 1) {
+        return slotName;
+    }
+    if (nestedCount > 1) {
+        componentLogger.error(componentId, `Into target slot "${slotName}" is ambiguous; multiple sub-component slot matches found.`);
+        return null;
+    }
+    if (nestedCount === 1) {
+        return slotName;
+    }
+    componentLogger.error(componentId, `Into target slot "${slotName}" was not found.`);
+    return null;
+}
+
+function shouldMarkComponentSegment(tag) {
+    if (!tag) return false;
+    const { base } = parseTagWithClasses(tag);
+    const lower = base.trim().toLowerCase();
+    if (!lower) return false;
+    if (lower === 'html' || lower === 'text' || lower === 'css' || lower === 'style' || lower === 'slot' || lower === 'into' || lower === 'q-connect') {
+        return false;
+    }
+    if (/^on[a-z0-9_]+$/.test(lower)) {
+        return false;
+    }
+    return true;
+}
+
+function addComponentOriginMarkers(source, componentId, options = {}) {
+    if (!componentId || !source) return source;
+    const {
+        classes = [],
+        rootAttributes = {},
+        actions = []
+    } = options;
+    const segments = splitTopLevelSegments(source);
+    if (!segments.length) return source;
+    const primarySegmentIndex = segments.findIndex((seg) => shouldMarkComponentSegment(seg.tag));
+    let out = source;
+    for (let i = segments.length - 1; i >= 0; i--) {
+        const seg = segments[i];
+        if (!shouldMarkComponentSegment(seg.tag)) continue;
+        const open = seg.braceOpen;
+        const close = seg.braceClose;
+        if (open == null || close == null) continue;
+        const inner = out.slice(open + 1, close);
+        const flattened = removeNestedBlocks(inner);
+        const insertionLines = [];
+        if (!/(?:^|\s)q-component\s*:/.test(flattened)) {
+            insertionLines.push(`q-component: "${componentId}";`);
+        }
+        if (classes && classes.length) {
+            insertionLines.push(`class: "${classes.join(' ')}";`);
+        }
+        let readyBlock = '';
+        if (i === primarySegmentIndex) {
+            const projectedAttrs = serializeInvocationAttributes(rootAttributes || {});
+            if (projectedAttrs.trim()) {
+                insertionLines.push(projectedAttrs);
+            }
+            readyBlock = buildQHtmlComponentBootstrapBlock({
+                attributes: Object.entries(rootAttributes || {})
+                    .map(([name, value]) => ({ name: String(name || '').trim(), value: String(value == null ? '' : value) }))
+                    .filter((attr) => attr.name),
+                actions: normalizeQHtmlBootstrapActions(actions)
+            });
+        }
+        if (!insertionLines.length && !readyBlock) continue;
+        let insertion = '';
+        if (insertionLines.length) {
+            insertion += `\n    ${insertionLines.join('\n    ')}`;
+        }
+        if (readyBlock) {
+            insertion += `\n${indentQHtmlBlock(readyBlock, '    ')}`;
+        }
+        out = out.slice(0, open + 1) + insertion + out.slice(open + 1);
+    }
+    return out;
+}
+
+/**
+ * Replace slot placeholders in a component/template body with content provided
+ * via `slotMap`.  Slot placeholders have the form `slot { slotName }`.
+ * When `preserveAnchors` is true, placeholders become stable slot-anchor
+ * nodes; otherwise replacement emits pure content with no slot trace marker.
+ * Slots without content get their `default { ... }` fallback unless
+ * `fallbackContent` is false (runtime hosts render it when syncing carriers).
+ *
+ * @param {string} template The template containing slot placeholders
+ * @param {Map<string, string>} slotMap Mapping of slot names to replacement content
+ * @returns {string} The template with slot placeholders replaced
+ */
+function replaceTemplateSlots(template, slotMap, options = {}) {
+    const { componentId = '', warnOnMissing = true, preserveAnchors = true, fallbackContent = true } = options;
+    const consumedSlots = new Set();
+    let result = template;
+    let pos = 0;
+    while (true) {
+        const s = findStandaloneKeyword(result, 'slot', pos);
+        if (s === -1) break;
+        let k = s + 4;
+        while (k < result.length && /\s/.test(result[k])) k++;
+        if (result[k] !== '{') { pos = s + 4; continue; }
+        const open = k;
+        const close = findMatchingBrace(result, open);
+        if (close === -1) break;
+        const inner = result.slice(open + 1, close);
+        const slotName = extractSlotNameFromBlock(inner);
+        const hasReplacement = slotName && slotMap.has(slotName);
+        const { fallback } = splitSlotPlaceholderBody(inner);
+        if (!hasReplacement && slotName && warnOnMissing && fallback === null) {
+            componentLogger.warn(componentId, `No content provided for slot "${slotName}".`);
+        }
+        const beforeChar = s > 0 ? result[s - 1] : '';
+        const isDotSlotPlaceholder = beforeChar === '.';
+        let replacement = '';
+        if (slotName) {
+            const escapedSlotName = escapeQHtmlPropString(slotName);
+            let slotContent = hasReplacement ? slotMap.get(slotName) : '';
+            if (fallbackContent && fallback !== null && !String(slotContent || '').trim()) {
+                slotContent = fallback.trim();
+            }
+            if (preserveAnchors && !isDotSlotPlaceholder) {
+                replacement = [
+                    `q-into {`,
+                    `  slot: "${escapedSlotName}";`,
+                    `  q-slot-anchor: "1";`,
+                    slotContent,
+                    `}`
+                ].join('\n');
+            } else if (preserveAnchors && isDotSlotPlaceholder) {
+                replacement = hasReplacement
+                    ? slotMap.get(slotName) || ''
+                    : createComponentClassSlotMarker(slotName);
+            } else {
+                replacement = slotContent || '';
+            }
+            consumedSlots.add(slotName);
+        } else if (hasReplacement) {
+            replacement = slotMap.get(slotName);
+        }
+        result = result.slice(0, s) + replacement + result.slice(close + 1);
+        pos = s + replacement.length;
+    }
+    if (componentId) {
+        for (const [slotName] of slotMap) {
+            if (!consumedSlots.has(slotName)) {
+                componentLogger.warn(componentId, `Slot content was supplied for "${slotName}" but the template does not contain a matching placeholder.`);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Collect the names of all slot placeholders defined within a component
+ * template.  The placeholders have the form `slot { slotName }`.
+ *
+ * @param {string} template Component template text
+ * @returns {Set<string>} A set of slot names referenced in the template
+ */
+function collectTemplateSlotNames(template) {
+    const names = new Set();
+    let pos = 0;
+    while (true) {
+        const idx = findStandaloneKeyword(template, 'slot', pos);
+        if (idx === -1) break;
+        let cursor = idx + 4;
+        while (cursor < template.length && /\s/.test(template[cursor])) cursor++;
+        if (template[cursor] !== '{') {
+            pos = idx + 4;
+            continue;
+        }
+        const open = cursor;
+        const close = findMatchingBrace(template, open);
+        if (close === -1) break;
+        const inner = template.slice(open + 1, close);
+        const slotName = extractSlotNameFromBlock(inner);
+        if (slotName) {
+            names.add(slotName);
+        }
+        pos = close + 1;
+    }
+    return names;
+}
+
+/**
+ * Collect the `default { ... }` fallback content of each slot placeholder in
+ * a component template, keyed by slot name.
+ *
+ * @param {string} template Component template text
+ * @returns {Map<string, string>} Fallback QHTML by slot name
+ */
+function collectTemplateSlotFallbacks(template) {
+    const fallbacks = new Map();
+    let pos = 0;
+    while (true) {
+        const idx = findStandaloneKeyword(template, 'slot', pos);
+        if (idx === -1) break;
+        let cursor = idx + 4;
+        while (cursor < template.length && /\s/.test(template[cursor])) cursor++;
+        if (template[cursor] !== '{') {
+            pos = idx + 4;
+            continue;
+        }
+        const close = findMatchingBrace(template, cursor);
+        if (close === -1) break;
+        const inner = template.slice(cursor + 1, close);
+        const { fallback } = splitSlotPlaceholderBody(inner);
+        const slotName = fallback === null ? '' : extractSlotNameFromBlock(inner);
+        if (slotName && !fallbacks.has(slotName)) {
+            fallbacks.set(slotName, fallback.trim());
+        }
+        pos = close + 1;
+    }
+    return fallbacks;
+}
+
+/**
+ * Detect legacy top-level slot directives in a component invocation child
+ * block. Legacy directives are any property assignment whose name is `slot`
+ * or terminates with `.slot`.
+ *
+ * @param {string} block Component invocation block
+ * @returns {{property: string, value: string}|null} The first legacy directive found
+ */
+function findTopLevelLegacySlotDirective(block) {
+    const brace = block.indexOf('{');
+    if (brace === -1) return null;
+    const inner = block.slice(brace + 1, block.lastIndexOf('}'));
+    const flattened = removeNestedBlocks(inner);
+    const re = /([a-zA-Z_][\w\-.]*)\s*:\s*"([^"]+)"\s*;?/g;
+    let match;
+    while ((match = re.exec(flattened))) {
+        const propName = match[1];
+        if (propName === 'slot' || propName.endsWith('.slot')) {
+            return { property: propName, value: match[2] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Collect top-level invocation attributes from a component instance body.
+ * Slot directives are excluded.
+ *
+ * @param {string} body Component invocation body (inside braces)
+ * @returns {Object<string, string>} Attribute map from property name to value
+ */
+function extractTopLevelInvocationAttributes(body) {
+    const flattened = removeNestedBlocks(body);
+    const attributes = {};
+    const re = /([a-zA-Z_][\w\-.]*)\s*:\s*"([^"]*)"\s*;?/g;
+    let match;
+    while ((match = re.exec(flattened))) {
+        const propName = match[1];
+        if (propName === 'slot' || propName.endsWith('.slot')) {
+            continue;
+        }
+        if (propName === 'qhtml-component-instance') {
+            continue;
+        }
+        attributes[propName] = match[2];
+    }
+    return attributes;
+}
+
+function escapeQHtmlPropString(value) {
+    return String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"');
+}
+
+function serializeInvocationAttributes(attributes) {
+    const lines = [];
+    Object.entries(attributes || {}).forEach(([name, value]) => {
+        const prop = String(name || '').trim();
+        if (!prop) return;
+        lines.push(`${prop}: "${escapeQHtmlPropString(value)}";`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Parse a q-signal parameter list into validated identifier tokens.
+ *
+ * @param {string} source Comma-separated parameter identifiers
+ * @param {string} componentId Component id for diagnostics
+ * @param {string} signalName Signal id for diagnostics
+ * @returns {string[]} Parameter names
+ */
+function parseSignalParameterList(source, componentId = '', signalName = '') {
+    const raw = String(source || '').trim();
+    if (!raw) {
+        return [];
+    }
+    const params = [];
+    raw.split(',').map((item) => String(item || '').trim()).forEach((paramName) => {
+        if (!paramName) {
+            return;
+        }
+        if (!/^[A-Za-z_$][\w$]*$/.test(paramName)) {
+            componentLogger.warn(componentId, `Signal "${signalName}" ignores invalid parameter "${paramName}".`);
+            return;
+        }
+        if (!params.includes(paramName)) {
+            params.push(paramName);
+        }
+    });
+    return params;
+}
+
+/**
+ * Extract top-level q-signal declarations from a component body.
+ *
+ * Supported syntax:
+ *   q-signal stateChanged(newState)
+ *   q-signal stateChanged(newState);
+ *
+ * @param {string} inner Component inner body text (without outer braces)
+ * @param {string} componentId Component id for diagnostics
+ * @returns {{template: string, signals: Array<{name: string, params: string[]}>}}
+ */
+function extractComponentSignalsAndTemplate(inner, componentId = '') {
+    const source = String(inner || '');
+    const signals = [];
+    const removals = [];
+    const seen = new Set();
+
+    let depth = 0;
+    let inSingle = false;
+    let inDouble = false;
+    let inBacktick = false;
+    let escaped = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+
+        if (escaped) {
+            escaped = false;
+            continue;
+        }
+
+        if ((inSingle || inDouble || inBacktick) && ch === '\\') {
+            escaped = true;
+            continue;
+        }
+
+        if (!inDouble && !inBacktick && ch === '\'') {
+            inSingle = !inSingle;
+            continue;
+        }
+        if (!inSingle && !inBacktick && ch === '"') {
+            inDouble = !inDouble;
+            continue;
+        }
+        if (!inSingle && !inDouble && ch === '`') {
+            inBacktick = !inBacktick;
+            continue;
+        }
+        if (inSingle || inDouble || inBacktick) {
+            continue;
+        }
+
+        if (ch === '{') {
+            depth++;
+            continue;
+        }
+        if (ch === '}') {
+            depth = Math.max(0, depth - 1);
+            continue;
+        }
+        if (depth !== 0) {
+            continue;
+        }
+
+        if (i > 0 && /[A-Za-z0-9_$-]/.test(source[i - 1])) {
+            continue;
+        }
+        if (!source.startsWith('q-signal', i)) {
+            continue;
+        }
+
+        const match = source.slice(i).match(/^q-signal\s+([A-Za-z_$][\w$]*)\s*\(([^)]*)\)\s*;?/);
+        if (!match) {
+            continue;
+        }
+
+        const signalName = String(match[1] || '').trim();
+        const signalKey = signalName.toLowerCase();
+        if (seen.has(signalKey)) {
+            componentLogger.warn(componentId, `Duplicate q-signal declaration "${signalName}" ignored.`);
+        } else {
+            seen.add(signalKey);
+            signals.push({
+                name: signalName,
+                params: parseSignalParameterList(match[2], componentId, signalName)
+            });
+        }
+
+        removals.push({
+            start: i,
+            end: i + match[0].length
+        });
+        i += match[0].length - 1;
+    }
+
+    if (!removals.length) {
+        return {
+            template: source.trim(),
+            signals
+        };
+    }
+
+    let template = source;
+    removals.sort((a, b) => b.start - a.start).forEach((range) => {
+        let end = range.end;
+        while (end < template.length && /\s/.test(template[end])) end++;
+        if (template[end] === ';') end++;
+        template = template.slice(0, range.start) + template.slice(end);
+    });
+
+    return {
+        template: template.trim(),
+        signals
+    };
+}
+
+const QHTML_PROPERTY_TYPES = ['String', 'Number', 'Boolean', 'Object', 'Array'];
+
+function toQHtmlAttributeName(propertyName) {
+    return String(propertyName || '').replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Parse the default value of a q-property declaration.  Quoted values are
+ * strings; anything else is read as JSON, falling back to the raw text.
+ */
+function parseQPropertyDefault(raw, type) {
+    const text = String(raw == null ? '' : raw).trim();
+    if (!text) {
+        return { String: '', Number: 0, Boolean: false, Object: null, Array: [] }[type];
+    }
+    const quoted = text.match(/^(["'])([\s\S]*)\1$/);
+    let value = text;
+    if (quoted) {
+        value = quoted[2];
+    } else {
+        try {
+            value = JSON.parse(text);
+        } catch (err) {
+            value = text;
+        }
+    }
+    return coerceGeneratedComponentPropertyValue(value, { name: '', type, defaultValue: null });
+}
+
+/**
+ * Extract top-level q-property declarations from a component body.
+ *
+ * Supported syntax:
+ *   q-property count: Number = 3
+ *   q-property label: String = "Save";
+ *   q-property open: Boolean
+ *
+ * The type defaults to String.  Each property also declares a
+ * `<name>Changed(value, oldValue)` signal.
+ *
+ * @param {string} inner Component inner body text (without outer braces)
+ * @param {string} componentId Component id for diagnostics
+ * @returns {{template: string, properties: Array<object>}}
+ */
+function extractComponentPropertiesAndTemplate(inner, componentId = '') {
+    const source = String(inner || '');
+    const properties = [];
+    const removals = [];
+    const seen = new Set();
+
+    let depth = 0;
+    let inSingle = false;
+    let inDouble = false;
+    let inBacktick = false;
+    let escaped = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+
+        if (escaped) {
+            escaped = false;
+            continue;
+        }
+        if ((inSingle || inDouble || inBacktick) && ch === '\\') {
+            escaped = true;
+            continue;
+        }
+        if (!inDouble && !inBacktick && ch === '\'') {
+            inSingle = !inSingle;
+            continue;
+        }
+        if (!inSingle && !inBacktick && ch === '"') {
+            inDouble = !inDouble;
+            continue;
+        }
+        if (!inSingle && !inDouble && ch === '`') {
+            inBacktick = !inBacktick;
+            continue;
+        }
+        if (inSingle || inDouble || inBacktick) {
+            continue;
+        }
+        if (ch === '{') {
+            depth++;
+            continue;
+        }
+        if (ch === '}') {
+            depth = Math.max(0, depth - 1);
+            continue;
+        }
+        if (depth !== 0 || (i > 0 && /[A-Za-z0-9_$-]/.test(source[i - 1]))) {
+            continue;
+        }
+        if (!source.startsWith('q-property', i)) {
+            continue;
+        }
+
+        const match = source.slice(i).match(/^q-property\s+([A-Za-z_$][\w$]*)\s*(?::\s*([A-Za-z]+))?\s*(?:=\s*("[^"]*"|'[^']*'|[^;\n}]*))?;?/);
+        if (!match) {
+            continue;
+        }
+
+        const name = match[1];
+        let type = match[2] || 'String';
+        if (!QHTML_PROPERTY_TYPES.includes(type)) {
+            componentLogger.warn(componentId, `q-property "${name}" has unknown type "${type}"; using String.`);
+            type = 'String';
+        }
+        if (seen.has(name)) {
+            componentLogger.warn(componentId, `Duplicate q-property declaration "${name}" ignored.`);
+        } else {
+            seen.add(name);
+            properties.push({
+                name,
+                type,
+                attribute: toQHtmlAttributeName(name),
+                defaultValue: parseQPropertyDefault(match[3], type),
+                signalName: `${name}Changed`
+            });
+        }
+
+        removals.push({
+            start: i,
+            end: i + match[0].length
+        });
+        i += match[0].length - 1;
+    }
+
+    let template = source;
+    removals.sort((a, b) => b.start - a.start).forEach((range) => {
+        template = template.slice(0, range.start) + template.slice(range.end);
+    });
+
+    return {
+        template: template.trim(),
+        properties
+    };
+}
+
+/**
+ * Extract top-level q-state, q-computed and q-watch blocks from a component
+ * body.
+ *
+ * Supported syntax:
+ *   q-state { count: 0, items: [] }
+ *   q-computed total() { return this.count * 2; }
+ *   q-watch count(newVal, oldVal) { ... }
+ *   q-watch user.name(value) { ... }
+ *
+ * Several q-state blocks are merged in order.
+ *
+ * @param {string} inner Component inner body text (without outer braces)
+ * @param {string} componentId Component id for diagnostics
+ * @returns {{template: string, state: string, computed: Array<{name: string, body: string}>, watchers: Array<{path: string, params: string, body: string}>}}
+ */
+function extractComponentStateAndTemplate(inner, componentId = '') {
+    const source = String(inner || '');
+    const segments = splitTopLevelSegments(source);
+    const stateBlocks = [];
+    const computed = [];
+    const watchers = [];
+    const removals = [];
+
+    for (const seg of segments) {
+        const segTag = String(seg.tag || '').trim();
+        if (!/^q-(?:state|computed|watch)\b/.test(segTag)) {
+            continue;
+        }
+        const open = seg.block.indexOf('{');
+        const close = seg.block.lastIndexOf('}');
+        const body = open !== -1 && close > open
+            ? decodeQHtmlBindingEntities(seg.block.slice(open + 1, close)).trim()
+            : '';
+        let match = null;
+        if (segTag === 'q-state') {
+            if (body) {
+                stateBlocks.push(body.replace(/,\s*$/, ''));
+            }
+        } else if ((match = segTag.match(/^q-computed\s+([A-Za-z_$][\w$]*)\s*\(\s*\)$/))) {
+            computed.push({ name: match[1], body });
+        } else if ((match = segTag.match(/^q-watch\s+([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*\(([^)]*)\)$/))) {
+            watchers.push({ path: match[1], params: match[2].trim(), body });
+        } else {
+            componentLogger.warn(componentId, `Malformed declaration "${segTag}" ignored.`);
+        }
+        removals.push({
+            start: seg.start,
+            end: seg.braceClose + 1
+        });
+    }
+
+    let template = source;
+    removals.sort((a, b) => b.start - a.start).forEach((range) => {
+        let end = range.end;
+        while (end < template.length && /\s/.test(template[end])) end++;
+        if (template[end] === ';') end++;
+        template = template.slice(0, range.start) + template.slice(end);
+    });
+
+    return {
+        template: template.trim(),
+        state: stateBlocks.join(',\n'),
+        computed,
+        watchers
+    };
+}
+
+/**
+ * Extract top-level lifecycle blocks (`onConnected`, `onDisconnected`,
+ * `onAttributeChanged`, `onAdopted`) from a component body.
+ *
+ * @param {string} inner Component body text
+ * @returns {{template: string, lifecycle: Array<{name: string, body: string}>}}
+ */
+function extractComponentLifecycleAndTemplate(inner) {
+    const source = String(inner || '');
+    const lifecycle = [];
+    const removals = [];
+    splitTopLevelSegments(source).forEach((seg) => {
+        const segTag = String(seg && seg.tag ? seg.tag : '').trim();
+        if (!QHTML_COMPONENT_LIFECYCLE_HOOKS[segTag.toLowerCase()]) {
+            return;
+        }
+        const open = seg.block.indexOf('{');
+        const close = seg.block.lastIndexOf('}');
+        lifecycle.push({
+            name: segTag,
+            body: open !== -1 && close > open ? decodeQHtmlBindingEntities(seg.block.slice(open + 1, close)).trim() : ''
+        });
+        removals.push({ start: seg.start, end: seg.braceClose + 1 });
+    });
+
+    let template = source;
+    removals.sort((a, b) => b.start - a.start).forEach((range) => {
+        let end = range.end;
+        while (end < template.length && /\s/.test(template[end])) end++;
+        if (template[end] === ';') end++;
+        template = template.slice(0, range.start) + template.slice(end);
+    });
+
+    return { template: template.trim(), lifecycle };
+}
+
+/**
+ * Extract top-level onSignal handlers from a component body.
+ *
+ * Supported syntax (for declared signals only):
+ *   onStateChanged { ... }
+ *
+ * @param {string} inner Component body text
+ * @param {Array<{name: string, params: string[]}>} signals Known component signals
+ * @param {string} componentId Component id for diagnostics
+ * @returns {{template: string, signalHandlers: Array<{signalName: string, params: string, body: string}>}}
+ */
+function extractComponentSignalHandlersAndTemplate(inner, signals = [], componentId = '') {
+    const signalLookup = new Map();
+    (Array.isArray(signals) ? signals : []).forEach((signal) => {
+        const signalName = String(signal && signal.name ? signal.name : '').trim();
+        if (!signalName) {
+            return;
+        }
+        signalLookup.set(signalName.toLowerCase(), {
+            name: signalName,
+            params: Array.isArray(signal && signal.params)
+                ? signal.params.map((param) => String(param || '').trim()).filter(Boolean)
+                : []
+        });
+    });
+
+    if (!signalLookup.size) {
+        return {
+            template: String(inner || '').trim(),
+            signalHandlers: []
+        };
+    }
+
+    const source = String(inner || '');
+    const segments = splitTopLevelSegments(source);
+    const signalHandlers = [];
+    const removals = [];
+
+    for (const seg of segments) {
+        const segTag = String(seg && seg.tag ? seg.tag : '').trim();
+        const candidate = handlerTagToSignalName(segTag);
+        if (!candidate) {
+            continue;
+        }
+        const signalDef = signalLookup.get(candidate.toLowerCase());
+        if (!signalDef) {
+            continue;
+        }
+        const open = seg.block.indexOf('{');
+        const close = seg.block.lastIndexOf('}');
+        const handlerBody = open !== -1 && close > open
+            ? seg.block.slice(open + 1, close).trim()
+            : '';
+
+        signalHandlers.push({
+            signalName: signalDef.name,
+            params: signalDef.params.join(', '),
+            body: handlerBody
+        });
+        removals.push({
+            start: seg.start,
+            end: seg.braceClose + 1
+        });
+    }
+
+    if (!removals.length) {
+        return {
+            template: source.trim(),
+            signalHandlers
+        };
+    }
+
+    let template = source;
+    removals.sort((a, b) => b.start - a.start).forEach((range) => {
+        let end = range.end;
+        while (end < template.length && /\s/.test(template[end])) end++;
+        if (template[end] === ';') end++;
+        template = template.slice(0, range.start) + template.slice(end);
+    });
+
+    return {
+        template: template.trim(),
+        signalHandlers
+    };
+}
+
+/**
+ * Extract top-level component function declarations and return a cleaned
+ * template body without those declarations.
+ *
+ * Supported syntax:
+ *   function doAction(params) { ... }
+ *
+ * @param {string} inner Component inner body text (without outer braces)
+ * @param {string} componentId Component id for diagnostics
+ * @returns {{template: string, actions: Array<{name: string, params: string, body: string}>}}
+ */
+function extractComponentActionsAndTemplate(inner, componentId = '') {
+    const segments = splitTopLevelSegments(inner);
+    const actions = [];
+    const removals = [];
+
+    for (const seg of segments) {
+        const sig = String(seg.tag || '').trim().match(/^function\s+([A-Za-z_$][\w$]*)\s*\(([^)]*)\)$/);
+        if (!sig) continue;
+        const fnName = sig[1];
+        const fnParams = sig[2].trim();
+        const open = seg.block.indexOf('{');
+        const close = seg.block.lastIndexOf('}');
+        const fnBody = open !== -1 && close > open
+            ? seg.block.slice(open + 1, close).trim()
+            : '';
+
+        actions.push({
+            name: fnName,
+            params: fnParams,
+            body: fnBody
+        });
+        removals.push({
+            start: seg.start,
+            end: seg.braceClose + 1
+        });
+    }
+
+    if (!removals.length) {
+        return {
+            template: inner.trim(),
+            actions
+        };
+    }
+
+    let template = inner;
+    removals.sort((a, b) => b.start - a.start).forEach((range) => {
+        let end = range.end;
+        while (end < template.length && /\s/.test(template[end])) end++;
+        if (template[end] === ';') end++;
+        template = template.slice(0, range.start) + template.slice(end);
+    });
+
+    if (!template.trim()) {
+        componentLogger.warn(componentId, 'Component only defines function blocks and no template markup.');
+    }
+
+    return {
+        template: template.trim(),
+        actions
+    };
+}
+
+function extractComponentRuntimeMetadataAndTemplate(inner, componentId = '') {
+    const propertyExtracted = extractComponentPropertiesAndTemplate(inner, componentId);
+    const stateExtracted = extractComponentStateAndTemplate(propertyExtracted.template, componentId);
+    const lifecycleExtracted = extractComponentLifecycleAndTemplate(stateExtracted.template);
+    const signalExtracted = extractComponentSignalsAndTemplate(lifecycleExtracted.template, componentId);
+    const signals = signalExtracted.signals.slice();
+    propertyExtracted.properties.forEach((property) => {
+        if (!signals.some((signal) => signal.name === property.signalName)) {
+            signals.push({ name: property.signalName, params: ['value', 'oldValue'] });
+        }
+    });
+    const handlerExtracted = extractComponentSignalHandlersAndTemplate(
+        signalExtracted.template,
+        signals,
+        componentId
+    );
+    const actionExtracted = extractComponentActionsAndTemplate(handlerExtracted.template, componentId);
+    return {
+        template: actionExtracted.template,
+        actions: actionExtracted.actions,
+        properties: propertyExtracted.properties,
+        state: {
+            initializer: stateExtracted.state,
+            computed: stateExtracted.computed,
+            watchers: stateExtracted.watchers
+        },
+        lifecycle: lifecycleExtracted.lifecycle,
+        signals,
+        signalHandlers: handlerExtracted.signalHandlers
+    };
+}
+
+function addInvocationAttributesToPrimarySegment(source, options = {}) {
+    if (!source) return source;
+    const {
+        classes = [],
+        rootAttributes = {}
+    } = options;
+    const segments = splitTopLevelSegments(source);
+    if (!segments.length) return source;
+    const primaryIndex = segments.findIndex((seg) => shouldMarkComponentSegment(seg.tag));
+    if (primaryIndex === -1) return source;
+    const primary = segments[primaryIndex];
+    const attrs = Object.assign({}, rootAttributes);
+    if (classes.length) {
+        attrs.class = mergeClassNames(attrs.class || '', classes.join(' '));
+    }
+    const serialized = serializeInvocationAttributes(attrs);
+    if (!serialized.trim()) return source;
+    const injection = `\n    ${serialized.split('\n').join('\n    ')}`;
+    return source.slice(0, primary.braceOpen + 1) + injection + source.slice(primary.braceOpen + 1);
+}
+
+function buildQIntoCarriersFromSlotEntries(slotEntries) {
+    return (Array.isArray(slotEntries) ? slotEntries : []).map((entry) => {
+        const slotName = String(entry && entry.slotName ? entry.slotName : '').trim();
+        if (!slotName) {
+            return '';
+        }
+        const parts = [
+            `slot: "${escapeQHtmlPropString(slotName)}";`,
+            `q-into-carrier: "1";`,
+            `style: "display: none;";`
+        ];
+        const content = String(entry && entry.content ? entry.content : '').trim();
+        if (content) {
+            parts.push(content);
+        }
+        return `q-into {\n${indentQHtmlBlock(parts.join('\n'))}\n}`;
+    }).filter(Boolean).join('\n');
+}
+
+function buildRuntimeComponentInvocation(componentId, slotEntries, rootAttributes = {}, classes = [], actions = [], signals = [], signalHandlers = [], hostBlocks = []) {
+    const attrs = Object.assign({}, rootAttributes, {
+        'q-component': componentId,
+        'qhtml-component-instance': '1'
+    });
+    if (classes.length) {
+        attrs.class = mergeClassNames(attrs.class || '', classes.join(' '));
+    }
+    const attrLines = serializeInvocationAttributes(attrs);
+    const carrierBlocks = buildQIntoCarriersFromSlotEntries(slotEntries);
+    const signalDefs = (Array.isArray(signals) ? signals : [])
+        .map((signal) => ({
+            name: String(signal && signal.name ? signal.name : '').trim(),
+            params: Array.isArray(signal && signal.params)
+                ? signal.params.map((param) => String(param || '').trim()).filter(Boolean)
+                : []
+        }))
+        .filter((signal) => signal.name);
+    const signalHandlerDefs = (Array.isArray(signalHandlers) ? signalHandlers : [])
+        .map((handler) => ({
+            signalName: String(handler && handler.signalName ? handler.signalName : '').trim(),
+            params: String(handler && handler.params ? handler.params : '').trim(),
+            body: String(handler && handler.body ? handler.body : '').trim()
+        }))
+        .filter((handler) => handler.signalName && handler.body);
+    const readyBlock = buildQHtmlComponentBootstrapBlock({
+        componentId,
+        signals: signalDefs,
+        signalHandlers: signalHandlerDefs,
+        actions: normalizeQHtmlBootstrapActions(actions)
+    });
+    const hostBlockSource = (Array.isArray(hostBlocks) ? hostBlocks : [])
+        .map((block) => String(block || '').trim())
+        .filter(Boolean)
+        .join('\n');
+    const body = [attrLines, hostBlockSource, readyBlock, carrierBlocks].filter((part) => String(part || '').trim()).join('\n');
+    return `${componentId} {\n${indentQHtmlBlock(body)}\n}`;
+}
+
+function slotEntriesToMap(slotEntries) {
+    const slotMap = new Map();
+    (Array.isArray(slotEntries) ? slotEntries : []).forEach((entry) => {
+        const slotName = String(entry && entry.slotName ? entry.slotName : '').trim();
+        if (!slotName) return;
+        const existing = slotMap.get(slotName) || '';
+        const content = String(entry && entry.content ? entry.content : '');
+        slotMap.set(slotName, existing + '\n' + content);
+    });
+    return slotMap;
+}
+
+// -----------------------------------------------------------------------------
+// Scoped styles
+//
+// A `q-style { ... }` block inside a q-component or q-template definition is
+// emitted once per definition as `<style q-style="id">`.  Its selectors only
+// match inside that definition's instances: q-component content sits below a
+// `[q-component="id"]` host, and q-template instances get a `q-template="id"`
+// attribute on their top-level elements.
+
+let qhtmlScopedStyleSink = null;
+
+function extractScopedStyleAndTemplate(inner) {
+    const source = String(inner || '');
+    const blocks = [];
+    const removals = [];
+    splitTopLevelSegments(source).forEach((seg) => {
+        if (String(seg.tag || '').trim() !== 'q-style') {
+            return;
+        }
+        const open = seg.block.indexOf('{');
+        const close = seg.block.lastIndexOf('}');
+        if (open !== -1 && close > open) {
+            blocks.push(decodeQHtmlBindingEntities(seg.block.slice(open + 1, close)).trim());
+        }
+        removals.push({ start: seg.start, end: seg.braceClose + 1 });
+    });
+    let template = source;
+    removals.sort((a, b) => b.start - a.start).forEach((range) => {
+        template = template.slice(0, range.start) + template.slice(range.end);
+    });
+    return { template: template.trim(), css: blocks.filter(Boolean).join('\n') };
+}
+
+function splitTopLevelSelectorList(selectorText) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < selectorText.length; i++) {
+        const ch = selectorText[i];
+        if (ch === '(' || ch === '[') depth++;
+        else if (ch === ')' || ch === ']') depth = Math.max(0, depth - 1);
+        else if (ch === ',' && depth === 0) {
+            parts.push(selectorText.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(selectorText.slice(start));
+    return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function findCssParenEnd(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Scope a single selector.  `:host` / `:host(sel)` stand for the instance
+ * root, a selector using `:global(sel)` is left unscoped, and anything else
+ * gets the scope condition on its first compound selector.
+ */
+function scopeQHtmlSelector(selector, scope) {
+    if (selector.indexOf(':global(') !== -1) {
+        let out = selector;
+        let at = out.indexOf(':global(');
+        while (at !== -1) {
+            const close = findCssParenEnd(out, at + ':global'.length);
+            if (close === -1) break;
+            out = out.slice(0, at) + out.slice(at + ':global('.length, close) + out.slice(close + 1);
+            at = out.indexOf(':global(');
+        }
+        return out;
+    }
+    if (selector.startsWith(':host')) {
+        let rest = selector.slice(':host'.length);
+        let hostCompound = scope.host;
+        if (rest.startsWith('(')) {
+            const close = findCssParenEnd(rest, 0);
+            if (close !== -1) {
+                hostCompound += rest.slice(1, close).trim();
+                rest = rest.slice(close + 1);
+            }
+        }
+        return `${hostCompound}${rest}`;
+    }
+    let depth = 0;
+    let end = selector.length;
+    for (let i = 0; i < selector.length; i++) {
+        const ch = selector[i];
+        if (ch === '(' || ch === '[') depth++;
+        else if (ch === ')' || ch === ']') depth--;
+        else if (depth === 0 && (/\s/.test(ch) || ch === '>' || ch === '+' || ch === '~')) {
+            end = i;
+            break;
+        } else if (depth === 0 && ch === ':' && selector[i + 1] === ':') {
+            end = i;
+            break;
+        }
+    }
+    return `${selector.slice(0, end)}:where(${scope.content})${selector.slice(end)}`;
+}
+
+/**
+ * Rewrite a stylesheet so its rules only apply inside one definition's
+ * instances.  `@media`/`@supports`/`@container`/`@layer` blocks are scoped
+ * recursively; other at-rules (`@keyframes`, `@font-face`, ...) are kept as-is.
+ *
+ * @param {string} css Stylesheet text from a q-style block
+ * @param {{host: string, content: string}} scope Host selector and the selector matching scoped content
+ * @returns {string} The scoped stylesheet
+ */
+function scopeQHtmlCss(css, scope) {
+    const text = String(css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+    let out = '';
+    let i = 0;
+    while (i < text.length) {
+        const open = text.indexOf('{', i);
+        if (open === -1) {
+            out += text.slice(i);
+            break;
+        }
+        const close = findMatchingBrace(text, open);
+        if (close === -1) {
+            out += text.slice(i);
+            break;
+        }
+        const prelude = text.slice(i, open).trim();
+        const body = text.slice(open + 1, close);
+        if (/^@(?:media|supports|container|layer)\b/i.test(prelude)) {
+            out += `${prelude} {\n${scopeQHtmlCss(body, scope)}\n}\n`;
+        } else if (prelude.startsWith('@')) {
+            out += `${prelude} {${body}}\n`;
+        } else {
+            const selectors = splitTopLevelSelectorList(prelude).map((sel) => scopeQHtmlSelector(sel, scope));
+            out += `${selectors.join(', ')} {${body}}\n`;
+        }
+        i = close + 1;
+    }
+    return out.trim();
+}
+
+function getQHtmlStyleScope(kind, id) {
+    const attr = kind === 'component' ? 'q-component' : 'q-template';
+    const host = `[${attr}="${id}"]`;
+    return {
+        host,
+        content: kind === 'component' ? `${host} *` : `${host}, ${host} *`
+    };
+}
+
+/**
+ * Make sure the document has exactly one `<style q-style="id">` for a
+ * definition's scoped stylesheet.  During `renderQHtmlToString` the sheet is
+ * collected for the output instead.
+ */
+function emitQHtmlScopedStyle(kind, id, css) {
+    const scoped = scopeQHtmlCss(css, getQHtmlStyleScope(kind, id));
+    if (qhtmlScopedStyleSink) {
+        qhtmlScopedStyleSink.set(id, scoped);
+    }
+    if (typeof document === 'undefined' || !document.head) {
+        return;
+    }
+    let styleElement = Array.from(document.head.querySelectorAll('style[q-style]'))
+        .find((node) => node.getAttribute('q-style') === id);
+    if (!styleElement) {
+        styleElement = document.createElement('style');
+        styleElement.setAttribute('q-style', id);
+        document.head.appendChild(styleElement);
+    }
+    if (styleElement.textContent !== scoped) {
+        styleElement.textContent = scoped;
+    }
+}
+
+function addTemplateScopeMarkers(source, templateId, definitionIds = []) {
+    const segments = splitTopLevelSegments(source);
+    let out = source;
+    for (let i = segments.length - 1; i >= 0; i--) {
+        const seg = segments[i];
+        // Nested definitions mark their own instances.
+        const { base } = parseTagWithClasses(seg.tag);
+        if (!shouldMarkComponentSegment(seg.tag) || base === 'q-into' || definitionIds.includes(base)) {
+            continue;
+        }
+        out = `${out.slice(0, seg.braceOpen + 1)}\n    q-template: "${templateId}";${out.slice(seg.braceOpen + 1)}`;
+    }
+    return out;
+}
+
+/**
+ * Expand reusable definition blocks found in qhtml.
+ *
+ * - `q-component` definitions are registered as runtime custom-element hosts.
+ *   Invocations are normalized to host tags with `<q-into slot="...">` carriers.
+ * - `q-template` definitions are compile-time only and expand to pure HTML.
+ *   Function blocks inside q-template are ignored with a warning.
+ *
+ * @param {string} input Raw qhtml containing component definitions and invocations
+ * @returns {string} The qhtml with component/template invocations resolved
+ */
+function transformComponentDefinitionsHelper(input) {
+    const defs = [];
+    let out = input;
+
+    const collectDefinitions = (keyword, kind) => {
+        let idx = 0;
+        while (true) {
+            const start = out.indexOf(keyword, idx);
+            if (start === -1) break;
+            const open = out.indexOf('{', start);
+            if (open === -1) break;
+            const close = findMatchingBrace(out, open);
+            if (close === -1) break;
+            const header = out.slice(start, open).trim();
+            const headerMatch = header.match(new RegExp(`^${keyword}\\s+([^\\s{]+)(\\s+shadow)?$`));
+            const id = headerMatch ? headerMatch[1] : '';
+            const shadow = !!(headerMatch && headerMatch[2]);
+            if (shadow && kind !== 'component') {
+                componentLogger.warn(id, 'q-template ignores the shadow flag.');
+            }
+            const block = out.slice(start, close + 1);
+            const inner = block.slice(block.indexOf('{') + 1, block.lastIndexOf('}'));
+            if (!id) {
+                const flattenedInner = removeNestedBlocks(inner);
+                if (keyword === 'q-component' && /(?:^|\s)id\s*:\s*"[^"]+"\s*;?/.test(flattenedInner)) {
+                    componentLogger.error('', 'Legacy component syntax is no longer supported. Use `q-component component-id { ... }`.');
+                }
+                idx = close + 1;
+                continue;
+            }
+            const styled = extractScopedStyleAndTemplate(stripTopLevelProps(inner, ['id', 'slots']));
+            const templateSource = styled.template;
+            if (styled.css && shadow && kind === 'component') {
+                setShadowComponentStyle(id, styled.css);
+            } else if (styled.css) {
+                emitQHtmlScopedStyle(kind, id, styled.css);
+            }
+            const extracted = kind === 'component'
+                ? extractComponentRuntimeMetadataAndTemplate(templateSource, id)
+                : extractComponentActionsAndTemplate(templateSource, id);
+            if (kind === 'template' && extracted.actions.length) {
+                componentLogger.warn(id, 'q-template ignores function blocks.');
+            }
+            defs.push({
+                kind,
+                id,
+                template: extracted.template,
+                actions: kind === 'component' ? extracted.actions : [],
+                signals: kind === 'component' ? (extracted.signals || []) : [],
+                properties: kind === 'component' ? (extracted.properties || []) : [],
+                state: kind === 'component' ? (extracted.state || null) : null,
+                lifecycle: kind === 'component' ? (extracted.lifecycle || []) : [],
+                signalHandlers: kind === 'component' ? (extracted.signalHandlers || []) : [],
+                scoped: !!styled.css,
+                shadow: shadow && kind === 'component'
+            });
+            out = out.slice(0, start) + out.slice(close + 1);
+            idx = Math.max(0, start - 1);
+        }
+    };
+
+    collectDefinitions('q-component', 'component');
+    collectDefinitions('q-template', 'template');
+
+    if (!defs.length) {
+        return out;
+    }
+
+    const componentIds = defs.map((def) => def.id);
+    const slotRegistry = new Map();
+    for (const def of defs) {
+        const slotInfo = collectTemplateSlotDefinitions(def.template, componentIds, def.id);
+        slotRegistry.set(def.id, slotInfo);
+        if (def.kind === 'component') {
+            setGeneratedComponentDefinition(def.id, {
+                template: def.template,
+                slotNames: Array.from(slotInfo.slotNames || []),
+                signals: def.signals || [],
+                signalHandlers: def.signalHandlers || [],
+                properties: def.properties || [],
+                state: def.state,
+                lifecycle: def.lifecycle,
+                shadow: def.shadow
+            });
+            if (isValidCustomElementName(def.id)) {
+                ensureGeneratedCustomElement(def.id, def.actions, def.signals, def.signalHandlers);
+            } else {
+                componentLogger.warn(def.id, 'Component id is not a valid custom-element name; methods are unavailable on document.createElement for this tag.');
+            }
+        }
+    }
+
+    const maxPasses = Math.max(1, defs.length * 3);
+    let pass = 0;
+    let changed = true;
+
+    while (changed && pass < maxPasses) {
+        changed = false;
+        pass++;
+        for (const def of defs) {
+            const { id, template, kind } = def;
+            let slotInfo = slotRegistry.get(id) || {
+                directSlots: new Map(),
+                subcomponentSlots: new Map(),
+                slotNames: new Set()
+            };
+            if (!slotInfo.slotNames || slotInfo.slotNames.size === 0) {
+                const fallbackSlotNames = collectTemplateSlotNames(template);
+                if (fallbackSlotNames.size) {
+                    const fallbackDirect = new Map();
+                    fallbackSlotNames.forEach((slotName) => fallbackDirect.set(slotName, 1));
+                    slotInfo = {
+                        directSlots: fallbackDirect,
+                        subcomponentSlots: new Map(),
+                        slotNames: fallbackSlotNames
+                    };
+                }
+            }
+
+            const totalSlotCount = Array.from(slotInfo.directSlots.values()).reduce((a, b) => a + b, 0)
+                + Array.from(slotInfo.subcomponentSlots.values()).reduce((a, b) => a + b, 0);
+            let singleSlotName = '';
+            if (totalSlotCount === 1) {
+                if (slotInfo.directSlots.size === 1) {
+                    singleSlotName = Array.from(slotInfo.directSlots.keys())[0];
+                } else if (slotInfo.subcomponentSlots.size === 1) {
+                    singleSlotName = Array.from(slotInfo.subcomponentSlots.keys())[0];
+                }
+            }
+
+            let pos = 0;
+            while (true) {
+                const k = findTagInvocation(out, id, pos, { allowClasses: true });
+                if (!k) break;
+                const { tagStart, braceOpen, braceClose, tagToken } = k;
+                const { classes: componentClasses } = parseTagWithClasses(tagToken || id);
+                const body = out.slice(braceOpen + 1, braceClose);
+                const flattenedBody = removeNestedBlocks(body);
+                if (/(?:^|\s)qhtml-component-instance\s*:\s*"1"\s*;?/.test(flattenedBody)) {
+                    pos = braceClose + 1;
+                    continue;
+                }
+
+                const rootAttributes = extractTopLevelInvocationAttributes(body);
+                const children = splitTopLevelSegments(body);
+                const slotEntries = [];
+                const hostBlocks = [];
+                const invocationSignalHandlers = [];
+                const nonSlotChildStarts = new Set();
+                let hasSlotTagBlocks = false;
+                let hasLegacySlotDirective = false;
+                const signalLookup = new Map();
+                (Array.isArray(def.signals) ? def.signals : []).forEach((signal) => {
+                    const signalName = String(signal && signal.name ? signal.name : '').trim();
+                    if (!signalName) {
+                        return;
+                    }
+                    signalLookup.set(signalName.toLowerCase(), {
+                        name: signalName,
+                        params: Array.isArray(signal && signal.params)
+                            ? signal.params.map((param) => String(param || '').trim()).filter(Boolean)
+                            : []
+                    });
+                });
+
+                const intoNodes = collectIntoNodes(body, componentIds, id);
+                const hasIntoBlocks = hasTopLevelIntoBlock(body, componentIds);
+                for (const node of intoNodes) {
+                    if (!slotInfo.slotNames.size) {
+                        componentLogger.warn(id, `Component does not have slot named "${node.targetSlot}".`);
+                        continue;
+                    }
+                    const resolved = resolveIntoSlotTarget(node.targetSlot, slotInfo, id);
+                    if (!resolved) continue;
+                    slotEntries.push({
+                        slotName: resolved,
+                        content: node.children,
+                        position: node.position
+                    });
+                }
+
+                for (const seg of children) {
+                    const segTag = String(seg && seg.tag ? seg.tag : '').trim();
+                    if (/^on[A-Za-z0-9_]+$/i.test(segTag)) {
+                        const candidateSignalName = handlerTagToSignalName(segTag);
+                        const signalDef = candidateSignalName ? signalLookup.get(candidateSignalName.toLowerCase()) : null;
+                        if (signalDef && !isReadyLifecycleName(segTag)) {
+                            const open = seg.block.indexOf('{');
+                            const close = seg.block.lastIndexOf('}');
+                            const handlerBody = open !== -1 && close > open
+                                ? seg.block.slice(open + 1, close).trim()
+                                : '';
+                            invocationSignalHandlers.push({
+                                signalName: signalDef.name,
+                                params: signalDef.params.join(', '),
+                                body: handlerBody
+                            });
+                            if (typeof seg.start === 'number') {
+                                nonSlotChildStarts.add(seg.start);
+                            }
+                            continue;
+                        }
+                        hostBlocks.push(seg.block);
+                        if (typeof seg.start === 'number') {
+                            nonSlotChildStarts.add(seg.start);
+                        }
+                        continue;
+                    }
+                    if (seg.tag === 'into' || seg.tag === 'q-into') {
+                        continue;
+                    }
+                    if (slotInfo.slotNames.has(seg.tag) && !componentIds.includes(seg.tag)) {
+                        hasSlotTagBlocks = true;
+                        const innerStart = seg.block.indexOf('{');
+                        const innerEnd = seg.block.lastIndexOf('}');
+                        const injected = innerStart !== -1 && innerEnd > innerStart
+                            ? seg.block.slice(innerStart + 1, innerEnd).trim()
+                            : '';
+                        slotEntries.push({
+                            slotName: seg.tag,
+                            content: injected,
+                            position: typeof seg.start === 'number' ? seg.start : 0
+                        });
+                        continue;
+                    }
+                    const legacyDirective = findTopLevelLegacySlotDirective(seg.block);
+                    if (legacyDirective) {
+                        hasLegacySlotDirective = true;
+                        componentLogger.error(id, 'Legacy inline slot assignment is no longer supported. Use `slot-name { ... }` child blocks.');
+                    }
+                }
+
+                const hasExplicitSlotUsage = hasIntoBlocks || hasSlotTagBlocks || hasLegacySlotDirective || slotEntries.length > 0;
+                if (!hasExplicitSlotUsage && singleSlotName) {
+                    const autoContent = children
+                        .filter((seg) => seg.tag !== 'into' && seg.tag !== 'q-into')
+                        .filter((seg) => !(typeof seg.start === 'number' && nonSlotChildStarts.has(seg.start)))
+                        .map((seg) => seg.block)
+                        .join('\n')
+                        .trim();
+                    if (autoContent) {
+                        slotEntries.push({
+                            slotName: singleSlotName,
+                            content: autoContent,
+                            position: 0
+                        });
+                    }
+                }
+                slotEntries.sort((a, b) => a.position - b.position);
+
+                let replacement = '';
+                if (kind === 'component') {
+                    const runtimeSignalHandlers = []
+                        .concat(Array.isArray(def.signalHandlers) ? def.signalHandlers : [])
+                        .concat(invocationSignalHandlers);
+                    replacement = buildRuntimeComponentInvocation(
+                        id,
+                        slotEntries,
+                        rootAttributes,
+                        componentClasses,
+                        def.actions,
+                        def.signals,
+                        runtimeSignalHandlers,
+                        hostBlocks
+                    );
+                } else {
+                    const slotMap = slotEntriesToMap(slotEntries);
+                    const suppressMissingWarnings = !hasExplicitSlotUsage && children.length === 0;
+                    const expanded = replaceTemplateSlots(template, slotMap, {
+                        componentId: id,
+                        warnOnMissing: !suppressMissingWarnings,
+                        preserveAnchors: false
+                    });
+                    replacement = addInvocationAttributesToPrimarySegment(
+                        def.scoped ? addTemplateScopeMarkers(expanded, id, componentIds) : expanded,
+                        {
+                            classes: componentClasses,
+                            rootAttributes
+                        }
+                    );
+                }
+
+                out = out.slice(0, tagStart) + replacement + out.slice(braceClose + 1);
+                pos = tagStart + replacement.length;
+                changed = true;
+            }
+        }
+    }
+
+    if (changed) {
+        componentLogger.warn('', `Component/template expansion stopped after ${maxPasses} passes; recursive blocks may remain.`);
+    }
+    return out;
+}
+
+function sanitizeInlineHandler(scriptBody) {
+    let out = '';
+    let inSingle = false;
+    let inDouble = false;
+    let inBacktick = false;
+    let escaped = false;
+    let lastWasSpace = false;
+    let lastWasNewline = false;
+
+    for (let i = 0; i < scriptBody.length; i++) {
+        const ch = scriptBody[i];
+
+        if (escaped) {
+            out += ch;
+            escaped = false;
+            lastWasSpace = false;
+            continue;
+        }
+
+        if (ch === '\\' && (inSingle || inDouble || inBacktick)) {
+            out += ch;
+            escaped = true;
+            lastWasSpace = false;
+            continue;
+        }
+
+        if (ch === '"' && !inSingle && !inBacktick) {
+            inDouble = !inDouble;
+            out += '\'';
+            lastWasSpace = false;
+            continue;
+        }
+
+        if (ch === '\'' && !inDouble && !inBacktick) {
+            inSingle = !inSingle;
+            out += '\'';
+            lastWasSpace = false;
+            continue;
+        }
+
+        if (ch === '`' && !inSingle && !inDouble) {
+            inBacktick = !inBacktick;
+            out += ch;
+            lastWasSpace = false;
+            continue;
+        }
+
+        if (!inSingle && !inDouble && !inBacktick && (ch === '\n' || ch === '\r')) {
+            if (!lastWasNewline) {
+                out += '\n';
+            }
+            lastWasSpace = false;
+            lastWasNewline = true;
+            continue;
+        }
+
+        if (!inSingle && !inDouble && !inBacktick && /\s/.test(ch)) {
+            if (!lastWasSpace) {
+                out += ' ';
+                lastWasSpace = true;
+            }
+            lastWasNewline = false;
+            continue;
+        }
+
+        out += ch;
+        lastWasSpace = false;
+        lastWasNewline = false;
+    }
+
+    return out.trim();
+}
+
+// `onclick.prevent.stop`, `oninput.debounce(300)`: an on* name followed by
+// dot-separated modifiers, some of which take a numeric argument.
+const QHTML_EVENT_BLOCK_PATTERN = /^on[A-Za-z0-9_]+(?:\.[A-Za-z][\w-]*(?:\(\s*\d*\s*\))?)*$/;
+
+/**
+ * Split an event block header into its handler name and modifiers.
+ *
+ * @param {string} tag Block header, e.g. `oninput.debounce(300)`
+ * @returns {{name: string, modifiers: Array<{name: string, arg: (number|null)}>}}
+ */
+function parseQHtmlEventBlockName(tag) {
+    const [name, ...rest] = String(tag || '').trim().split('.');
+    const modifiers = rest.map((part) => {
+        const match = part.match(/^([A-Za-z][\w-]*)(?:\(\s*(\d*)\s*\))?$/);
+        return {
+            name: match ? match[1].toLowerCase() : part.toLowerCase(),
+            arg: match && match[2] ? Number(match[2]) : null
+        };
+    });
+    return { name, modifiers };
+}
+
+function isReadyLifecycleName(name) {
+    const normalized = String(name || '').toLowerCase();
+    return normalized === 'onready' || normalized === 'onload' || normalized === 'onloaded';
+}
+
+/**
+ * Extract a flat list of property and child element segments from a qhtml
+ * invocation. Produces segments of type: 'property' | 'element' | 'html' | 'css'.
+ * Inline HTML/CSS contents are percent-encoded here and decoded at render time.
+ *
+ * @param {string} input
+ * @returns {Array<object>}
+ */
+function extractPropertiesAndChildren(input) {
+  const segments = [];
+
+  // Global scan state for the current level
+  let nestedLevel = 0;
+  let segmentStart = 0;
+  let currentSegment = null; // {type, tag, content, _buf?, _cssDepth?}
+  const isEventBlock = (tag) => QHTML_EVENT_BLOCK_PATTERN.test(tag);
+
+  // Per-segment helpers
+  const beginHtml = (tag) => {
+    currentSegment = { type: 'html', tag, content: '', _buf: [], _htmlDepth: 1 };
+  };
+  const appendHtml = (ch) => currentSegment && currentSegment._buf.push(ch);
+  const incHtmlDepth = () => { if (currentSegment) currentSegment._htmlDepth++; };
+  const decHtmlDepth = () => { if (currentSegment) currentSegment._htmlDepth--; };
+  const endHtml = () => {
+    currentSegment.content = encodeURIComponent(currentSegment._buf.join(''));
+    segments.push(currentSegment);
+    currentSegment = null;
+  };
+
+  const beginCss = (tag) => {
+    currentSegment = { type: 'css', tag, content: '', _buf: [], _cssDepth: 1 };
+  };
+  const appendCss = (ch) => currentSegment && currentSegment._buf.push(ch);
+  const incCssDepth = () => { if (currentSegment) currentSegment._cssDepth++; };
+  const decCssDepth = () => { if (currentSegment) currentSegment._cssDepth--; };
+  const endCss = () => {
+    currentSegment.content = encodeURIComponent(currentSegment._buf.join(''));
+    segments.push(currentSegment);
+    currentSegment = null;
+  };
+
+  const beginStyleBlock = (tag) => {
+    currentSegment = { type: 'style-block', tag, content: '', _buf: [], _styleDepth: 1 };
+  };
+  const appendStyleBlock = (ch) => currentSegment && currentSegment._buf.push(ch);
+  const incStyleDepth = () => { if (currentSegment) currentSegment._styleDepth++; };
+  const decStyleDepth = () => { if (currentSegment) currentSegment._styleDepth--; };
+  const endStyleBlock = () => {
+    currentSegment.content = currentSegment._buf.join('');
+    segments.push(currentSegment);
+    currentSegment = null;
+  };
+
+  // NEW: text segment helpers (mirrors html, but we will decode to a text node)
+  const beginText = (tag) => {
+    currentSegment = { type: 'text', tag, content: '', _buf: [], _textDepth: 1 };
+  };
+  const appendText = (ch) => currentSegment && currentSegment._buf.push(ch);
+  const incTextDepth = () => { if (currentSegment) currentSegment._textDepth++; };
+  const decTextDepth = () => { if (currentSegment) currentSegment._textDepth--; };
+  const endText = () => {
+    // For symmetry with html/css we URI-encode; will decode at render time.
+    currentSegment.content = encodeURIComponent(currentSegment._buf.join(''));
+    segments.push(currentSegment);
+    currentSegment = null;
+  };
+
+  const beginEventBlock = (name) => {
+    currentSegment = { type: 'event-block', name, _buf: [], _depth: 1 };
+  };
+  const appendEventBlock = (ch) => currentSegment && currentSegment._buf.push(ch);
+  const incEventDepth = () => { if (currentSegment) currentSegment._depth++; };
+  const decEventDepth = () => { if (currentSegment) currentSegment._depth--; };
+  const endEventBlock = () => {
+    const raw = currentSegment._buf.join('');
+    const { name, modifiers } = parseQHtmlEventBlockName(currentSegment.name);
+    if (isReadyLifecycleName(name)) {
+      if (modifiers.length) {
+        componentLogger.warn('', `Event modifiers are ignored on lifecycle hook "${currentSegment.name}".`);
+      }
+      segments.push({
+        type: 'property',
+        name,
+        value: raw.trim(),
+        isReadyLifecycle: true
+      });
+    } else if (modifiers.length || isQHtmlListenerEventBinding()) {
+      // Listeners never write the body into an attribute, so it keeps the
+      // original quotes and line breaks.  Modifiers always need a listener.
+      const body = decodeQHtmlBindingEntities(decodeQuotedSegments(raw)).trim();
+      segments.push({ type: 'property', name, value: encodeURIComponent(body), isFunction: true, isListener: true, modifiers });
+    } else {
+      const cleaned = sanitizeInlineHandler(raw);
+      segments.push({ type: 'property', name: currentSegment.name, value: cleaned, isFunction: true });
+    }
+    currentSegment = null;
+  };
+
+  // NOTE: we never mutate `input` while scanning; we just move `i`
+  for (let i = 0; i < input.length; i++) {
+    // Inside inline HTML
+    if (currentSegment && currentSegment.type === 'html') {
+      const ch = input[i];
+      if (ch === '{') {
+        incHtmlDepth();
+        appendHtml(ch);
+        continue;
+      }
+      if (ch === '}') {
+        decHtmlDepth();
+        if (currentSegment._htmlDepth === 0) {
+          // End of HTML block: close the segment and decrement nesting level
+          endHtml();
+          nestedLevel--;
+          // After closing an inline HTML block at this level, process the rest of the input
+          const rest = input.substring(i + 1);
+          return segments.concat(extractPropertiesAndChildren(rest));
+        }
+        appendHtml(ch);
+        continue;
+      }
+      appendHtml(ch);
+      continue;
+    }
+
+    // Inside inline CSS (track nested braces)
+    if (currentSegment && currentSegment.type === 'css') {
+      const ch = input[i];
+      if (ch === '{') {
+        incCssDepth();
+        appendCss(ch);
+        continue;
+      }
+      if (ch === '}') {
+        decCssDepth();
+        if (currentSegment._cssDepth === 0) {
+          // End of CSS block: close the segment and decrement nesting level
+          endCss();
+          nestedLevel--;
+          // After closing an inline CSS block at this level, process the rest of the input
+          const rest = input.substring(i + 1);
+          return segments.concat(extractPropertiesAndChildren(rest));
+        } else {
+          appendCss(ch);
+        }
+        continue;
+      }
+      appendCss(ch);
+      continue;
+    }
+
+    // Inside inline STYLE block (track nested braces)
+    if (currentSegment && currentSegment.type === 'style-block') {
+      const ch = input[i];
+      if (ch === '{') {
+        incStyleDepth();
+        appendStyleBlock(ch);
+        continue;
+      }
+      if (ch === '}') {
+        decStyleDepth();
+        if (currentSegment._styleDepth === 0) {
+          endStyleBlock();
+          nestedLevel--;
+          const rest = input.substring(i + 1);
+          return segments.concat(extractPropertiesAndChildren(rest));
+        } else {
+          appendStyleBlock(ch);
+        }
+        continue;
+      }
+      appendStyleBlock(ch);
+      continue;
+    }
+
+    // Inside inline TEXT
+    if (currentSegment && currentSegment.type === 'text') {
+      const ch = input[i];
+      if (ch === '{') {
+        incTextDepth();
+        appendText(ch);
+        continue;
+      }
+      if (ch === '}') {
+        decTextDepth();
+        if (currentSegment._textDepth === 0) {
+          // End of text block: close the segment and decrement nesting level
+          endText();
+          nestedLevel--;
+          // After closing an inline TEXT block at this level, process the rest of the input
+          const rest = input.substring(i + 1);
+          return segments.concat(extractPropertiesAndChildren(rest));
+        }
+        appendText(ch);
+        continue;
+      }
+      appendText(ch);
+      continue;
+    }
+
+    // Inside event handler block (track nested braces)
+    if (currentSegment && currentSegment.type === 'event-block') {
+      const ch = input[i];
+      if (ch === '{') {
+        incEventDepth();
+        appendEventBlock(ch);
+        continue;
+      }
+      if (ch === '}') {
+        decEventDepth();
+        if (currentSegment._depth === 0) {
+          endEventBlock();
+          nestedLevel--;
+          const rest = input.substring(i + 1);
+          return segments.concat(extractPropertiesAndChildren(rest));
+        } else {
+          appendEventBlock(ch);
+        }
+        continue;
+      }
+      appendEventBlock(ch);
+      continue;
+    }
+
+    // Top-level parser at this nesting level
+    const ch = input[i];
+
+    // Opening of a block → decide html/css/text/element
+    if (ch === '{') {
+      nestedLevel++;
+      if (nestedLevel === 1) {
+        segmentStart = i + 1;
+        const tag = input.substring(0, i).trim();
+
+        if (isEventBlock(tag)) { beginEventBlock(tag); continue; }
+        if (tag === 'html') { beginHtml(tag); continue; }
+        if (tag === 'css')  { beginCss(tag); continue; }
+        if (tag === 'text') { beginText(tag); continue; }
+        if (tag === 'style') { beginStyleBlock(tag); continue; }
+        if (/^function\s+[A-Za-z_$][\w$]*\s*\([^)]*\)$/.test(tag)) {
+          currentSegment = { type: 'function-def', tag, content: '' };
+          continue;
+        }
+        if (/^q-for\s/.test(tag)) {
+          currentSegment = { type: 'q-for', tag, content: '' };
+          continue;
+        }
+        if (tag === 'q-connect') {
+          currentSegment = { type: 'q-connect', tag, content: '' };
+          continue;
+        }
+        if (/^q-(?:if|else-if)\s*\(/.test(tag) || tag === 'q-else') {
+          const type = tag === 'q-else' ? 'q-else' : (tag.startsWith('q-else-if') ? 'q-else-if' : 'q-if');
+          currentSegment = { type, tag, content: '' };
+          continue;
+        }
+
+        // default element
+        currentSegment = { type: 'element', tag, content: '' };
+      }
+      continue;
+    }
+
+    // Closing of current element block
+    if (ch === '}') {
+      nestedLevel--;
+      if (nestedLevel === 0 && currentSegment) {
+        currentSegment.content = input.substring(segmentStart, i).trim();
+        segments.push(currentSegment);
+        currentSegment = null;
+
+        // reset for the next sibling at this level
+        const rest = input.substring(i + 1);
+        // we DO NOT mutate input nor reset i; the outer loop continues
+        // but we need the tag prefix to be consumed correctly:
+        // emulate the original behavior by slicing the already-processed
+        // head off and restarting scan on the remainder
+        return segments.concat(extractPropertiesAndChildren(rest));
+      }
+      continue;
+    }
+
+    // Property at top level of this invocation (structural headers such as
+    // `q-for item in a ? b : c` are expressions, not properties)
+    if (nestedLevel === 0 && ch === ':' && !isQHtmlStructuralHeader(input.substring(0, i))) {
+      const propName = input.substring(0, i).trim();
+      let remainder = input.substring(i + 1).trim();
+
+      // Function-body property support: prop: { ... };
+      if (remainder.startsWith('{')) {
+        let braceCount = 0;
+        let endIndex = 0;
+        for (let j = 0; j < remainder.length; j++) {
+          const c = remainder[j];
+          if (c === '{') braceCount++;
+          else if (c === '}') { braceCount--; if (braceCount === 0) { endIndex = j; break; } }
+        }
+        const fnBody = remainder.substring(1, endIndex).trim();
+        let skipIndex = endIndex + 1;
+        if (remainder[skipIndex] === ';') skipIndex++;
+        segments.push({ type: 'property', name: propName, value: fnBody, isFunction: true });
+        const tail = remainder.substring(skipIndex).trim();
+        return segments.concat(extractPropertiesAndChildren(tail));
+      } else {
+        // Regular property value to next semicolon
+        const propEnd = remainder.indexOf(';');
+        if (propEnd !== -1) {
+          let propertyValue = remainder.substring(0, propEnd).trim();
+          propertyValue = propertyValue.replace(/^"/, '').replace(/"$/, '');
+          segments.push({ type: 'property', name: propName, value: propertyValue });
+          const tail = remainder.substring(propEnd + 1).trim();
+          return segments.concat(extractPropertiesAndChildren(tail));
+        }
+      }
+    }
+  }
+
+  return segments;
+}
+function processTextSegment(segment, parentElement) {
+  let textString;
+  try {
+    textString = decodeURIComponent(segment.content);
+  } catch {
+    textString = segment.content;
+  }
+  const bindable = hasQHtmlBindingSyntax(textString);
+  textString = evaluateQScriptBlocks(textString, { thisArg: parentElement });
+  // Insert as a pure text node (no wrapper, no HTML parsing)
+  const textNode = document.createTextNode(textString);
+  if (bindable) {
+    markQHtmlBindingSource(textNode);
+  }
+  parentElement.appendChild(textNode);
+}
+
+// A rendered component host installs its functions, signals and projected
+// attributes from an `onReady { q-bootstrap:{...} }` block.  The block holds
+// JSON rather than generated JavaScript, so it runs without evaluating code
+// and the function bodies go through `compileQHtmlFunction` like any other.
+const QHTML_COMPONENT_BOOTSTRAP_PREFIX = 'q-bootstrap:';
+
+function normalizeQHtmlBootstrapActions(actions) {
+    return (Array.isArray(actions) ? actions : [])
+        .map((action) => ({
+            name: String(action && action.name ? action.name : '').trim(),
+            params: String(action && action.params ? action.params : '').trim(),
+            body: String(action && action.body ? action.body : '').trim()
+        }))
+        .filter((entry) => entry.name);
+}
+
+function buildQHtmlComponentBootstrapBlock(spec) {
+    const hasSignals = (spec.signals && spec.signals.length) || (spec.signalHandlers && spec.signalHandlers.length);
+    const hasWork = hasSignals || (spec.attributes && spec.attributes.length) || (spec.actions && spec.actions.length);
+    return hasWork ? `onReady {\n  ${QHTML_COMPONENT_BOOTSTRAP_PREFIX}${JSON.stringify(spec)}\n}` : '';
+}
+
+function runQHtmlComponentBootstrap(host, spec) {
+    if ((spec.signals && spec.signals.length) || (spec.signalHandlers && spec.signalHandlers.length)) {
+        ensureComponentSignals(host, spec.signals || [], spec.signalHandlers || [], spec.componentId || '');
+    }
+    (spec.attributes || []).forEach((attr) => {
+        if (attr.name.toLowerCase() === 'class') {
+            host.setAttribute('class', [host.getAttribute('class') || '', attr.value].join(' ').trim());
+        } else {
+            setQHtmlAttribute(host, attr.name, attr.value);
+        }
+        if (hasQHtmlBindingSyntax(attr.value)) {
+            markQHtmlBindingSource(host, attr.name);
+        }
+    });
+    const actions = spec.actions || [];
+    actions.forEach((action) => {
+        const fn = compileQHtmlFunction(action.params, action.body, `function ${action.name}`);
+        host[action.name] = function(...args) {
+            return fn.apply(this, args);
+        };
+    });
+    if (actions.length) {
+        const names = actions.map((action) => action.name);
+        bindComponentActionsRecursively(host, names);
+        observeComponentActionBinding(host, names);
+    }
+}
+
+function queueReadyLifecycleHook(parentElement, scriptBody) {
+    if (!parentElement) {
+        return;
+    }
+    const body = String(scriptBody || '').trim();
+    if (!body) {
+        return;
+    }
+    if (!Array.isArray(parentElement.__qhtmlReadyHooks)) {
+        parentElement.__qhtmlReadyHooks = [];
+    }
+    parentElement.__qhtmlReadyHooks.push(body);
+}
+
+function flushReadyLifecycleHooks(parentElement, fallbackThis) {
+    if (!parentElement || !Array.isArray(parentElement.__qhtmlReadyHooks) || !parentElement.__qhtmlReadyHooks.length) {
+        return;
+    }
+    const queued = parentElement.__qhtmlReadyHooks.slice();
+    parentElement.__qhtmlReadyHooks.length = 0;
+    const boundThis = fallbackThis || parentElement;
+    queued.forEach((scriptBody) => {
+        try {
+            if (scriptBody.startsWith(QHTML_COMPONENT_BOOTSTRAP_PREFIX)) {
+                runQHtmlComponentBootstrap(boundThis, JSON.parse(scriptBody.slice(QHTML_COMPONENT_BOOTSTRAP_PREFIX.length)));
+                return;
+            }
+            const fn = compileQHtmlFunction([], scriptBody, 'onReady block');
+            const restoreThisContext = applyQHtmlRuntimeThisContext(boundThis);
+            try {
+                fn.call(boundThis);
+            } finally {
+                if (typeof restoreThisContext === 'function') {
+                    restoreThisContext();
+                }
+            }
+        } catch (err) {
+            console.error('Failed to execute onReady/onLoad lifecycle block', err);
+        }
+    });
+}
+
+
+/**
+ * Process a property segment. Handles static and dynamic JavaScript-valued
+ * properties. Event handler properties are assigned directly to the parent
+ * element.
+ *
+ * @param {object} segment The property segment descriptor
+ * @param {HTMLElement} parentElement The DOM element receiving the property
+ */
+function processPropertySegment(segment, parentElement) {
+    const propNameRaw = String(segment.name || '');
+    const propNameLower = propNameRaw.toLowerCase();
+    if (propNameLower === 'qhtml-component-instance' || propNameLower === 'qhtml-runtime-template') {
+        return;
+    }
+    if (propNameLower === 'q-model' && !segment.isFunction) {
+        // Bound in activateQHtmlBindings once the owning component is known.
+        if (!isQHtmlModelControl(parentElement)) {
+            componentLogger.warn('', `q-model is only supported on input, textarea and select; ignored on <${String(parentElement.tagName || '').toLowerCase()}>.`);
+            return;
+        }
+        parentElement.setAttribute('q-model', String(segment.value || '').trim());
+        markQHtmlBindingSource(parentElement, 'q-model');
+        return;
+    }
+    if (segment.isReadyLifecycle || (segment.isFunction && isReadyLifecycleName(propNameRaw))) {
+        let lifecycleBody = segment.value;
+        try {
+            lifecycleBody = decodeURIComponent(lifecycleBody);
+        } catch {
+            // ignore decoding errors and use raw body
+        }
+        queueReadyLifecycleHook(parentElement, lifecycleBody);
+        return;
+    }
+    if (segment.isFunction && QHTML_COMPONENT_LIFECYCLE_HOOKS[propNameLower]) {
+        // Lifecycle blocks are only collected at the top level of a q-component.
+        componentLogger.warn('', `${propNameRaw} is a q-component lifecycle hook; ignored on <${String(parentElement.tagName || '').toLowerCase()}>.`);
+        return;
+    }
+
+    if (segment.isFunction) {
+        let fnBody = segment.value;
+        try {
+            fnBody = decodeURIComponent(fnBody);
+        } catch {
+            // ignore decoding errors and use raw body
+        }
+        // Inline handler attributes are evaluated from strings, so precompiled
+        // mode always binds listeners.
+        if ((segment.isListener || isQHtmlPrecompiledMode()) && /^on\w+/i.test(propNameRaw)) {
+            addQHtmlEventListener(parentElement, propNameLower.slice(2), fnBody, propNameRaw, segment.modifiers);
+            return;
+        }
+        try {
+            const fn = compileQHtmlFunction([], fnBody, `property ${propNameRaw}`);
+            if (/^on\w+/i.test(propNameRaw)) {
+                // Shares the inline handler path so q-for variables are in scope.
+                const handler = function(event) {
+                    return executeQHtmlInlineEventHandler(fnBody, this, event, propNameRaw);
+                };
+                parentElement[propNameLower] = handler;
+                const inlineBodyLiteral = JSON.stringify(fnBody);
+                const inlinePropLiteral = JSON.stringify(propNameRaw);
+                setQHtmlAttribute(
+                    parentElement,
+                    propNameRaw,
+                    `return window.__qhtmlInvokeInlineHandler(this, event, ${inlineBodyLiteral}, ${inlinePropLiteral});`
+                );
+            } else {
+                let result;
+                try {
+                    result = fn.call(parentElement);
+                } catch (err) {
+                    console.error('Error executing function for property', propNameRaw, err);
+                    result = '';
+                }
+                if (propNameLower === 'class') {
+                    mergeClassAttribute(parentElement, result);
+                } else {
+                    setQHtmlAttribute(parentElement, propNameRaw, result);
+                }
+            }
+        } catch (err) {
+            console.error('Failed to compile function for property', segment.name, err);
+        }
+    } else {
+        let sourceValue = String(segment.value || '');
+        try {
+            sourceValue = decodeURIComponent(sourceValue);
+        } catch {
+            // keep raw value when it is not URI-encoded
+        }
+        if (hasQHtmlBindingSyntax(sourceValue)) {
+            markQHtmlBindingSource(parentElement, propNameRaw);
+        }
+        let resolvedValue = evaluateQScriptBlocks(segment.value, { thisArg: parentElement });
+        if (typeof resolvedValue === 'string') {
+            try {
+                resolvedValue = decodeURIComponent(resolvedValue);
+            } catch {
+                // keep raw value when it is not URI-encoded
+            }
+        }
+        if (propNameLower === 'class') {
+            mergeClassAttribute(parentElement, resolvedValue);
+        } else {
+            setQHtmlAttribute(parentElement, propNameRaw, resolvedValue);
+        }
+    }
+}
+
+/**
+ * Process a child element segment.  Handles nested tag lists (comma-separated)
+ * and script/q-painter elements specially.  All other elements are
+ * recursively parsed via extractPropertiesAndChildren and processSegment.
+ *
+ * @param {object} segment The element segment descriptor
+ * @param {HTMLElement} parentElement The parent DOM element
+ */
+function processElementSegment(segment, parentElement) {
+    const createElementFromTag = (tagName) => {
+        const { base, classes } = parseTagWithClasses(tagName);
+        const regex = /<(\w+)[\s>]/;
+        const match = base.match(regex);
+        const resolvedTag = match ? match[1].toLowerCase() : base;
+        if (!isLikelyValidElementTagName(resolvedTag)) {
+            componentLogger.error('', `Skipping invalid element tag token "${tagName}".`);
+            return { element: null, classes, base };
+        }
+        const element = document.createElement(resolvedTag);
+        if (classes.length) {
+            mergeClassAttribute(element, classes.join(' '));
+        }
+        return { element, classes, base };
+    };
+    if (segment.tag.includes(',')) {
+        const tags = segment.tag.split(',').map(t => t.trim());
+        let currentParent = parentElement;
+        let innermostClasses = [];
+        tags.forEach(tag => {
+            const created = createElementFromTag(tag);
+            if (!created.element) {
+                return;
+            }
+            currentParent.appendChild(created.element);
+            currentParent = created.element;
+            innermostClasses = created.classes;
+        });
+        const resolvedContent = evaluateQScriptBlocks(segment.content, {
+            topLevelOnly: true,
+            thisArg: currentParent,
+            wrapPrimitiveTopLevel: true
+        });
+        const childSegments = extractPropertiesAndChildren(resolvedContent);
+        childSegments.forEach(childSegment => processSegment(childSegment, currentParent));
+        if (innermostClasses.length) {
+            mergeClassAttribute(currentParent, innermostClasses.join(' '));
+        }
+        flushReadyLifecycleHooks(currentParent);
+    } else {
+        const created = createElementFromTag(segment.tag);
+        if (!created.element) {
+            return;
+        }
+        const newElement = created.element;
+        const tagName = created.base;
+        if (tagName === 'script' || tagName === 'q-painter') {
+            storeAndExecuteScriptLater(segment.content);
+            newElement.text = toQHtmlTrustedScript(segment.content);
+            parentElement.appendChild(newElement);
+        } else {
+            // Attach first so q-script runtime this can traverse parent/closest.
+            parentElement.appendChild(newElement);
+            const resolvedContent = evaluateQScriptBlocks(segment.content, {
+                topLevelOnly: true,
+                thisArg: newElement,
+                wrapPrimitiveTopLevel: true
+            });
+            const childSegments = extractPropertiesAndChildren(resolvedContent);
+            childSegments.forEach(childSegment => processSegment(childSegment, newElement));
+            if (created.classes.length) {
+                mergeClassAttribute(newElement, created.classes.join(' '));
+            }
+            flushReadyLifecycleHooks(newElement);
+        }
+    }
+}
+
+/**
+ * Process an inline HTML segment.  The encoded HTML content is decoded and
+ * inserted directly into the parent element without any wrapper.
+ *
+ * @param {object} segment The HTML segment descriptor
+ * @param {HTMLElement} parentElement The parent DOM element
+ */
+function processHtmlSegment(segment, parentElement) {
+    let htmlString;
+    try {
+        htmlString = decodeURIComponent(segment.content);
+    } catch {
+        htmlString = segment.content;
+    }
+    htmlString = evaluateQScriptBlocks(htmlString, { thisArg: parentElement });
+    const tempContainer = document.createElement('div');
+    tempContainer.innerHTML = toQHtmlTrustedHTML(sanitizeQHtmlMarkup(htmlString, parentElement, 'html'));
+    while (tempContainer.firstChild) {
+        parentElement.appendChild(tempContainer.firstChild);
+    }
+}
+
+/**
+ * Process an inline CSS segment.  Applies the encoded CSS as a style attribute
+ * on the parent element.
+ *
+ * @param {object} segment The CSS segment descriptor
+ * @param {HTMLElement} parentElement The parent DOM element
+ */
+function processCssSegment(segment, parentElement) {
+    parentElement.setAttribute('style', segment.content);
+    if (hasQHtmlBindingSyntax(segment.content)) {
+        markQHtmlBindingSource(parentElement, 'style');
+    }
+}
+
+/**
+ * Process a style { } segment.  When invoked within an element, the content
+ * is merged into the element's `style` attribute.  When the parent is the
+ * synthetic root wrapper generated during parsing, the segment is emitted as
+ * a real <style> tag whose text content mirrors the original block.
+ *
+ * @param {object} segment The style block descriptor
+ * @param {HTMLElement} parentElement The parent DOM element
+ */
+function processStyleBlockSegment(segment, parentElement) {
+    if (!parentElement) {
+        return;
+    }
+
+    const content = evaluateQScriptBlocks(segment.content, { thisArg: parentElement });
+
+    if (parentElement.__qhtmlRoot) {
+        const styleElement = document.createElement('style');
+        styleElement.textContent = content;
+        parentElement.appendChild(styleElement);
+        return;
+    }
+
+    const normalized = content.trim();
+    if (!normalized) {
+        return;
+    }
+
+    if (hasQHtmlBindingSyntax(normalized)) {
+        markQHtmlBindingSource(parentElement, 'style');
+    }
+    const existing = parentElement.getAttribute('style');
+    if (existing && existing.trim()) {
+        const trimmedExisting = existing.trim();
+        const needsSemicolon = !trimmedExisting.endsWith(';');
+        const combined = `${trimmedExisting}${needsSemicolon ? ';' : ''} ${normalized}`.trim();
+        parentElement.setAttribute('style', combined);
+    } else {
+        parentElement.setAttribute('style', normalized);
+    }
+}
+
+/**
+ * Dispatch processing based on segment type.  Delegates to more specific
+ * helpers for properties, elements, HTML and CSS segments.
+ *
+ * @param {object} segment The segment descriptor
+ * @param {HTMLElement} parentElement The parent DOM element
+ */
+function processSegment(segment, parentElement) {
+    if (segment.type === 'property') {
+        processPropertySegment(segment, parentElement);
+    } else if (segment.type === 'element') {
+        processElementSegment(segment, parentElement);
+    } else if (segment.type === 'function-def') {
+        // Function definition blocks should be consumed by component transforms.
+        // Ignore gracefully if one leaks into runtime parsing.
+        return;
+    } else if (segment.type === 'html') {
+        processHtmlSegment(segment, parentElement);
+    } else if (segment.type === 'css') {
+        processCssSegment(segment, parentElement);
+    } else if (segment.type === 'style-block') {
+        processStyleBlockSegment(segment, parentElement);
+    } else if (segment.type === 'text') {
+        processTextSegment(segment, parentElement);
+    } else if (segment.type === 'q-for') {
+        processQForSegment(segment, parentElement);
+    } else if (segment.type === 'q-if' || segment.type === 'q-else-if' || segment.type === 'q-else') {
+        processQConditionalSegment(segment, parentElement);
+    } else if (segment.type === 'q-connect') {
+        processQConnectSegment(segment);
     }
-    return out;
 }
 
-function sanitizeInlineHandler(scriptBody) {
-    let out = '';
-    let inSingle = false;
-    let inDouble = false;
-    let inBacktick = false;
-    let escaped = false;
-    let lastWasSpace = false;
-    let lastWasNewline = false;
+// -----------------------------------------------------------------------------
+// Standalone AST parser
+//
+// `parseQHtmlToAst` reads raw QHTML source (before any preprocessing) and
+// returns a plain, JSON-serializable tree.  Every node carries a `loc` range
+// with 1-based line/column positions so linters, formatters and editor
+// tooling do not have to re-implement fragments of
+// `extractPropertiesAndChildren`.  Diagnostics and the precompiler use it; the
+// render path does not, it still scans preprocessed text with
+// `extractPropertiesAndChildren`, so changes to one scanner need the same
+// change in the other.
 
-    for (let i = 0; i < scriptBody.length; i++) {
-        const ch = scriptBody[i];
+const QHTML_AST_RAW_BLOCKS = new Set(['text', 'html', 'style', 'css', 'q-style', 'q-connect']);
 
-        if (escaped) {
-            out += ch;
-            escaped = false;
-            lastWasSpace = false;
-            continue;
+/**
+ * Create a function that maps character offsets in `source` to 1-based
+ * line/column positions.
+ *
+ * @param {string} source The text being parsed
+ * @returns {function(number): {offset: number, line: number, column: number}}
+ */
+function createQHtmlSourceLocator(source) {
+    const text = String(source == null ? '' : source);
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            lineStarts.push(i + 1);
+        }
+    }
+    return function locate(offset) {
+        const clamped = Math.max(0, Math.min(text.length, Number(offset) || 0));
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= clamped) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
         }
+        return { offset: clamped, line: low + 1, column: clamped - lineStarts[low] + 1 };
+    };
+}
 
-        if (ch === '\\' && (inSingle || inDouble || inBacktick)) {
-            out += ch;
-            escaped = true;
-            lastWasSpace = false;
-            continue;
+/**
+ * Find the closing brace for a raw content block (`text`, `html`, `style`,
+ * `css`).  These blocks only balance braces, mirroring the runtime scanner.
+ *
+ * @param {string} source Source text
+ * @param {number} openIdx Index of the opening brace
+ * @returns {number} Index of the matching closing brace or -1
+ */
+function findMatchingRawBlockBrace(source, openIdx) {
+    let depth = 0;
+    for (let i = openIdx; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '{') {
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
         }
+    }
+    return -1;
+}
 
-        if (ch === '"' && !inSingle && !inBacktick) {
-            inDouble = !inDouble;
-            out += '\'';
-            lastWasSpace = false;
+/**
+ * Find the closing brace for a block that may contain nested QHTML.  Quoted
+ * property values and block comments are skipped so braces inside them do not
+ * affect nesting.
+ *
+ * @param {string} source Source text
+ * @param {number} openIdx Index of the opening brace
+ * @returns {number} Index of the matching closing brace or -1
+ */
+function findMatchingStructuralBrace(source, openIdx) {
+    let depth = 0;
+    for (let i = openIdx; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '/' && source[i + 1] === '*') {
+            const end = source.indexOf('*/', i + 2);
+            if (end === -1) {
+                return -1;
+            }
+            i = end + 1;
             continue;
         }
-
-        if (ch === '\'' && !inDouble && !inBacktick) {
-            inSingle = !inSingle;
-            out += '\'';
-            lastWasSpace = false;
+        if (ch === '"') {
+            const end = findClosingQuote(source, i);
+            if (end === -1) {
+                return -1;
+            }
+            i = end;
             continue;
         }
-
-        if (ch === '`' && !inSingle && !inDouble) {
-            inBacktick = !inBacktick;
-            out += ch;
-            lastWasSpace = false;
+        if (ch === '{') {
+            depth++;
             continue;
         }
-
-        if (!inSingle && !inDouble && !inBacktick && (ch === '\n' || ch === '\r')) {
-            if (!lastWasNewline) {
-                out += '\n';
+        if (ch === '}') {
+            depth--;
+            if (depth === 0) {
+                return i;
             }
-            lastWasSpace = false;
-            lastWasNewline = true;
-            continue;
         }
+    }
+    return -1;
+}
 
-        if (!inSingle && !inDouble && !inBacktick && /\s/.test(ch)) {
-            if (!lastWasSpace) {
-                out += ' ';
-                lastWasSpace = true;
-            }
-            lastWasNewline = false;
+function findClosingQuote(source, openIdx) {
+    const quote = source[openIdx];
+    for (let i = openIdx + 1; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
             continue;
         }
-
-        out += ch;
-        lastWasSpace = false;
-        lastWasNewline = false;
+        if (source[i] === quote) {
+            return i;
+        }
     }
-
-    return out.trim();
-}
-
-function isReadyLifecycleName(name) {
-    const normalized = String(name || '').toLowerCase();
-    return normalized === 'onready' || normalized === 'onload' || normalized === 'onloaded';
+    return -1;
 }
 
 /**
- * Extract a flat list of property and child element segments from a qhtml
- * invocation. Produces segments of type: 'property' | 'element' | 'html' | 'css'.
- * Inline HTML/CSS contents are percent-encoded here and decoded at render time.
+ * Parse raw QHTML source into an AST.
  *
- * @param {string} input
- * @returns {Array<object>}
+ * Node types: `document`, `element`, `property`, `text`, `html`, `style`,
+ * `css`, `q-style`, `q-connect`, `event`, `function`, `q-script`, `q-import`,
+ * `q-component`, `q-template`, `q-signal`, `q-property`, `q-state`,
+ * `q-computed`, `q-watch`, `q-if`, `q-else-if`, `q-else`, `q-for` and `slot`.
+ * `params` of `function`, `q-signal` and `q-watch` nodes is an array of
+ * names.  Parsing never throws; malformed input
+ * is recorded in the document's `errors` array (each entry has a `code`,
+ * `message` and `loc`) and scanning resumes after the offending token.
+ *
+ * @param {string} source Raw QHTML text
+ * @returns {object} The `document` node
  */
-function extractPropertiesAndChildren(input) {
-  const segments = [];
-
-  // Global scan state for the current level
-  let nestedLevel = 0;
-  let segmentStart = 0;
-  let currentSegment = null; // {type, tag, content, _buf?, _cssDepth?}
-  const isEventBlock = (tag) => /^on[A-Za-z0-9_]+$/.test(tag);
-
-  // Per-segment helpers
-  const beginHtml = (tag) => {
-    currentSegment = { type: 'html', tag, content: '', _buf: [], _htmlDepth: 1 };
-  };
-  const appendHtml = (ch) => currentSegment && currentSegment._buf.push(ch);
-  const incHtmlDepth = () => { if (currentSegment) currentSegment._htmlDepth++; };
-  const decHtmlDepth = () => { if (currentSegment) currentSegment._htmlDepth--; };
-  const endHtml = () => {
-    currentSegment.content = encodeURIComponent(currentSegment._buf.join(''));
-    segments.push(currentSegment);
-    currentSegment = null;
-  };
-
-  const beginCss = (tag) => {
-    currentSegment = { type: 'css', tag, content: '', _buf: [], _cssDepth: 1 };
-  };
-  const appendCss = (ch) => currentSegment && currentSegment._buf.push(ch);
-  const incCssDepth = () => { if (currentSegment) currentSegment._cssDepth++; };
-  const decCssDepth = () => { if (currentSegment) currentSegment._cssDepth--; };
-  const endCss = () => {
-    currentSegment.content = encodeURIComponent(currentSegment._buf.join(''));
-    segments.push(currentSegment);
-    currentSegment = null;
-  };
-
-  const beginStyleBlock = (tag) => {
-    currentSegment = { type: 'style-block', tag, content: '', _buf: [], _styleDepth: 1 };
-  };
-  const appendStyleBlock = (ch) => currentSegment && currentSegment._buf.push(ch);
-  const incStyleDepth = () => { if (currentSegment) currentSegment._styleDepth++; };
-  const decStyleDepth = () => { if (currentSegment) currentSegment._styleDepth--; };
-  const endStyleBlock = () => {
-    currentSegment.content = currentSegment._buf.join('');
-    segments.push(currentSegment);
-    currentSegment = null;
-  };
-
-  // NEW: text segment helpers (mirrors html, but we will decode to a text node)
-  const beginText = (tag) => {
-    currentSegment = { type: 'text', tag, content: '', _buf: [], _textDepth: 1 };
-  };
-  const appendText = (ch) => currentSegment && currentSegment._buf.push(ch);
-  const incTextDepth = () => { if (currentSegment) currentSegment._textDepth++; };
-  const decTextDepth = () => { if (currentSegment) currentSegment._textDepth--; };
-  const endText = () => {
-    // For symmetry with html/css we URI-encode; will decode at render time.
-    currentSegment.content = encodeURIComponent(currentSegment._buf.join(''));
-    segments.push(currentSegment);
-    currentSegment = null;
-  };
-
-  const beginEventBlock = (name) => {
-    currentSegment = { type: 'event-block', name, _buf: [], _depth: 1 };
-  };
-  const appendEventBlock = (ch) => currentSegment && currentSegment._buf.push(ch);
-  const incEventDepth = () => { if (currentSegment) currentSegment._depth++; };
-  const decEventDepth = () => { if (currentSegment) currentSegment._depth--; };
-  const endEventBlock = () => {
-    const raw = currentSegment._buf.join('');
-    if (isReadyLifecycleName(currentSegment.name)) {
-      segments.push({
-        type: 'property',
-        name: currentSegment.name,
-        value: raw.trim(),
-        isReadyLifecycle: true
-      });
-    } else {
-      const cleaned = sanitizeInlineHandler(raw);
-      segments.push({ type: 'property', name: currentSegment.name, value: cleaned, isFunction: true });
-    }
-    currentSegment = null;
-  };
-
-  // NOTE: we never mutate `input` while scanning; we just move `i`
-  for (let i = 0; i < input.length; i++) {
-    // Inside inline HTML
-    if (currentSegment && currentSegment.type === 'html') {
-      const ch = input[i];
-      if (ch === '{') {
-        incHtmlDepth();
-        appendHtml(ch);
-        continue;
-      }
-      if (ch === '}') {
-        decHtmlDepth();
-        if (currentSegment._htmlDepth === 0) {
-          // End of HTML block: close the segment and decrement nesting level
-          endHtml();
-          nestedLevel--;
-          // After closing an inline HTML block at this level, process the rest of the input
-          const rest = input.substring(i + 1);
-          return segments.concat(extractPropertiesAndChildren(rest));
+function parseQHtmlToAst(source) {
+    const text = String(source == null ? '' : source);
+    const locate = createQHtmlSourceLocator(text);
+    const errors = [];
+
+    const range = (start, end) => ({ start: locate(start), end: locate(end) });
+    const report = (code, message, start, end = start + 1) => {
+        errors.push({ code, message, loc: range(start, end) });
+    };
+    const skipTrivia = (pos, end) => {
+        let i = pos;
+        while (i < end) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+            if (text[i] === '/' && text[i + 1] === '*') {
+                const close = text.indexOf('*/', i + 2);
+                if (close === -1 || close + 2 > end) {
+                    report('unterminated-comment', 'Block comment is never closed.', i, end);
+                    return end;
+                }
+                i = close + 2;
+                continue;
+            }
+            break;
         }
-        appendHtml(ch);
-        continue;
-      }
-      appendHtml(ch);
-      continue;
-    }
-
-    // Inside inline CSS (track nested braces)
-    if (currentSegment && currentSegment.type === 'css') {
-      const ch = input[i];
-      if (ch === '{') {
-        incCssDepth();
-        appendCss(ch);
-        continue;
-      }
-      if (ch === '}') {
-        decCssDepth();
-        if (currentSegment._cssDepth === 0) {
-          // End of CSS block: close the segment and decrement nesting level
-          endCss();
-          nestedLevel--;
-          // After closing an inline CSS block at this level, process the rest of the input
-          const rest = input.substring(i + 1);
-          return segments.concat(extractPropertiesAndChildren(rest));
-        } else {
-          appendCss(ch);
+        return i;
+    };
+    const readHeader = (pos, end) => {
+        if (isQHtmlStructuralHeader(text.slice(pos, Math.min(end, pos + 16)))) {
+            // Structural headers hold an expression; only a top-level `{` ends them.
+            for (let i = pos; i < end; i++) {
+                const ch = text[i];
+                if (ch === '"' || ch === "'") {
+                    const close = text.indexOf(ch, i + 1);
+                    i = close === -1 ? end : close;
+                } else if (ch === '{' || ch === '}' || ch === ';') {
+                    return i;
+                }
+            }
+            return end;
+        }
+        let parenDepth = 0;
+        for (let i = pos; i < end; i++) {
+            const ch = text[i];
+            if (ch === '(') parenDepth++;
+            else if (ch === ')') parenDepth = Math.max(0, parenDepth - 1);
+            else if (parenDepth === 0 && (ch === '{' || ch === ':' || ch === ';' || ch === '}' || ch === '"')) {
+                return i;
+            }
         }
-        continue;
-      }
-      appendCss(ch);
-      continue;
-    }
+        return end;
+    };
 
-    // Inside inline STYLE block (track nested braces)
-    if (currentSegment && currentSegment.type === 'style-block') {
-      const ch = input[i];
-      if (ch === '{') {
-        incStyleDepth();
-        appendStyleBlock(ch);
-        continue;
-      }
-      if (ch === '}') {
-        decStyleDepth();
-        if (currentSegment._styleDepth === 0) {
-          endStyleBlock();
-          nestedLevel--;
-          const rest = input.substring(i + 1);
-          return segments.concat(extractPropertiesAndChildren(rest));
+    const parsePropertyValue = (name, nameStart, colonIdx, end) => {
+        let i = skipTrivia(colonIdx + 1, end);
+        let value = '';
+        let isFunction = false;
+        if (text[i] === '"') {
+            const close = findClosingQuote(text, i);
+            if (close === -1 || close >= end) {
+                report('unterminated-string', `Property "${name}" has an unterminated string value.`, i, end);
+                value = text.slice(i + 1, end);
+                i = end;
+            } else {
+                value = text.slice(i + 1, close);
+                i = close + 1;
+            }
+        } else if (text[i] === '{') {
+            const close = findMatchingBraceWithLiterals(text, i);
+            if (close === -1 || close >= end) {
+                report('unterminated-block', `Property "${name}" has an unterminated function body.`, i, end);
+                value = text.slice(i + 1, end);
+                i = end;
+            } else {
+                value = text.slice(i + 1, close).trim();
+                i = close + 1;
+            }
+            isFunction = true;
         } else {
-          appendStyleBlock(ch);
+            let stop = i;
+            while (stop < end && text[stop] !== ';' && text[stop] !== '\n' && text[stop] !== '}') stop++;
+            value = text.slice(i, stop).trim();
+            i = stop;
         }
-        continue;
-      }
-      appendStyleBlock(ch);
-      continue;
-    }
+        const afterValue = skipTrivia(i, end);
+        if (text[afterValue] === ';') {
+            i = afterValue + 1;
+        }
+        const node = { type: 'property', name, value, loc: range(nameStart, i) };
+        if (isFunction) {
+            node.isFunction = true;
+        }
+        return { node, next: i };
+    };
 
-    // Inside inline TEXT
-    if (currentSegment && currentSegment.type === 'text') {
-      const ch = input[i];
-      if (ch === '{') {
-        incTextDepth();
-        appendText(ch);
-        continue;
-      }
-      if (ch === '}') {
-        decTextDepth();
-        if (currentSegment._textDepth === 0) {
-          // End of text block: close the segment and decrement nesting level
-          endText();
-          nestedLevel--;
-          // After closing an inline TEXT block at this level, process the rest of the input
-          const rest = input.substring(i + 1);
-          return segments.concat(extractPropertiesAndChildren(rest));
+    const parseBlock = (header, headerStart, openIdx, end) => {
+        const lower = header.toLowerCase();
+        if (QHTML_AST_RAW_BLOCKS.has(lower)) {
+            const close = findMatchingRawBlockBrace(text, openIdx);
+            const stop = close === -1 || close >= end ? end : close;
+            if (stop === end) {
+                report('unterminated-block', `"${header}" block is never closed.`, headerStart, openIdx + 1);
+            }
+            return {
+                node: { type: lower, value: text.slice(openIdx + 1, stop), loc: range(headerStart, Math.min(end, stop + 1)) },
+                next: Math.min(end, stop + 1)
+            };
         }
-        appendText(ch);
-        continue;
-      }
-      appendText(ch);
-      continue;
-    }
 
-    // Inside event handler block (track nested braces)
-    if (currentSegment && currentSegment.type === 'event-block') {
-      const ch = input[i];
-      if (ch === '{') {
-        incEventDepth();
-        appendEventBlock(ch);
-        continue;
-      }
-      if (ch === '}') {
-        decEventDepth();
-        if (currentSegment._depth === 0) {
-          endEventBlock();
-          nestedLevel--;
-          const rest = input.substring(i + 1);
-          return segments.concat(extractPropertiesAndChildren(rest));
-        } else {
-          appendEventBlock(ch);
+        const isScriptBlock = QHTML_EVENT_BLOCK_PATTERN.test(header)
+            || header === 'q-script'
+            || header === 'q-state'
+            || /^(?:function|q-computed|q-watch)\s+[A-Za-z_$][\w$.]*\s*\([^)]*\)$/.test(header);
+        if (isScriptBlock) {
+            const close = findMatchingBraceWithLiterals(text, openIdx);
+            const stop = close === -1 || close >= end ? end : close;
+            if (stop === end) {
+                report('unterminated-block', `"${header}" block is never closed.`, headerStart, openIdx + 1);
+            }
+            const body = text.slice(openIdx + 1, stop).trim();
+            const loc = range(headerStart, Math.min(end, stop + 1));
+            let node;
+            if (header === 'q-script' || header === 'q-state') {
+                node = { type: header, body, loc };
+            } else if (header.startsWith('q-computed')) {
+                node = { type: 'q-computed', name: header.match(/^q-computed\s+([^\s(]+)/)[1], body, loc };
+            } else if (header.startsWith('q-watch')) {
+                const sig = header.match(/^q-watch\s+([^\s(]+)\s*\(([^)]*)\)$/);
+                node = { type: 'q-watch', path: sig[1], params: splitQHtmlFunctionParams(sig[2]), body, loc };
+            } else if (header.startsWith('function')) {
+                const sig = header.match(/^function\s+([A-Za-z_$][\w$]*)\s*\(([^)]*)\)$/);
+                node = { type: 'function', name: sig[1], params: splitQHtmlFunctionParams(sig[2]), body, loc };
+            } else {
+                const { name, modifiers } = parseQHtmlEventBlockName(header);
+                node = { type: 'event', name, body, loc };
+                if (modifiers.length) {
+                    node.modifiers = modifiers;
+                }
+                if (isReadyLifecycleName(name)) {
+                    node.lifecycle = true;
+                }
+            }
+            return { node, next: Math.min(end, stop + 1) };
         }
-        continue;
-      }
-      appendEventBlock(ch);
-      continue;
+
+        const close = findMatchingStructuralBrace(text, openIdx);
+        const stop = close === -1 || close >= end ? end : close;
+        if (stop === end) {
+            report('unterminated-block', `"${header}" block is never closed.`, headerStart, openIdx + 1);
+        }
+        const innerStart = openIdx + 1;
+        const next = Math.min(end, stop + 1);
+        const loc = range(headerStart, next);
+
+        if (header === 'slot') {
+            const parts = splitSlotPlaceholderBody(text.slice(innerStart, stop));
+            const inner = parts.nameText.trim().replace(/;$/, '').trim();
+            if (!/^[A-Za-z0-9_-]*$/.test(inner)) {
+                report('invalid-slot-syntax', 'Invalid slot syntax. Expected `slot { slot-name }` or `slot { slot-name default { ... } }`.', headerStart, next);
+            }
+            const node = { type: 'slot', name: inner, loc };
+            if (parts.fallback !== null) {
+                node.fallback = parseChildren(innerStart + parts.fallbackStart, innerStart + parts.fallbackEnd);
+            }
+            return { node, next };
+        }
+        if (header === 'q-import') {
+            const inner = text.slice(innerStart, stop).trim().replace(/;$/, '').trim();
+            const spec = parseQImportSpec(inner);
+            if (inner && !spec) {
+                report('invalid-import-syntax', 'Invalid q-import. Expected `path`, `path as name` or `path only a, b`.', headerStart, next);
+            }
+            const node = { type: 'q-import', path: spec ? spec.path : inner, loc };
+            if (spec && spec.namespace) {
+                node.namespace = spec.namespace;
+            }
+            if (spec && spec.only.length) {
+                node.only = spec.only;
+            }
+            return { node, next };
+        }
+        if (/^q-(?:if|else-if)\s*\(/.test(header) || header === 'q-else') {
+            const conditional = parseQConditionalHeader(header);
+            const kind = header === 'q-else' ? 'q-else' : (header.startsWith('q-else-if') ? 'q-else-if' : 'q-if');
+            if (!conditional) {
+                report('invalid-q-if', `Invalid ${kind} header. Expected \`${kind} (expression) { ... }\`.`, headerStart, openIdx);
+            }
+            const node = { type: kind, children: parseChildren(innerStart, stop), loc };
+            if (kind !== 'q-else') {
+                node.condition = conditional ? conditional.condition : '';
+            }
+            return { node, next };
+        }
+        if (/^q-for\s/.test(header)) {
+            const loop = parseQForHeader(header);
+            if (!loop) {
+                report('invalid-q-for', 'Invalid q-for header. Expected `q-for item in expression { ... }`.', headerStart, openIdx);
+            }
+            return {
+                node: {
+                    type: 'q-for',
+                    item: loop ? loop.itemName : '',
+                    index: loop ? loop.indexName : '',
+                    expression: loop ? loop.expression : '',
+                    children: parseChildren(innerStart, stop),
+                    loc
+                },
+                next
+            };
+        }
+        const definition = header.match(/^(q-component|q-template)(?:\s+(\S+))?(\s+shadow)?$/);
+        if (definition) {
+            if (!definition[2]) {
+                report('missing-definition-name', `${definition[1]} is missing a name.`, headerStart, openIdx);
+            }
+            const node = {
+                type: definition[1],
+                name: definition[2] || '',
+                children: parseChildren(innerStart, stop),
+                loc
+            };
+            if (definition[3]) {
+                node.shadow = true;
+            }
+            return { node, next };
+        }
+
+        const tags = header.split(',').map((token) => {
+            const parsed = parseTagWithClasses(token);
+            return { name: parsed.base, classes: parsed.classes };
+        });
+        tags.forEach((tag) => {
+            if (!isLikelyValidElementTagName(tag.name)) {
+                report('invalid-tag-token', `Invalid element tag token "${header}".`, headerStart, openIdx);
+            }
+        });
+        return {
+            node: { type: 'element', tag: header, tags, children: parseChildren(innerStart, stop), loc },
+            next
+        };
+    };
+
+    function parseChildren(start, end) {
+        const children = [];
+        let i = start;
+        while (i < end) {
+            i = skipTrivia(i, end);
+            if (i >= end) {
+                break;
+            }
+            if (text[i] === '}') {
+                report('stray-closing-brace', 'Unexpected closing brace.', i);
+                i++;
+                continue;
+            }
+            if (text[i] === ';') {
+                i++;
+                continue;
+            }
+
+            const signal = text.slice(i, end).match(/^q-signal\s+([A-Za-z_$][\w$]*)\s*\(([^)]*)\)(?:\s*;)?/);
+            if (signal) {
+                const params = splitQHtmlFunctionParams(signal[2]);
+                children.push({ type: 'q-signal', name: signal[1], params, loc: range(i, i + signal[0].length) });
+                i += signal[0].length;
+                continue;
+            }
+
+            const property = text.slice(i, end).match(/^q-property\s+([A-Za-z_$][\w$]*)\s*(?::\s*([A-Za-z]+))?\s*(?:=\s*("[^"]*"|'[^']*'|[^;\n}]*))?;?/);
+            if (property) {
+                children.push({
+                    type: 'q-property',
+                    name: property[1],
+                    valueType: property[2] || 'String',
+                    defaultValue: property[3] === undefined ? null : property[3].trim(),
+                    loc: range(i, i + property[0].length)
+                });
+                i += property[0].length;
+                continue;
+            }
+
+            const headerEnd = readHeader(i, end);
+            const header = text.slice(i, headerEnd).trim();
+            const delimiter = text[headerEnd];
+            if (delimiter === ':' && header) {
+                const parsed = parsePropertyValue(header, i, headerEnd, end);
+                children.push(parsed.node);
+                i = parsed.next;
+                continue;
+            }
+            if (delimiter === '{' && /\.slot$/.test(header)) {
+                // `div.slot { slot-name } { ... }` declares a class slot on the tag.
+                const placeholderClose = findMatchingRawBlockBrace(text, headerEnd);
+                const bodyOpen = placeholderClose === -1 ? -1 : skipTrivia(placeholderClose + 1, end);
+                if (bodyOpen !== -1 && text[bodyOpen] === '{') {
+                    const parsed = parseBlock(header.slice(0, -'.slot'.length), i, bodyOpen, end);
+                    parsed.node.classSlot = text.slice(headerEnd + 1, placeholderClose).trim();
+                    children.push(parsed.node);
+                    i = parsed.next;
+                    continue;
+                }
+            }
+            if (delimiter === '{' && header) {
+                const parsed = parseBlock(header, i, headerEnd, end);
+                if (parsed.node.type === 'q-else-if' || parsed.node.type === 'q-else') {
+                    const previous = children[children.length - 1];
+                    if (!previous || (previous.type !== 'q-if' && previous.type !== 'q-else-if')) {
+                        report('orphan-else', `${parsed.node.type} must directly follow a q-if or q-else-if block.`, i, headerEnd);
+                    }
+                }
+                children.push(parsed.node);
+                i = parsed.next;
+                continue;
+            }
+            if (delimiter === '{') {
+                report('missing-tag-name', 'Block is missing a tag name.', headerEnd);
+                const close = findMatchingStructuralBrace(text, headerEnd);
+                i = close === -1 || close >= end ? end : close + 1;
+                continue;
+            }
+            report('unexpected-text', `Unexpected text "${header || text[i]}".`, i, Math.max(i + 1, headerEnd));
+            i = Math.max(i + 1, headerEnd);
+        }
+        return children;
     }
 
-    // Top-level parser at this nesting level
-    const ch = input[i];
+    const children = parseChildren(0, text.length);
+    return {
+        type: 'document',
+        children,
+        errors,
+        loc: range(0, text.length)
+    };
+}
 
-    // Opening of a block → decide html/css/text/element
-    if (ch === '{') {
-      nestedLevel++;
-      if (nestedLevel === 1) {
-        segmentStart = i + 1;
-        const tag = input.substring(0, i).trim();
+// -----------------------------------------------------------------------------
+// Diagnostics
+//
+// Diagnostics are structured reports about malformed source.  They are built
+// from the AST parser so every entry has an exact line/column even though the
+// render pipeline itself rewrites the source (and silently balances braces in
+// `addClosingBraces`) before building DOM.
 
-        if (isEventBlock(tag)) { beginEventBlock(tag); continue; }
-        if (tag === 'html') { beginHtml(tag); continue; }
-        if (tag === 'css')  { beginCss(tag); continue; }
-        if (tag === 'text') { beginText(tag); continue; }
-        if (tag === 'style') { beginStyleBlock(tag); continue; }
-        if (/^function\s+[A-Za-z_$][\w$]*\s*\([^)]*\)$/.test(tag)) {
-          currentSegment = { type: 'function-def', tag, content: '' };
-          continue;
+/**
+ * Build a diagnostic record for a source range.
+ *
+ * @param {string} source The source the range refers to
+ * @param {string} code Stable machine-readable code (e.g. `unterminated-block`)
+ * @param {string} message Human readable description
+ * @param {{start: {offset: number, line: number, column: number}, end: object}} loc Source range
+ * @param {'error'|'warning'} severity Diagnostic severity
+ * @returns {{code: string, severity: string, message: string, line: number, column: number, endLine: number, endColumn: number, snippet: string}}
+ */
+function createQHtmlDiagnostic(source, code, message, loc, severity = 'error') {
+    const text = String(source == null ? '' : source);
+    const start = loc && loc.start ? loc.start : { offset: 0, line: 1, column: 1 };
+    const end = loc && loc.end ? loc.end : start;
+    const lineStart = start.offset > 0 ? text.lastIndexOf('\n', start.offset - 1) + 1 : 0;
+    let lineEnd = text.indexOf('\n', start.offset);
+    if (lineEnd === -1) {
+        lineEnd = text.length;
+    }
+    const lineText = text.slice(lineStart, lineEnd).replace(/\r$/, '');
+    const caret = `${' '.repeat(Math.max(0, start.column - 1))}^`;
+    return {
+        code,
+        severity,
+        message,
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        snippet: `${lineText}\n${caret}`
+    };
+}
+
+function collectAstSlotNames(children, names = new Set()) {
+    (Array.isArray(children) ? children : []).forEach((node) => {
+        if (!node) return;
+        if (node.type === 'slot' && node.name) {
+            names.add(node.name);
         }
+        if (node.type === 'element') {
+            collectAstSlotNames(node.children, names);
+        }
+    });
+    return names;
+}
 
-        // default element
-        currentSegment = { type: 'element', tag, content: '' };
-      }
-      continue;
+function findAstProperty(node, name) {
+    return (node && Array.isArray(node.children) ? node.children : [])
+        .find((child) => child && child.type === 'property' && child.name === name) || null;
+}
+
+/**
+ * Report `into { slot: "..." }` blocks that target a slot the invoked
+ * component/template does not declare.  Only definitions present in the same
+ * source are checked; imported definitions are unknown at this stage.
+ *
+ * @param {object} ast Parsed document
+ * @param {function(string, string, object): void} report Diagnostic sink
+ */
+function checkAstSlotTargets(ast, report) {
+    const definitions = new Map();
+    (ast.children || []).forEach((node) => {
+        if ((node.type === 'q-component' || node.type === 'q-template') && node.name) {
+            definitions.set(node.name, collectAstSlotNames(node.children));
+        }
+    });
+    if (!definitions.size) {
+        return;
     }
+    const visit = (nodes) => {
+        (Array.isArray(nodes) ? nodes : []).forEach((node) => {
+            if (node && node.type === 'slot') visit(node.fallback);
+            if (!node || !Array.isArray(node.children)) return;
+            if (node.type === 'element' && node.tags.length === 1 && definitions.has(node.tags[0].name)) {
+                const slotNames = definitions.get(node.tags[0].name);
+                node.children.forEach((child) => {
+                    if (!child || child.type !== 'element' || child.tag !== 'into') return;
+                    const target = findAstProperty(child, 'slot');
+                    const slotName = target ? String(target.value || '').trim() : '';
+                    if (slotName && !slotNames.has(slotName)) {
+                        report('unknown-slot-target', `"${node.tags[0].name}" has no slot named "${slotName}".`, target.loc);
+                    }
+                });
+            }
+            visit(node.children);
+        });
+    };
+    visit(ast.children);
+}
 
-    // Closing of current element block
-    if (ch === '}') {
-      nestedLevel--;
-      if (nestedLevel === 0 && currentSegment) {
-        currentSegment.content = input.substring(segmentStart, i).trim();
-        segments.push(currentSegment);
-        currentSegment = null;
+/**
+ * Collect structured diagnostics for raw QHTML source: unterminated blocks,
+ * stray closing braces, invalid tag tokens and unknown slot targets.
+ *
+ * @param {string} source Raw QHTML text
+ * @returns {Array<object>} Diagnostics in source order
+ */
+function collectQHtmlDiagnostics(source) {
+    const text = String(source == null ? '' : source);
+    const ast = parseQHtmlToAst(text);
+    const diagnostics = ast.errors.map((error) => createQHtmlDiagnostic(text, error.code, error.message, error.loc));
+    checkAstSlotTargets(ast, (code, message, loc) => {
+        diagnostics.push(createQHtmlDiagnostic(text, code, message, loc));
+    });
+    return diagnostics.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+}
 
-        // reset for the next sibling at this level
-        const rest = input.substring(i + 1);
-        // we DO NOT mutate input nor reset i; the outer loop continues
-        // but we need the tag prefix to be consumed correctly:
-        // emulate the original behavior by slicing the already-processed
-        // head off and restarting scan on the remainder
-        return segments.concat(extractPropertiesAndChildren(rest));
-      }
-      continue;
+/**
+ * Attach diagnostics to a q-html host as `host.diagnostics`, log them, and
+ * dispatch a bubbling `diagnostics` event when any were found.
+ *
+ * @param {HTMLElement} host The q-html element
+ * @param {Array<object>} diagnostics Diagnostics produced for its source
+ */
+function publishQHtmlDiagnostics(host, diagnostics) {
+    const list = Array.isArray(diagnostics) ? diagnostics : [];
+    host.diagnostics = list;
+    if (!list.length) {
+        return;
+    }
+    list.forEach((entry) => {
+        const level = entry.severity === 'warning' ? 'warn' : 'error';
+        componentLogger[level]('', `${entry.line}:${entry.column} ${entry.message} [${entry.code}]`);
+    });
+    if (typeof host.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+        host.dispatchEvent(new CustomEvent('diagnostics', {
+            bubbles: true,
+            detail: { diagnostics: list.slice() }
+        }));
     }
+}
 
-    // Property at top level of this invocation
-    if (nestedLevel === 0 && ch === ':') {
-      const propName = input.substring(0, i).trim();
-      let remainder = input.substring(i + 1).trim();
+/**
+ * Run the import-independent preprocessing steps shared by `<q-html>` hosts
+ * and `renderQHtmlToString`.
+ *
+ * @param {string} importResolvedQhtml Source with q-import blocks already inlined
+ * @param {Element|null} [host] `<q-html>` host, for its `sanitize` attribute
+ * @returns {string} Source ready for `extractPropertiesAndChildren`
+ */
+function preprocessQHtmlAfterImports(importResolvedQhtml) {
+    let input = importResolvedQhtml;
+    // Evaluate only top-level q-script blocks here so component/template
+    // structure can still be compiled; nested q-script runs later with DOM this.
+    input = evaluateQScriptBlocks(input, { topLevelOnly: true });
+    input = stripBlockComments(input);
+    input = addSemicolonToProperties(input);
+    return transformComponentDefinitionsHelper(input);
+}
 
-      // Function-body property support: prop: { ... };
-      if (remainder.startsWith('{')) {
-        let braceCount = 0;
-        let endIndex = 0;
-        for (let j = 0; j < remainder.length; j++) {
-          const c = remainder[j];
-          if (c === '{') braceCount++;
-          else if (c === '}') { braceCount--; if (braceCount === 0) { endIndex = j; break; } }
-        }
-        const fnBody = remainder.substring(1, endIndex).trim();
-        let skipIndex = endIndex + 1;
-        if (remainder[skipIndex] === ';') skipIndex++;
-        segments.push({ type: 'property', name: propName, value: fnBody, isFunction: true });
-        const tail = remainder.substring(skipIndex).trim();
-        return segments.concat(extractPropertiesAndChildren(tail));
-      } else {
-        // Regular property value to next semicolon
-        const propEnd = remainder.indexOf(';');
-        if (propEnd !== -1) {
-          let propertyValue = remainder.substring(0, propEnd).trim();
-          propertyValue = propertyValue.replace(/^"/, '').replace(/"$/, '');
-          segments.push({ type: 'property', name: propName, value: propertyValue });
-          const tail = remainder.substring(propEnd + 1).trim();
-          return segments.concat(extractPropertiesAndChildren(tail));
+// -----------------------------------------------------------------------------
+// Server-side rendering
+//
+// `renderQHtmlToString` runs the same preprocessing as a `<q-html>` host and
+// serializes the segment tree produced by `extractPropertiesAndChildren` to an
+// HTML string without touching `document`.  It mirrors the DOM helpers above
+// (`processPropertySegment`, `processElementSegment`, ...) on a small virtual
+// node tree so it can run in Node for pre-rendering.
+
+const QHTML_VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+function escapeQHtmlHtmlText(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeQHtmlHtmlAttribute(value) {
+    return escapeQHtmlHtmlText(value).replace(/"/g, '&quot;');
+}
+
+function createVirtualQHtmlElement(tagName) {
+    const attributes = new Map();
+    return {
+        nodeType: 1,
+        tagName: String(tagName || '').toUpperCase(),
+        localName: String(tagName || '').toLowerCase(),
+        attributes,
+        childNodes: [],
+        getAttribute(name) {
+            const key = String(name || '').toLowerCase();
+            return attributes.has(key) ? attributes.get(key).value : null;
+        },
+        setAttribute(name, value) {
+            const key = String(name || '').toLowerCase();
+            attributes.set(key, { name: String(name), value: String(value == null ? '' : value) });
+        },
+        hasAttribute(name) {
+            return attributes.has(String(name || '').toLowerCase());
+        },
+        removeAttribute(name) {
+            attributes.delete(String(name || '').toLowerCase());
+        },
+        appendChild(node) {
+            this.childNodes.push(node);
+            return node;
         }
-      }
+    };
+}
+
+function mergeVirtualClassAttribute(element, classValue) {
+    if (!element || !classValue) return;
+    const merged = mergeClassNames(element.getAttribute('class'), classValue);
+    if (merged) element.setAttribute('class', merged);
+}
+
+function decodeSegmentContent(content) {
+    try {
+        return decodeURIComponent(content);
+    } catch {
+        return content;
     }
-  }
+}
 
-  return segments;
+/**
+ * Expand a component host the way `ensureGeneratedComponentTemplateHydrated`
+ * and `syncGeneratedComponentSlotsFromCarriers` do in the browser: insert the
+ * template with its slot anchors and copy each `q-into` carrier's children
+ * into the matching anchors owned by this host.  Anchors of slots without
+ * content keep their `default { ... }` fallback.
+ *
+ * @param {object} host Virtual component host with its carriers rendered
+ * @param {string} componentId Component id
+ * @param {string} templateSource Cached component template
+ * @param {{depth: number}} context Render context
+ */
+function hydrateVirtualComponentHost(host, componentId, templateSource, context) {
+    const anchorTemplate = replaceTemplateSlots(templateSource, new Map(), {
+        componentId,
+        warnOnMissing: false,
+        preserveAnchors: true
+    });
+    const templateRoot = createVirtualQHtmlElement('div');
+    renderVirtualFragment(anchorTemplate, templateRoot, { depth: context.depth + 1 });
+
+    const anchors = [];
+    const collectAnchors = (node) => {
+        (node.childNodes || []).forEach((child) => {
+            if (child.nodeType !== 1) return;
+            if (child.getAttribute('q-slot-anchor') === '1' && child.hasAttribute('slot')) {
+                anchors.push(child);
+            }
+            if (!child.hasAttribute('q-component')) {
+                collectAnchors(child);
+            }
+        });
+    };
+    collectAnchors(templateRoot);
+    host.childNodes.forEach((carrier) => {
+        if (carrier.nodeType !== 1 || carrier.localName !== 'q-into') return;
+        const slotName = String(carrier.getAttribute('slot') || '').trim();
+        // An empty carrier leaves the anchor's fallback content in place.
+        const hasContent = carrier.childNodes.some((node) => node.nodeType === 1
+            || String(node.nodeType === 3 ? node.text : node.html || '').trim());
+        if (!slotName || !hasContent) return;
+        anchors.forEach((anchor) => {
+            if (String(anchor.getAttribute('slot') || '').trim() === slotName) {
+                anchor.childNodes = carrier.childNodes.slice();
+            }
+        });
+    });
+    host.childNodes = templateRoot.childNodes.concat(host.childNodes);
+    host.setAttribute('qhtml-prerendered', '1');
 }
-function processTextSegment(segment, parentElement) {
-  let textString;
-  try {
-    textString = decodeURIComponent(segment.content);
-  } catch {
-    textString = segment.content;
-  }
-  textString = evaluateQScriptBlocks(textString, { thisArg: parentElement });
-  // Insert as a pure text node (no wrapper, no HTML parsing)
-  parentElement.appendChild(document.createTextNode(textString));
+
+function renderVirtualSegment(segment, parent, context) {
+    if (segment.type === 'property') {
+        renderVirtualProperty(segment, parent);
+    } else if (segment.type === 'element') {
+        renderVirtualElement(segment, parent, context);
+    } else if (segment.type === 'html') {
+        const htmlString = evaluateQScriptBlocks(decodeSegmentContent(segment.content), { thisArg: parent });
+        parent.appendChild({ nodeType: 0, html: sanitizeQHtmlMarkup(htmlString, parent, 'html') });
+    } else if (segment.type === 'text') {
+        const textString = evaluateQScriptBlocks(decodeSegmentContent(segment.content), { thisArg: parent });
+        parent.appendChild({ nodeType: 3, text: textString });
+    } else if (segment.type === 'css') {
+        parent.setAttribute('style', segment.content);
+    } else if (segment.type === 'style-block') {
+        const content = evaluateQScriptBlocks(segment.content, { thisArg: parent });
+        if (parent.__qhtmlRoot) {
+            const styleElement = createVirtualQHtmlElement('style');
+            styleElement.appendChild({ nodeType: 0, html: content });
+            parent.appendChild(styleElement);
+            return;
+        }
+        const normalized = content.trim();
+        if (!normalized) return;
+        const existing = String(parent.getAttribute('style') || '').trim();
+        parent.setAttribute('style', existing
+            ? `${existing}${existing.endsWith(';') ? '' : ';'} ${normalized}`.trim()
+            : normalized);
+    }
 }
 
-function queueReadyLifecycleHook(parentElement, scriptBody) {
-    if (!parentElement) {
+function renderVirtualProperty(segment, parent) {
+    const propNameRaw = String(segment.name || '');
+    const propNameLower = propNameRaw.toLowerCase();
+    if (propNameLower === 'qhtml-runtime-template') {
         return;
     }
-    const body = String(scriptBody || '').trim();
-    if (!body) {
+    if (segment.isReadyLifecycle || (segment.isFunction && isReadyLifecycleName(propNameRaw))) {
+        // Lifecycle hooks need a live DOM; they run when the page hydrates.
         return;
     }
-    if (!Array.isArray(parentElement.__qhtmlReadyHooks)) {
-        parentElement.__qhtmlReadyHooks = [];
+    if (segment.isFunction) {
+        const fnBody = decodeSegmentContent(segment.value);
+        if (/^on\w+/i.test(propNameRaw)) {
+            const guard = segment.modifiers && segment.modifiers.length
+                ? buildQHtmlInlineModifierGuard(segment.modifiers, propNameRaw)
+                : '';
+            parent.setAttribute(propNameRaw, guard ? `${guard} ${fnBody}` : fnBody);
+            return;
+        }
+        let result = '';
+        try {
+            result = compileQHtmlFunction([], fnBody, `property ${propNameRaw}`).call(parent);
+        } catch (err) {
+            componentLogger.error('', `Error executing function for property "${propNameRaw}": ${err && err.message ? err.message : err}`);
+        }
+        if (propNameLower === 'class') {
+            mergeVirtualClassAttribute(parent, result);
+        } else {
+            parent.setAttribute(propNameRaw, result);
+        }
+        return;
+    }
+    const resolvedValue = decodeSegmentContent(evaluateQScriptBlocks(segment.value, { thisArg: parent }));
+    if (propNameLower === 'class') {
+        mergeVirtualClassAttribute(parent, resolvedValue);
+    } else {
+        parent.setAttribute(propNameRaw, resolvedValue);
     }
-    parentElement.__qhtmlReadyHooks.push(body);
 }
 
-function flushReadyLifecycleHooks(parentElement, fallbackThis) {
-    if (!parentElement || !Array.isArray(parentElement.__qhtmlReadyHooks) || !parentElement.__qhtmlReadyHooks.length) {
+function renderVirtualElement(segment, parent, context) {
+    const createFromTag = (tagName) => {
+        const { base, classes } = parseTagWithClasses(tagName);
+        const match = base.match(/<(\w+)[\s>]/);
+        const resolvedTag = match ? match[1].toLowerCase() : base;
+        if (!isLikelyValidElementTagName(resolvedTag)) {
+            componentLogger.error('', `Skipping invalid element tag token "${tagName}".`);
+            return null;
+        }
+        const element = createVirtualQHtmlElement(resolvedTag);
+        if (classes.length) {
+            mergeVirtualClassAttribute(element, classes.join(' '));
+        }
+        return { element, classes, base };
+    };
+
+    const tags = segment.tag.split(',').map((tag) => tag.trim());
+    let currentParent = parent;
+    let innermost = null;
+    for (const tag of tags) {
+        const created = createFromTag(tag);
+        if (!created) {
+            if (tags.length === 1) return;
+            continue;
+        }
+        currentParent.appendChild(created.element);
+        currentParent = created.element;
+        innermost = created;
+    }
+    if (!innermost) {
         return;
     }
-    const queued = parentElement.__qhtmlReadyHooks.slice();
-    parentElement.__qhtmlReadyHooks.length = 0;
-    const boundThis = fallbackThis || parentElement;
-    queued.forEach((scriptBody) => {
-        try {
-            const fn = new Function(scriptBody);
-            const restoreThisContext = applyQHtmlRuntimeThisContext(boundThis);
-            try {
-                fn.call(boundThis);
-            } finally {
-                if (typeof restoreThisContext === 'function') {
-                    restoreThisContext();
-                }
-            }
-        } catch (err) {
-            console.error('Failed to execute onReady/onLoad lifecycle block', err);
+    if (tags.length === 1 && (innermost.base === 'script' || innermost.base === 'q-painter')) {
+        currentParent.appendChild({ nodeType: 0, html: segment.content });
+        return;
+    }
+    const resolvedContent = evaluateQScriptBlocks(segment.content, {
+        topLevelOnly: true,
+        thisArg: currentParent,
+        wrapPrimitiveTopLevel: true
+    });
+    extractPropertiesAndChildren(resolvedContent).forEach((childSegment) => renderVirtualSegment(childSegment, currentParent, context));
+    const componentId = String(currentParent.getAttribute('q-component') || currentParent.localName).trim().toLowerCase();
+    const templateSource = String(qhtmlGeneratedComponentTemplateCache.get(componentId) || '').trim();
+    if (templateSource || currentParent.hasAttribute('q-component')) {
+        if (!currentParent.getAttribute('q-component')) {
+            currentParent.setAttribute('q-component', componentId);
+        }
+        if (!currentParent.getAttribute('qhtml-component-instance')) {
+            currentParent.setAttribute('qhtml-component-instance', '1');
+        }
+        // Shadow-mode components are rendered by the runtime on connect.
+        if (templateSource && context.depth < 32 && !isGeneratedComponentShadow(componentId)) {
+            hydrateVirtualComponentHost(currentParent, componentId, templateSource, context);
+        }
+    }
+    if (innermost.classes.length) {
+        mergeVirtualClassAttribute(currentParent, innermost.classes.join(' '));
+    }
+}
+
+function renderVirtualFragment(qhtml, parent, context) {
+    const runtimeInput = evaluateQScriptBlocks(String(qhtml || ''), { topLevelOnly: true });
+    const adjusted = addClosingBraces(encodeQuotedStrings(runtimeInput));
+    extractPropertiesAndChildren(adjusted).forEach((segment) => renderVirtualSegment(segment, parent, context));
+}
+
+function serializeVirtualQHtmlNode(node) {
+    if (!node) {
+        return '';
+    }
+    if (node.nodeType === 3) {
+        return escapeQHtmlHtmlText(decodeEncodedStringIfNeeded(node.text));
+    }
+    if (node.nodeType === 0) {
+        return String(node.html == null ? '' : node.html);
+    }
+    const tag = node.localName;
+    const attrs = Array.from(node.attributes.values())
+        .map((attr) => ` ${attr.name}="${escapeQHtmlHtmlAttribute(decodeEncodedStringIfNeeded(attr.value))}"`)
+        .join('');
+    if (QHTML_VOID_ELEMENTS.has(tag)) {
+        return `<${tag}${attrs}>`;
+    }
+    return `<${tag}${attrs}>${node.childNodes.map(serializeVirtualQHtmlNode).join('')}</${tag}>`;
+}
+
+// Component definitions registered by `transformComponentDefinitions`.  A
+// string render swaps in an empty registry (or the one kept in its `registry`
+// option) and restores the shared one after.
+const QHTML_COMPONENT_REGISTRY_STORES = [
+    qhtmlGeneratedComponentActionCache,
+    qhtmlGeneratedComponentTemplateCache,
+    qhtmlGeneratedComponentSlotCache,
+    qhtmlGeneratedComponentSlotFallbackCache,
+    qhtmlGeneratedComponentSignalCache,
+    qhtmlGeneratedComponentSignalHandlerCache,
+    qhtmlGeneratedComponentPropertyCache,
+    qhtmlGeneratedComponentStateCache,
+    qhtmlGeneratedComponentLifecycleCache,
+    qhtmlShadowComponentIds,
+    qhtmlShadowComponentStyles
+];
+
+let qhtmlIsolatedComponentRegistry = false;
+
+function fillQHtmlRegistryStore(store, source) {
+    store.clear();
+    (source || []).forEach((value, key) => {
+        if (store instanceof Map) {
+            store.set(key, value);
+        } else {
+            store.add(value);
         }
     });
 }
 
+function runWithIsolatedComponentRegistry(fn, registry = null) {
+    const saved = QHTML_COMPONENT_REGISTRY_STORES.map((store) => new store.constructor(store));
+    const previous = qhtmlIsolatedComponentRegistry;
+    const kept = registry && Array.isArray(registry.stores) ? registry.stores : [];
+    QHTML_COMPONENT_REGISTRY_STORES.forEach((store, idx) => fillQHtmlRegistryStore(store, kept[idx]));
+    qhtmlIsolatedComponentRegistry = true;
+    try {
+        return fn();
+    } finally {
+        if (registry) {
+            registry.stores = QHTML_COMPONENT_REGISTRY_STORES.map((store) => new store.constructor(store));
+        }
+        qhtmlIsolatedComponentRegistry = previous;
+        QHTML_COMPONENT_REGISTRY_STORES.forEach((store, idx) => fillQHtmlRegistryStore(store, saved[idx]));
+    }
+}
+
+/**
+ * Render QHTML source to an HTML string without a browser DOM.
+ *
+ * `q-import` blocks are resolved through `options.resolveImport(path,
+ * { importer })`, which may return the imported source (or
+ * `{ source, url }` so nested imports know their importer) synchronously or
+ * as a promise.  Without a resolver the browser `fetch` loader is used.
+ * q-component hosts keep their `q-component` and `qhtml-component-instance`
+ * markers and are expanded with their template so the output matches what
+ * the runtime would display.  Scoped `q-style` sheets are emitted first as
+ * `<style q-style="id">` elements.  Each call has its own component registry,
+ * so definitions do not carry over to the next render or to live components.
+ * Calls given the same `options.registry` object (start with `{}`) share
+ * their definitions instead, like the `<q-html>` tags of one page.
+ *
+ * @param {string} source QHTML source (the content of a `<q-html>` tag)
+ * @param {{resolveImport?: function(string, {importer: string}): (string|object|Promise), filename?: string, registry?: object}} options
+ * @returns {Promise<string>} Rendered HTML
+ */
+async function renderQHtmlToString(source, options = {}) {
+    const state = ensureQImportResolveState(null);
+    if (typeof options.resolveImport === 'function') {
+        state.loader = options.resolveImport;
+    }
+    const importResolved = await resolveQImports(String(source == null ? '' : source), state, options.filename || '');
+    const scopedStyles = new Map();
+    const root = createVirtualQHtmlElement('div');
+    root.__qhtmlRoot = true;
+    const registry = options.registry && typeof options.registry === 'object' ? options.registry : null;
+    runWithIsolatedComponentRegistry(() => {
+        qhtmlScopedStyleSink = scopedStyles;
+        let preprocessed = '';
+        try {
+            preprocessed = preprocessQHtmlAfterImports(importResolved);
+        } finally {
+            qhtmlScopedStyleSink = null;
+        }
+        renderVirtualFragment(preprocessed, root, { depth: 0 });
+    }, registry);
+    const styles = Array.from(scopedStyles.entries())
+        .map(([id, css]) => `<style q-style="${escapeQHtmlHtmlAttribute(id)}">${css}</style>`)
+        .join('');
+    return styles + root.childNodes.map(serializeVirtualQHtmlNode).join('');
+}
+
+// -----------------------------------------------------------------------------
+// Bundling
+//
+// `bundleQHtml` inlines the whole q-import graph of one `<q-html>` source so a
+// page can ship without import requests.  Definitions that end up in the
+// output more than once are emitted once, and with `treeShake` definitions
+// that nothing invokes are dropped.
+
+const QHTML_BUNDLE_DEFINITION_PATTERN = /(^|[^\w-])q-(component|template)\s+([^\s{]+)(?:\s+shadow)?\s*\{/g;
 
 /**
- * Process a property segment. Handles static and dynamic JavaScript-valued
- * properties. Event handler properties are assigned directly to the parent
- * element.
+ * List the `q-component` / `q-template` definitions in `source`, at any
+ * depth.  Definitions nested inside another definition belong to it.
  *
- * @param {object} segment The property segment descriptor
- * @param {HTMLElement} parentElement The DOM element receiving the property
+ * @param {string} source Import-resolved QHTML
+ * @returns {Array<{kind: string, name: string, start: number, end: number, block: string}>}
  */
-function processPropertySegment(segment, parentElement) {
-    const propNameRaw = String(segment.name || '');
-    const propNameLower = propNameRaw.toLowerCase();
-    if (propNameLower === 'qhtml-component-instance' || propNameLower === 'qhtml-runtime-template') {
-        return;
+function collectQHtmlBundleDefinitions(source) {
+    const defs = [];
+    const re = new RegExp(QHTML_BUNDLE_DEFINITION_PATTERN.source, 'g');
+    let match;
+    while ((match = re.exec(source))) {
+        const start = match.index + match[1].length;
+        const close = findMatchingBrace(source, match.index + match[0].length - 1);
+        if (close === -1) {
+            break;
+        }
+        defs.push({ kind: match[2], name: match[3], start, end: close + 1, block: source.slice(start, close + 1) });
+        re.lastIndex = close + 1;
     }
-    if (segment.isReadyLifecycle || (segment.isFunction && isReadyLifecycleName(propNameRaw))) {
-        let lifecycleBody = segment.value;
-        try {
-            lifecycleBody = decodeURIComponent(lifecycleBody);
-        } catch {
-            // ignore decoding errors and use raw body
+    return defs;
+}
+
+/**
+ * Whether `text` uses the definition `name`: as a block (`name {`,
+ * `name.cls {`, `div,name {`), as an HTML tag, or as a quoted tag name for
+ * `document.createElement`.  Errs on the side of keeping definitions.
+ */
+function isQHtmlDefinitionUsed(text, name) {
+    const id = escapeReg(name);
+    return new RegExp(`(^|[^\\w.-])${id}(?:\\.[A-Za-z0-9_-]+)*\\s*[{,]`).test(text)
+        || new RegExp(`<${id}(?=[\\s/>])`, 'i').test(text)
+        || new RegExp(`(['"\`])${id}\\1`).test(text);
+}
+
+function removeQHtmlSourceRanges(source, ranges) {
+    let out = source;
+    ranges.slice().sort((a, b) => b.start - a.start).forEach(({ start, end }) => {
+        let from = start;
+        let to = end;
+        while (from > 0 && (out[from - 1] === ' ' || out[from - 1] === '\t')) from--;
+        if (from === 0 || out[from - 1] === '\n') {
+            while (to < out.length && (out[to] === ' ' || out[to] === '\t')) to++;
+            if (out[to] === '\n') to++;
+        } else {
+            from = start;
         }
-        queueReadyLifecycleHook(parentElement, lifecycleBody);
-        return;
+        out = out.slice(0, from) + out.slice(to);
+    });
+    return out;
+}
+
+/**
+ * Resolve every q-import in `source` and return a single self-contained
+ * QHTML source.  Imports are loaded like `renderToString` loads them.
+ *
+ * Identical definitions of the same `q-component` / `q-template` are kept
+ * once.  Conflicting definitions are all kept (the runtime decides which one
+ * wins) and reported.  With `treeShake`, definitions that are not used by
+ * the page, by a kept definition, or listed in `keep` are removed.
+ *
+ * `source` may also be an array of sources that share one component registry,
+ * such as the `<q-html>` tags of a page; the result is then an array too.  A
+ * definition already kept in an earlier source is dropped from later ones,
+ * and uses in any source keep a definition when tree-shaking.
+ *
+ * @param {string|string[]} source QHTML source (the content of a `<q-html>` tag)
+ * @param {{resolveImport?: function(string, {importer: string}): (string|object|Promise), filename?: string, treeShake?: boolean, keep?: string[]}} options
+ * @returns {Promise<string|string[]>} Bundled QHTML
+ */
+async function bundleQHtml(source, options = {}) {
+    const sources = Array.isArray(source) ? source : [source];
+    const resolved = [];
+    // One after another so import warnings stay in source order.
+    for (const text of sources) {
+        const state = ensureQImportResolveState(null);
+        if (typeof options.resolveImport === 'function') {
+            state.loader = options.resolveImport;
+        }
+        resolved.push(await resolveQImports(String(text == null ? '' : text), state, options.filename || ''));
+    }
+
+    const seen = new Map();
+    let outputs = resolved.map((out) => {
+        const duplicates = [];
+        collectQHtmlBundleDefinitions(out).forEach((def) => {
+            const key = `${def.kind} ${def.name}`;
+            const normalized = def.block.replace(/\s+/g, ' ');
+            const previous = seen.get(key);
+            if (!previous) {
+                seen.set(key, [normalized]);
+            } else if (previous.indexOf(normalized) !== -1) {
+                duplicates.push(def);
+            } else {
+                previous.push(normalized);
+                componentLogger.warn(def.name, `bundle kept ${previous.length} different definitions of q-${def.kind} "${def.name}".`);
+            }
+        });
+        return removeQHtmlSourceRanges(out, duplicates);
+    });
+
+    if (options.treeShake) {
+        const defsPerOutput = outputs.map((out) => collectQHtmlBundleDefinitions(out));
+        const defs = [].concat(...defsPerOutput);
+        const keep = new Set((options.keep || []).map((name) => String(name).trim()).filter(Boolean));
+        const used = new Set();
+        const visit = (text) => {
+            defs.forEach((def) => {
+                if (!used.has(def) && (keep.has(def.name) || isQHtmlDefinitionUsed(text, def.name))) {
+                    used.add(def);
+                    visit(def.block.slice(def.block.indexOf('{')));
+                }
+            });
+        };
+        outputs.forEach((out, idx) => visit(removeQHtmlSourceRanges(out, defsPerOutput[idx])));
+        outputs = outputs.map((out, idx) => removeQHtmlSourceRanges(out, defsPerOutput[idx].filter((def) => !used.has(def))));
     }
+    return Array.isArray(source) ? outputs : outputs[0];
+}
 
-    if (segment.isFunction) {
-        let fnBody = segment.value;
-        try {
-            fnBody = decodeURIComponent(fnBody);
-        } catch {
-            // ignore decoding errors and use raw body
+// -----------------------------------------------------------------------------
+// Precompiling
+//
+// `precompileQHtml` finds the user code in QHTML sources and writes it to an
+// ES module, so pages can run under a Content-Security-Policy without
+// 'unsafe-eval' (see "Compiled functions" above).
+
+/**
+ * Walk a `parseQHtmlToAst` tree and pass every function the runtime would
+ * compile to `add(params, body)`, with the parameter names it is called with.
+ *
+ * @param {object[]} nodes AST nodes
+ * @param {string} source Source the AST was parsed from
+ * @param {function(string[]|string, string): void} add Collector
+ * @param {string[]} scope q-for variables in scope
+ * @param {{signals: Map<string, string[]>, state: string[]}|null} component Component whose top level `nodes` are
+ */
+function collectQHtmlPrecompileSnippets(nodes, source, add, scope = [], component = null) {
+    const addBinding = (expression, names) => {
+        const text = decodeQHtmlBindingEntities(expression).trim();
+        if (text) {
+            add(names, `return (${text});`);
         }
-        try {
-            const fn = new Function(fnBody);
-            if (/^on\w+/i.test(propNameRaw)) {
-                const handler = function(event) {
-                    const restoreThisContext = applyQHtmlRuntimeThisContext(this);
-                    try {
-                        return fn.call(this, event);
-                    } catch (err) {
-                        console.error('Error executing event handler for', propNameRaw, err);
-                    } finally {
-                        if (typeof restoreThisContext === 'function') {
-                            restoreThisContext();
-                        }
-                    }
-                };
-                parentElement[propNameLower] = handler;
-                const inlineBodyLiteral = JSON.stringify(fnBody);
-                const inlinePropLiteral = JSON.stringify(propNameRaw);
-                parentElement.setAttribute(
-                    propNameRaw,
-                    `return window.__qhtmlInvokeInlineHandler(this, event, ${inlineBodyLiteral}, ${inlinePropLiteral});`
-                );
+    };
+    const addTemplateBindings = (value, names) => {
+        String(value || '').replace(QHTML_BINDING_PATTERN, (match, expression) => {
+            addBinding(expression, names);
+            return match;
+        });
+    };
+    const unquote = (value) => String(value || '').trim().replace(/^"([\s\S]*)"$/, '$1');
+
+    (nodes || []).forEach((node, idx) => {
+        const type = node.type;
+        if (type === 'event') {
+            const hook = component ? QHTML_COMPONENT_LIFECYCLE_HOOKS[node.name.toLowerCase()] : null;
+            const signal = component ? component.signals.get(handlerTagToSignalName(node.name).toLowerCase()) : null;
+            if (node.lifecycle) {
+                add([], node.body);
+            } else if (hook || signal) {
+                add(hook ? hook.params : signal, node.body);
             } else {
-                let result;
-                try {
-                    result = fn.call(parentElement);
-                } catch (err) {
-                    console.error('Error executing function for property', propNameRaw, err);
-                    result = '';
+                add(['event', ...scope], node.body);
+            }
+        } else if (type === 'function') {
+            add(node.params, node.body);
+        } else if (type === 'q-script' || type === 'q-computed') {
+            add([], node.body);
+        } else if (type === 'q-watch') {
+            add(node.params, node.body);
+            addBinding(`this.component.${node.path}`, []);
+        } else if (type === 'q-state') {
+            if (component) {
+                const body = decodeQHtmlBindingEntities(node.body).trim().replace(/,\s*$/, '');
+                if (body) {
+                    component.state.push(body);
                 }
-                if (propNameLower === 'class') {
-                    mergeClassAttribute(parentElement, result);
-                } else {
-                    parentElement.setAttribute(propNameRaw, result);
+            }
+        } else if (type === 'property') {
+            if (node.isFunction) {
+                const isHandler = /^on\w+/i.test(node.name) && !isReadyLifecycleName(node.name);
+                add(isHandler ? ['event', ...scope] : [], node.value);
+            } else if (node.name.toLowerCase() === 'q-model') {
+                const path = unquote(node.value);
+                addBinding(path, scope);
+                addBinding(`this.component.${path}`, scope);
+            } else {
+                addTemplateBindings(node.value, scope);
+            }
+        } else if (type === 'text' || type === 'style' || type === 'css') {
+            addTemplateBindings(node.value, scope);
+        } else if (type === 'q-for') {
+            const rowScope = [node.item, node.index, ...scope];
+            addBinding(node.expression, scope);
+            (node.children || []).forEach((child) => {
+                if (child.type === 'property' && child.name === 'key' && !child.isFunction) {
+                    addBinding(unquote(child.value), rowScope);
+                }
+            });
+            collectQHtmlPrecompileSnippets(node.children, source, add, rowScope);
+        } else if (type === 'q-if' || type === 'q-else-if' || type === 'q-else') {
+            if (type === 'q-if') {
+                const branches = [node];
+                for (let next = idx + 1; next < nodes.length && (nodes[next].type === 'q-else-if' || nodes[next].type === 'q-else'); next++) {
+                    branches.push(nodes[next]);
+                    if (nodes[next].type === 'q-else') {
+                        break;
+                    }
                 }
+                addBinding(buildQConditionalSelector(branches.map((branch) => ({ condition: branch.condition || '' }))), scope);
             }
-        } catch (err) {
-            console.error('Failed to compile function for property', segment.name, err);
-        }
-    } else {
-        let resolvedValue = evaluateQScriptBlocks(segment.value, { thisArg: parentElement });
-        if (typeof resolvedValue === 'string') {
-            try {
-                resolvedValue = decodeURIComponent(resolvedValue);
-            } catch {
-                // keep raw value when it is not URI-encoded
+            collectQHtmlPrecompileSnippets(node.children, source, add, scope);
+        } else if (type === 'q-component' || type === 'q-template') {
+            const definition = { signals: new Map(), state: [] };
+            (node.children || []).forEach((child) => {
+                if (child.type === 'q-signal') {
+                    definition.signals.set(child.name.toLowerCase(), child.params);
+                } else if (child.type === 'q-property') {
+                    definition.signals.set(`${child.name}changed`.toLowerCase(), ['value', 'oldValue']);
+                }
+            });
+            collectQHtmlPrecompileSnippets(node.children, source, add, [], type === 'q-component' ? definition : null);
+            if (definition.state.length) {
+                add([], `return ({\n${definition.state.join(',\n')}\n});`);
+            }
+        } else if (type === 'slot') {
+            collectQHtmlPrecompileSnippets(node.fallback, source, add, scope);
+        } else if (type === 'element') {
+            const tags = node.tags || [];
+            if (tags.length === 1 && (tags[0].name === 'script' || tags[0].name === 'q-painter')) {
+                const block = source.slice(node.loc.start.offset, node.loc.end.offset);
+                add([], block.slice(block.indexOf('{') + 1, block.lastIndexOf('}')));
+            } else {
+                collectQHtmlPrecompileSnippets(node.children, source, add, scope);
             }
         }
-        if (propNameLower === 'class') {
-            mergeClassAttribute(parentElement, resolvedValue);
-        } else {
-            parentElement.setAttribute(propNameRaw, resolvedValue);
-        }
-    }
+    });
+}
+
+function emitQHtmlPrecompiledModule(functions) {
+    const entries = [];
+    functions.forEach((entry) => {
+        const params = entry.params.join(', ');
+        try {
+            // Module code is strict, so check the function the way it will run.
+            new Function(`"use strict"; return function (${params}) {\n${entry.body}\n};`);
+        } catch (err) {
+            componentLogger.warn('', `precompile skipped code that is not a valid strict-mode function body (${err && err.message ? err.message : err}):\n${entry.body}`);
+            return;
+        }
+        entries.push(`    ${JSON.stringify(entry.id)}: {\n        params: ${JSON.stringify(entry.params)},\n        fn: function (${params}) {\n${entry.body}\n        }\n    }`);
+    });
+    return [
+        '// Generated by `qhtml precompile`. Do not edit.',
+        '// Load with <script type="module"> alongside qhtml.js. Loading it switches',
+        '// the runtime to precompiled mode.',
+        'const functions = {',
+        entries.join(',\n'),
+        '};',
+        '',
+        "const scope = typeof window !== 'undefined' ? window : globalThis;",
+        'const qhtml = scope.qhtml || (scope.qhtml = {});',
+        'qhtml.precompiled = Object.assign(qhtml.precompiled || {}, functions);',
+        'qhtml.config = Object.assign(qhtml.config || {}, { precompiled: true });',
+        '',
+        'export default functions;',
+        ''
+    ].join('\n');
 }
 
 /**
- * Process a child element segment.  Handles nested tag lists (comma-separated)
- * and script/q-painter elements specially.  All other elements are
- * recursively parsed via extractPropertiesAndChildren and processSegment.
+ * Build the precompiled-function module for one or more QHTML sources.
+ * Imports are resolved first, as `bundleQHtml` does.  The same body used in
+ * several places is emitted once, with the union of its parameter names.
  *
- * @param {object} segment The element segment descriptor
- * @param {HTMLElement} parentElement The parent DOM element
+ * Code produced at runtime (markup returned by q-script, sources assigned to
+ * `host.source` later) is not seen here and is reported by the runtime.
+ *
+ * @param {string|Array<string|{source: string, filename?: string}>} inputs QHTML sources
+ * @param {{resolveImport?: function(string, {importer: string}): (string|object|Promise), filename?: string}} options
+ * @returns {Promise<string>} ES module source
  */
-function processElementSegment(segment, parentElement) {
-    const createElementFromTag = (tagName) => {
-        const { base, classes } = parseTagWithClasses(tagName);
-        const regex = /<(\w+)[\s>]/;
-        const match = base.match(regex);
-        const resolvedTag = match ? match[1].toLowerCase() : base;
-        if (!isLikelyValidElementTagName(resolvedTag)) {
-            componentLogger.error('', `Skipping invalid element tag token "${tagName}".`);
-            return { element: null, classes, base };
+async function precompileQHtml(inputs, options = {}) {
+    const functions = new Map();
+    const add = (params, body) => {
+        const text = String(body == null ? '' : body).trim();
+        if (!normalizeQHtmlFunctionSource(text)) {
+            return;
         }
-        const element = document.createElement(resolvedTag);
-        if (classes.length) {
-            mergeClassAttribute(element, classes.join(' '));
+        const id = getQHtmlFunctionId(text);
+        const names = splitQHtmlFunctionParams(params);
+        const entry = functions.get(id);
+        if (!entry) {
+            functions.set(id, { id, params: names, body: text });
+            return;
         }
-        return { element, classes, base };
-    };
-    if (segment.tag.includes(',')) {
-        const tags = segment.tag.split(',').map(t => t.trim());
-        let currentParent = parentElement;
-        let innermostClasses = [];
-        tags.forEach(tag => {
-            const created = createElementFromTag(tag);
-            if (!created.element) {
-                return;
+        names.forEach((name) => {
+            if (entry.params.indexOf(name) === -1) {
+                entry.params.push(name);
             }
-            currentParent.appendChild(created.element);
-            currentParent = created.element;
-            innermostClasses = created.classes;
         });
-        const resolvedContent = evaluateQScriptBlocks(segment.content, {
-            topLevelOnly: true,
-            thisArg: currentParent,
-            wrapPrimitiveTopLevel: true
+    };
+    for (const input of Array.isArray(inputs) ? inputs : [inputs]) {
+        const record = input && typeof input === 'object' ? input : { source: input };
+        const resolved = await bundleQHtml(record.source, {
+            resolveImport: options.resolveImport,
+            filename: record.filename || options.filename || ''
         });
-        const childSegments = extractPropertiesAndChildren(resolvedContent);
-        childSegments.forEach(childSegment => processSegment(childSegment, currentParent));
-        if (innermostClasses.length) {
-            mergeClassAttribute(currentParent, innermostClasses.join(' '));
-        }
-        flushReadyLifecycleHooks(currentParent);
-    } else {
-        const created = createElementFromTag(segment.tag);
-        if (!created.element) {
+        collectQHtmlPrecompileSnippets(parseQHtmlToAst(resolved).children, resolved, add);
+    }
+    return emitQHtmlPrecompiledModule(functions);
+}
+
+// -----------------------------------------------------------------------------
+// Reconciliation
+//
+// A `<q-html reconcile>` host patches its current DOM with each freshly parsed
+// tree instead of replacing it, so focus, scroll position, form state and
+// q-component instances survive re-renders.  Nodes are matched by type and tag
+// (plus `id` when present); component hosts also need the same `q-component`.
+
+function isQHtmlReconcileHost(host) {
+    return !!host && typeof host.hasAttribute === 'function' && host.hasAttribute('reconcile');
+}
+
+function isQHtmlComponentHostNode(node) {
+    return !!node && node.nodeType === 1 && !!node.getAttribute('q-component') && node.hasAttribute('qhtml-component-instance');
+}
+
+function getReconcileNodeType(node) {
+    if (node && node.__qhtmlStructural) {
+        // Structural anchors only match when the block source is unchanged.
+        return `#${node.__qhtmlStructural.kind}|${node.__qhtmlStructural.source}`;
+    }
+    if (!node || node.nodeType !== 1) {
+        return `#${node ? node.nodeType : 0}`;
+    }
+    const tag = String(node.tagName || '').toLowerCase();
+    const componentId = String(node.getAttribute('q-component') || '').trim().toLowerCase();
+    return componentId ? `${tag}|${componentId}` : tag;
+}
+
+function getReconcileNodeKey(node) {
+    if (!node || node.nodeType !== 1) {
+        return '';
+    }
+    const id = String(node.getAttribute('id') || '').trim();
+    return id ? `${getReconcileNodeType(node)}#${id}` : '';
+}
+
+// Runtime-managed markers (q-component, q-slot-anchor, qhtml-* ...) are never
+// removed just because the new parse has not been hydrated yet.
+function isRuntimeManagedAttribute(name) {
+    return /^(?:q-|qhtml-)/i.test(String(name || ''));
+}
+
+function patchReconciledAttributes(current, next) {
+    syncQHtmlBindingSource(current, next);
+    Array.from(next.attributes || []).forEach((attr) => {
+        const boundTemplate = getQHtmlBindingTemplate(current, attr.name);
+        if (boundTemplate === attr.value && isQHtmlBindingSource(next, attr.name)) {
             return;
         }
-        const newElement = created.element;
-        const tagName = created.base;
-        if (tagName === 'script' || tagName === 'q-painter') {
-            storeAndExecuteScriptLater(segment.content);
-            newElement.text = segment.content;
-            parentElement.appendChild(newElement);
-        } else {
-            // Attach first so q-script runtime this can traverse parent/closest.
-            parentElement.appendChild(newElement);
-            const resolvedContent = evaluateQScriptBlocks(segment.content, {
-                topLevelOnly: true,
-                thisArg: newElement,
-                wrapPrimitiveTopLevel: true
-            });
-            const childSegments = extractPropertiesAndChildren(resolvedContent);
-            childSegments.forEach(childSegment => processSegment(childSegment, newElement));
-            if (created.classes.length) {
-                mergeClassAttribute(newElement, created.classes.join(' '));
-            }
-            flushReadyLifecycleHooks(newElement);
+        if (boundTemplate !== null) {
+            releaseQHtmlBinding(current, attr.name);
+        }
+        if (current.getAttribute(attr.name) !== attr.value) {
+            setQHtmlAttribute(current, attr.name, attr.value);
+        }
+    });
+    const bindings = current.__qhtmlAttributeBindings;
+    Array.from(current.attributes || []).forEach((attr) => {
+        if (!next.hasAttribute(attr.name) && !isRuntimeManagedAttribute(attr.name)) {
+            releaseQHtmlBinding(current, attr.name);
+            current.removeAttribute(attr.name);
         }
+    });
+    if (bindings) {
+        // Bound boolean attributes may be absent from the live element.
+        Array.from(bindings.keys()).forEach((name) => {
+            if (!next.hasAttribute(name)) {
+                releaseQHtmlBinding(current, name);
+            }
+        });
     }
 }
 
-/**
- * Process an inline HTML segment.  The encoded HTML content is decoded and
- * inserted directly into the parent element without any wrapper.
- *
- * @param {object} segment The HTML segment descriptor
- * @param {HTMLElement} parentElement The parent DOM element
- */
-function processHtmlSegment(segment, parentElement) {
-    let htmlString;
-    try {
-        htmlString = decodeURIComponent(segment.content);
-    } catch {
-        htmlString = segment.content;
+function teardownReconciledSubtree(node) {
+    if (!node || node.nodeType !== 1) {
+        return;
     }
-    htmlString = evaluateQScriptBlocks(htmlString, { thisArg: parentElement });
-    const tempContainer = document.createElement('div');
-    tempContainer.innerHTML = htmlString;
-    while (tempContainer.firstChild) {
-        parentElement.appendChild(tempContainer.firstChild);
+    if (isQHtmlComponentHostNode(node)) {
+        teardownComponentRuntimeInstance(node);
+    }
+    if (typeof node.querySelectorAll === 'function') {
+        Array.from(node.querySelectorAll('[q-component][qhtml-component-instance]')).forEach(teardownComponentRuntimeInstance);
     }
 }
 
 /**
- * Process an inline CSS segment.  Applies the encoded CSS as a style attribute
- * on the parent element.
+ * Patch the children of `parent` so they match `nextNodes`.  Matching nodes are
+ * kept and patched in place; unmatched new nodes are inserted and leftover
+ * old nodes are removed.
  *
- * @param {object} segment The CSS segment descriptor
- * @param {HTMLElement} parentElement The parent DOM element
+ * @param {Node} parent Live parent node
+ * @param {Node[]} nextNodes Freshly parsed nodes (detached)
+ * @param {{preserved: Set<Element>}} context Collects kept component hosts
  */
-function processCssSegment(segment, parentElement) {
-    parentElement.setAttribute('style', segment.content);
-}
+function reconcileQHtmlChildren(parent, nextNodes, context) {
+    // Nodes rendered by a structural block belong to its anchor and move with it.
+    const previous = Array.from(parent.childNodes || []).filter((node) => !node.__qhtmlStructuralOwner);
+    const keyed = new Map();
+    const unkeyed = new Map();
+    previous.forEach((node) => {
+        const key = getReconcileNodeKey(node);
+        if (key) {
+            keyed.set(key, node);
+            return;
+        }
+        const type = getReconcileNodeType(node);
+        if (!unkeyed.has(type)) {
+            unkeyed.set(type, []);
+        }
+        unkeyed.get(type).push(node);
+    });
 
-/**
- * Process a style { } segment.  When invoked within an element, the content
- * is merged into the element's `style` attribute.  When the parent is the
- * synthetic root wrapper generated during parsing, the segment is emitted as
- * a real <style> tag whose text content mirrors the original block.
- *
- * @param {object} segment The style block descriptor
- * @param {HTMLElement} parentElement The parent DOM element
- */
-function processStyleBlockSegment(segment, parentElement) {
-    if (!parentElement) {
-        return;
-    }
+    const used = new Set();
+    let cursor = null;
+    nextNodes.forEach((next) => {
+        const key = getReconcileNodeKey(next);
+        let match = null;
+        if (key) {
+            const candidate = keyed.get(key);
+            if (candidate && !used.has(candidate)) {
+                match = candidate;
+            }
+        } else {
+            const candidates = unkeyed.get(getReconcileNodeType(next)) || [];
+            while (candidates.length && !match) {
+                const candidate = candidates.shift();
+                if (!used.has(candidate)) {
+                    match = candidate;
+                }
+            }
+        }
+        const reference = cursor ? cursor.nextSibling : parent.firstChild;
+        const placed = match || next;
+        if (match) {
+            used.add(match);
+            patchReconciledNode(match, next, context);
+        }
+        if (placed !== reference) {
+            parent.insertBefore(placed, reference);
+        }
+        cursor = placed;
+        getQHtmlStructuralNodes(placed).forEach((owned) => {
+            if (cursor.nextSibling !== owned) {
+                parent.insertBefore(owned, cursor.nextSibling);
+            }
+            cursor = owned;
+        });
+    });
 
-    const content = evaluateQScriptBlocks(segment.content, { thisArg: parentElement });
+    previous.forEach((node) => {
+        if (used.has(node) || node.parentNode !== parent) {
+            return;
+        }
+        if (node.__qhtmlStructural) {
+            disposeQHtmlStructuralBlock(node);
+        }
+        teardownReconciledSubtree(node);
+        parent.removeChild(node);
+    });
+}
 
-    if (parentElement.__qhtmlRoot) {
-        const styleElement = document.createElement('style');
-        styleElement.textContent = content;
-        parentElement.appendChild(styleElement);
+function patchReconciledNode(current, next, context) {
+    if (current.__qhtmlStructural) {
         return;
     }
-
-    const normalized = content.trim();
-    if (!normalized) {
+    if (current.nodeType !== 1) {
+        syncQHtmlBindingSource(current, next);
+        const boundTemplate = getQHtmlBindingTemplate(current);
+        if (boundTemplate === next.nodeValue && isQHtmlBindingSource(next)) {
+            return;
+        }
+        if (boundTemplate !== null) {
+            releaseQHtmlBinding(current);
+        }
+        if (current.nodeValue !== next.nodeValue) {
+            current.nodeValue = next.nodeValue;
+        }
         return;
     }
-
-    const existing = parentElement.getAttribute('style');
-    if (existing && existing.trim()) {
-        const trimmedExisting = existing.trim();
-        const needsSemicolon = !trimmedExisting.endsWith(';');
-        const combined = `${trimmedExisting}${needsSemicolon ? ';' : ''} ${normalized}`.trim();
-        parentElement.setAttribute('style', combined);
-    } else {
-        parentElement.setAttribute('style', normalized);
+    patchReconciledAttributes(current, next);
+    patchReconciledEventListeners(current, next);
+    if (isQHtmlComponentHostNode(current)) {
+        reconcileComponentHostSlots(current, next, context);
+        return;
     }
+    reconcileQHtmlChildren(current, Array.from(next.childNodes || []), context);
 }
 
 /**
- * Dispatch processing based on segment type.  Delegates to more specific
- * helpers for properties, elements, HTML and CSS segments.
- *
- * @param {object} segment The segment descriptor
- * @param {HTMLElement} parentElement The parent DOM element
+ * Keep a live component instance and only patch its slot content.  The new
+ * parse holds `q-into` carriers; both the live carriers and the hydrated slot
+ * anchors are reconciled against them so projected content keeps its state.
  */
-function processSegment(segment, parentElement) {
-    if (segment.type === 'property') {
-        processPropertySegment(segment, parentElement);
-    } else if (segment.type === 'element') {
-        processElementSegment(segment, parentElement);
-    } else if (segment.type === 'function-def') {
-        // Function definition blocks should be consumed by component transforms.
-        // Ignore gracefully if one leaks into runtime parsing.
+function reconcileComponentHostSlots(current, next, context) {
+    context.preserved.add(current);
+    if (isComponentSlotsResolved(current)) {
         return;
-    } else if (segment.type === 'html') {
-        processHtmlSegment(segment, parentElement);
-    } else if (segment.type === 'css') {
-        processCssSegment(segment, parentElement);
-    } else if (segment.type === 'style-block') {
-        processStyleBlockSegment(segment, parentElement);
-    } else if (segment.type === 'text') {
-        processTextSegment(segment, parentElement);
     }
+    const componentId = String(current.getAttribute('q-component') || current.tagName || '').trim().toLowerCase();
+    const slotNames = getGeneratedComponentSlotNames(componentId);
+    if (slotNames.length === 1) {
+        normalizeImplicitContentToSingleSlotCarrier(next, slotNames[0]);
+    }
+    if (current.shadowRoot && current.shadowRoot.__qhtmlShadowTemplate) {
+        // Slotted content is plain light DOM; patch it like any other children.
+        projectCarriersIntoNativeSlots(next);
+        reconcileQHtmlChildren(current, Array.from(next.childNodes), context);
+        return;
+    }
+    const seen = new Set();
+    findComponentIntoCarriers(next).forEach((carrier) => {
+        const slotName = String(carrier.getAttribute('slot') || '').trim();
+        if (!slotName) {
+            return;
+        }
+        seen.add(slotName);
+        const payload = Array.from(carrier.childNodes || []);
+        findOwnedComponentSlotAnchors(current, slotName).forEach((anchor) => {
+            reconcileQHtmlChildren(anchor, payload.map((node) => cloneQHtmlNode(node)), context);
+        });
+        const existing = findComponentIntoCarriers(current, slotName)[0];
+        if (existing) {
+            patchReconciledAttributes(existing, carrier);
+            reconcileQHtmlChildren(existing, payload, context);
+        } else {
+            current.appendChild(carrier);
+        }
+    });
+    findComponentIntoCarriers(current).forEach((carrier) => {
+        const slotName = String(carrier.getAttribute('slot') || '').trim();
+        if (!slotName || seen.has(slotName)) {
+            return;
+        }
+        findOwnedComponentSlotAnchors(current, slotName).forEach((anchor) => {
+            reconcileQHtmlChildren(anchor, [], context);
+        });
+        current.removeChild(carrier);
+    });
 }
 
 /**
@@ -4364,7 +9626,7 @@ function extractRawQHtmlSource(host) {
 
 /**
  * Resolve q-import blocks for all provided q-html hosts before parsing begins.
- * A shared runtime state enforces one global import limit across the batch.
+ * A shared import budget enforces one global import limit across the batch.
  *
  * @param {Iterable<HTMLElement>} hosts q-html elements to preload
  * @returns {Promise<void>}
@@ -4374,10 +9636,12 @@ async function preloadQImportsForHosts(hosts) {
     if (!elements.length) {
         return;
     }
-    const sharedState = ensureQImportResolveState(null);
+    // Hosts resolve concurrently, so each gets its own chain; only the
+    // import budget is shared.
+    const { budget } = ensureQImportResolveState(null);
     await Promise.all(elements.map(async (elem) => {
         const raw = extractRawQHtmlSource(elem);
-        elem.__qhtmlResolvedImports = await resolveQImports(raw, sharedState);
+        elem.__qhtmlResolvedImports = await resolveQImports(raw, ensureQImportResolveState({ budget }));
     }));
 }
 
@@ -4409,7 +9673,67 @@ if (typeof window !== 'undefined') {
     installDocumentQHtmlQueryHelpers();
 }
 
-class QHtmlElement extends HTMLElement {
+/**
+ * Return the shared `qhtml` namespace object, creating it when missing.
+ * `tools/qhtml-tools.js` merges its helpers into the same object, so either
+ * script may be loaded first.
+ *
+ * @returns {object} The public qhtml API object
+ */
+function ensureQHtmlPublicApi() {
+    const scope = typeof window !== 'undefined' ? window : globalThis;
+    if (!scope.qhtml || (typeof scope.qhtml !== 'object' && typeof scope.qhtml !== 'function')) {
+        scope.qhtml = {};
+    }
+    return scope.qhtml;
+}
+
+/**
+ * Read a runtime option from `qhtml.config`.  Pages may define
+ * `window.qhtml = { config: { ... } }` before loading this script.
+ *
+ * @param {string} name Option name
+ * @param {*} fallback Value used when the option is unset
+ * @returns {*} The configured value
+ */
+function getQHtmlConfigValue(name, fallback) {
+    const scope = typeof window !== 'undefined' ? window : globalThis;
+    const config = scope.qhtml && scope.qhtml.config;
+    if (!config || typeof config !== 'object' || config[name] === undefined) {
+        return fallback;
+    }
+    return config[name];
+}
+
+// `eventBinding: 'listener'` binds on* handlers with addEventListener and
+// leaves no inline attributes behind (see README, "Event binding modes").
+// Precompiled mode implies it.
+function isQHtmlListenerEventBinding() {
+    return isQHtmlPrecompiledMode()
+        || String(getQHtmlConfigValue('eventBinding', 'inline')).toLowerCase() === 'listener';
+}
+
+const qhtmlPublicApi = ensureQHtmlPublicApi();
+qhtmlPublicApi.config = Object.assign({
+    eventBinding: 'inline',
+    importCache: 'memory',
+    importRetry: { retries: 2, delay: 250, factor: 2 },
+    sanitize: 'off',
+    trustedTypesPolicy: 'qhtml'
+}, qhtmlPublicApi.config || {});
+qhtmlPublicApi.parse = parseQHtmlToAst;
+qhtmlPublicApi.diagnose = collectQHtmlDiagnostics;
+qhtmlPublicApi.renderToString = renderQHtmlToString;
+qhtmlPublicApi.bundle = bundleQHtml;
+qhtmlPublicApi.precompile = precompileQHtml;
+qhtmlPublicApi.clearImportCache = clearQImportCache;
+qhtmlPublicApi.sanitize = sanitizeQHtmlHtml;
+
+// Outside the browser (e.g. Node pre-rendering) there is no HTMLElement; the
+// element classes still load so the string renderer can be used.
+const QHtmlHTMLElementBase = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+class QHtmlElement extends QHtmlHTMLElementBase {
     constructor() {
         super();
         this.initMutationObserver();
@@ -4436,7 +9760,11 @@ class QHtmlElement extends HTMLElement {
                 }
             }
 
-            const raw = extractRawQHtmlSource(this);
+            const hasSource = typeof this.__qhtmlSource === 'string';
+            const raw = hasSource ? this.__qhtmlSource : extractRawQHtmlSource(this);
+            // Markup read back from innerHTML escapes `&`, `<` and `>`; check
+            // the source as it was written.
+            publishQHtmlDiagnostics(this, collectQHtmlDiagnostics(hasSource ? raw : decodeQHtmlBindingEntities(raw)));
             let importResolved = this.__qhtmlResolvedImports;
             if (typeof importResolved !== 'string') {
                 importResolved = await resolveQImports(raw);
@@ -4446,9 +9774,23 @@ class QHtmlElement extends HTMLElement {
 
             const parsedRoot = this.parseQHtmlToRoot(qhtmlContent);
             const children = Array.from(parsedRoot.childNodes || []);
-            this.replaceChildren(...children);
-            finalizeRuntimeComponentHosts(this);
-            hydrateGeneratedComponentInstances(this);
+            if (isQHtmlReconcileHost(this) && this.__qhtmlHasRendered) {
+                const context = { preserved: new Set() };
+                reconcileQHtmlChildren(this, children, context);
+                finalizeRuntimeComponentHosts(this);
+                hydrateGeneratedComponentInstances(this, { preserved: context.preserved });
+            } else {
+                this.replaceChildren(...children);
+                finalizeRuntimeComponentHosts(this);
+                hydrateGeneratedComponentInstances(this);
+            }
+            activateQHtmlBindings(this);
+            this.__qhtmlHasRendered = true;
+            if (isQHtmlReconcileHost(this)) {
+                // The host's markup is now rendered output, so later renders
+                // reuse the source instead of re-reading innerHTML.
+                this.__qhtmlSource = raw;
+            }
 
             // Temporarily replace HTML content sections with placeholders
         })();
@@ -4459,6 +9801,34 @@ class QHtmlElement extends HTMLElement {
         }
     }
 
+    /**
+     * QHTML source of this host.  Assigning a new source re-renders the host;
+     * with the `reconcile` attribute the existing DOM is patched in place.
+     */
+    get source() {
+        return typeof this.__qhtmlSource === 'string' ? this.__qhtmlSource : extractRawQHtmlSource(this);
+    }
+
+    set source(value) {
+        this.update(value);
+    }
+
+    /**
+     * Replace this host's source and re-render once any in-flight render
+     * finishes.
+     *
+     * @param {string} source New QHTML source
+     * @returns {Promise<void>}
+     */
+    update(source) {
+        this.__qhtmlSource = String(source == null ? '' : source);
+        const pending = this.__qhtmlRenderPromise;
+        if (!pending) {
+            return this.render();
+        }
+        return Promise.resolve(pending).catch(() => {}).then(() => this.render());
+    }
+
     async preprocess(i_qhtml) {
         // Resolve q-imports first so imported content participates in all
         // later transformations (components, slots, and text helpers).
@@ -4467,13 +9837,7 @@ class QHtmlElement extends HTMLElement {
     }
 
     preprocessAfterImports(importResolvedQhtml) {
-        let input = importResolvedQhtml;
-        // Evaluate only top-level q-script blocks here so component/template
-        // structure can still be compiled; nested q-script runs later with DOM this.
-        input = evaluateQScriptBlocks(input, { topLevelOnly: true });
-        input = stripBlockComments(input);
-        input = addSemicolonToProperties(input);
-        return transformComponentDefinitionsHelper(input);
+        return preprocessQHtmlAfterImports(importResolvedQhtml);
     }
 
     transformComponentDefinitions(input) {
@@ -4535,16 +9899,23 @@ class QHtmlElement extends HTMLElement {
 }
 
 // Define the new element
-customElements.define('q-html', QHtmlElement);
+if (typeof customElements !== 'undefined') {
+    customElements.define('q-html', QHtmlElement);
+}
 
 // for script blocks in qhtml code
 function storeAndExecuteScriptLater(scriptContent) {
     // Store the script content in a closure
     function deferredExecution() {
         try {
-            var scriptFunction = new Function(scriptContent);
+            if (isQHtmlPrecompiledMode()) {
+                // Injected <script> text would need 'unsafe-inline'.
+                compileQHtmlFunction([], scriptContent, 'script block').call(window);
+                return;
+            }
+            var scriptFunction = new Function(toQHtmlTrustedScript(scriptContent));
             var newElement = document.createElement("script");
-            newElement.text = scriptContent;
+            newElement.text = toQHtmlTrustedScript(scriptContent);
             document.body.appendChild(newElement);
 
         } catch (error) {
@@ -4559,7 +9930,7 @@ function storeAndExecuteScriptLater(scriptContent) {
 // unused for now
 const componentRegistry = {};
 
-class QComponent extends HTMLElement {
+class QComponent extends QHtmlHTMLElementBase {
     slots() {
         return listComponentSlotNames(this);
     }
@@ -4590,27 +9961,37 @@ class QComponent extends HTMLElement {
     }
 }
 
-customElements.define('q-component', QComponent);
-
-// renders all HTML in-place of any q-html  then dispatch event when qhtml conversion is complete
-window.addEventListener("DOMContentLoaded", function () {
+if (typeof customElements !== 'undefined') {
+    customElements.define('q-component', QComponent);
+}
 
-    var elems = document.querySelectorAll("q-html");
-    var renders = [];
-    ensureInitialImportBarrier().then(function() {
-        elems.forEach(function (elem) {
-            renders.push(Promise.resolve(elem.render()));
+if (typeof window !== 'undefined') {
+    // renders all HTML in-place of any q-html  then dispatch event when qhtml conversion is complete
+    window.addEventListener("DOMContentLoaded", function () {
+
+        var elems = document.querySelectorAll("q-html");
+        var renders = [];
+        ensureInitialImportBarrier().then(function() {
+            elems.forEach(function (elem) {
+                renders.push(Promise.resolve(elem.render()));
+            });
+            return Promise.all(renders);
+        }).catch(function(err) {
+            console.warn('qhtml: render error', err);
+        }).finally(function() {
+            qhtmlInitialContentLoaded = true;
+            flushQHtmlPendingConnections();
+            var qhtmlEvent = new CustomEvent('QHTMLContentLoaded', {});
+            document.dispatchEvent(qhtmlEvent);
         });
-        return Promise.all(renders);
-    }).catch(function(err) {
-        console.warn('qhtml: render error', err);
-    }).finally(function() {
-        var qhtmlEvent = new CustomEvent('QHTMLContentLoaded', {});
+    })
+
+    window.addEventListener("QHTMLContentLoaded", function() {
+        var qhtmlEvent = new CustomEvent('QHTMLPostProcessComplete', {});
         document.dispatchEvent(qhtmlEvent);
     });
-})
+}
 
-window.addEventListener("QHTMLContentLoaded", function() {
-    var qhtmlEvent = new CustomEvent('QHTMLPostProcessComplete', {});
-    document.dispatchEvent(qhtmlEvent);
-});
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = qhtmlPublicApi;
+}
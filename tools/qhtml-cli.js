@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+/*
+ * qhtml command-line compiler.
+ *
+ *   node tools/qhtml-cli.js build src/ --out dist/
+ *   node tools/qhtml-cli.js bundle page.html --out dist/page.html
+ *   node tools/qhtml-cli.js precompile src/ --out dist/qhtml-precompiled.js
+ *
+ * `build` compiles `.qhtml` files and HTML pages containing `<q-html>` tags
+ * into static HTML using the same pipeline as the browser runtime
+ * (`qhtml.renderToString`).  `bundle` inlines every q-import instead and
+ * writes one self-contained `.qhtml` or `.html` file (`qhtml.bundleHTML`).
+ * `precompile` writes the ES module of precompiled functions used by the
+ * runtime's CSP-friendly precompiled mode (`qhtml.precompile`).
+ * q-import blocks are read from disk relative to the importing file.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var qhtml = require('../qhtml.js');
+var qhtmlTools = require('./qhtml-tools.js');
+
+var QHTML_TAG_RE = /<q-html(\s[^>]*)?>([\s\S]*?)<\/q-html>/gi;
+
+function printUsage(stream) {
+  stream.write([
+    'Usage: qhtml build <file-or-dir>... [--out <dir>]',
+    '       qhtml bundle <file> [--out <file>] [--tree-shake] [--keep <names>]',
+    '       qhtml precompile <file-or-dir>... [--out <file>]',
+    '',
+    'build       Compiles .qhtml files and .html pages containing <q-html> into static HTML.',
+    'bundle      Inlines every q-import of a .qhtml file or .html page into one file.',
+    'precompile  Writes an ES module with every handler, function and q-script compiled,',
+    '            for pages that cannot allow unsafe-eval.',
+    '',
+    'Options:',
+    '  --out <path>        build: output directory (default: dist)',
+    '                      bundle, precompile: output file (default: stdout)',
+    '  --tree-shake        bundle: drop q-component/q-template definitions that are never used',
+    '  --keep <a,b>        bundle: definitions to keep when tree-shaking (e.g. created from scripts)',
+    '  -h, --help          Show this help',
+    ''
+  ].join('\n'));
+}
+
+function parseArgs(argv) {
+  var options = { command: '', inputs: [], out: null, treeShake: false, keep: [], help: false };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--out' || arg === '-o') {
+      options.out = argv[++i] || '';
+    } else if (arg.indexOf('--out=') === 0) {
+      options.out = arg.slice(6);
+    } else if (arg === '--tree-shake') {
+      options.treeShake = true;
+    } else if (arg === '--keep' || arg.indexOf('--keep=') === 0) {
+      var names = arg === '--keep' ? (argv[++i] || '') : arg.slice(7);
+      options.keep = options.keep.concat(names.split(',').map(function (name) {
+        return name.trim();
+      }).filter(Boolean));
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+  return options;
+}
+
+function isCompilable(file) {
+  return /\.(qhtml|html?)$/i.test(file);
+}
+
+function collectFiles(input) {
+  var stat = fs.statSync(input);
+  if (stat.isFile()) {
+    return [{ file: path.resolve(input), relative: path.basename(input) }];
+  }
+  var root = path.resolve(input);
+  var out = [];
+  (function walk(dir) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(function (entry) {
+      var full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules' && entry.name.charAt(0) !== '.') walk(full);
+      } else if (isCompilable(entry.name)) {
+        out.push({ file: full, relative: path.relative(root, full) });
+      }
+    });
+  })(root);
+  return out;
+}
+
+function outputPathFor(outDir, relative) {
+  return path.join(outDir, relative.replace(/\.qhtml$/i, '.html'));
+}
+
+function createReporter() {
+  var counts = { error: 0, warning: 0 };
+  return {
+    counts: counts,
+    report: function (file, diagnostics, lineOffset, columnOffset) {
+      (diagnostics || []).forEach(function (d) {
+        var line = d.line + (lineOffset || 0);
+        var column = d.line === 1 ? d.column + (columnOffset || 0) : d.column;
+        var severity = d.severity || 'error';
+        counts[severity] = (counts[severity] || 0) + 1;
+        process.stderr.write(
+          path.relative(process.cwd(), file) + ':' + line + ':' + column + ': ' +
+          severity + ': ' + d.message + ' [' + d.code + ']\n'
+        );
+      });
+    }
+  };
+}
+
+// Where `importPath` is imported in `importer`, for reporting a failed import.
+function importLocation(importer, importPath) {
+  var text = '';
+  try {
+    text = fs.readFileSync(importer, 'utf8');
+  } catch (err) {
+    return { line: 1, column: 1 };
+  }
+  var escaped = importPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  var match = new RegExp('q-import\\s*\\{\\s*' + escaped).exec(text);
+  var offset = match ? match.index : text.indexOf(importPath);
+  return offset === -1 ? { line: 1, column: 1 } : lineAndColumnAt(text, offset);
+}
+
+// A build or bundle that silently lost an import would ship broken, so failed
+// imports are reported as errors at the importing q-import block.
+function createDiskLoader(reporter) {
+  var checked = new Set();
+  return function resolveImport(importPath, context) {
+    var importer = context && context.importer ? context.importer : '';
+    var base = importer ? path.dirname(importer) : process.cwd();
+    var file = path.resolve(base, importPath);
+    var source;
+    try {
+      source = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      var at = importLocation(importer, importPath);
+      reporter.report(importer || file, [{
+        line: at.line,
+        column: at.column,
+        severity: 'error',
+        code: 'import-failed',
+        message: 'q-import "' + importPath + '" could not be read: ' + (err && err.code === 'ENOENT' ? 'no such file' : err.message)
+      }]);
+      throw err;
+    }
+    if (!checked.has(file)) {
+      checked.add(file);
+      reporter.report(file, qhtml.diagnose(source));
+    }
+    return { source: source, url: file };
+  };
+}
+
+function lineAndColumnAt(text, offset) {
+  var before = text.slice(0, offset);
+  var lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+async function compileQHtmlFile(file, loader, reporter) {
+  var source = fs.readFileSync(file, 'utf8');
+  reporter.report(file, qhtml.diagnose(source));
+  return qhtml.renderToString(source, { resolveImport: loader, filename: file });
+}
+
+function forEachQHtmlHost(file, page, reporter, fn) {
+  var match;
+  QHTML_TAG_RE.lastIndex = 0;
+  while ((match = QHTML_TAG_RE.exec(page))) {
+    var inner = match[2];
+    var innerStart = match.index + match[0].indexOf('>') + 1;
+    var leading = inner.length - inner.replace(/^\s+/, '').length;
+    var raw = inner.trim().replace(/^"|"$/g, '');
+    var pos = lineAndColumnAt(page, innerStart + leading);
+    reporter.report(file, qhtml.diagnose(raw), pos.line - 1, pos.column - 1);
+    if (fn) fn(match, raw);
+  }
+}
+
+async function compileHtmlPage(file, loader, reporter) {
+  var page = fs.readFileSync(file, 'utf8');
+  var hosts = [];
+  forEachQHtmlHost(file, page, reporter, function (match, raw) {
+    hosts.push({ index: match.index, length: match[0].length, raw: raw });
+  });
+  // Components defined in one tag are usable in the page's later tags, as in
+  // the browser.
+  var registry = {};
+  var result = '';
+  var last = 0;
+  for (var i = 0; i < hosts.length; i++) {
+    var html = await qhtml.renderToString(hosts[i].raw, { resolveImport: loader, filename: file, registry: registry });
+    result += page.slice(last, hosts[i].index) + html;
+    last = hosts[i].index + hosts[i].length;
+  }
+  return result + page.slice(last);
+}
+
+async function build(options) {
+  if (!options.inputs.length) {
+    process.stderr.write('qhtml: build needs at least one input file or directory.\n');
+    return 2;
+  }
+  if (options.out === '') {
+    process.stderr.write('qhtml: --out needs a directory.\n');
+    return 2;
+  }
+  var outDir = path.resolve(options.out || 'dist');
+  var reporter = createReporter();
+  var loader = createDiskLoader(reporter);
+  var files = [];
+  options.inputs.forEach(function (input) {
+    files = files.concat(collectFiles(input));
+  });
+  files = files.filter(function (entry) {
+    return entry.file.indexOf(outDir + path.sep) !== 0;
+  });
+
+  for (var i = 0; i < files.length; i++) {
+    var entry = files[i];
+    var html = /\.qhtml$/i.test(entry.file)
+      ? await compileQHtmlFile(entry.file, loader, reporter)
+      : await compileHtmlPage(entry.file, loader, reporter);
+    var target = outputPathFor(outDir, entry.relative);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, html);
+    process.stdout.write(path.relative(process.cwd(), entry.file) + ' -> ' + path.relative(process.cwd(), target) + '\n');
+  }
+
+  if (reporter.counts.error) {
+    process.stderr.write('qhtml: ' + reporter.counts.error + ' error(s) reported.\n');
+    return 1;
+  }
+  return 0;
+}
+
+async function bundle(options) {
+  if (options.inputs.length !== 1) {
+    process.stderr.write('qhtml: bundle needs exactly one input file.\n');
+    return 2;
+  }
+  if (options.out === '') {
+    process.stderr.write('qhtml: --out needs a file.\n');
+    return 2;
+  }
+  var file = path.resolve(options.inputs[0]);
+  var reporter = createReporter();
+  var loader = createDiskLoader(reporter);
+  var bundleOptions = {
+    resolveImport: loader,
+    filename: file,
+    treeShake: options.treeShake,
+    keep: options.keep
+  };
+  var source = fs.readFileSync(file, 'utf8');
+  var output;
+  if (/\.qhtml$/i.test(file)) {
+    reporter.report(file, qhtml.diagnose(source));
+    output = await qhtmlTools.bundle(source, bundleOptions);
+  } else {
+    forEachQHtmlHost(file, source, reporter);
+    output = await qhtmlTools.bundleHTML(source, bundleOptions);
+  }
+
+  if (options.out) {
+    var target = path.resolve(options.out);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, output);
+    process.stdout.write(path.relative(process.cwd(), file) + ' -> ' + path.relative(process.cwd(), target) + '\n');
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (reporter.counts.error) {
+    process.stderr.write('qhtml: ' + reporter.counts.error + ' error(s) reported.\n');
+    return 1;
+  }
+  return 0;
+}
+
+async function precompile(options) {
+  if (!options.inputs.length) {
+    process.stderr.write('qhtml: precompile needs at least one input file or directory.\n');
+    return 2;
+  }
+  if (options.out === '') {
+    process.stderr.write('qhtml: --out needs a file.\n');
+    return 2;
+  }
+  var reporter = createReporter();
+  var sources = [];
+  options.inputs.forEach(function (input) {
+    collectFiles(input).forEach(function (entry) {
+      var text = fs.readFileSync(entry.file, 'utf8');
+      if (/\.qhtml$/i.test(entry.file)) {
+        reporter.report(entry.file, qhtml.diagnose(text));
+        sources.push({ source: text, filename: entry.file });
+      } else {
+        forEachQHtmlHost(entry.file, text, reporter, function (match, raw) {
+          sources.push({ source: raw, filename: entry.file });
+        });
+      }
+    });
+  });
+  var output = await qhtml.precompile(sources, { resolveImport: createDiskLoader(reporter) });
+
+  if (options.out) {
+    var target = path.resolve(options.out);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, output);
+    process.stdout.write(sources.length + ' source(s) -> ' + path.relative(process.cwd(), target) + '\n');
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (reporter.counts.error) {
+    process.stderr.write('qhtml: ' + reporter.counts.error + ' error(s) reported.\n');
+    return 1;
+  }
+  return 0;
+}
+
+async function main(argv) {
+  var options = parseArgs(argv);
+  if (options.help || !options.command) {
+    printUsage(options.help ? process.stdout : process.stderr);
+    return options.help ? 0 : 2;
+  }
+  if (options.command === 'build') {
+    return build(options);
+  }
+  if (options.command === 'bundle') {
+    return bundle(options);
+  }
+  if (options.command === 'precompile') {
+    return precompile(options);
+  }
+  process.stderr.write('qhtml: unknown command "' + options.command + '".\n');
+  printUsage(process.stderr);
+  return 2;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(function (code) {
+    process.exitCode = code;
+  }, function (err) {
+    process.stderr.write('qhtml: ' + (err && err.stack ? err.stack : err) + '\n');
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main: main, build: build, bundle: bundle, precompile: precompile };
@@ -14,6 +14,27 @@
     }
   }
 
+  // Markup goes through a `qhtml-tools` Trusted Types policy, so pages that
+  // enforce Trusted Types and allow that policy name accept it.
+  var trustedTypesPolicy;
+
+  function toTrustedHTML(html) {
+    if (trustedTypesPolicy === undefined) {
+      trustedTypesPolicy = null;
+      var factory = globalScope.trustedTypes;
+      if (factory && typeof factory.createPolicy === 'function') {
+        try {
+          trustedTypesPolicy = factory.createPolicy('qhtml-tools', {
+            createHTML: function (value) { return value; }
+          });
+        } catch (err) {
+          trustedTypesPolicy = null;
+        }
+      }
+    }
+    return trustedTypesPolicy ? trustedTypesPolicy.createHTML(html) : html;
+  }
+
   function hasOwn(obj, key) {
     return Object.prototype.hasOwnProperty.call(obj, key);
   }
@@ -761,7 +782,7 @@
     var html = rawHtml == null ? '' : String(rawHtml);
 
     var template = document.createElement('template');
-    template.innerHTML = html;
+    template.innerHTML = toTrustedHTML(html);
     return template.content;
   }
 
@@ -784,7 +805,7 @@
     }
 
     var host = document.createElement('q-html');
-    host.innerHTML = qhtml;
+    host.innerHTML = toTrustedHTML(qhtml);
 
     var pendingRender = null;
     if (typeof host.render === 'function') {
@@ -807,10 +828,61 @@
     return host.innerHTML;
   }
 
+  var QHTML_HOST_PATTERN = /(<q-html(?:\s[^>]*)?>)([\s\S]*?)(<\/q-html>)/gi;
+
+  function hasRuntimeBundle(runtime) {
+    return !!runtime && typeof runtime.bundle === 'function' && runtime.bundle !== bundle;
+  }
+
+  function ensureRuntimeAvailable(fnName) {
+    var runtime = globalScope.qhtml;
+    if (!hasRuntimeBundle(runtime) && typeof require === 'function') {
+      runtime = require('../qhtml.js');
+    }
+    if (!hasRuntimeBundle(runtime)) {
+      throw new Error('qhtml-tools.' + fnName + ' requires qhtml.js to be loaded first.');
+    }
+    return runtime;
+  }
+
+  function bundle(qhtmlCode, options) {
+    var runtime = ensureRuntimeAvailable('bundle');
+    return Promise.resolve(runtime.bundle(qhtmlCode == null ? '' : String(qhtmlCode), options || {}));
+  }
+
+  function bundleHTML(rawHtml, options) {
+    var runtime = ensureRuntimeAvailable('bundleHTML');
+    var html = rawHtml == null ? '' : String(rawHtml);
+    var hosts = [];
+    var match;
+    QHTML_HOST_PATTERN.lastIndex = 0;
+    while ((match = QHTML_HOST_PATTERN.exec(html))) {
+      hosts.push({ index: match.index, length: match[0].length, open: match[1], source: match[2], close: match[3] });
+    }
+
+    // The tags of a page share one component registry, so they are bundled
+    // together: definitions are emitted once and tree-shaking sees every tag.
+    var raws = hosts.map(function (host) {
+      return host.source.trim().replace(/^"|"$/g, '');
+    });
+
+    return Promise.resolve(runtime.bundle(raws, options || {})).then(function (bundled) {
+      var out = '';
+      var last = 0;
+      for (var i = 0; i < hosts.length; i++) {
+        out += html.slice(last, hosts[i].index) + hosts[i].open + '\n' + bundled[i].trim() + '\n' + hosts[i].close;
+        last = hosts[i].index + hosts[i].length;
+      }
+      return out + html.slice(last);
+    });
+  }
+
   var api = {
     fromHTML: fromHTML,
     fromDOM: fromDOM,
-    toHTML: toHTML
+    toHTML: toHTML,
+    bundle: bundle,
+    bundleHTML: bundleHTML
   };
 
   var sharedApi = api;
@@ -819,6 +891,7 @@
     sharedApi.fromHTML = fromHTML;
     sharedApi.fromDOM = fromDOM;
     sharedApi.toHTML = toHTML;
+    sharedApi.bundleHTML = bundleHTML;
   } else {
     globalScope.qhtml = sharedApi;
   }